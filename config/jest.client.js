@@ -8,5 +8,6 @@ module.exports = {
   testEnvironment: 'jest-environment-jsdom',
   setupFilesAfterEnv: [require.resolve('./setupTest.ts')],
   testMatch: ['**/__tests__/*.+(ts|tsx|js)', '**/*.test.+(ts|tsx|js)'],
-  testPathIgnorePatterns: ['/node_modules/', '/lib/', '/coverage/', '/config/'],
+  // The Vue package has its own project
+  testPathIgnorePatterns: ['/node_modules/', '/lib/', '/coverage/', '/config/', '/packages/vue/'],
 }
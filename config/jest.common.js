@@ -13,12 +13,17 @@ module.exports = {
     '^.+\\.(ts|tsx)$': 'ts-jest',
   },
   moduleFileExtensions: ['ts', 'tsx', 'js'],
+  // The packages are tested against the hooks source, not its build
+  moduleNameMapper: {
+    '^@datepicker-react/hooks$': '<rootDir>/packages/hooks/src',
+  },
   coveragePathIgnorePatterns: [
     ...defaults.coveragePathIgnorePatterns,
     '.stories.tsx',
     '.d.ts',
     './packages/styled/src/index.ts',
     './packages/hooks/src/index.ts',
+    './packages/vue/src/index.ts',
   ],
   // coveragePathIgnorePatterns: ['**/**/*.d.ts', '**/**/*.test.+(ts|tsx|js)', '++/**/*.stories.+(ts|tsx)'],
   snapshotSerializers: ['jest-serializer-html'],
@@ -7,7 +7,12 @@ import commonjs from 'rollup-plugin-commonjs'
 import replace from 'rollup-plugin-replace'
 import {terser} from 'rollup-plugin-terser'
 
-export function rollup({packageJsonPath, input = './src/index.ts'}) {
+// The compiler is the TypeScript module of the package, it defaults to the one of the repository
+export function rollup({
+  packageJsonPath,
+  input = './src/index.ts',
+  compiler = require('typescript'),
+}) {
   return {
     input: input,
     external: ['react', 'react-dom', 'styled-components'],
@@ -36,9 +41,13 @@ export function rollup({packageJsonPath, input = './src/index.ts'}) {
         exclude: 'node_modules/**',
       }),
       typescript({
-        typescript: require('typescript'),
+        typescript: compiler,
         rollupCommonJSResolveHack: true,
         clean: true,
+        // The type-check maps the hooks package to its source, the builds bundle its build
+        tsconfigOverride: {
+          compilerOptions: {paths: {'@datepicker-react/hooks': ['packages/hooks']}},
+        },
       }),
       terser(),
       // visualizer(),
@@ -1,7 +1,7 @@
 module.exports = {
   // eslint-disable-next-line
   ...require('./config/jest.common'),
-  projects: ['./config/jest.client.js', './config/jest.lint.js'],
+  projects: ['./config/jest.client.js', './packages/vue/jest.config.js', './config/jest.lint.js'],
   coverageThreshold: {
     global: {
       branches: 80,
@@ -13,5 +13,6 @@ module.exports = {
   collectCoverageFrom: [
     './packages/styled/src/**/*.+(ts|tsx)',
     './packages/hooks/src/**/*.+(ts|tsx)',
+    './packages/vue/src/**/*.+(ts|tsx)',
   ],
 }
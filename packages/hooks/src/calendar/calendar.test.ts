@@ -0,0 +1,82 @@
+import {
+  gregorianCalendar,
+  jalaliCalendar,
+  toJalali,
+  fromJalali,
+  isJalaliLeapYear,
+  getJalaliDaysInMonth,
+} from '.'
+
+describe('gregorianCalendar', () => {
+  test('should count the months of the date', () => {
+    const date = new Date(2019, 1, 10, 0, 0, 0)
+    expect(gregorianCalendar.getYear(date)).toBe(2019)
+    expect(gregorianCalendar.getMonth(date)).toBe(1)
+    expect(gregorianCalendar.getDaysInMonth(date)).toBe(28)
+    expect(gregorianCalendar.getMonthStart(2019, 1)).toEqual(new Date(2019, 1, 1, 0, 0, 0))
+    expect(gregorianCalendar.addMonths(new Date(2019, 0, 31, 0, 0, 0), 1)).toEqual(
+      new Date(2019, 1, 28, 0, 0, 0),
+    )
+    expect(gregorianCalendar.formatDay(date)).toBe('10')
+    expect(gregorianCalendar.formatMonth(date)).toBe('February 2019')
+  })
+})
+
+describe('toJalali', () => {
+  test('should convert the date to the Jalali calendar', () => {
+    expect(toJalali(new Date(2019, 2, 21, 0, 0, 0))).toEqual({year: 1398, month: 0, day: 1})
+    expect(toJalali(new Date(2019, 2, 27, 0, 0, 0))).toEqual({year: 1398, month: 0, day: 7})
+    expect(toJalali(new Date(2019, 8, 23, 0, 0, 0))).toEqual({year: 1398, month: 6, day: 1})
+    expect(toJalali(new Date(2020, 2, 19, 0, 0, 0))).toEqual({year: 1398, month: 11, day: 29})
+    expect(toJalali(new Date(2020, 2, 20, 0, 0, 0))).toEqual({year: 1399, month: 0, day: 1})
+    expect(toJalali(new Date(2021, 2, 20, 0, 0, 0))).toEqual({year: 1399, month: 11, day: 30})
+    expect(toJalali(new Date(2025, 2, 20, 15, 30, 0))).toEqual({year: 1403, month: 11, day: 30})
+  })
+})
+
+describe('fromJalali', () => {
+  test('should convert the Jalali date to a date', () => {
+    expect(fromJalali(1398, 0, 1)).toEqual(new Date(2019, 2, 21, 0, 0, 0))
+    expect(fromJalali(1398, 6, 1)).toEqual(new Date(2019, 8, 23, 0, 0, 0))
+    expect(fromJalali(1399, 11, 30)).toEqual(new Date(2021, 2, 20, 0, 0, 0))
+    expect(fromJalali(1404, 0, 1)).toEqual(new Date(2025, 2, 21, 0, 0, 0))
+  })
+})
+
+describe('getJalaliDaysInMonth', () => {
+  test('should return the length of the Jalali month', () => {
+    expect(getJalaliDaysInMonth(1398, 0)).toBe(31)
+    expect(getJalaliDaysInMonth(1398, 6)).toBe(30)
+    expect(getJalaliDaysInMonth(1398, 11)).toBe(29)
+    expect(getJalaliDaysInMonth(1399, 11)).toBe(30)
+    expect(isJalaliLeapYear(1399)).toBe(true)
+    expect(isJalaliLeapYear(1400)).toBe(false)
+    expect(isJalaliLeapYear(1403)).toBe(true)
+  })
+})
+
+describe('jalaliCalendar', () => {
+  test('should count the Jalali months of the date', () => {
+    const date = new Date(2019, 2, 27, 0, 0, 0)
+    expect(jalaliCalendar.getYear(date)).toBe(1398)
+    expect(jalaliCalendar.getMonth(date)).toBe(0)
+    expect(jalaliCalendar.getDaysInMonth(date)).toBe(31)
+    expect(jalaliCalendar.getMonthStart(1398, 1)).toEqual(new Date(2019, 3, 21, 0, 0, 0))
+    expect(jalaliCalendar.formatDay(date)).toBe('07')
+    expect(jalaliCalendar.formatMonth(date)).toBe('فروردین 1398')
+  })
+
+  test('should add Jalali months', () => {
+    // 31 Shahrivar 1398 to 30 Mehr 1398
+    expect(jalaliCalendar.addMonths(new Date(2019, 8, 22, 10, 30, 0), 1)).toEqual(
+      new Date(2019, 9, 22, 10, 30, 0),
+    )
+    // 1 Farvardin 1398 to 1 Esfand 1397
+    expect(jalaliCalendar.addMonths(new Date(2019, 2, 21, 0, 0, 0), -1)).toEqual(
+      new Date(2019, 1, 20, 0, 0, 0),
+    )
+    expect(jalaliCalendar.addMonths(new Date(2019, 2, 21, 0, 0, 0), 24)).toEqual(
+      new Date(2021, 2, 21, 0, 0, 0),
+    )
+  })
+})
@@ -0,0 +1,26 @@
+import addMonths from 'date-fns/addMonths'
+import format from 'date-fns/format'
+import getDaysInMonth from 'date-fns/getDaysInMonth'
+import {Locale} from 'date-fns'
+
+// A calendar system the months of the datepicker are laid out in. Years and months are counted in
+// the calendar, months are zero based, while the days are always plain (Gregorian) Dates.
+export interface Calendar {
+  getMonthStart(year: number, month: number): Date
+  getYear(date: Date): number
+  getMonth(date: Date): number
+  getDaysInMonth(date: Date): number
+  addMonths(date: Date, amount: number): Date
+  formatDay(date: Date, locale?: Locale): string
+  formatMonth(date: Date, locale?: Locale): string
+}
+
+export const gregorianCalendar: Calendar = {
+  getMonthStart: (year: number, month: number) => new Date(year, month, 1),
+  getYear: (date: Date) => date.getFullYear(),
+  getMonth: (date: Date) => date.getMonth(),
+  getDaysInMonth: (date: Date) => getDaysInMonth(date),
+  addMonths: (date: Date, amount: number) => addMonths(date, amount),
+  formatDay: (date: Date, locale?: Locale) => format(date, 'dd', {locale}),
+  formatMonth: (date: Date, locale?: Locale) => format(date, 'MMMM yyyy', {locale}),
+}
@@ -0,0 +1,20 @@
+import {Calendar, gregorianCalendar} from './calendar'
+import {
+  jalaliCalendar,
+  jalaliMonthNames,
+  toJalali,
+  fromJalali,
+  isJalaliLeapYear,
+  getJalaliDaysInMonth,
+} from './jalaliCalendar'
+
+export {
+  Calendar,
+  gregorianCalendar,
+  jalaliCalendar,
+  jalaliMonthNames,
+  toJalali,
+  fromJalali,
+  isJalaliLeapYear,
+  getJalaliDaysInMonth,
+}
@@ -0,0 +1,162 @@
+import differenceInCalendarDays from 'date-fns/differenceInCalendarDays'
+import {Calendar} from './calendar'
+
+export const jalaliMonthNames = [
+  'فروردین',
+  'اردیبهشت',
+  'خرداد',
+  'تیر',
+  'مرداد',
+  'شهریور',
+  'مهر',
+  'آبان',
+  'آذر',
+  'دی',
+  'بهمن',
+  'اسفند',
+]
+
+// Jalali years the 33 year leap cycles are realigned at (Borkowski's arithmetic)
+const breaks = [
+  -61,
+  9,
+  38,
+  199,
+  426,
+  686,
+  756,
+  818,
+  1111,
+  1181,
+  1210,
+  1635,
+  2060,
+  2097,
+  2192,
+  2262,
+  2324,
+  2394,
+  2456,
+  3178,
+]
+
+function div(a: number, b: number) {
+  return ~~(a / b)
+}
+
+function mod(a: number, b: number) {
+  return a - div(a, b) * b
+}
+
+// The Gregorian year and the day of March the Jalali year starts on, and the years since its last
+// leap year (0 for a leap year)
+function getJalaliYearInfo(year: number) {
+  const gregorianYear = year + 621
+  let leapJ = -14
+  let jp = breaks[0]
+  let jump = 0
+
+  for (let i = 1; i < breaks.length; i += 1) {
+    const jm = breaks[i]
+    jump = jm - jp
+    if (year < jm) {
+      break
+    }
+    leapJ = leapJ + div(jump, 33) * 8 + div(mod(jump, 33), 4)
+    jp = jm
+  }
+
+  let n = year - jp
+  leapJ = leapJ + div(n, 33) * 8 + div(mod(n, 33) + 3, 4)
+  if (mod(jump, 33) === 4 && jump - n === 4) {
+    leapJ += 1
+  }
+
+  const leapG = div(gregorianYear, 4) - div((div(gregorianYear, 100) + 1) * 3, 4) - 150
+  if (jump - n < 6) {
+    n = n - jump + div(jump + 4, 33) * 33
+  }
+  const leap = mod(mod(n + 1, 33) - 1, 4)
+
+  return {
+    gregorianYear,
+    march: 20 + leapJ - leapG,
+    leap: leap === -1 ? 4 : leap,
+  }
+}
+
+function getJalaliYearStart(year: number) {
+  const {gregorianYear, march} = getJalaliYearInfo(year)
+  return new Date(gregorianYear, 2, march)
+}
+
+export function isJalaliLeapYear(year: number) {
+  return getJalaliYearInfo(year).leap === 0
+}
+
+// The first six months have 31 days, the next five 30 and Esfand 29, or 30 in a leap year
+export function getJalaliDaysInMonth(year: number, month: number) {
+  if (month < 6) {
+    return 31
+  } else if (month < 11) {
+    return 30
+  }
+
+  return isJalaliLeapYear(year) ? 30 : 29
+}
+
+export function toJalali(date: Date) {
+  let year = date.getFullYear() - 621
+  let dayOfYear = differenceInCalendarDays(date, getJalaliYearStart(year))
+
+  if (dayOfYear < 0) {
+    year -= 1
+    dayOfYear = differenceInCalendarDays(date, getJalaliYearStart(year))
+  }
+
+  if (dayOfYear < 186) {
+    return {year, month: div(dayOfYear, 31), day: mod(dayOfYear, 31) + 1}
+  }
+
+  return {year, month: 6 + div(dayOfYear - 186, 30), day: mod(dayOfYear - 186, 30) + 1}
+}
+
+export function fromJalali(year: number, month: number, day: number) {
+  const {gregorianYear, march} = getJalaliYearInfo(year)
+  const dayOfYear = month < 6 ? month * 31 : 186 + (month - 6) * 30
+
+  return new Date(gregorianYear, 2, march + dayOfYear + day - 1)
+}
+
+export const jalaliCalendar: Calendar = {
+  getMonthStart: (year: number, month: number) => fromJalali(year, month, 1),
+  getYear: (date: Date) => toJalali(date).year,
+  getMonth: (date: Date) => toJalali(date).month,
+  getDaysInMonth: (date: Date) => {
+    const {year, month} = toJalali(date)
+    return getJalaliDaysInMonth(year, month)
+  },
+  // The day of the month is kept, or clamped to the last day of a shorter month
+  addMonths: (date: Date, amount: number) => {
+    const {year, month, day} = toJalali(date)
+    const months = year * 12 + month + amount
+    const nextYear = Math.floor(months / 12)
+    const nextMonth = months - nextYear * 12
+    const nextDate = fromJalali(
+      nextYear,
+      nextMonth,
+      Math.min(day, getJalaliDaysInMonth(nextYear, nextMonth)),
+    )
+    nextDate.setHours(date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds())
+
+    return nextDate
+  },
+  formatDay: (date: Date) => {
+    const {day} = toJalali(date)
+    return day < 10 ? `0${day}` : `${day}`
+  },
+  formatMonth: (date: Date) => {
+    const {year, month} = toJalali(date)
+    return `${jalaliMonthNames[month]} ${year}`
+  },
+}
@@ -0,0 +1,85 @@
+import moment from 'moment'
+import {DateTime} from 'luxon'
+import dayjs from 'dayjs'
+import utc from 'dayjs/plugin/utc'
+import timezone from 'dayjs/plugin/timezone'
+import {dateFnsAdapter, createMomentAdapter, createLuxonAdapter, createDayjsAdapter} from '.'
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+describe('dateFnsAdapter', () => {
+  test('should keep the dates', () => {
+    const date = new Date(2019, 2, 10, 12, 30, 0)
+    expect(dateFnsAdapter.toDate(date)).toBe(date)
+    expect(dateFnsAdapter.fromDate(date)).toBe(date)
+  })
+})
+
+describe('createMomentAdapter', () => {
+  test('should convert moments by their fields', () => {
+    const adapter = createMomentAdapter(moment)
+    expect(adapter.toDate(moment('2019-03-10T12:30:15.250'))).toEqual(
+      new Date(2019, 2, 10, 12, 30, 15, 250),
+    )
+    expect(adapter.fromDate(new Date(2019, 2, 10, 12, 30, 15, 250)).toISOString()).toBe(
+      moment('2019-03-10T12:30:15.250').toISOString(),
+    )
+  })
+
+  test('should keep the day of the moments in their time zone', () => {
+    const adapter = createMomentAdapter(values => moment.utc(values))
+    const value = moment.utc('2019-03-10T23:30:00Z')
+    expect(adapter.toDate(value)).toEqual(new Date(2019, 2, 10, 23, 30, 0))
+
+    const date = adapter.fromDate(new Date(2019, 2, 11, 0, 0, 0))
+    expect(date.isUTC()).toBe(true)
+    expect(date.toISOString()).toBe('2019-03-11T00:00:00.000Z')
+  })
+})
+
+describe('createLuxonAdapter', () => {
+  test('should convert DateTimes by their fields', () => {
+    const adapter = createLuxonAdapter(values => DateTime.fromObject(values))
+    expect(adapter.toDate(DateTime.fromISO('2019-03-10T12:30:15.250'))).toEqual(
+      new Date(2019, 2, 10, 12, 30, 15, 250),
+    )
+    expect(adapter.fromDate(new Date(2019, 2, 10, 12, 30, 15, 250)).toISO()).toBe(
+      DateTime.fromISO('2019-03-10T12:30:15.250').toISO(),
+    )
+  })
+
+  test('should keep the day of the DateTimes in their time zone', () => {
+    const adapter = createLuxonAdapter(values =>
+      DateTime.fromObject({...values, zone: 'Pacific/Kiritimati'}),
+    )
+    const value = DateTime.fromISO('2019-03-10T23:30:00', {zone: 'Pacific/Kiritimati'})
+    expect(adapter.toDate(value)).toEqual(new Date(2019, 2, 10, 23, 30, 0))
+
+    const date = adapter.fromDate(new Date(2019, 2, 11, 0, 0, 0))
+    expect(date.zoneName).toBe('Pacific/Kiritimati')
+    expect(date.toISO()).toBe('2019-03-11T00:00:00.000+14:00')
+  })
+})
+
+describe('createDayjsAdapter', () => {
+  test('should convert Day.js objects by their fields', () => {
+    const adapter = createDayjsAdapter(dayjs)
+    expect(adapter.toDate(dayjs('2019-03-10T12:30:15.250'))).toEqual(
+      new Date(2019, 2, 10, 12, 30, 15, 250),
+    )
+    expect(adapter.fromDate(new Date(2019, 2, 10, 12, 30, 15, 250)).toISOString()).toBe(
+      dayjs('2019-03-10T12:30:15.250').toISOString(),
+    )
+  })
+
+  test('should keep the day of the Day.js objects in their time zone', () => {
+    const adapter = createDayjsAdapter(value => dayjs.tz(value, 'Pacific/Kiritimati'))
+    const value = dayjs.tz('2019-03-10T23:30:00', 'Pacific/Kiritimati')
+    expect(adapter.toDate(value)).toEqual(new Date(2019, 2, 10, 23, 30, 0))
+
+    const date = adapter.fromDate(new Date(2019, 2, 11, 0, 0, 0))
+    expect(date.format()).toBe('2019-03-11T00:00:00+14:00')
+    expect(date.toISOString()).toBe('2019-03-10T10:00:00.000Z')
+  })
+})
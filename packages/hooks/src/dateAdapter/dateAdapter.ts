@@ -0,0 +1,12 @@
+// Converts the dates of an app to the native Dates the datepicker works with (through date-fns) and
+// back. A day is converted by its calendar fields, so it stays the same day in the time zone of the
+// app's dates.
+export interface DateAdapter<TDate> {
+  toDate(value: TDate): Date
+  fromDate(date: Date): TDate
+}
+
+export const dateFnsAdapter: DateAdapter<Date> = {
+  toDate: (value: Date) => value,
+  fromDate: (date: Date) => date,
+}
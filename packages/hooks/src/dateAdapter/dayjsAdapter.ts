@@ -0,0 +1,33 @@
+import format from 'date-fns/format'
+import {DateAdapter} from './dateAdapter'
+
+export interface DayjsLike {
+  year(): number
+  month(): number
+  date(): number
+  hour(): number
+  minute(): number
+  second(): number
+  millisecond(): number
+}
+
+// The adapter creates Day.js objects with createDayjs from a date and time without an offset, e.g.
+// '2019-03-10T12:30:00.000'. It is dayjs itself for local objects or a function parsing the date in
+// a time zone, e.g. value => dayjs.tz(value, 'Europe/Berlin') with the timezone plugin.
+export function createDayjsAdapter<TDayjs extends DayjsLike>(
+  createDayjs: (value: string) => TDayjs,
+): DateAdapter<TDayjs> {
+  return {
+    toDate: (value: TDayjs) =>
+      new Date(
+        value.year(),
+        value.month(),
+        value.date(),
+        value.hour(),
+        value.minute(),
+        value.second(),
+        value.millisecond(),
+      ),
+    fromDate: (date: Date) => createDayjs(format(date, "yyyy-MM-dd'T'HH:mm:ss.SSS")),
+  }
+}
@@ -0,0 +1,17 @@
+import {DateAdapter, dateFnsAdapter} from './dateAdapter'
+import {createMomentAdapter, MomentLike, MomentObjectInput} from './momentAdapter'
+import {createLuxonAdapter, LuxonDateTimeLike, LuxonObjectInput} from './luxonAdapter'
+import {createDayjsAdapter, DayjsLike} from './dayjsAdapter'
+
+export {
+  DateAdapter,
+  dateFnsAdapter,
+  createMomentAdapter,
+  MomentLike,
+  MomentObjectInput,
+  createLuxonAdapter,
+  LuxonDateTimeLike,
+  LuxonObjectInput,
+  createDayjsAdapter,
+  DayjsLike,
+}
@@ -0,0 +1,51 @@
+import {DateAdapter} from './dateAdapter'
+
+export interface LuxonDateTimeLike {
+  year: number
+  month: number
+  day: number
+  hour: number
+  minute: number
+  second: number
+  millisecond: number
+}
+
+export interface LuxonObjectInput {
+  year: number
+  month: number
+  day: number
+  hour: number
+  minute: number
+  second: number
+  millisecond: number
+}
+
+// The adapter creates DateTimes with createDateTime, e.g. values => DateTime.fromObject(values) for
+// local DateTimes or values => DateTime.fromObject({...values, zone: 'Europe/Berlin'}). Luxon counts
+// the months from 1.
+export function createLuxonAdapter<TDateTime extends LuxonDateTimeLike>(
+  createDateTime: (values: LuxonObjectInput) => TDateTime,
+): DateAdapter<TDateTime> {
+  return {
+    toDate: (value: TDateTime) =>
+      new Date(
+        value.year,
+        value.month - 1,
+        value.day,
+        value.hour,
+        value.minute,
+        value.second,
+        value.millisecond,
+      ),
+    fromDate: (date: Date) =>
+      createDateTime({
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hour: date.getHours(),
+        minute: date.getMinutes(),
+        second: date.getSeconds(),
+        millisecond: date.getMilliseconds(),
+      }),
+  }
+}
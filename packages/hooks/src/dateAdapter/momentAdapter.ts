@@ -0,0 +1,50 @@
+import {DateAdapter} from './dateAdapter'
+
+export interface MomentLike {
+  year(): number
+  month(): number
+  date(): number
+  hours(): number
+  minutes(): number
+  seconds(): number
+  milliseconds(): number
+}
+
+export interface MomentObjectInput {
+  year: number
+  month: number
+  date: number
+  hours: number
+  minutes: number
+  seconds: number
+  milliseconds: number
+}
+
+// The adapter creates moments with createMoment, which is moment itself for local moments or a
+// function creating them in a time zone, e.g. values => moment.tz(values, 'Europe/Berlin')
+export function createMomentAdapter<TMoment extends MomentLike>(
+  createMoment: (values: MomentObjectInput) => TMoment,
+): DateAdapter<TMoment> {
+  return {
+    toDate: (value: TMoment) =>
+      new Date(
+        value.year(),
+        value.month(),
+        value.date(),
+        value.hours(),
+        value.minutes(),
+        value.seconds(),
+        value.milliseconds(),
+      ),
+    fromDate: (date: Date) =>
+      createMoment({
+        year: date.getFullYear(),
+        month: date.getMonth(),
+        date: date.getDate(),
+        hours: date.getHours(),
+        minutes: date.getMinutes(),
+        seconds: date.getSeconds(),
+        milliseconds: date.getMilliseconds(),
+      }),
+  }
+}
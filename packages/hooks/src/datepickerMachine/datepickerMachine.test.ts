@@ -0,0 +1,544 @@
+import {advanceTo, clear} from 'jest-date-mock'
+import {createDatepickerMachine, DatepickerConfig} from '.'
+import {START_DATE, END_DATE} from '../useDatepicker'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+// A machine whose config takes the dates its callbacks report, like the props of a controlled
+// component. The callbacks of the selection modes are all set, the machine calls the one of its mode.
+function createControlledMachine(initialConfig: DatepickerConfig) {
+  const onChange = jest.fn()
+  const onVisibleMonthsChange = jest.fn()
+  let config: DatepickerConfig
+  const setConfig = (changes: object) => {
+    config = {...config, ...changes} as DatepickerConfig
+    machine.setConfig(config)
+  }
+  const update = (data: object) => {
+    onChange(data)
+    setConfig(data)
+  }
+  const callbacks = {
+    onDatesChange: update,
+    onDateChange: update,
+    onSelectedDatesChange: update,
+    onRangesChange: update,
+    onVisibleMonthsChange,
+  }
+  config = {...initialConfig, ...callbacks}
+  const machine = createDatepickerMachine(config)
+
+  return {machine, onChange, onVisibleMonthsChange, setConfig}
+}
+
+const getMonths = (machine: ReturnType<typeof createDatepickerMachine>) =>
+  machine.getSnapshot().activeMonths.map(month => `${month.year}-${month.month}`)
+
+describe('createDatepickerMachine', () => {
+  test('should start on the selected dates', () => {
+    const machine = createDatepickerMachine({
+      startDate: new Date(2019, 5, 10, 12, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      onDatesChange: jest.fn(),
+    })
+    expect(machine.getState()).toEqual({
+      activeMonths: [
+        {year: 2019, month: 5, date: new Date(2019, 5, 1, 0, 0, 0)},
+        {year: 2019, month: 6, date: new Date(2019, 6, 1, 0, 0, 0)},
+      ],
+      hoveredDate: null,
+      focusedDate: new Date(2019, 5, 10, 0, 0, 0),
+      activeRangeIndex: null,
+      activeView: 'days',
+      drag: null,
+    })
+    expect(machine.getSnapshot().isStartDate(new Date(2019, 5, 10, 0, 0, 0))).toBe(true)
+  })
+
+  test('should select a range with the config callbacks', () => {
+    const onDatesChange = jest.fn()
+    const config = {
+      startDate: null as Date | null,
+      endDate: null as Date | null,
+      focusedInput: START_DATE as 'startDate' | 'endDate',
+      onDatesChange,
+    }
+    const machine = createDatepickerMachine(config)
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+
+    // The selected dates come back with the config
+    machine.setConfig({
+      ...config,
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      focusedInput: END_DATE,
+    })
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 30, 0, 0, 0))
+    expect(machine.getState().hoveredDate).toEqual(new Date(2019, 2, 30, 0, 0, 0))
+    expect(machine.getSnapshot().isDateHovered(new Date(2019, 2, 29, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 30, 0, 0, 0))
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: new Date(2019, 2, 30, 0, 0, 0),
+      focusedInput: null,
+    })
+  })
+
+  test('should report the state changes to the listeners', () => {
+    const onVisibleMonthsChange = jest.fn()
+    const listener = jest.fn()
+    const machine = createDatepickerMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+      onVisibleMonthsChange,
+    })
+    const unsubscribe = machine.subscribe(listener)
+    const snapshot = machine.getSnapshot()
+    expect(machine.getSnapshot()).toBe(snapshot)
+
+    machine.getSnapshot().goToNextMonths()
+    expect(listener).toHaveBeenLastCalledWith(machine.getState())
+    expect(machine.getSnapshot()).not.toBe(snapshot)
+    expect(machine.getSnapshot().activeMonths.map(month => month.month)).toEqual([4, 5])
+    expect(onVisibleMonthsChange).toBeCalledTimes(1)
+
+    // The grid props stay the same and the keys run on the latest snapshot
+    expect(machine.getSnapshot().getGridProps()).toBe(snapshot.getGridProps())
+    const preventDefault = jest.fn()
+    snapshot.getGridProps().onKeyDown({key: 'ArrowDown', defaultPrevented: false, preventDefault})
+    expect(preventDefault).toBeCalled()
+    expect(machine.getState().focusedDate).toEqual(new Date(2019, 4, 1, 0, 0, 0))
+
+    const calls = listener.mock.calls.length
+    unsubscribe()
+    machine.getSnapshot().goToPreviousMonths()
+    expect(listener).toBeCalledTimes(calls)
+    expect(machine.getSnapshot().activeMonths.map(month => month.month)).toEqual([2, 3])
+  })
+
+  test('should return the direction of the layout', () => {
+    const {machine, setConfig} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+      rtl: true,
+    })
+    expect(machine.getSnapshot().rtl).toBe(true)
+
+    setConfig({rtl: false})
+    expect(machine.getSnapshot().rtl).toBe(false)
+  })
+})
+
+describe('the range selection mode', () => {
+  test('should select a range and reset it', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 3, 2, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: new Date(2019, 3, 2, 0, 0, 0),
+      focusedInput: null,
+    })
+    const snapshot = machine.getSnapshot()
+    expect(snapshot.isDateSelected(new Date(2019, 2, 31, 0, 0, 0))).toBe(true)
+    expect(snapshot.isFirstOrLastSelectedDate(new Date(2019, 2, 28, 0, 0, 0))).toBe(true)
+    expect(snapshot.isFirstOrLastSelectedDate(new Date(2019, 2, 31, 0, 0, 0))).toBe(false)
+    expect(snapshot.isEndDate(new Date(2019, 3, 2, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onResetDates()
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+    })
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 31, 0, 0, 0))).toBe(false)
+  })
+
+  test('should start over on a date before the start date', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 20, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 20, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+  })
+
+  test('should select the exact minimum booking days at once', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      minBookingDays: 3,
+      exactMinBookingDays: true,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 28, 0, 0, 0))
+    expect(machine.getSnapshot().isDateHovered(new Date(2019, 2, 30, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: new Date(2019, 2, 30, 0, 0, 0),
+      focusedInput: null,
+    })
+  })
+})
+
+describe('the single selection mode', () => {
+  test('should select a date that is not blocked and reset it', () => {
+    const {machine, onChange} = createControlledMachine({
+      selectionMode: 'single',
+      date: null,
+      isDateBlocked: (date: Date) => date.getDate() === 29,
+      onDateChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 29, 0, 0, 0))
+    expect(onChange).not.toBeCalled()
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({date: new Date(2019, 2, 28, 0, 0, 0)})
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 28, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 30, 0, 0, 0))).toBe(false)
+
+    // The dates are not previewed as a range
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 30, 0, 0, 0))
+    expect(machine.getSnapshot().hoveredDate).toBe(null)
+
+    machine.getSnapshot().onResetDates()
+    expect(onChange).toHaveBeenLastCalledWith({date: null})
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 28, 0, 0, 0))).toBe(false)
+  })
+})
+
+describe('the multiple selection mode', () => {
+  test('should toggle the dates up to the maximum and reset them', () => {
+    const {machine, onChange} = createControlledMachine({
+      selectionMode: 'multiple',
+      selectedDates: [],
+      maxSelectedDates: 2,
+      onSelectedDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 29, 0, 0, 0))
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      selectedDates: [new Date(2019, 2, 28, 0, 0, 0), new Date(2019, 2, 29, 0, 0, 0)],
+    })
+
+    // The other dates are blocked once the maximum is reached
+    expect(machine.getSnapshot().isDateBlocked(new Date(2019, 2, 30, 0, 0, 0))).toBe(true)
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 30, 0, 0, 0))
+    expect(onChange).toBeCalledTimes(2)
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({selectedDates: [new Date(2019, 2, 29, 0, 0, 0)]})
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 29, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateBlocked(new Date(2019, 2, 30, 0, 0, 0))).toBe(false)
+
+    machine.getSnapshot().onResetDates()
+    expect(onChange).toHaveBeenLastCalledWith({selectedDates: []})
+  })
+})
+
+describe('the ranges selection mode', () => {
+  test('should add, activate and remove the ranges', () => {
+    const {machine, onChange} = createControlledMachine({
+      selectionMode: 'ranges',
+      ranges: [],
+      onRangesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 5, 0, 0, 0))
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 8, 0, 0, 0))
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 12, 0, 0, 0))
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 14, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      ranges: [
+        {startDate: new Date(2019, 2, 5, 0, 0, 0), endDate: new Date(2019, 2, 8, 0, 0, 0)},
+        {startDate: new Date(2019, 2, 12, 0, 0, 0), endDate: new Date(2019, 2, 14, 0, 0, 0)},
+      ],
+    })
+    expect(machine.getSnapshot().isStartDate(new Date(2019, 2, 12, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 13, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 10, 0, 0, 0))).toBe(false)
+
+    // A range can't go over another range
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 10, 0, 0, 0))
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 16, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      ranges: [
+        {startDate: new Date(2019, 2, 5, 0, 0, 0), endDate: new Date(2019, 2, 8, 0, 0, 0)},
+        {startDate: new Date(2019, 2, 12, 0, 0, 0), endDate: new Date(2019, 2, 14, 0, 0, 0)},
+        {startDate: new Date(2019, 2, 10, 0, 0, 0), endDate: null},
+      ],
+    })
+    machine.getSnapshot().onRangeRemove(2)
+
+    // A selected range is activated, selected again it is removed
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 6, 0, 0, 0))
+    expect(machine.getSnapshot().activeRangeIndex).toBe(0)
+    expect(machine.getSnapshot().isDateInActiveRange(new Date(2019, 2, 7, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateInActiveRange(new Date(2019, 2, 13, 0, 0, 0))).toBe(false)
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 6, 0, 0, 0))
+    expect(machine.getSnapshot().activeRangeIndex).toBe(null)
+    expect(onChange).toHaveBeenLastCalledWith({
+      ranges: [
+        {startDate: new Date(2019, 2, 12, 0, 0, 0), endDate: new Date(2019, 2, 14, 0, 0, 0)},
+      ],
+    })
+
+    machine.getSnapshot().onResetDates()
+    expect(onChange).toHaveBeenLastCalledWith({ranges: []})
+  })
+})
+
+describe('the week selection mode', () => {
+  test('should select and preview the weeks that are not blocked', () => {
+    const {machine, onChange} = createControlledMachine({
+      selectionMode: 'week',
+      startDate: null,
+      endDate: null,
+      firstDayOfWeek: 1,
+      unavailableDates: [new Date(2019, 3, 3, 0, 0, 0)],
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 20, 0, 0, 0))
+    expect(machine.getSnapshot().isDateHovered(new Date(2019, 2, 18, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateHovered(new Date(2019, 2, 24, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateHovered(new Date(2019, 2, 25, 0, 0, 0))).toBe(false)
+
+    machine.getSnapshot().onDateSelect(new Date(2019, 2, 27, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 25, 0, 0, 0),
+      endDate: new Date(2019, 2, 31, 0, 0, 0),
+      focusedInput: null,
+    })
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 29, 0, 0, 0))).toBe(true)
+
+    // A week with an unavailable date is blocked
+    expect(machine.getSnapshot().isDateBlocked(new Date(2019, 3, 1, 0, 0, 0))).toBe(true)
+    machine.getSnapshot().onDateHover(new Date(2019, 3, 1, 0, 0, 0))
+    expect(machine.getSnapshot().hoveredDate).toBe(null)
+    machine.getSnapshot().onDateSelect(new Date(2019, 3, 1, 0, 0, 0))
+    expect(onChange).toBeCalledTimes(1)
+  })
+})
+
+describe('dragging over the days', () => {
+  test('should select the dragged range', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateDragStart(new Date(2019, 2, 28, 0, 0, 0))
+    expect(machine.getState().drag).toEqual({mode: 'range', date: new Date(2019, 2, 28, 0, 0, 0)})
+    machine.getSnapshot().onDateHover(new Date(2019, 3, 2, 0, 0, 0))
+    expect(machine.getSnapshot().isDateHovered(new Date(2019, 2, 30, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onDateDragEnd(new Date(2019, 3, 2, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: new Date(2019, 3, 2, 0, 0, 0),
+      focusedInput: null,
+    })
+    expect(machine.getState().drag).toBe(null)
+  })
+
+  test('should leave a drag released on the pressed date to the selection', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateDragStart(new Date(2019, 2, 28, 0, 0, 0))
+    machine.getSnapshot().onDateDragEnd(new Date(2019, 2, 28, 0, 0, 0))
+    expect(onChange).not.toBeCalled()
+    expect(machine.getState().drag).toBe(null)
+  })
+
+  test('should resize the selected range', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: new Date(2019, 2, 10, 0, 0, 0),
+      endDate: new Date(2019, 2, 15, 0, 0, 0),
+      focusedInput: null,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateDragStart(new Date(2019, 2, 15, 0, 0, 0))
+    expect(machine.getState().drag).toEqual({mode: 'end', date: new Date(2019, 2, 15, 0, 0, 0)})
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 18, 0, 0, 0))
+    expect(machine.getSnapshot().isEndDate(new Date(2019, 2, 18, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isDateSelected(new Date(2019, 2, 17, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onDateDragEnd(new Date(2019, 2, 18, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 10, 0, 0, 0),
+      endDate: new Date(2019, 2, 18, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    machine.getSnapshot().onDateDragStart(new Date(2019, 2, 10, 0, 0, 0))
+    expect(machine.getState().drag).toEqual({mode: 'start', date: new Date(2019, 2, 10, 0, 0, 0)})
+    machine.getSnapshot().onDateDragEnd(new Date(2019, 2, 12, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 12, 0, 0, 0),
+      endDate: new Date(2019, 2, 18, 0, 0, 0),
+      focusedInput: null,
+    })
+  })
+
+  test('should move the selected range and reject it over an unavailable date', () => {
+    const {machine, onChange} = createControlledMachine({
+      startDate: new Date(2019, 2, 10, 0, 0, 0),
+      endDate: new Date(2019, 2, 15, 0, 0, 0),
+      focusedInput: null,
+      unavailableDates: [new Date(2019, 2, 20, 0, 0, 0)],
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onDateDragStart(new Date(2019, 2, 12, 0, 0, 0))
+    expect(machine.getState().drag).toEqual({mode: 'move', date: new Date(2019, 2, 12, 0, 0, 0)})
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 17, 0, 0, 0))
+    expect(machine.getSnapshot().isDateDragRejected(new Date(2019, 2, 18, 0, 0, 0))).toBe(true)
+    expect(machine.getSnapshot().isStartDate(new Date(2019, 2, 10, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onDateDragEnd(new Date(2019, 2, 17, 0, 0, 0))
+    expect(onChange).not.toBeCalled()
+
+    machine.getSnapshot().onDateDragStart(new Date(2019, 2, 12, 0, 0, 0))
+    machine.getSnapshot().onDateHover(new Date(2019, 2, 14, 0, 0, 0))
+    expect(machine.getSnapshot().isDateDragRejected(new Date(2019, 2, 16, 0, 0, 0))).toBe(false)
+    expect(machine.getSnapshot().isStartDate(new Date(2019, 2, 12, 0, 0, 0))).toBe(true)
+
+    machine.getSnapshot().onDateDragEnd(new Date(2019, 2, 14, 0, 0, 0))
+    expect(onChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 12, 0, 0, 0),
+      endDate: new Date(2019, 2, 17, 0, 0, 0),
+      focusedInput: null,
+    })
+    expect(machine.getState().hoveredDate).toBe(null)
+  })
+})
+
+describe('the views', () => {
+  test('should page the months and years', () => {
+    const {machine, onVisibleMonthsChange} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().goToNextYear()
+    expect(getMonths(machine)).toEqual(['2020-2', '2020-3'])
+    machine.getSnapshot().goToPreviousYear()
+    expect(getMonths(machine)).toEqual(['2019-2', '2019-3'])
+    machine.getSnapshot().goToDate(new Date(2019, 7, 20, 0, 0, 0))
+    expect(getMonths(machine)).toEqual(['2019-7', '2019-8'])
+    expect(onVisibleMonthsChange).toBeCalledTimes(3)
+  })
+
+  test('should select a year and a month', () => {
+    const {machine} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+
+    machine.getSnapshot().onViewChange('years')
+    expect(machine.getSnapshot().activeView).toBe('years')
+
+    machine.getSnapshot().goToNextDecade()
+    expect(getMonths(machine)).toEqual(['2029-2', '2029-3'])
+    machine.getSnapshot().goToPreviousDecade()
+    machine.getSnapshot().goToPreviousDecade()
+    expect(getMonths(machine)).toEqual(['2009-2', '2009-3'])
+
+    machine.getSnapshot().onYearSelect(2021)
+    expect(machine.getSnapshot().activeView).toBe('months')
+    expect(getMonths(machine)).toEqual(['2021-2', '2021-3'])
+
+    machine.getSnapshot().onMonthSelect(new Date(2021, 5, 1, 0, 0, 0))
+    expect(machine.getSnapshot().activeView).toBe('days')
+    expect(getMonths(machine)).toEqual(['2021-5', '2021-6'])
+  })
+})
+
+describe('a controlled visibleMonth', () => {
+  test('should show the visible month and report the navigation', () => {
+    const {machine, onVisibleMonthsChange, setConfig} = createControlledMachine({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      visibleMonth: new Date(2019, 5, 1, 0, 0, 0),
+      onDatesChange: jest.fn(),
+    })
+    expect(getMonths(machine)).toEqual(['2019-5', '2019-6'])
+
+    // The navigation is reported and the visible month stays until the config changes it
+    machine.getSnapshot().goToNextMonths()
+    expect(onVisibleMonthsChange).toHaveBeenLastCalledWith({
+      visibleMonth: new Date(2019, 7, 1, 0, 0, 0),
+      activeMonths: [
+        {year: 2019, month: 7, date: new Date(2019, 7, 1, 0, 0, 0)},
+        {year: 2019, month: 8, date: new Date(2019, 8, 1, 0, 0, 0)},
+      ],
+    })
+    expect(getMonths(machine)).toEqual(['2019-5', '2019-6'])
+
+    setConfig({visibleMonth: new Date(2019, 7, 1, 0, 0, 0)})
+    expect(getMonths(machine)).toEqual(['2019-7', '2019-8'])
+
+    // Without the visible month the machine shows its own months again
+    setConfig({visibleMonth: undefined})
+    expect(getMonths(machine)).toEqual(['2019-2', '2019-3'])
+    machine.getSnapshot().goToNextMonths()
+    expect(getMonths(machine)).toEqual(['2019-4', '2019-5'])
+  })
+})
@@ -0,0 +1,1168 @@
+import isBefore from 'date-fns/isBefore'
+import isAfter from 'date-fns/isAfter'
+import addDays from 'date-fns/addDays'
+import isWithinRange from 'date-fns/isWithinInterval'
+import isSameDay from 'date-fns/isSameDay'
+import isSameMonth from 'date-fns/isSameDay'
+import eachDay from 'date-fns/eachDayOfInterval'
+import startOfDay from 'date-fns/startOfDay'
+import differenceInCalendarDays from 'date-fns/differenceInCalendarDays'
+import {Locale} from 'date-fns'
+import {
+  getInitialMonths,
+  getNextActiveMonth,
+  isDateSelected as isDateSelectedFn,
+  isDateBlocked as isDateBlockedFn,
+  isFirstOrLastSelectedDate as isFirstOrLastSelectedDateFn,
+  canSelectRange,
+  isDateHovered as isDateHoveredFn,
+  createUnavailableDatesIndex,
+  isInSelectedDates,
+  toggleSelectedDate,
+  getRangeIndex,
+  replaceRange,
+  getWeekRange,
+  startOfDayOrNull,
+  getMaxEndDate,
+  getMinBookingDays,
+  getHalfDayAvailability as getHalfDayAvailabilityFn,
+  getUserRangeRules,
+  DateRange,
+  MinBookingDays,
+  UnavailableRange,
+  UnavailableDatesIndex,
+  HalfDayAvailability,
+  MonthType,
+} from '../useDatepicker/useDatepicker.utils'
+import {keepTime} from '../useTimepicker/useTimepicker.utils'
+import {getFirstDayOfWeek} from '../useMonth/useMonth.utils'
+import {Calendar, gregorianCalendar} from '../calendar/calendar'
+
+export const START_DATE = 'startDate'
+export const END_DATE = 'endDate'
+
+export type FocusedInput = 'startDate' | 'endDate' | null
+
+export interface OnDatesChangeProps<TDate = Date> {
+  focusedInput: FocusedInput
+  startDate: TDate | null
+  endDate: TDate | null
+}
+
+export interface OnDateChangeProps<TDate = Date> {
+  date: TDate | null
+}
+
+export interface OnSelectedDatesChangeProps<TDate = Date> {
+  selectedDates: TDate[]
+}
+
+export interface OnRangesChangeProps<TDate = Date> {
+  ranges: DateRange<TDate>[]
+}
+
+export interface OnVisibleMonthsChangeProps<TDate = Date> {
+  visibleMonth: TDate
+  activeMonths: MonthType[]
+}
+
+export type FirstDayOfWeek = 0 | 1 | 2 | 3 | 4 | 5 | 6
+
+export type SelectionMode = 'range' | 'single' | 'multiple' | 'ranges' | 'week'
+
+export type DatepickerView = 'days' | 'months' | 'years'
+
+// The selection a date is closed for: a check-in (startDate) or a check-out (endDate)
+export type DateRestriction = 'startDate' | 'endDate' | null
+
+// A new range, the start or end date of the selected range or the whole selected range
+export type DragMode = 'range' | 'start' | 'end' | 'move'
+
+// The props of every selection mode
+export interface DatepickerBaseConfig<TDate = Date> {
+  onVisibleMonthsChange?(data: OnVisibleMonthsChangeProps<TDate>): void
+  minBookingDate?: TDate
+  maxBookingDate?: TDate
+  numberOfMonths?: number
+  minBookingDays?: MinBookingDays<TDate>
+  maxBookingDays?: number
+  exactMinBookingDays?: boolean
+  firstDayOfWeek?: FirstDayOfWeek
+  locale?: Locale
+  calendar?: Calendar
+  initialVisibleMonth?: TDate
+  visibleMonth?: TDate
+  isDateBlocked?(date: TDate): boolean
+  isStartDateBlocked?(date: TDate): boolean
+  isEndDateBlocked?(date: TDate): boolean
+  isNightBlocked?(date: TDate): boolean
+  unavailableDates?: TDate[]
+  unavailableRanges?: UnavailableRange<TDate>[]
+  vertical?: boolean
+  rtl?: boolean
+}
+
+export interface RangeSelectionConfig<TDate = Date> extends DatepickerBaseConfig<TDate> {
+  selectionMode?: 'range'
+  startDate: TDate | null
+  endDate: TDate | null
+  focusedInput: FocusedInput
+  onDatesChange(data: OnDatesChangeProps<TDate>): void
+}
+
+export interface WeekSelectionConfig<TDate = Date> extends DatepickerBaseConfig<TDate> {
+  selectionMode: 'week'
+  startDate: TDate | null
+  endDate: TDate | null
+  focusedInput?: FocusedInput
+  onDatesChange(data: OnDatesChangeProps<TDate>): void
+}
+
+export interface SingleSelectionConfig<TDate = Date> extends DatepickerBaseConfig<TDate> {
+  selectionMode: 'single'
+  date: TDate | null
+  onDateChange(data: OnDateChangeProps<TDate>): void
+}
+
+export interface MultipleSelectionConfig<TDate = Date> extends DatepickerBaseConfig<TDate> {
+  selectionMode: 'multiple'
+  selectedDates: TDate[]
+  maxSelectedDates?: number
+  onSelectedDatesChange(data: OnSelectedDatesChangeProps<TDate>): void
+}
+
+export interface RangesSelectionConfig<TDate = Date> extends DatepickerBaseConfig<TDate> {
+  selectionMode: 'ranges'
+  ranges: DateRange<TDate>[]
+  onRangesChange(data: OnRangesChangeProps<TDate>): void
+}
+
+// The selection mode decides which dates and callback the config needs
+export type DatepickerConfig<TDate = Date> =
+  | RangeSelectionConfig<TDate>
+  | WeekSelectionConfig<TDate>
+  | SingleSelectionConfig<TDate>
+  | MultipleSelectionConfig<TDate>
+  | RangesSelectionConfig<TDate>
+
+// The config as the machine reads it, with the props of all the selection modes
+export interface LooseDatepickerConfig<TDate = Date> extends DatepickerBaseConfig<TDate> {
+  selectionMode?: SelectionMode
+  onDatesChange?(data: OnDatesChangeProps<TDate>): void
+  onDateChange?(data: OnDateChangeProps<TDate>): void
+  onSelectedDatesChange?(data: OnSelectedDatesChangeProps<TDate>): void
+  onRangesChange?(data: OnRangesChangeProps<TDate>): void
+  startDate?: TDate | null
+  endDate?: TDate | null
+  date?: TDate | null
+  selectedDates?: TDate[]
+  maxSelectedDates?: number
+  ranges?: DateRange<TDate>[]
+  focusedInput?: FocusedInput
+}
+
+// The state of the datepicker, the rest is derived from it and the config. The active months are
+// shown unless the config has a controlled visibleMonth.
+export interface DatepickerState {
+  activeMonths: MonthType[]
+  hoveredDate: Date | null
+  focusedDate: Date | null
+  activeRangeIndex: number | null
+  activeView: DatepickerView
+  drag: {mode: DragMode; date: Date} | null
+}
+
+export type DatepickerListener = (state: DatepickerState) => void
+
+export interface DatepickerKeyboardEvent {
+  key: string
+  defaultPrevented: boolean
+  preventDefault(): void
+}
+
+// The defaults of the unavailable dates are the same arrays on every snapshot, so their index is
+// built once
+const NO_UNAVAILABLE_DATES: Date[] = []
+const NO_UNAVAILABLE_RANGES: UnavailableRange[] = []
+
+// The months and the focused date start on the selected dates, or on the initial visible month
+function getInitialState({
+  selectionMode = 'range',
+  startDate = null,
+  date = null,
+  selectedDates = [],
+  ranges = [],
+  numberOfMonths = 2,
+  initialVisibleMonth,
+  calendar = gregorianCalendar,
+}: LooseDatepickerConfig): DatepickerState {
+  const initialDate =
+    selectionMode === 'multiple'
+      ? selectedDates[0] || null
+      : selectionMode === 'ranges'
+      ? ranges.length > 0
+        ? ranges[0].startDate
+        : null
+      : startOfDayOrNull(selectionMode === 'single' ? date : startDate)
+
+  return {
+    activeMonths: getInitialMonths(
+      numberOfMonths,
+      initialDate || initialVisibleMonth || null,
+      calendar,
+    ),
+    hoveredDate: null,
+    focusedDate: initialDate,
+    activeRangeIndex: null,
+    activeView: 'days',
+    drag: null,
+  }
+}
+
+// The selection rules of the datepicker without a UI framework. The snapshot holds the active
+// months, the queries of the dates and the actions, the actions report the selected dates to the
+// callbacks of the config and the state changes to the listeners.
+export function createDatepickerMachine(initialConfig: DatepickerConfig) {
+  let config: LooseDatepickerConfig = initialConfig
+  let state = getInitialState(initialConfig)
+  let snapshot: ReturnType<typeof select> | null = null
+  let listeners: DatepickerListener[] = []
+  let unavailableDatesCache: {
+    unavailableDates: Date[]
+    unavailableRanges: UnavailableRange[]
+    index: UnavailableDatesIndex
+  } | null = null
+  let handleGridKeyDown: (e: DatepickerKeyboardEvent) => void = () => {}
+
+  function getState() {
+    return state
+  }
+
+  function setState(nextState: Partial<DatepickerState>) {
+    state = {...state, ...nextState}
+    snapshot = null
+    listeners.forEach(listener => listener(state))
+  }
+
+  // The config is replaced as a whole, e.g. with the props of every render
+  function setConfig(nextConfig: DatepickerConfig) {
+    config = nextConfig
+    snapshot = null
+  }
+
+  function subscribe(listener: DatepickerListener) {
+    listeners = listeners.concat(listener)
+
+    return () => {
+      listeners = listeners.filter(l => l !== listener)
+    }
+  }
+
+  function getSnapshot() {
+    if (!snapshot) {
+      snapshot = select()
+    }
+
+    return snapshot
+  }
+
+  const setDrag = (drag: DatepickerState['drag']) => setState({drag})
+  const setHoveredDate = (hoveredDate: Date | null) => setState({hoveredDate})
+  const setFocusedDate = (focusedDate: Date | null) => setState({focusedDate})
+  const setActiveRangeIndex = (activeRangeIndex: number | null) => setState({activeRangeIndex})
+  const setActiveView = (activeView: DatepickerView) => setState({activeView})
+  const setInternalActiveMonths = (activeMonths: MonthType[]) => setState({activeMonths})
+
+  function getUnavailableDatesIndex(
+    unavailableDates: Date[],
+    unavailableRanges: UnavailableRange[],
+  ) {
+    if (
+      !unavailableDatesCache ||
+      unavailableDatesCache.unavailableDates !== unavailableDates ||
+      unavailableDatesCache.unavailableRanges !== unavailableRanges
+    ) {
+      unavailableDatesCache = {
+        unavailableDates,
+        unavailableRanges,
+        index: createUnavailableDatesIndex(unavailableDates, unavailableRanges),
+      }
+    }
+
+    return unavailableDatesCache.index
+  }
+
+  // The grid props stay the same across snapshots, the key handler of the latest snapshot runs. A
+  // drag released or leaving outside of the days is dropped.
+  const onGridDragCancel = () => setDrag(null)
+  const gridProps = {
+    onKeyDown: (e: DatepickerKeyboardEvent) => handleGridKeyDown(e),
+    onPointerUp: onGridDragCancel,
+    onPointerLeave: onGridDragCancel,
+  }
+  const getGridProps = () => gridProps
+
+  function select() {
+    const {
+      selectionMode = 'range',
+      startDate: startDateProp = null,
+      endDate: endDateProp = null,
+      date: dateProp = null,
+      selectedDates = [],
+      maxSelectedDates,
+      ranges = [],
+      focusedInput: focusedInputProp = null,
+      minBookingDate,
+      maxBookingDate,
+      onDatesChange = () => {},
+      onDateChange = () => {},
+      onSelectedDatesChange = () => {},
+      onRangesChange = () => {},
+      onVisibleMonthsChange = () => {},
+      visibleMonth,
+      exactMinBookingDays = false,
+      minBookingDays = 1,
+      maxBookingDays,
+      numberOfMonths = 2,
+      locale,
+      calendar = gregorianCalendar,
+      firstDayOfWeek = getFirstDayOfWeek(locale),
+      isDateBlocked: isDateBlockedProps = () => false,
+      isStartDateBlocked: isStartDateBlockedProps = () => false,
+      isEndDateBlocked: isEndDateBlockedProps = () => false,
+      isNightBlocked: isNightBlockedProps = () => false,
+      unavailableDates = NO_UNAVAILABLE_DATES,
+      unavailableRanges = NO_UNAVAILABLE_RANGES,
+      vertical = false,
+      rtl = false,
+    } = config
+    const {
+      drag,
+      hoveredDate,
+      focusedDate,
+      activeRangeIndex,
+      activeView,
+      activeMonths: internalActiveMonths,
+    } = state
+    const isRangeMode = selectionMode === 'range'
+    const isSingleMode = selectionMode === 'single'
+    const isMultipleMode = selectionMode === 'multiple'
+    const isRangesMode = selectionMode === 'ranges'
+    const isWeekMode = selectionMode === 'week'
+    const pendingRangeIndex = isRangesMode ? ranges.findIndex(range => range.endDate === null) : -1
+    const pendingRange = pendingRangeIndex >= 0 ? ranges[pendingRangeIndex] : null
+    // A range dragged over the days starts on the pressed date and is only committed when the
+    // pointer is released, until then the range helpers run as if the end date was focused
+    const dragStartDate = drag && drag.mode === 'range' ? drag.date : null
+    const focusedInput = dragStartDate ? END_DATE : focusedInputProp
+    // Single and ranges modes reuse the range helpers with the selected date or the start date of
+    // the range in progress as a start date. The selection runs on days, so the time of day of the
+    // selected dates is left out.
+    const startDate = dragStartDate
+      ? dragStartDate
+      : startOfDayOrNull(
+          isRangeMode || isWeekMode
+            ? startDateProp
+            : isSingleMode
+            ? dateProp
+            : pendingRange
+            ? pendingRange.startDate
+            : null,
+        )
+    const endDate = dragStartDate
+      ? null
+      : startOfDayOrNull(isRangeMode || isWeekMode ? endDateProp : null)
+    const hasRangeSelection = isRangeMode || isRangesMode
+    // A controlled visibleMonth always wins, the navigation only reports the months it would show
+    const activeMonths = visibleMonth
+      ? getInitialMonths(numberOfMonths, visibleMonth, calendar)
+      : internalActiveMonths
+    const activeRange =
+      activeRangeIndex !== null && ranges[activeRangeIndex] && ranges[activeRangeIndex].endDate
+        ? ranges[activeRangeIndex]
+        : null
+    const isMaxSelectedDatesReached =
+      isMultipleMode && maxSelectedDates !== undefined && selectedDates.length >= maxSelectedDates
+
+    handleGridKeyDown = handleKeyDown
+
+    const unavailableDatesIndex = getUnavailableDatesIndex(unavailableDates, unavailableRanges)
+
+    // A date with a blocked night can still end a range (turnover day)
+    const isNightBlocked = (date: Date) => hasRangeSelection && isNightBlockedProps(date)
+
+    const {
+      isDateBlocked: disabledDatesByUser,
+      isRangeBlocked: disabledRangeByUser,
+      isStartDateBlocked: isStartDateBlockedForRange,
+    } = getUserRangeRules({
+      unavailableDatesIndex,
+      isDateBlocked: isDateBlockedProps,
+      isStartDateBlocked: isStartDateBlockedProps,
+      isNightBlocked,
+    })
+
+    const disabledDatesByUserAndRanges = (excludedRangeIndex: number) => (date: Date) =>
+      disabledDatesByUser(date) || getRangeIndex(ranges, date, excludedRangeIndex) >= 0
+
+    const disabledRangeByUserAndRanges = (excludedRangeIndex: number) => (start: Date, end: Date) =>
+      disabledRangeByUser(start, end) ||
+      eachDay({start, end}).some(d => getRangeIndex(ranges, d, excludedRangeIndex) >= 0)
+
+    const disabledDatesForSelection = isRangesMode
+      ? disabledDatesByUserAndRanges(pendingRangeIndex)
+      : disabledDatesByUser
+
+    const disabledRangeForSelection = isRangesMode
+      ? disabledRangeByUserAndRanges(pendingRangeIndex)
+      : disabledRangeByUser
+
+    // A dragged range passes the same checks as a selected range
+    const canSelectDraggedRange = (rangeStartDate: Date, rangeEndDate: Date) =>
+      !isBefore(rangeEndDate, rangeStartDate) &&
+      [rangeStartDate, rangeEndDate].every(
+        date =>
+          !isDateBlockedFn({
+            date,
+            minBookingDate,
+            maxBookingDate,
+            startDate: null,
+            endDate: null,
+            isDateBlockedFn: disabledDatesByUser,
+          }),
+      ) &&
+      canSelectRange({
+        minBookingDays,
+        maxBookingDays,
+        isDateBlocked: disabledDatesByUser,
+        isRangeBlocked: disabledRangeByUser,
+        isStartDateBlocked: isStartDateBlockedForRange,
+        isEndDateBlocked: isEndDateBlockedProps,
+        startDate: rangeStartDate,
+        endDate: rangeEndDate,
+      })
+
+    // The range the drag makes with the pointer over the date. A moved range keeps its length.
+    const getDraggedRange = (date: Date) => {
+      if (!drag) {
+        return null
+      } else if (drag.mode === 'range') {
+        return isBefore(date, drag.date)
+          ? {startDate: date, endDate: drag.date}
+          : {startDate: drag.date, endDate: date}
+      } else if (!startDate || !endDate) {
+        return null
+      } else if (drag.mode === 'start') {
+        return {startDate: date, endDate}
+      } else if (drag.mode === 'end') {
+        return {startDate, endDate: date}
+      }
+
+      const movedDays = differenceInCalendarDays(date, drag.date)
+
+      return {startDate: addDays(startDate, movedDays), endDate: addDays(endDate, movedDays)}
+    }
+
+    // A resized or moved range is shown in place of the selected range, or rejected on its dates
+    const draggedRange =
+      drag && drag.mode !== 'range' && hoveredDate ? getDraggedRange(hoveredDate) : null
+    const isDraggedRangeRejected =
+      !!draggedRange && !canSelectDraggedRange(draggedRange.startDate, draggedRange.endDate)
+    const selectedStartDate =
+      draggedRange && !isDraggedRangeRejected ? draggedRange.startDate : startDate
+    const selectedEndDate = draggedRange && !isDraggedRangeRejected ? draggedRange.endDate : endDate
+
+    function setActiveMonths(months: MonthType[]) {
+      if (!isSameMonth(months[0].date, activeMonths[0].date)) {
+        onVisibleMonthsChange({visibleMonth: months[0].date, activeMonths: months})
+      }
+
+      if (!visibleMonth) {
+        setInternalActiveMonths(months)
+      }
+    }
+
+    // Focus moving out of the active months pages the calendar. Side by side months page to the
+    // month of the date, stacked (vertical) months scroll to it.
+    const onDateFocus = (date: Date) => {
+      setFocusedDate(date)
+
+      const isBeforeActiveMonths = isBefore(date, activeMonths[0].date)
+      const isAfterActiveMonths = !isBefore(
+        date,
+        calendar.addMonths(activeMonths[0].date, numberOfMonths),
+      )
+
+      if (isBeforeActiveMonths || isAfterActiveMonths) {
+        const isLastActiveMonth = vertical ? isAfterActiveMonths : isBeforeActiveMonths
+        setActiveMonths(
+          getInitialMonths(
+            numberOfMonths,
+            isLastActiveMonth ? calendar.addMonths(date, 1 - numberOfMonths) : date,
+            calendar,
+          ),
+        )
+      }
+    }
+
+    const isDateSelected = (date: Date) => {
+      if (isMultipleMode) {
+        return isInSelectedDates(selectedDates, date)
+      } else if (isRangesMode) {
+        return getRangeIndex(ranges, date) >= 0
+      }
+
+      return isSingleMode
+        ? isFirstOrLastSelectedDateFn(date, startDate, null)
+        : isDateSelectedFn(date, selectedStartDate, selectedEndDate)
+    }
+
+    const isStartDate = (date: Date) =>
+      isRangesMode
+        ? ranges.some(range => isSameDay(date, range.startDate))
+        : !!selectedStartDate && isSameDay(date, selectedStartDate)
+
+    const isEndDate = (date: Date) =>
+      isRangesMode
+        ? ranges.some(range => !!range.endDate && isSameDay(date, range.endDate))
+        : !!selectedEndDate && isSameDay(date, selectedEndDate)
+
+    const isFirstOrLastSelectedDate = (date: Date) => {
+      if (isMultipleMode) {
+        return isInSelectedDates(selectedDates, date)
+      } else if (isRangesMode) {
+        return isStartDate(date) || isEndDate(date)
+      }
+
+      return isFirstOrLastSelectedDateFn(date, selectedStartDate, selectedEndDate)
+    }
+
+    const isDateDragRejected = (date: Date) =>
+      !!draggedRange &&
+      isDraggedRangeRejected &&
+      (isBefore(draggedRange.endDate, draggedRange.startDate)
+        ? isDateSelectedFn(date, draggedRange.endDate, draggedRange.startDate)
+        : isDateSelectedFn(date, draggedRange.startDate, draggedRange.endDate))
+
+    const isDateInActiveRange = (date: Date) =>
+      !!activeRange && isDateSelectedFn(date, activeRange.startDate, activeRange.endDate)
+
+    // The date would end the range in progress when it is selected
+    const isEndDateCandidate = (date: Date) =>
+      !!startDate &&
+      !isBefore(date, startDate) &&
+      (isRangesMode
+        ? !!pendingRange
+        : isRangeMode && focusedInput === END_DATE && !exactMinBookingDays)
+
+    // A range can't go over an unavailable date, so the dates beyond the first unavailable date
+    // after the start date can't end the range in progress
+    const isBeyondUnavailableDate = (date: Date) =>
+      startDate !== null && isEndDateCandidate(date) && disabledRangeForSelection(startDate, date)
+
+    const isDayBlocked = (date: Date) =>
+      isDateBlockedFn({
+        date,
+        minBookingDate,
+        maxBookingDate,
+        startDate: hasRangeSelection ? startDate : null,
+        endDate,
+        minBookingDays: hasRangeSelection ? minBookingDays : 1,
+        maxBookingDays: hasRangeSelection ? maxBookingDays : undefined,
+        isDateBlockedFn: disabledDatesByUser,
+      }) ||
+      (isNightBlocked(date) && isNightBlocked(addDays(date, -1))) ||
+      isBeyondUnavailableDate(date) ||
+      (isMaxSelectedDatesReached && !isInSelectedDates(selectedDates, date))
+
+    const isDateBlocked = (date: Date) => {
+      if (isWeekMode) {
+        const week = getWeekRange(date, firstDayOfWeek)
+        return eachDay({start: week.startDate, end: week.endDate}).some(isDayBlocked)
+      }
+
+      return isDayBlocked(date)
+    }
+
+    // Ranges can't start on a date closed to check-in or end on a date closed to check-out. A date
+    // is checked against the rule of the date it would become when it is selected.
+    const getDateRestriction = (date: Date): DateRestriction => {
+      if (!hasRangeSelection) {
+        return null
+      } else if (isEndDateCandidate(date)) {
+        return isEndDateBlockedProps(date) ? END_DATE : null
+      }
+
+      return isStartDateBlockedProps(date) ? START_DATE : null
+    }
+
+    const getHalfDayAvailability = (date: Date): HalfDayAvailability =>
+      getHalfDayAvailabilityFn(date, isNightBlocked)
+
+    const isDateFocused = (date: Date) => (focusedDate ? isSameDay(date, focusedDate) : false)
+
+    const isDateHovered = (date: Date) => {
+      if (isWeekMode) {
+        const week = hoveredDate ? getWeekRange(hoveredDate, firstDayOfWeek) : null
+        return !!week && isDateSelectedFn(date, week.startDate, week.endDate)
+      }
+
+      // A range dragged backwards previews from the hovered date to the pressed date
+      const isDraggedBackwards =
+        !!dragStartDate && !!hoveredDate && isBefore(hoveredDate, dragStartDate)
+
+      return (
+        hasRangeSelection &&
+        isDateHoveredFn({
+          date,
+          hoveredDate: isDraggedBackwards ? dragStartDate : hoveredDate,
+          startDate: isDraggedBackwards ? hoveredDate : startDate,
+          endDate,
+          minBookingDays,
+          exactMinBookingDays,
+          isDateBlocked: disabledDatesForSelection,
+          isRangeBlocked: disabledRangeForSelection,
+        })
+      )
+    }
+
+    // Arrow keys within the calendar start the keyboard navigation on the first active month, the
+    // keys handled by a day are prevented
+    function handleKeyDown(e: DatepickerKeyboardEvent) {
+      if (
+        (e.key === 'ArrowRight' ||
+          e.key === 'ArrowLeft' ||
+          e.key === 'ArrowDown' ||
+          e.key === 'ArrowUp') &&
+        !focusedDate &&
+        !e.defaultPrevented &&
+        activeView === 'days'
+      ) {
+        e.preventDefault()
+        const activeMonth = activeMonths[0]
+        onDateFocus(activeMonth.date)
+        setActiveMonths(getInitialMonths(numberOfMonths, activeMonth.date, calendar))
+      }
+    }
+
+    function onResetDates() {
+      if (isSingleMode) {
+        onDateChange({date: null})
+        return
+      } else if (isMultipleMode) {
+        onSelectedDatesChange({selectedDates: []})
+        return
+      } else if (isRangesMode) {
+        setActiveRangeIndex(null)
+        onRangesChange({ranges: []})
+        return
+      }
+
+      onDatesChange({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+      })
+    }
+
+    function onDateSelect(selectedDate: Date) {
+      const date = startOfDay(selectedDate)
+      // New dates get the time of the selected date or of the date they replace
+      const withTime = (day: Date | null, previousDate: Date | null) =>
+        keepTime(day === date ? selectedDate : day, previousDate)
+      const onDatesChangeWithTime = (data: OnDatesChangeProps) =>
+        onDatesChange({
+          ...data,
+          startDate: withTime(data.startDate, startDateProp),
+          endDate: withTime(data.endDate, endDateProp),
+        })
+
+      if (isSingleMode) {
+        onSingleDateSelect(date, withTime(date, dateProp))
+        return
+      } else if (isMultipleMode) {
+        onMultipleDateSelect(date)
+        return
+      } else if (isRangesMode) {
+        onRangesDateSelect(date)
+        return
+      } else if (isWeekMode) {
+        onWeekDateSelect(date)
+        return
+      }
+
+      // Minimal booking days of a range that starts on the selected date
+      const selectedMinBookingDays = getMinBookingDays(minBookingDays, date)
+
+      if (
+        (focusedInput === END_DATE || focusedInput === START_DATE) &&
+        selectedMinBookingDays > 0 &&
+        exactMinBookingDays &&
+        canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          exactMinBookingDays,
+          minBookingDate,
+          maxBookingDate,
+          isDateBlocked: disabledDatesByUser,
+          isRangeBlocked: disabledRangeByUser,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          startDate: date,
+          endDate: null,
+        })
+      ) {
+        onDatesChangeWithTime({
+          startDate: date,
+          endDate: addDays(date, selectedMinBookingDays - 1),
+          focusedInput: null,
+        })
+      } else if (
+        ((focusedInput === END_DATE && startDate && isBefore(date, startDate)) ||
+          (focusedInput === START_DATE && endDate && isAfter(date, endDate))) &&
+        !exactMinBookingDays &&
+        canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          isDateBlocked: disabledDatesByUser,
+          isRangeBlocked: disabledRangeByUser,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          startDate: date,
+          endDate: null,
+        })
+      ) {
+        onDatesChangeWithTime({
+          endDate: null,
+          startDate: date,
+          focusedInput: END_DATE,
+        })
+      } else if (
+        focusedInput === START_DATE &&
+        !exactMinBookingDays &&
+        canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          isDateBlocked: disabledDatesByUser,
+          isRangeBlocked: disabledRangeByUser,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          endDate,
+          startDate: date,
+        })
+      ) {
+        onDatesChangeWithTime({
+          endDate,
+          startDate: date,
+          focusedInput: END_DATE,
+        })
+      } else if (
+        focusedInput === START_DATE &&
+        !exactMinBookingDays &&
+        canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          isDateBlocked: disabledDatesByUser,
+          isRangeBlocked: disabledRangeByUser,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          endDate: null,
+          startDate: date,
+        })
+      ) {
+        onDatesChangeWithTime({
+          endDate: null,
+          startDate: date,
+          focusedInput: END_DATE,
+        })
+      } else if (
+        focusedInput === END_DATE &&
+        startDate &&
+        !isBefore(date, startDate) &&
+        !exactMinBookingDays &&
+        canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          isDateBlocked: disabledDatesByUser,
+          isRangeBlocked: disabledRangeByUser,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          startDate,
+          endDate: date,
+        })
+      ) {
+        onDatesChangeWithTime({
+          startDate,
+          endDate: date,
+          focusedInput: null,
+        })
+      }
+
+      if (
+        focusedInput !== END_DATE &&
+        (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate)))
+      ) {
+        setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      }
+    }
+
+    // The start and end date of a selected range resize it and the dates in between move it, other
+    // dates start a new range. A range with exact minimal booking days can only be moved.
+    function getDragMode(date: Date): DragMode {
+      if (startDate && endDate && !exactMinBookingDays && !isSameDay(startDate, endDate)) {
+        if (isSameDay(date, startDate)) {
+          return 'start'
+        } else if (isSameDay(date, endDate)) {
+          return 'end'
+        }
+      }
+
+      return isDateSelectedFn(date, startDate, endDate) ? 'move' : 'range'
+    }
+
+    function onDateDragStart(selectedDate: Date) {
+      const date = startOfDay(selectedDate)
+      const mode = getDragMode(date)
+      const isDragStartBlocked =
+        isDateBlockedFn({
+          date,
+          minBookingDate,
+          maxBookingDate,
+          startDate: null,
+          endDate: null,
+          isDateBlockedFn: disabledDatesByUser,
+        }) || isStartDateBlockedForRange(date)
+
+      if (!isRangeMode) {
+        return
+      } else if (mode !== 'range') {
+        setDrag({mode, date})
+        setHoveredDate(date)
+      } else if (!exactMinBookingDays && !isDragStartBlocked) {
+        setDrag({mode, date})
+      }
+    }
+
+    // Released on the pressed date the drag was a click, which selects the date on its own
+    function onDateDragEnd(selectedDate: Date) {
+      const date = startOfDay(selectedDate)
+      const range = drag && !isSameDay(date, drag.date) ? getDraggedRange(date) : null
+
+      if (range && canSelectDraggedRange(range.startDate, range.endDate)) {
+        onDatesChange({
+          startDate: keepTime(range.startDate, startDateProp),
+          endDate: keepTime(range.endDate, endDateProp),
+          focusedInput: null,
+        })
+      }
+
+      if (drag && drag.mode !== 'range') {
+        setHoveredDate(null)
+      }
+
+      setDrag(null)
+    }
+
+    function onSingleDateSelect(date: Date, dateWithTime: Date | null) {
+      if (!isDateBlocked(date)) {
+        onDateChange({date: dateWithTime})
+      }
+
+      if (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate))) {
+        setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      }
+    }
+
+    function onMultipleDateSelect(date: Date) {
+      if (isInSelectedDates(selectedDates, date) || !isDateBlocked(date)) {
+        onSelectedDatesChange({selectedDates: toggleSelectedDate(selectedDates, date)})
+      }
+
+      if (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate))) {
+        setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      }
+    }
+
+    function onRangesDateSelect(date: Date) {
+      if (pendingRange) {
+        const isBeforePendingStartDate = isBefore(date, pendingRange.startDate)
+        const canSelect = canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          isDateBlocked: disabledDatesForSelection,
+          isRangeBlocked: disabledRangeForSelection,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          startDate: isBeforePendingStartDate ? date : pendingRange.startDate,
+          endDate: isBeforePendingStartDate ? null : date,
+        })
+
+        if (canSelect) {
+          onRangesChange({
+            ranges: replaceRange(ranges, pendingRangeIndex, {
+              startDate: isBeforePendingStartDate ? date : pendingRange.startDate,
+              endDate: isBeforePendingStartDate ? null : date,
+            }),
+          })
+        }
+        return
+      }
+
+      const rangeIndex = getRangeIndex(ranges, date)
+
+      if (rangeIndex >= 0 && rangeIndex === activeRangeIndex) {
+        onRangeRemove(rangeIndex)
+        return
+      } else if (rangeIndex >= 0) {
+        setActiveRangeIndex(rangeIndex)
+        return
+      }
+
+      // Start a new range or start over the active one
+      const editedRangeIndex =
+        activeRange && activeRangeIndex !== null ? activeRangeIndex : ranges.length
+      const isDateBlockedForRange = disabledDatesByUserAndRanges(editedRangeIndex)
+      const isRangeBlockedForRange = disabledRangeByUserAndRanges(editedRangeIndex)
+      const newRange = exactMinBookingDays
+        ? {startDate: date, endDate: addDays(date, getMinBookingDays(minBookingDays, date) - 1)}
+        : {startDate: date, endDate: null}
+
+      if (
+        canSelectRange({
+          minBookingDays,
+          maxBookingDays,
+          exactMinBookingDays,
+          minBookingDate,
+          maxBookingDate,
+          isDateBlocked: isDateBlockedForRange,
+          isRangeBlocked: isRangeBlockedForRange,
+          isStartDateBlocked: isStartDateBlockedForRange,
+          isEndDateBlocked: isEndDateBlockedProps,
+          startDate: date,
+          endDate: null,
+        })
+      ) {
+        setActiveRangeIndex(null)
+        onRangesChange({ranges: replaceRange(ranges, editedRangeIndex, newRange)})
+      }
+
+      if (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate))) {
+        setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      }
+    }
+
+    function onWeekDateSelect(date: Date) {
+      if (!isDateBlocked(date)) {
+        onDatesChange({...getWeekRange(date, firstDayOfWeek), focusedInput: null})
+      }
+
+      if (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate))) {
+        setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      }
+    }
+
+    function onRangeRemove(index: number) {
+      setActiveRangeIndex(null)
+      onRangesChange({ranges: ranges.filter((_range, rangeIndex) => rangeIndex !== index)})
+    }
+
+    function onDateHover(date: Date | null) {
+      if (drag && drag.mode !== 'range') {
+        // The pointer of a resized or moved range
+        setHoveredDate(date)
+      } else if (!date || (!hasRangeSelection && !isWeekMode)) {
+        setHoveredDate(null)
+      } else if (isWeekMode) {
+        setHoveredDate(isDateBlocked(date) ? null : date)
+      } else if (date) {
+        // The preview of the range stops at the maximal booking days
+        if (
+          startDate &&
+          !endDate &&
+          maxBookingDays !== undefined &&
+          isAfter(date, getMaxEndDate(startDate, maxBookingDays))
+        ) {
+          date = getMaxEndDate(startDate, maxBookingDays)
+        }
+
+        const isNotBlocked =
+          (!isDateBlocked(date) && !getDateRestriction(date)) ||
+          (startDate && isSameDay(date, startDate))
+        const isHoveredDateAfterOrEqualMinDate = minBookingDate
+          ? !isBefore(date, addDays(minBookingDate, -1))
+          : true
+        const isHoveredDateBeforeOrEqualMaxDate = maxBookingDate
+          ? !isAfter(date, maxBookingDate)
+          : true
+
+        // Exact minimal booking days. The hovered date is the start date of the preview, or the
+        // same day as the start date below.
+        const hoveredMinBookingDays = getMinBookingDays(minBookingDays, date)
+        const potentialEndDate = addDays(date, hoveredMinBookingDays - 1)
+        const isPotentialEndDateAfterOrEqualMinDate = minBookingDate
+          ? !isBefore(potentialEndDate, minBookingDate)
+          : true
+        const isPotentialEndDateBeforeOrEqualMaxDate = maxBookingDate
+          ? !isAfter(potentialEndDate, maxBookingDate)
+          : true
+        const isExactAndInRange =
+          exactMinBookingDays &&
+          hoveredMinBookingDays > 1 &&
+          isHoveredDateAfterOrEqualMinDate &&
+          isHoveredDateBeforeOrEqualMaxDate &&
+          isPotentialEndDateAfterOrEqualMinDate &&
+          isPotentialEndDateBeforeOrEqualMaxDate
+
+        // Is date in range
+        const isInRange =
+          startDate &&
+          !endDate &&
+          !exactMinBookingDays &&
+          isHoveredDateAfterOrEqualMinDate &&
+          isHoveredDateBeforeOrEqualMaxDate
+
+        // Is start date hovered and in range
+        const isMinBookingDaysInRange =
+          hoveredMinBookingDays > 1 && startDate
+            ? isWithinRange(date, {
+                start: startDate,
+                end: addDays(startDate, hoveredMinBookingDays - 2),
+              })
+            : true
+        const isStartDateHoveredAndInRange =
+          startDate && isSameDay(date, startDate) && isMinBookingDaysInRange
+
+        if (isNotBlocked && (isExactAndInRange || isInRange || isStartDateHoveredAndInRange)) {
+          setHoveredDate(date)
+        } else if (hoveredDate !== null) {
+          setHoveredDate(null)
+        }
+      }
+    }
+
+    function goToPreviousMonths() {
+      setActiveMonths(getNextActiveMonth(activeMonths, numberOfMonths, -1, calendar))
+      setFocusedDate(null)
+    }
+
+    function goToNextMonths() {
+      setActiveMonths(getNextActiveMonth(activeMonths, numberOfMonths, 1, calendar))
+      setFocusedDate(null)
+    }
+
+    function goToPreviousYear(numYears: number = 1) {
+      setActiveMonths(
+        getNextActiveMonth(
+          activeMonths,
+          numberOfMonths,
+          -(numYears * 12 - numberOfMonths + 1),
+          calendar,
+        ),
+      )
+      setFocusedDate(null)
+    }
+
+    function goToNextYear(numYears: number = 1) {
+      setActiveMonths(
+        getNextActiveMonth(
+          activeMonths,
+          numberOfMonths,
+          numYears * 12 - numberOfMonths + 1,
+          calendar,
+        ),
+      )
+      setFocusedDate(null)
+    }
+
+    function onViewChange(view: DatepickerView) {
+      setActiveView(view)
+      setFocusedDate(null)
+    }
+
+    function onYearSelect(year: number) {
+      setActiveMonths(
+        getInitialMonths(
+          numberOfMonths,
+          calendar.getMonthStart(year, activeMonths[0].month),
+          calendar,
+        ),
+      )
+      onViewChange('months')
+    }
+
+    function onMonthSelect(date: Date) {
+      setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      onViewChange('days')
+    }
+
+    function goToPreviousDecade() {
+      setActiveMonths(
+        getInitialMonths(numberOfMonths, calendar.addMonths(activeMonths[0].date, -120), calendar),
+      )
+      setFocusedDate(null)
+    }
+
+    function goToNextDecade() {
+      setActiveMonths(
+        getInitialMonths(numberOfMonths, calendar.addMonths(activeMonths[0].date, 120), calendar),
+      )
+      setFocusedDate(null)
+    }
+
+    function goToDate(date: Date) {
+      setActiveMonths(getInitialMonths(numberOfMonths, date, calendar))
+      onViewChange('days')
+    }
+
+    return {
+      selectionMode,
+      activeView,
+      onViewChange,
+      onYearSelect,
+      onMonthSelect,
+      goToPreviousDecade,
+      goToNextDecade,
+      activeRangeIndex,
+      firstDayOfWeek,
+      rtl,
+      activeMonths,
+      getGridProps,
+      isDateSelected,
+      isDateHovered,
+      isFirstOrLastSelectedDate,
+      isStartDate,
+      isEndDate,
+      isDateInActiveRange,
+      isDateDragRejected,
+      isDateBlocked,
+      getDateRestriction,
+      getHalfDayAvailability,
+      numberOfMonths,
+      isDateFocused,
+      focusedDate,
+      hoveredDate,
+      onResetDates,
+      onDateHover,
+      onDateSelect,
+      onDateFocus,
+      onDateDragStart,
+      onDateDragEnd,
+      onRangeRemove,
+      goToPreviousMonths,
+      goToNextMonths,
+      goToPreviousYear,
+      goToNextYear,
+      goToDate,
+    }
+  }
+
+  return {
+    getState,
+    setConfig,
+    subscribe,
+    getSnapshot,
+  }
+}
+
+export type DatepickerMachine = ReturnType<typeof createDatepickerMachine>
+export type DatepickerSnapshot = ReturnType<DatepickerMachine['getSnapshot']>
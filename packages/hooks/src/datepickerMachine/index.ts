@@ -0,0 +1,33 @@
+import {
+  createDatepickerMachine,
+  DatepickerConfig,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  DatepickerState,
+  DatepickerListener,
+  DatepickerKeyboardEvent,
+  DatepickerMachine,
+  DatepickerSnapshot,
+} from './datepickerMachine'
+
+export {
+  createDatepickerMachine,
+  DatepickerConfig,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  DatepickerState,
+  DatepickerListener,
+  DatepickerKeyboardEvent,
+  DatepickerMachine,
+  DatepickerSnapshot,
+}
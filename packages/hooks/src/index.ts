@@ -7,6 +7,7 @@ import {
   GetWeekdayLabelsProps,
   getWeekdayLabels,
   getDays,
+  getFirstDayOfWeek,
   CalendarDay,
   dayLabelFormat,
   weekdayLabelFormat,
@@ -19,21 +20,117 @@ import {
   getCurrentYearMonthAndDate,
   getDateMonthAndYear,
   getInitialMonths,
+  getWeekRange,
+  getDecadeYears,
+  getMinBookingDays,
+  getHalfDayAvailability,
+  hasBlockedNight,
+  getUserRangeRules,
+  createUnavailableDatesIndex,
   MonthType,
+  DateRange,
+  MinBookingDays,
+  UnavailableRange,
+  UnavailableDatesIndex,
+  UserRangeRulesProps,
+  HalfDayAvailability,
   useDatepicker,
   UseDatepickerProps,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  UseDatepickerResult,
   START_DATE,
   END_DATE,
   getInputValue,
+  getDefaultDisplayFormat,
   FormatFunction,
   FocusedInput,
   FirstDayOfWeek,
   OnDatesChangeProps,
+  OnDateChangeProps,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  OnVisibleMonthsChangeProps,
+  SelectionMode,
+  DatepickerView,
+  DateRestriction,
 } from './useDatepicker'
-import useDay from './useDay'
+import useDay, {getKeyboardFocusDate, GetKeyboardFocusDateProps} from './useDay'
+import {
+  useMonthPicker,
+  UseMonthPickerProps,
+  MonthPickerSelectionMode,
+  useMonthPickerMonth,
+  UseMonthPickerMonthProps,
+  getMonths,
+  isMonthBlocked,
+  CalendarMonth,
+  YearType,
+  GetMonthsProps,
+  yearLabelFormat,
+  monthPickerLabelFormat,
+} from './useMonthPicker'
+import {
+  useTimepicker,
+  UseTimepickerProps,
+  getTimes,
+  getTimeFormat,
+  getTimeLabelFormat,
+  parseTime,
+  setTime,
+  TimeType,
+  HourFormat,
+  GetTimesProps,
+} from './useTimepicker'
+import {
+  usePresets,
+  UsePresetsProps,
+  getPresetRange,
+  Preset,
+  PresetRange,
+  PresetType,
+} from './usePresets'
+import {
+  Calendar,
+  gregorianCalendar,
+  jalaliCalendar,
+  jalaliMonthNames,
+  toJalali,
+  fromJalali,
+  isJalaliLeapYear,
+  getJalaliDaysInMonth,
+} from './calendar'
+import {
+  DateAdapter,
+  dateFnsAdapter,
+  createMomentAdapter,
+  MomentLike,
+  MomentObjectInput,
+  createLuxonAdapter,
+  LuxonDateTimeLike,
+  LuxonObjectInput,
+  createDayjsAdapter,
+  DayjsLike,
+} from './dateAdapter'
+import {
+  createDatepickerMachine,
+  DatepickerConfig,
+  DatepickerState,
+  DatepickerListener,
+  DatepickerKeyboardEvent,
+  DatepickerMachine,
+  DatepickerSnapshot,
+} from './datepickerMachine'
 
 export {
   useDay,
+  getKeyboardFocusDate,
+  GetKeyboardFocusDateProps,
   useMonth,
   UseMonthProps,
   UseMonthResult,
@@ -41,6 +138,7 @@ export {
   GetWeekdayLabelsProps,
   getWeekdayLabels,
   getDays,
+  getFirstDayOfWeek,
   CalendarDay,
   isDateSelected,
   isFirstOrLastSelectedDate,
@@ -48,18 +146,100 @@ export {
   getCurrentYearMonthAndDate,
   getDateMonthAndYear,
   getInitialMonths,
+  getWeekRange,
+  getDecadeYears,
+  getMinBookingDays,
+  getHalfDayAvailability,
+  hasBlockedNight,
+  getUserRangeRules,
+  createUnavailableDatesIndex,
   MonthType,
+  DateRange,
+  MinBookingDays,
+  UnavailableRange,
+  UnavailableDatesIndex,
+  UserRangeRulesProps,
+  HalfDayAvailability,
   useDatepicker,
   UseDatepickerProps,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  UseDatepickerResult,
   START_DATE,
   END_DATE,
   getInputValue,
+  getDefaultDisplayFormat,
   FormatFunction,
   FocusedInput,
   FirstDayOfWeek,
   OnDatesChangeProps,
+  OnDateChangeProps,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  OnVisibleMonthsChangeProps,
+  SelectionMode,
+  DatepickerView,
+  DateRestriction,
   dayLabelFormat,
   weekdayLabelFormat,
   monthLabelFormat,
   parseDate,
+  useMonthPicker,
+  UseMonthPickerProps,
+  MonthPickerSelectionMode,
+  useMonthPickerMonth,
+  UseMonthPickerMonthProps,
+  getMonths,
+  isMonthBlocked,
+  CalendarMonth,
+  YearType,
+  GetMonthsProps,
+  yearLabelFormat,
+  monthPickerLabelFormat,
+  useTimepicker,
+  UseTimepickerProps,
+  getTimes,
+  getTimeFormat,
+  getTimeLabelFormat,
+  parseTime,
+  setTime,
+  TimeType,
+  HourFormat,
+  GetTimesProps,
+  usePresets,
+  UsePresetsProps,
+  getPresetRange,
+  Preset,
+  PresetRange,
+  PresetType,
+  Calendar,
+  gregorianCalendar,
+  jalaliCalendar,
+  jalaliMonthNames,
+  toJalali,
+  fromJalali,
+  isJalaliLeapYear,
+  getJalaliDaysInMonth,
+  DateAdapter,
+  dateFnsAdapter,
+  createMomentAdapter,
+  MomentLike,
+  MomentObjectInput,
+  createLuxonAdapter,
+  LuxonDateTimeLike,
+  LuxonObjectInput,
+  createDayjsAdapter,
+  DayjsLike,
+  createDatepickerMachine,
+  DatepickerConfig,
+  DatepickerState,
+  DatepickerListener,
+  DatepickerKeyboardEvent,
+  DatepickerMachine,
+  DatepickerSnapshot,
 }
@@ -1,11 +1,26 @@
 import {
   useDatepicker,
   UseDatepickerProps,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  UseDatepickerResult,
   END_DATE,
   START_DATE,
   FocusedInput,
   FirstDayOfWeek,
   OnDatesChangeProps,
+  OnDateChangeProps,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  OnVisibleMonthsChangeProps,
+  SelectionMode,
+  DatepickerView,
+  DateRestriction,
 } from './useDatepicker'
 import {
   isDateSelected,
@@ -15,11 +30,29 @@ import {
   getDateMonthAndYear,
   getInitialMonths,
   getInputValue,
+  getDefaultDisplayFormat,
   getNextActiveMonth,
   FormatFunction,
   MonthType,
   canSelectRange,
   isDateHovered,
+  isInSelectedDates,
+  toggleSelectedDate,
+  getRangeIndex,
+  replaceRange,
+  getWeekRange,
+  getDecadeYears,
+  getMinBookingDays,
+  getHalfDayAvailability,
+  hasBlockedNight,
+  getUserRangeRules,
+  createUnavailableDatesIndex,
+  DateRange,
+  MinBookingDays,
+  UnavailableRange,
+  UnavailableDatesIndex,
+  UserRangeRulesProps,
+  HalfDayAvailability,
 } from './useDatepicker.utils'
 
 export {
@@ -31,15 +64,48 @@ export {
   getDateMonthAndYear,
   getInitialMonths,
   getInputValue,
+  getDefaultDisplayFormat,
   getNextActiveMonth,
   canSelectRange,
   isDateHovered,
+  isInSelectedDates,
+  toggleSelectedDate,
+  getRangeIndex,
+  replaceRange,
+  getWeekRange,
+  getDecadeYears,
+  getMinBookingDays,
+  getHalfDayAvailability,
+  hasBlockedNight,
+  getUserRangeRules,
+  createUnavailableDatesIndex,
+  DateRange,
+  MinBookingDays,
+  UnavailableRange,
+  UnavailableDatesIndex,
+  UserRangeRulesProps,
+  HalfDayAvailability,
   FormatFunction,
   MonthType,
   UseDatepickerProps,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  UseDatepickerResult,
   END_DATE,
   START_DATE,
   FocusedInput,
   FirstDayOfWeek,
   OnDatesChangeProps,
+  OnDateChangeProps,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  OnVisibleMonthsChangeProps,
+  SelectionMode,
+  DatepickerView,
+  DateRestriction,
 }
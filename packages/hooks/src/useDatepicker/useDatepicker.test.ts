@@ -1,6 +1,13 @@
 import {advanceTo, clear} from 'jest-date-mock'
 import {renderHook, act} from '@testing-library/react-hooks'
-import {isEqual, format, isSameDay} from 'date-fns'
+import {isEqual, format, isSameDay, addDays, addHours, isBefore} from 'date-fns'
+import de from 'date-fns/locale/de'
+import enUS from 'date-fns/locale/en-US'
+import ja from 'date-fns/locale/ja'
+import moment, {Moment} from 'moment'
+import {DateTime} from 'luxon'
+import {jalaliCalendar} from '../calendar'
+import {createMomentAdapter, createLuxonAdapter} from '../dateAdapter'
 import {
   getCurrentYearMonthAndDate,
   getDateMonthAndYear,
@@ -9,13 +16,27 @@ import {
   isFirstOrLastSelectedDate,
   isDateBlocked,
   getInputValue,
+  getDefaultDisplayFormat,
   getNextActiveMonth,
   useDatepicker,
   canSelectRange,
   isDateHovered,
+  isInSelectedDates,
+  toggleSelectedDate,
+  getRangeIndex,
+  replaceRange,
+  getWeekRange,
+  getDecadeYears,
+  getMinBookingDays,
+  createUnavailableDatesIndex,
+  hasBlockedNight,
+  getHalfDayAvailability,
   START_DATE,
   END_DATE,
+  FocusedInput,
+  UseDatepickerProps,
 } from '.'
+import * as utils from './useDatepicker.utils'
 
 describe('useDatepicker', () => {
   test('should return initial values', () => {
@@ -30,6 +51,7 @@ describe('useDatepicker', () => {
     )
     expect(result.current.numberOfMonths).toBe(2)
     expect(result.current.firstDayOfWeek).toBe(1)
+    expect(result.current.rtl).toBe(false)
 
     // Check active months
     expect(result.current.activeMonths[0].year).toBe(2019)
@@ -240,6 +262,358 @@ describe('useDatepicker', () => {
     clear()
   })
 
+  test('should scroll the vertical calendar when the focus leaves the active months', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: null,
+        onDatesChange: jest.fn(),
+        vertical: true,
+      }),
+    )
+
+    act(() => {
+      result.current.onDateFocus(new Date(2019, 4, 1, 0, 0, 0))
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([3, 4])
+
+    act(() => {
+      result.current.onDateFocus(new Date(2019, 2, 31, 0, 0, 0))
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([2, 3])
+    clear()
+  })
+
+  test('should start the keyboard navigation with the grid props', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result, rerender} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        onDatesChange: jest.fn(),
+      }),
+    )
+    const {onKeyDown} = result.current.getGridProps()
+
+    // Handled by a day
+    act(() => {
+      // @ts-ignore
+      onKeyDown({key: 'ArrowRight', defaultPrevented: true, preventDefault: jest.fn()})
+    })
+    expect(result.current.focusedDate).toBe(null)
+
+    act(() => {
+      // @ts-ignore
+      onKeyDown({key: 'ArrowRight', defaultPrevented: false, preventDefault: jest.fn()})
+    })
+    expect(result.current.focusedDate).toEqual(new Date(2019, 2, 1, 0, 0, 0))
+
+    rerender()
+    expect(result.current.getGridProps().onKeyDown).toBe(onKeyDown)
+    clear()
+  })
+
+  test('should select a range by dragging over the days', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDatesChange = jest.fn()
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: null,
+        onDatesChange,
+      }),
+    )
+
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 2, 30, 0, 0, 0))
+    })
+    expect(result.current.isStartDate(new Date(2019, 2, 30, 0, 0, 0))).toBe(true)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 2, 0, 0, 0))
+    })
+    expect(result.current.isDateHovered(new Date(2019, 2, 31, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateHovered(new Date(2019, 3, 3, 0, 0, 0))).toBe(false)
+    expect(onDatesChange).not.toBeCalled()
+
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 2, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 2, 30, 0, 0, 0),
+      endDate: new Date(2019, 3, 2, 0, 0, 0),
+      focusedInput: null,
+    })
+    expect(result.current.isStartDate(new Date(2019, 2, 30, 0, 0, 0))).toBe(false)
+
+    // Dragged backwards
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 5, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 1, 0, 0, 0))
+    })
+    expect(result.current.isDateHovered(new Date(2019, 3, 3, 0, 0, 0))).toBe(true)
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 1, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 1, 0, 0, 0),
+      endDate: new Date(2019, 3, 5, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    // Released on the pressed date
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 5, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 5, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledTimes(2)
+
+    // Released outside of the days
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 5, 0, 0, 0))
+    })
+    act(() => {
+      result.current.getGridProps().onPointerLeave()
+    })
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 8, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledTimes(2)
+    clear()
+  })
+
+  test('should not select a dragged range that breaks the constraints', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDatesChange = jest.fn()
+    const {result, rerender} = renderHook((props: UseDatepickerProps) => useDatepicker(props), {
+      initialProps: {
+        startDate: null,
+        endDate: null,
+        focusedInput: null,
+        onDatesChange,
+        minBookingDays: 3,
+        maxBookingDays: 7,
+        minBookingDate: new Date(2019, 2, 28, 0, 0, 0),
+        unavailableDates: [new Date(2019, 3, 10, 0, 0, 0)],
+        isStartDateBlocked: (date: Date) => isSameDay(date, new Date(2019, 3, 1, 0, 0, 0)),
+      },
+    })
+
+    const drag = (start: Date, end: Date) => {
+      act(() => {
+        result.current.onDateDragStart(start)
+      })
+      act(() => {
+        result.current.onDateDragEnd(end)
+      })
+    }
+
+    // Blocked start date, shorter than minBookingDays, longer than maxBookingDays, over an
+    // unavailable date and before minBookingDate
+    drag(new Date(2019, 3, 1, 0, 0, 0), new Date(2019, 3, 5, 0, 0, 0))
+    drag(new Date(2019, 3, 2, 0, 0, 0), new Date(2019, 3, 3, 0, 0, 0))
+    drag(new Date(2019, 3, 2, 0, 0, 0), new Date(2019, 3, 9, 0, 0, 0))
+    drag(new Date(2019, 3, 8, 0, 0, 0), new Date(2019, 3, 12, 0, 0, 0))
+    drag(new Date(2019, 2, 30, 0, 0, 0), new Date(2019, 2, 25, 0, 0, 0))
+    expect(onDatesChange).not.toBeCalled()
+
+    drag(new Date(2019, 3, 2, 0, 0, 0), new Date(2019, 3, 8, 0, 0, 0))
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 2, 0, 0, 0),
+      endDate: new Date(2019, 3, 8, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    rerender({
+      startDate: null,
+      endDate: null,
+      focusedInput: null,
+      onDatesChange,
+      exactMinBookingDays: true,
+      minBookingDays: 3,
+    })
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 2, 0, 0, 0))
+    })
+    expect(result.current.isStartDate(new Date(2019, 3, 2, 0, 0, 0))).toBe(false)
+    clear()
+  })
+
+  test('should resize and move the selected range by dragging it', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDatesChange = jest.fn()
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: new Date(2019, 3, 5, 10, 0, 0),
+        endDate: new Date(2019, 3, 8, 12, 0, 0),
+        focusedInput: null,
+        onDatesChange,
+      }),
+    )
+
+    // Start date
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 5, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 2, 0, 0, 0))
+    })
+    expect(result.current.isStartDate(new Date(2019, 3, 2, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateSelected(new Date(2019, 3, 3, 0, 0, 0))).toBe(true)
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 2, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 2, 10, 0, 0),
+      endDate: new Date(2019, 3, 8, 12, 0, 0),
+      focusedInput: null,
+    })
+    expect(result.current.isStartDate(new Date(2019, 3, 5, 0, 0, 0))).toBe(true)
+
+    // End date
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 8, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 12, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 5, 10, 0, 0),
+      endDate: new Date(2019, 3, 12, 12, 0, 0),
+      focusedInput: null,
+    })
+
+    // Whole range, across the months
+    act(() => {
+      result.current.onDateDragStart(new Date(2019, 3, 6, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 30, 0, 0, 0))
+    })
+    expect(result.current.isStartDate(new Date(2019, 3, 29, 0, 0, 0))).toBe(true)
+    expect(result.current.isEndDate(new Date(2019, 4, 2, 0, 0, 0))).toBe(true)
+    act(() => {
+      result.current.onDateDragEnd(new Date(2019, 3, 30, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 29, 10, 0, 0),
+      endDate: new Date(2019, 4, 2, 12, 0, 0),
+      focusedInput: null,
+    })
+    expect(result.current.isDateHovered(new Date(2019, 3, 30, 0, 0, 0))).toBe(false)
+    clear()
+  })
+
+  test('should reject a resized or moved range that breaks the constraints', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDatesChange = jest.fn()
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: new Date(2019, 3, 5, 0, 0, 0),
+        endDate: new Date(2019, 3, 8, 0, 0, 0),
+        focusedInput: null,
+        onDatesChange,
+        minBookingDays: 3,
+        minBookingDate: new Date(2019, 3, 1, 0, 0, 0),
+        unavailableDates: [new Date(2019, 3, 12, 0, 0, 0)],
+      }),
+    )
+
+    const drag = (start: Date, end: Date) => {
+      act(() => {
+        result.current.onDateDragStart(start)
+      })
+      act(() => {
+        result.current.onDateHover(end)
+      })
+    }
+    const drop = (end: Date) => {
+      act(() => {
+        result.current.onDateDragEnd(end)
+      })
+    }
+
+    // Over an unavailable date
+    drag(new Date(2019, 3, 6, 0, 0, 0), new Date(2019, 3, 10, 0, 0, 0))
+    expect(result.current.isDateDragRejected(new Date(2019, 3, 9, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateDragRejected(new Date(2019, 3, 13, 0, 0, 0))).toBe(false)
+    expect(result.current.isStartDate(new Date(2019, 3, 5, 0, 0, 0))).toBe(true)
+    drop(new Date(2019, 3, 10, 0, 0, 0))
+    expect(result.current.isDateDragRejected(new Date(2019, 3, 9, 0, 0, 0))).toBe(false)
+
+    // Before minBookingDate, shorter than minBookingDays and the start date after the end date
+    drag(new Date(2019, 3, 6, 0, 0, 0), new Date(2019, 3, 1, 0, 0, 0))
+    expect(result.current.isDateDragRejected(new Date(2019, 2, 31, 0, 0, 0))).toBe(true)
+    drop(new Date(2019, 3, 1, 0, 0, 0))
+    drag(new Date(2019, 3, 8, 0, 0, 0), new Date(2019, 3, 6, 0, 0, 0))
+    expect(result.current.isDateDragRejected(new Date(2019, 3, 6, 0, 0, 0))).toBe(true)
+    drop(new Date(2019, 3, 6, 0, 0, 0))
+    drag(new Date(2019, 3, 5, 0, 0, 0), new Date(2019, 3, 10, 0, 0, 0))
+    expect(result.current.isDateDragRejected(new Date(2019, 3, 9, 0, 0, 0))).toBe(true)
+    drop(new Date(2019, 3, 10, 0, 0, 0))
+    expect(onDatesChange).not.toBeCalled()
+    clear()
+  })
+
+  test('should page the calendar when the focus leaves the active months', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: null,
+        onDatesChange: jest.fn(),
+      }),
+    )
+
+    act(() => {
+      result.current.onDateFocus(new Date(2019, 3, 30, 0, 0, 0))
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([2, 3])
+
+    act(() => {
+      result.current.onDateFocus(new Date(2019, 4, 1, 0, 0, 0))
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([4, 5])
+
+    act(() => {
+      result.current.onDateFocus(new Date(2019, 3, 30, 0, 0, 0))
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([2, 3])
+    clear()
+  })
+
+  test('should start the week with the locale', () => {
+    const {result, rerender} = renderHook(props => useDatepicker(props), {
+      initialProps: {
+        startDate: null,
+        endDate: null,
+        focusedInput: null,
+        onDatesChange: jest.fn(),
+        locale: enUS,
+      } as UseDatepickerProps,
+    })
+    expect(result.current.firstDayOfWeek).toBe(0)
+
+    rerender({
+      startDate: null,
+      endDate: null,
+      focusedInput: null,
+      onDatesChange: jest.fn(),
+      locale: enUS,
+      firstDayOfWeek: 3,
+    })
+    expect(result.current.firstDayOfWeek).toBe(3)
+  })
+
   test('should have one month', () => {
     advanceTo(new Date(2019, 2, 27, 0, 0, 0))
     const {result} = renderHook(() =>
@@ -869,31 +1243,1050 @@ describe('useDatepicker', () => {
       clear()
     },
   )
-})
 
-describe('getCurrentYearMonthAndDate', () => {
-  test('should return current year and month', () => {
+  test('should limit the range to maxBookingDays', () => {
+    const onDatesChange = jest.fn()
     advanceTo(new Date(2019, 2, 27, 0, 0, 0))
-    expect(getCurrentYearMonthAndDate().year).toEqual(2019)
-    expect(getCurrentYearMonthAndDate().month).toEqual(2)
-    clear()
-  })
-})
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: new Date(2019, 3, 5, 0, 0, 0),
+        endDate: null,
+        focusedInput: END_DATE,
+        onDatesChange,
+        maxBookingDays: 28,
+      }),
+    )
+    expect(result.current.isDateBlocked(new Date(2019, 4, 2, 0, 0, 0))).toBe(false)
+    expect(result.current.isDateBlocked(new Date(2019, 4, 3, 0, 0, 0))).toBe(true)
 
-describe('getDateMonthAndYear', () => {
-  test('should return year and month', () => {
-    const date = new Date(2019, 2, 27, 0, 0, 0)
-    expect(getDateMonthAndYear(date).year).toEqual(2019)
-    expect(getDateMonthAndYear(date).month).toEqual(2)
+    // The preview stops at the last possible end date
+    act(() => {
+      result.current.onDateHover(new Date(2019, 4, 10, 0, 0, 0))
+    })
+    expect(result.current.hoveredDate).toEqual(new Date(2019, 4, 2, 0, 0, 0))
+    expect(result.current.isDateHovered(new Date(2019, 4, 2, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateHovered(new Date(2019, 4, 3, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 4, 3, 0, 0, 0))
+    })
+    expect(onDatesChange).not.toBeCalled()
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 4, 2, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 5, 0, 0, 0),
+      endDate: new Date(2019, 4, 2, 0, 0, 0),
+      focusedInput: null,
+    })
+    clear()
   })
-})
 
-describe('getNextActiveMonth', () => {
-  test('get next 2 months', () => {
+  test('should select the exact range of the seasonal minBookingDays', () => {
+    const onDatesChange = jest.fn()
     advanceTo(new Date(2019, 2, 27, 0, 0, 0))
-    const months = getInitialMonths(2, null)
-    const nextMonths = getNextActiveMonth(months, 2, 1)
-    expect(nextMonths.length).toBe(2)
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        onDatesChange,
+        minBookingDays: (startDate: Date) => (startDate.getMonth() === 6 ? 7 : 2),
+        exactMinBookingDays: true,
+      }),
+    )
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 6, 10, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 6, 10, 0, 0, 0),
+      endDate: new Date(2019, 6, 16, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 8, 10, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 8, 10, 0, 0, 0),
+      endDate: new Date(2019, 8, 11, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 6, 1, 0, 0, 0))
+    })
+    expect(result.current.isDateHovered(new Date(2019, 6, 7, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateHovered(new Date(2019, 6, 8, 0, 0, 0))).toBe(false)
+    clear()
+  })
+
+  test('should block dates beyond the first unavailable date after the start date', () => {
+    advanceTo(new Date(2019, 2, 1, 0, 0, 0))
+    const {result, rerender} = renderHook((props: UseDatepickerProps) => useDatepicker(props), {
+      initialProps: {
+        startDate: new Date(2019, 2, 10, 0, 0, 0),
+        endDate: null,
+        focusedInput: END_DATE as FocusedInput,
+        onDatesChange: jest.fn(),
+        unavailableDates: [new Date(2019, 2, 15, 0, 0, 0)],
+      },
+    })
+    expect(result.current.isDateBlocked(new Date(2019, 2, 5, 0, 0, 0))).toBe(false)
+    expect(result.current.isDateBlocked(new Date(2019, 2, 14, 0, 0, 0))).toBe(false)
+    expect(result.current.isDateBlocked(new Date(2019, 2, 15, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateBlocked(new Date(2019, 2, 20, 0, 0, 0))).toBe(true)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 2, 20, 0, 0, 0))
+    })
+    expect(result.current.hoveredDate).toBe(null)
+
+    // The dates would start a new range
+    rerender({
+      startDate: new Date(2019, 2, 10, 0, 0, 0),
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+      unavailableDates: [new Date(2019, 2, 15, 0, 0, 0)],
+    })
+    expect(result.current.isDateBlocked(new Date(2019, 2, 20, 0, 0, 0))).toBe(false)
+    clear()
+  })
+
+  test('should end a range on a turnover day', () => {
+    const onDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    // Booked from April 10 to April 14
+    const isNightBlocked = (date: Date) =>
+      !isBefore(date, new Date(2019, 3, 10, 0, 0, 0)) &&
+      isBefore(date, new Date(2019, 3, 14, 0, 0, 0))
+    const {result, rerender} = renderHook(props => useDatepicker(props), {
+      initialProps: {
+        startDate: new Date(2019, 3, 5, 0, 0, 0) as Date | null,
+        endDate: null as Date | null,
+        focusedInput: END_DATE as FocusedInput,
+        onDatesChange,
+        isNightBlocked,
+      },
+    })
+    expect(result.current.getHalfDayAvailability(new Date(2019, 3, 9, 0, 0, 0))).toBe(null)
+    expect(result.current.getHalfDayAvailability(new Date(2019, 3, 10, 0, 0, 0))).toBe('checkOut')
+    expect(result.current.getHalfDayAvailability(new Date(2019, 3, 12, 0, 0, 0))).toBe(null)
+    expect(result.current.getHalfDayAvailability(new Date(2019, 3, 14, 0, 0, 0))).toBe('checkIn')
+    expect(result.current.isDateBlocked(new Date(2019, 3, 10, 0, 0, 0))).toBe(false)
+    expect(result.current.isDateBlocked(new Date(2019, 3, 12, 0, 0, 0))).toBe(true)
+    // Beyond the booked nights
+    expect(result.current.isDateBlocked(new Date(2019, 3, 14, 0, 0, 0))).toBe(true)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    expect(result.current.isDateHovered(new Date(2019, 3, 10, 0, 0, 0))).toBe(true)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 11, 0, 0, 0))
+    })
+    expect(onDatesChange).not.toBeCalled()
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 5, 0, 0, 0),
+      endDate: new Date(2019, 3, 10, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    rerender({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange,
+      isNightBlocked,
+    })
+
+    // The night of the check-out day is blocked
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledTimes(1)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 14, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 14, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+    clear()
+  })
+
+  test('should check the start or end date restriction of the focused input', () => {
+    const onDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    // Closed to check-in on Saturdays, closed to check-out on Sundays
+    const isStartDateBlocked = (date: Date) => date.getDay() === 6
+    const isEndDateBlocked = (date: Date) => date.getDay() === 0
+    const {result, rerender} = renderHook(props => useDatepicker(props), {
+      initialProps: {
+        startDate: null as Date | null,
+        endDate: null as Date | null,
+        focusedInput: START_DATE as FocusedInput,
+        onDatesChange,
+        isStartDateBlocked,
+        isEndDateBlocked,
+      },
+    })
+    expect(result.current.getDateRestriction(new Date(2019, 3, 6, 0, 0, 0))).toBe(START_DATE)
+    expect(result.current.getDateRestriction(new Date(2019, 3, 7, 0, 0, 0))).toBe(null)
+    // Restricted dates are not blocked, ranges can go over them
+    expect(result.current.isDateBlocked(new Date(2019, 3, 6, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 6, 0, 0, 0))
+    })
+    expect(onDatesChange).not.toBeCalled()
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 5, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 5, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+
+    rerender({
+      startDate: new Date(2019, 3, 5, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      onDatesChange,
+      isStartDateBlocked,
+      isEndDateBlocked,
+    })
+    expect(result.current.getDateRestriction(new Date(2019, 3, 6, 0, 0, 0))).toBe(null)
+    expect(result.current.getDateRestriction(new Date(2019, 3, 7, 0, 0, 0))).toBe(END_DATE)
+    // Dates before the start date would start a new range
+    expect(result.current.getDateRestriction(new Date(2019, 2, 30, 0, 0, 0))).toBe(START_DATE)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 7, 0, 0, 0))
+    })
+    expect(result.current.hoveredDate).toBe(null)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 7, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledTimes(1)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 8, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 5, 0, 0, 0),
+      endDate: new Date(2019, 3, 8, 0, 0, 0),
+      focusedInput: null,
+    })
+    clear()
+  })
+
+  test('should keep the time of day of the selected dates', () => {
+    const onDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result, rerender} = renderHook(props => useDatepicker(props), {
+      initialProps: {
+        startDate: new Date(2019, 2, 28, 10, 30, 0) as Date | null,
+        endDate: new Date(2019, 2, 30, 18, 0, 0) as Date | null,
+        focusedInput: END_DATE as FocusedInput,
+        onDatesChange,
+      },
+    })
+    expect(result.current.isStartDate(new Date(2019, 2, 28, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateSelected(new Date(2019, 2, 30, 0, 0, 0))).toBe(true)
+
+    // Same day as the start date
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 2, 28, 10, 30, 0),
+      endDate: new Date(2019, 2, 28, 18, 0, 0),
+      focusedInput: null,
+    })
+
+    // Typed date with a time
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 2, 9, 15, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 2, 28, 10, 30, 0),
+      endDate: new Date(2019, 3, 2, 9, 15, 0),
+      focusedInput: null,
+    })
+
+    rerender({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange,
+    })
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 2, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 2, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+    clear()
+  })
+
+  test('should select a single date', () => {
+    const onDateChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        selectionMode: 'single',
+        date: new Date(2019, 3, 5, 0, 0, 0),
+        onDateChange,
+        minBookingDays: 3,
+        isDateBlocked(date: Date): boolean {
+          return isSameDay(date, new Date(2019, 3, 4, 0, 0, 0))
+        },
+      }),
+    )
+
+    expect(result.current.selectionMode).toBe('single')
+    expect(result.current.activeMonths[0].month).toBe(3)
+    expect(result.current.isDateSelected(new Date(2019, 3, 5, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateSelected(new Date(2019, 3, 6, 0, 0, 0))).toBe(false)
+    expect(result.current.isFirstOrLastSelectedDate(new Date(2019, 3, 5, 0, 0, 0))).toBe(true)
+    // minBookingDays does not apply to a single date
+    expect(result.current.isDateBlocked(new Date(2019, 3, 6, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 8, 0, 0, 0))
+    })
+    expect(result.current.hoveredDate).toBe(null)
+    expect(result.current.isDateHovered(new Date(2019, 3, 8, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 4, 0, 0, 0))
+    })
+    expect(onDateChange).not.toBeCalled()
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 8, 0, 0, 0))
+    })
+    expect(onDateChange).toBeCalledWith({date: new Date(2019, 3, 8, 0, 0, 0)})
+
+    act(() => {
+      result.current.onResetDates()
+    })
+    expect(onDateChange).toHaveBeenLastCalledWith({date: null})
+    clear()
+  })
+
+  test('should toggle dates in multiple mode', () => {
+    const onSelectedDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        selectionMode: 'multiple',
+        selectedDates: [new Date(2019, 3, 3, 0, 0, 0), new Date(2019, 3, 7, 0, 0, 0)],
+        onSelectedDatesChange,
+        minBookingDate: new Date(2019, 3, 1, 0, 0, 0),
+        unavailableDates: [new Date(2019, 3, 10, 0, 0, 0)],
+      }),
+    )
+
+    expect(result.current.activeMonths[0].month).toBe(3)
+    expect(result.current.isDateSelected(new Date(2019, 3, 3, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateSelected(new Date(2019, 3, 5, 0, 0, 0))).toBe(false)
+    expect(result.current.isFirstOrLastSelectedDate(new Date(2019, 3, 7, 0, 0, 0))).toBe(true)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 12, 0, 0, 0))
+    })
+    expect(onSelectedDatesChange).toHaveBeenLastCalledWith({
+      selectedDates: [
+        new Date(2019, 3, 3, 0, 0, 0),
+        new Date(2019, 3, 7, 0, 0, 0),
+        new Date(2019, 3, 12, 0, 0, 0),
+      ],
+    })
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 3, 0, 0, 0))
+    })
+    expect(onSelectedDatesChange).toHaveBeenLastCalledWith({
+      selectedDates: [new Date(2019, 3, 7, 0, 0, 0)],
+    })
+
+    // Unavailable date and date before minBookingDate
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 2, 30, 0, 0, 0))
+    })
+    expect(onSelectedDatesChange).toBeCalledTimes(2)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 8, 0, 0, 0))
+    })
+    expect(result.current.isDateHovered(new Date(2019, 3, 8, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onResetDates()
+    })
+    expect(onSelectedDatesChange).toHaveBeenLastCalledWith({selectedDates: []})
+    clear()
+  })
+
+  test('should respect maxSelectedDates in multiple mode', () => {
+    const onSelectedDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        selectionMode: 'multiple',
+        selectedDates: [new Date(2019, 3, 3, 0, 0, 0), new Date(2019, 3, 7, 0, 0, 0)],
+        maxSelectedDates: 2,
+        onSelectedDatesChange,
+      }),
+    )
+
+    expect(result.current.isDateBlocked(new Date(2019, 3, 12, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateBlocked(new Date(2019, 3, 7, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 12, 0, 0, 0))
+    })
+    expect(onSelectedDatesChange).not.toBeCalled()
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 7, 0, 0, 0))
+    })
+    expect(onSelectedDatesChange).toBeCalledWith({
+      selectedDates: [new Date(2019, 3, 3, 0, 0, 0)],
+    })
+    clear()
+  })
+
+  describe('ranges mode', () => {
+    const firstRange = {
+      startDate: new Date(2019, 3, 2, 0, 0, 0),
+      endDate: new Date(2019, 3, 5, 0, 0, 0),
+    }
+
+    function renderRangesHook(ranges: {startDate: Date; endDate: Date | null}[], props = {}) {
+      const onRangesChange = jest.fn()
+      advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+      const hook = renderHook(() =>
+        useDatepicker({
+          selectionMode: 'ranges',
+          ranges,
+          onRangesChange,
+          ...props,
+        }),
+      )
+
+      return {...hook, onRangesChange}
+    }
+
+    afterEach(() => {
+      clear()
+    })
+
+    test('should start a new range', () => {
+      const {result, onRangesChange} = renderRangesHook([firstRange])
+
+      expect(result.current.activeMonths[0].month).toBe(3)
+      expect(result.current.isDateSelected(new Date(2019, 3, 3, 0, 0, 0))).toBe(true)
+      expect(result.current.isStartDate(new Date(2019, 3, 2, 0, 0, 0))).toBe(true)
+      expect(result.current.isEndDate(new Date(2019, 3, 5, 0, 0, 0))).toBe(true)
+      expect(result.current.isFirstOrLastSelectedDate(new Date(2019, 3, 5, 0, 0, 0))).toBe(true)
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 20, 0, 0, 0))
+      })
+      expect(onRangesChange).toBeCalledWith({
+        ranges: [firstRange, {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: null}],
+      })
+    })
+
+    test('should complete the range in progress and preview it on hover', () => {
+      const {result, onRangesChange} = renderRangesHook([
+        firstRange,
+        {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: null},
+      ])
+
+      act(() => {
+        result.current.onDateHover(new Date(2019, 3, 24, 0, 0, 0))
+      })
+      expect(result.current.isDateHovered(new Date(2019, 3, 22, 0, 0, 0))).toBe(true)
+      expect(result.current.isDateHovered(new Date(2019, 3, 3, 0, 0, 0))).toBe(false)
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 24, 0, 0, 0))
+      })
+      expect(onRangesChange).toBeCalledWith({
+        ranges: [
+          firstRange,
+          {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: new Date(2019, 3, 24, 0, 0, 0)},
+        ],
+      })
+    })
+
+    test('should restart the range in progress when an earlier date is selected', () => {
+      const {result, onRangesChange} = renderRangesHook([
+        firstRange,
+        {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: null},
+      ])
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+      })
+      expect(onRangesChange).toBeCalledWith({
+        ranges: [firstRange, {startDate: new Date(2019, 3, 10, 0, 0, 0), endDate: null}],
+      })
+    })
+
+    test('should not allow overlapping ranges', () => {
+      const {result, onRangesChange} = renderRangesHook([
+        firstRange,
+        {startDate: new Date(2019, 2, 30, 0, 0, 0), endDate: null},
+      ])
+
+      act(() => {
+        result.current.onDateHover(new Date(2019, 3, 7, 0, 0, 0))
+      })
+      expect(result.current.isDateHovered(new Date(2019, 3, 7, 0, 0, 0))).toBe(false)
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 7, 0, 0, 0))
+      })
+      expect(onRangesChange).not.toBeCalled()
+    })
+
+    test('should respect minBookingDays', () => {
+      const {result, onRangesChange} = renderRangesHook(
+        [firstRange, {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: null}],
+        {minBookingDays: 3},
+      )
+
+      expect(result.current.isDateBlocked(new Date(2019, 3, 21, 0, 0, 0))).toBe(true)
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 21, 0, 0, 0))
+      })
+      expect(onRangesChange).not.toBeCalled()
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 22, 0, 0, 0))
+      })
+      expect(onRangesChange).toBeCalledWith({
+        ranges: [
+          firstRange,
+          {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: new Date(2019, 3, 22, 0, 0, 0)},
+        ],
+      })
+    })
+
+    test('should create exact ranges', () => {
+      const {result, onRangesChange} = renderRangesHook([firstRange], {
+        minBookingDays: 3,
+        exactMinBookingDays: true,
+      })
+
+      // Overlaps with the first range
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 2, 31, 0, 0, 0))
+      })
+      expect(onRangesChange).not.toBeCalled()
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 6, 0, 0, 0))
+      })
+      expect(onRangesChange).toBeCalledWith({
+        ranges: [
+          firstRange,
+          {startDate: new Date(2019, 3, 6, 0, 0, 0), endDate: new Date(2019, 3, 8, 0, 0, 0)},
+        ],
+      })
+    })
+
+    test('should select a range for editing and remove it', () => {
+      const secondRange = {
+        startDate: new Date(2019, 3, 20, 0, 0, 0),
+        endDate: new Date(2019, 3, 24, 0, 0, 0),
+      }
+      const {result, onRangesChange} = renderRangesHook([firstRange, secondRange])
+
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 3, 0, 0, 0))
+      })
+      expect(onRangesChange).not.toBeCalled()
+      expect(result.current.activeRangeIndex).toBe(0)
+      expect(result.current.isDateInActiveRange(new Date(2019, 3, 4, 0, 0, 0))).toBe(true)
+      expect(result.current.isDateInActiveRange(new Date(2019, 3, 21, 0, 0, 0))).toBe(false)
+
+      // Start over the active range
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+      })
+      expect(onRangesChange).toHaveBeenLastCalledWith({
+        ranges: [{startDate: new Date(2019, 3, 10, 0, 0, 0), endDate: null}, secondRange],
+      })
+      expect(result.current.activeRangeIndex).toBe(null)
+
+      // Remove the range with the second click
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 21, 0, 0, 0))
+      })
+      act(() => {
+        result.current.onDateSelect(new Date(2019, 3, 21, 0, 0, 0))
+      })
+      expect(onRangesChange).toHaveBeenLastCalledWith({ranges: [firstRange]})
+
+      act(() => {
+        result.current.onRangeRemove(0)
+      })
+      expect(onRangesChange).toHaveBeenLastCalledWith({ranges: [secondRange]})
+
+      act(() => {
+        result.current.onResetDates()
+      })
+      expect(onRangesChange).toHaveBeenLastCalledWith({ranges: []})
+    })
+  })
+
+  test('should select and hover whole weeks in week mode', () => {
+    const onDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        selectionMode: 'week',
+        startDate: new Date(2019, 3, 1, 0, 0, 0),
+        endDate: new Date(2019, 3, 7, 0, 0, 0),
+        onDatesChange,
+        unavailableDates: [new Date(2019, 3, 17, 0, 0, 0)],
+      }),
+    )
+
+    expect(result.current.isDateSelected(new Date(2019, 3, 4, 0, 0, 0))).toBe(true)
+    expect(result.current.isFirstOrLastSelectedDate(new Date(2019, 3, 7, 0, 0, 0))).toBe(true)
+
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    expect(result.current.isDateHovered(new Date(2019, 3, 8, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateHovered(new Date(2019, 3, 14, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateHovered(new Date(2019, 3, 15, 0, 0, 0))).toBe(false)
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 8, 0, 0, 0),
+      endDate: new Date(2019, 3, 14, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    // Week with an unavailable date
+    expect(result.current.isDateBlocked(new Date(2019, 3, 15, 0, 0, 0))).toBe(true)
+    act(() => {
+      result.current.onDateHover(new Date(2019, 3, 15, 0, 0, 0))
+    })
+    expect(result.current.hoveredDate).toBe(null)
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 15, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledTimes(1)
+    clear()
+  })
+
+  test('should follow firstDayOfWeek in week mode', () => {
+    const onDatesChange = jest.fn()
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        selectionMode: 'week',
+        startDate: null,
+        endDate: null,
+        firstDayOfWeek: 0,
+        onDatesChange,
+      }),
+    )
+
+    act(() => {
+      result.current.onDateSelect(new Date(2019, 3, 10, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 7, 0, 0, 0),
+      endDate: new Date(2019, 3, 13, 0, 0, 0),
+      focusedInput: null,
+    })
+    clear()
+  })
+
+  test('should drill down from the years view to the days view', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        onDatesChange: jest.fn(),
+      }),
+    )
+    expect(result.current.activeView).toBe('days')
+
+    act(() => {
+      result.current.onViewChange('years')
+    })
+    expect(result.current.activeView).toBe('years')
+
+    act(() => {
+      result.current.goToNextDecade()
+    })
+    expect(result.current.activeMonths[0].year).toBe(2029)
+
+    act(() => {
+      result.current.goToPreviousDecade()
+    })
+    act(() => {
+      result.current.goToPreviousDecade()
+    })
+    expect(result.current.activeMonths[0].year).toBe(2009)
+
+    act(() => {
+      result.current.onYearSelect(2005)
+    })
+    expect(result.current.activeView).toBe('months')
+    expect(result.current.activeMonths[0]).toEqual({
+      year: 2005,
+      month: 2,
+      date: new Date(2005, 2, 1, 0, 0, 0),
+    })
+
+    act(() => {
+      result.current.onMonthSelect(new Date(2005, 7, 1, 0, 0, 0))
+    })
+    expect(result.current.activeView).toBe('days')
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([7, 8])
+    clear()
+  })
+  test('should report the visible months and go to a date', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onVisibleMonthsChange = jest.fn()
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        onDatesChange: jest.fn(),
+        onVisibleMonthsChange,
+      }),
+    )
+
+    act(() => {
+      result.current.goToNextMonths()
+    })
+    expect(onVisibleMonthsChange).toHaveBeenLastCalledWith({
+      visibleMonth: new Date(2019, 4, 1, 0, 0, 0),
+      activeMonths: getInitialMonths(2, new Date(2019, 4, 1, 0, 0, 0)),
+    })
+    expect(result.current.activeMonths[0].month).toBe(4)
+
+    act(() => {
+      result.current.onViewChange('years')
+    })
+    act(() => {
+      result.current.goToDate(new Date(2020, 10, 15, 0, 0, 0))
+    })
+    expect(result.current.activeView).toBe('days')
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([10, 11])
+    expect(onVisibleMonthsChange).toHaveBeenLastCalledWith({
+      visibleMonth: new Date(2020, 10, 1, 0, 0, 0),
+      activeMonths: getInitialMonths(2, new Date(2020, 10, 1, 0, 0, 0)),
+    })
+
+    // Same months
+    act(() => {
+      result.current.goToDate(new Date(2020, 10, 20, 0, 0, 0))
+    })
+    expect(onVisibleMonthsChange).toBeCalledTimes(2)
+    clear()
+  })
+
+  test('should show the controlled visible month', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onVisibleMonthsChange = jest.fn()
+    const {result, rerender} = renderHook((props: UseDatepickerProps) => useDatepicker(props), {
+      initialProps: {
+        startDate: new Date(2019, 2, 28, 0, 0, 0),
+        endDate: null,
+        focusedInput: END_DATE as FocusedInput,
+        onDatesChange: jest.fn(),
+        onVisibleMonthsChange,
+        visibleMonth: new Date(2019, 5, 10, 0, 0, 0),
+      },
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([5, 6])
+
+    act(() => {
+      result.current.goToPreviousMonths()
+    })
+    expect(onVisibleMonthsChange).toBeCalledWith({
+      visibleMonth: new Date(2019, 3, 1, 0, 0, 0),
+      activeMonths: getInitialMonths(2, new Date(2019, 3, 1, 0, 0, 0)),
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([5, 6])
+
+    rerender({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      onDatesChange: jest.fn(),
+      onVisibleMonthsChange,
+      visibleMonth: new Date(2019, 3, 1, 0, 0, 0),
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([3, 4])
+    clear()
+  })
+  test('should page the months of the calendar', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const {result} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        onDatesChange: jest.fn(),
+        calendar: jalaliCalendar,
+      }),
+    )
+    expect(result.current.activeMonths).toEqual([
+      {year: 1398, month: 0, date: new Date(2019, 2, 21, 0, 0, 0)},
+      {year: 1398, month: 1, date: new Date(2019, 3, 21, 0, 0, 0)},
+    ])
+
+    act(() => {
+      result.current.goToPreviousMonths()
+    })
+    expect(result.current.activeMonths[0]).toEqual({
+      year: 1397,
+      month: 10,
+      date: new Date(2019, 0, 21, 0, 0, 0),
+    })
+
+    act(() => {
+      result.current.goToNextYear()
+    })
+    expect(result.current.activeMonths[0].year).toBe(1398)
+    expect(result.current.activeMonths[0].month).toBe(10)
+
+    act(() => {
+      result.current.onYearSelect(1400)
+    })
+    expect(result.current.activeMonths[0]).toEqual({
+      year: 1400,
+      month: 10,
+      date: new Date(2022, 0, 21, 0, 0, 0),
+    })
+
+    act(() => {
+      result.current.goToNextDecade()
+    })
+    expect(result.current.activeMonths[0].year).toBe(1410)
+
+    // Focus after the active months pages to the month of the date
+    act(() => {
+      result.current.goToDate(new Date(2019, 2, 27, 0, 0, 0))
+    })
+    act(() => {
+      result.current.onDateFocus(new Date(2019, 4, 22, 0, 0, 0))
+    })
+    expect(result.current.activeMonths.map(month => month.month)).toEqual([2, 3])
+    clear()
+  })
+  test('should take and report the dates of the adapter', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDatesChange = jest.fn()
+    const isDateBlocked = jest.fn((date: Moment) => date.date() === 29)
+    const dateAdapter = createMomentAdapter(values => moment.utc(values))
+    const {result} = renderHook(() =>
+      useDatepicker<Moment>({
+        startDate: moment.utc('2019-04-02T00:00:00Z'),
+        endDate: null,
+        focusedInput: END_DATE,
+        onDatesChange,
+        isDateBlocked,
+        minBookingDays: date => (date.date() === 2 ? 3 : 1),
+        unavailableDates: [moment.utc('2019-04-10T00:00:00Z')],
+        dateAdapter,
+      }),
+    )
+    expect(result.current.activeMonths[0].month).toBe(3)
+    expect(result.current.activeMonths[0].date.toISOString()).toBe('2019-04-01T00:00:00.000Z')
+    expect(result.current.isStartDate(moment.utc('2019-04-02T00:00:00Z'))).toBe(true)
+    expect(result.current.isDateBlocked(moment.utc('2019-04-03T00:00:00Z'))).toBe(true)
+    expect(result.current.isDateBlocked(moment.utc('2019-04-10T00:00:00Z'))).toBe(true)
+    expect(result.current.isDateBlocked(moment.utc('2019-04-29T00:00:00Z'))).toBe(true)
+    expect(isDateBlocked.mock.calls.every(([date]) => moment.isMoment(date) && date.isUTC())).toBe(
+      true,
+    )
+
+    act(() => {
+      result.current.onDateHover(moment.utc('2019-04-05T00:00:00Z'))
+    })
+    expect(result.current.hoveredDate && result.current.hoveredDate.toISOString()).toBe(
+      '2019-04-05T00:00:00.000Z',
+    )
+    expect(result.current.isDateHovered(moment.utc('2019-04-04T00:00:00Z'))).toBe(true)
+
+    act(() => {
+      result.current.onDateSelect(moment.utc('2019-04-05T00:00:00Z'))
+    })
+    const [{startDate, endDate, focusedInput}] = onDatesChange.mock.calls[0]
+    expect(startDate.toISOString()).toBe('2019-04-02T00:00:00.000Z')
+    expect(endDate.toISOString()).toBe('2019-04-05T00:00:00.000Z')
+    expect(focusedInput).toBe(null)
+    clear()
+  })
+
+  test('should keep the days of the adapter in its time zone', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDateChange = jest.fn()
+    const zone = 'Pacific/Kiritimati'
+    const dateAdapter = createLuxonAdapter(values => DateTime.fromObject({...values, zone}))
+    const {result} = renderHook(() =>
+      useDatepicker<DateTime>({
+        selectionMode: 'single',
+        date: null,
+        onDateChange,
+        initialVisibleMonth: DateTime.fromISO('2019-04-30T23:00:00', {zone}),
+        unavailableRanges: [
+          {
+            start: DateTime.fromISO('2019-05-10T00:00:00', {zone}),
+            end: DateTime.fromISO('2019-05-12T00:00:00', {zone}),
+          },
+        ],
+        dateAdapter,
+      }),
+    )
+    expect(result.current.activeMonths.map(month => month.date.toISO())).toEqual([
+      '2019-04-01T00:00:00.000+14:00',
+      '2019-05-01T00:00:00.000+14:00',
+    ])
+    expect(result.current.isDateBlocked(DateTime.fromISO('2019-05-11T23:30:00', {zone}))).toBe(true)
+    expect(result.current.isDateBlocked(DateTime.fromISO('2019-05-13T00:30:00', {zone}))).toBe(
+      false,
+    )
+
+    act(() => {
+      result.current.onDateFocus(DateTime.fromISO('2019-06-02T00:00:00', {zone}))
+    })
+    expect(result.current.focusedDate && result.current.focusedDate.toISO()).toBe(
+      '2019-06-02T00:00:00.000+14:00',
+    )
+    expect(result.current.activeMonths[0].date.month).toBe(6)
+
+    act(() => {
+      result.current.onDateSelect(DateTime.fromISO('2019-06-02T00:00:00', {zone}))
+    })
+    expect(onDateChange.mock.calls[0][0].date.toISO()).toBe('2019-06-02T00:00:00.000+14:00')
+    clear()
+  })
+
+  test('should report the dates of the app that the datepicker keeps as they are', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const onDatesChange = jest.fn()
+    const momentAdapter = createMomentAdapter(values => moment.utc(values))
+    // The native Dates are an hour later, like the times in a daylight saving time gap of the
+    // host's time zone
+    const dateAdapter = {
+      toDate: (value: Moment) => addHours(momentAdapter.toDate(value), 1),
+      fromDate: momentAdapter.fromDate,
+    }
+    const startDate = moment.utc('2019-04-02T02:30:00Z')
+    const {result} = renderHook(() =>
+      useDatepicker<Moment>({
+        startDate,
+        endDate: null,
+        focusedInput: END_DATE,
+        onDatesChange,
+        dateAdapter,
+      }),
+    )
+
+    act(() => {
+      result.current.onDateSelect(moment.utc('2019-04-05T00:00:00Z'))
+    })
+    expect(onDatesChange.mock.calls[0][0].startDate).toBe(startDate)
+    expect(onDatesChange.mock.calls[0][0].endDate.toISOString()).toBe('2019-04-05T00:00:00.000Z')
+    clear()
+  })
+
+  test('should convert the arrays of dates of the adapter once', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const createIndex = jest.spyOn(utils, 'createUnavailableDatesIndex')
+    const dateAdapter = createMomentAdapter(values => moment.utc(values))
+    const unavailableDates = [moment.utc('2019-04-10T00:00:00Z')]
+    const unavailableRanges = [
+      {start: moment.utc('2019-04-20T00:00:00Z'), end: moment.utc('2019-04-22T00:00:00Z')},
+    ]
+    const {result, rerender} = renderHook(() =>
+      useDatepicker<Moment>({
+        startDate: moment.utc('2019-04-02T00:00:00Z'),
+        endDate: null,
+        focusedInput: END_DATE,
+        onDatesChange: jest.fn(),
+        unavailableDates,
+        unavailableRanges,
+        dateAdapter,
+      }),
+    )
+    act(() => {
+      result.current.onDateHover(moment.utc('2019-04-05T00:00:00Z'))
+    })
+    rerender()
+
+    expect(result.current.isDateBlocked(moment.utc('2019-04-10T00:00:00Z'))).toBe(true)
+    expect(result.current.isDateBlocked(moment.utc('2019-04-21T00:00:00Z'))).toBe(true)
+    expect(createIndex).toHaveBeenCalledTimes(1)
+    createIndex.mockRestore()
+    clear()
+  })
+})
+
+describe('getCurrentYearMonthAndDate', () => {
+  test('should return current year and month', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    expect(getCurrentYearMonthAndDate().year).toEqual(2019)
+    expect(getCurrentYearMonthAndDate().month).toEqual(2)
+    clear()
+  })
+})
+
+describe('getDateMonthAndYear', () => {
+  test('should return year and month', () => {
+    const date = new Date(2019, 2, 27, 0, 0, 0)
+    expect(getDateMonthAndYear(date).year).toEqual(2019)
+    expect(getDateMonthAndYear(date).month).toEqual(2)
+  })
+})
+
+describe('getNextActiveMonth', () => {
+  test('get next 2 months', () => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+    const months = getInitialMonths(2, null)
+    const nextMonths = getNextActiveMonth(months, 2, 1)
+    expect(nextMonths.length).toBe(2)
     expect(nextMonths[0].year).toEqual(2019)
     expect(nextMonths[0].month).toEqual(4)
     expect(nextMonths[1].year).toEqual(2019)
@@ -1158,6 +2551,54 @@ describe('isDateBlocked', () => {
       }),
     ).toBe(false)
   })
+
+  test('should block dates after the maximal booking days', () => {
+    const startDate = new Date(2019, 2, 20, 0, 0, 0)
+    expect(
+      isDateBlocked({startDate, endDate: null, maxBookingDays: 5, date: new Date(2019, 2, 24)}),
+    ).toBe(false)
+    expect(
+      isDateBlocked({startDate, endDate: null, maxBookingDays: 5, date: new Date(2019, 2, 25)}),
+    ).toBe(true)
+    // The end date is selected
+    expect(
+      isDateBlocked({
+        startDate,
+        endDate: new Date(2019, 2, 22),
+        maxBookingDays: 5,
+        date: new Date(2019, 2, 25),
+      }),
+    ).toBe(false)
+  })
+
+  test('should block dates within the minimal booking days of the start date', () => {
+    // 7 days in July, otherwise 2 days
+    const minBookingDays = (startDate: Date) => (startDate.getMonth() === 6 ? 7 : 2)
+    expect(
+      isDateBlocked({
+        startDate: new Date(2019, 6, 10),
+        endDate: null,
+        minBookingDays,
+        date: new Date(2019, 6, 15),
+      }),
+    ).toBe(true)
+    expect(
+      isDateBlocked({
+        startDate: new Date(2019, 6, 10),
+        endDate: null,
+        minBookingDays,
+        date: new Date(2019, 6, 16),
+      }),
+    ).toBe(false)
+    expect(
+      isDateBlocked({
+        startDate: new Date(2019, 5, 10),
+        endDate: null,
+        minBookingDays,
+        date: new Date(2019, 5, 11),
+      }),
+    ).toBe(false)
+  })
 })
 
 describe('getInputValue', () => {
@@ -1169,6 +2610,13 @@ describe('getInputValue', () => {
   test('should return default value', () => {
     expect(getInputValue(null, 'dd/MM/yyyy', 'default value')).toBe('default value')
   })
+  test('should format the value with the locale', () => {
+    const date = new Date(2019, 2, 10, 0, 0, 0)
+    expect(getInputValue(date, getDefaultDisplayFormat(), '')).toBe('03/10/2019')
+    expect(getInputValue(date, getDefaultDisplayFormat(de), '', de)).toBe('10.03.2019')
+    expect(getInputValue(date, getDefaultDisplayFormat(ja), '', ja)).toBe('2019/03/10')
+    expect(getInputValue(date, 'd. MMMM', '', de)).toBe('10. März')
+  })
 })
 
 describe('canSelectRange', () => {
@@ -1288,6 +2736,73 @@ describe('canSelectRange', () => {
       ).toBe(expected)
     },
   )
+
+  test('should not select a range longer than maxBookingDays', () => {
+    const props = {
+      startDate: new Date(2019, 2, 10, 0, 0, 0),
+      minBookingDays: 1,
+      maxBookingDays: 3,
+      isDateBlocked: () => false,
+    }
+    expect(canSelectRange({...props, endDate: new Date(2019, 2, 12, 0, 0, 0)})).toBe(true)
+    expect(canSelectRange({...props, endDate: new Date(2019, 2, 13, 0, 0, 0)})).toBe(false)
+  })
+
+  test('should evaluate minBookingDays for the start date', () => {
+    const props = {
+      minBookingDays: (startDate: Date) => (startDate.getMonth() === 6 ? 7 : 2),
+      isDateBlocked: () => false,
+    }
+    expect(
+      canSelectRange({
+        ...props,
+        startDate: new Date(2019, 6, 10, 0, 0, 0),
+        endDate: new Date(2019, 6, 15, 0, 0, 0),
+      }),
+    ).toBe(false)
+    expect(
+      canSelectRange({
+        ...props,
+        startDate: new Date(2019, 5, 10, 0, 0, 0),
+        endDate: new Date(2019, 5, 11, 0, 0, 0),
+      }),
+    ).toBe(true)
+  })
+
+  test('should not start or end a range on a closed date', () => {
+    const props = {
+      minBookingDays: 1,
+      isDateBlocked: () => false,
+      isStartDateBlocked: (date: Date) => date.getDate() === 10,
+      isEndDateBlocked: (date: Date) => date.getDate() === 12,
+    }
+    expect(
+      canSelectRange({
+        ...props,
+        startDate: new Date(2019, 2, 9, 0, 0, 0),
+        endDate: new Date(2019, 2, 13, 0, 0, 0),
+      }),
+    ).toBe(true)
+    expect(
+      canSelectRange({...props, startDate: new Date(2019, 2, 10, 0, 0, 0), endDate: null}),
+    ).toBe(false)
+    expect(
+      canSelectRange({
+        ...props,
+        startDate: new Date(2019, 2, 9, 0, 0, 0),
+        endDate: new Date(2019, 2, 12, 0, 0, 0),
+      }),
+    ).toBe(false)
+    expect(
+      canSelectRange({
+        ...props,
+        minBookingDays: 4,
+        exactMinBookingDays: true,
+        startDate: new Date(2019, 2, 9, 0, 0, 0),
+        endDate: null,
+      }),
+    ).toBe(false)
+  })
 })
 
 describe('isDateHovered', () => {
@@ -1497,4 +3012,299 @@ describe('isDateHovered', () => {
       ).toBe(expected)
     },
   )
+
+  test('should preview the minimal booking days of the hovered start date', () => {
+    const props = {
+      startDate: null,
+      endDate: null,
+      isDateBlocked: () => false,
+      minBookingDays: (startDate: Date) => (startDate.getMonth() === 6 ? 7 : 2),
+      exactMinBookingDays: true,
+    }
+    const hoveredDate = new Date(2019, 6, 10, 0, 0, 0)
+    expect(isDateHovered({...props, hoveredDate, date: new Date(2019, 6, 16, 0, 0, 0)})).toBe(true)
+    expect(isDateHovered({...props, hoveredDate, date: new Date(2019, 6, 17, 0, 0, 0)})).toBe(false)
+  })
+})
+
+describe('toggleSelectedDate', () => {
+  test('should add a date and keep dates sorted', () => {
+    const dates = [new Date(2019, 3, 3, 0, 0, 0), new Date(2019, 3, 7, 0, 0, 0)]
+    expect(toggleSelectedDate(dates, new Date(2019, 3, 5, 0, 0, 0))).toEqual([
+      new Date(2019, 3, 3, 0, 0, 0),
+      new Date(2019, 3, 5, 0, 0, 0),
+      new Date(2019, 3, 7, 0, 0, 0),
+    ])
+    expect(dates.length).toBe(2)
+  })
+
+  test('should remove a selected date', () => {
+    const dates = [new Date(2019, 3, 3, 0, 0, 0), new Date(2019, 3, 7, 0, 0, 0)]
+    expect(toggleSelectedDate(dates, new Date(2019, 3, 7, 12, 0, 0))).toEqual([
+      new Date(2019, 3, 3, 0, 0, 0),
+    ])
+    expect(isInSelectedDates(dates, new Date(2019, 3, 7, 12, 0, 0))).toBe(true)
+  })
+})
+
+describe('getRangeIndex', () => {
+  const ranges = [
+    {startDate: new Date(2019, 3, 2, 0, 0, 0), endDate: new Date(2019, 3, 5, 0, 0, 0)},
+    {startDate: new Date(2019, 3, 20, 0, 0, 0), endDate: null},
+  ]
+
+  test('should return index of the range that contains the date', () => {
+    expect(getRangeIndex(ranges, new Date(2019, 3, 4, 0, 0, 0))).toBe(0)
+    expect(getRangeIndex(ranges, new Date(2019, 3, 20, 0, 0, 0))).toBe(1)
+    expect(getRangeIndex(ranges, new Date(2019, 3, 21, 0, 0, 0))).toBe(-1)
+  })
+
+  test('should skip excluded range', () => {
+    expect(getRangeIndex(ranges, new Date(2019, 3, 4, 0, 0, 0), 0)).toBe(-1)
+  })
+})
+
+describe('replaceRange', () => {
+  test('should replace or append a range', () => {
+    const range = {startDate: new Date(2019, 3, 2, 0, 0, 0), endDate: null}
+    const newRange = {startDate: new Date(2019, 3, 8, 0, 0, 0), endDate: null}
+
+    expect(replaceRange([range], 0, newRange)).toEqual([newRange])
+    expect(replaceRange([range], 1, newRange)).toEqual([range, newRange])
+  })
+})
+
+describe('getWeekRange', () => {
+  test('should return the first and the last day of the week', () => {
+    expect(getWeekRange(new Date(2019, 3, 10, 15, 0, 0))).toEqual({
+      startDate: new Date(2019, 3, 8, 0, 0, 0),
+      endDate: new Date(2019, 3, 14, 0, 0, 0),
+    })
+    expect(getWeekRange(new Date(2019, 3, 10, 15, 0, 0), 3)).toEqual({
+      startDate: new Date(2019, 3, 10, 0, 0, 0),
+      endDate: new Date(2019, 3, 16, 0, 0, 0),
+    })
+  })
+})
+
+describe('getDecadeYears', () => {
+  test('should return the decade with one year before and after it', () => {
+    expect(getDecadeYears(2019)).toEqual([
+      2009,
+      2010,
+      2011,
+      2012,
+      2013,
+      2014,
+      2015,
+      2016,
+      2017,
+      2018,
+      2019,
+      2020,
+    ])
+  })
+})
+
+describe('getMinBookingDays', () => {
+  test('should return the minimal booking days of the start date', () => {
+    expect(getMinBookingDays(3, new Date(2019, 6, 10))).toBe(3)
+    expect(getMinBookingDays(date => date.getMonth(), new Date(2019, 6, 10))).toBe(6)
+  })
+})
+
+describe('createUnavailableDatesIndex', () => {
+  const index = createUnavailableDatesIndex(
+    [new Date(2019, 2, 5, 0, 0, 0), new Date(2019, 2, 20, 10, 30, 0)],
+    [
+      {start: new Date(2019, 2, 10, 0, 0, 0), end: new Date(2019, 2, 12, 0, 0, 0)},
+      {start: new Date(2019, 2, 13, 0, 0, 0), end: new Date(2019, 2, 14, 0, 0, 0)},
+    ],
+  )
+
+  test('should find unavailable dates', () => {
+    expect(index.isDateUnavailable(new Date(2019, 2, 4, 0, 0, 0))).toBe(false)
+    expect(index.isDateUnavailable(new Date(2019, 2, 5, 12, 0, 0))).toBe(true)
+    expect(index.isDateUnavailable(new Date(2019, 2, 10, 0, 0, 0))).toBe(true)
+    expect(index.isDateUnavailable(new Date(2019, 2, 14, 0, 0, 0))).toBe(true)
+    expect(index.isDateUnavailable(new Date(2019, 2, 15, 0, 0, 0))).toBe(false)
+    expect(index.isDateUnavailable(new Date(2019, 2, 20, 0, 0, 0))).toBe(true)
+    expect(index.isDateUnavailable(new Date(2019, 2, 21, 0, 0, 0))).toBe(false)
+  })
+
+  test('should find unavailable dates within an interval', () => {
+    expect(
+      index.hasUnavailableDate(new Date(2019, 2, 1, 0, 0, 0), new Date(2019, 2, 4, 0, 0, 0)),
+    ).toBe(false)
+    expect(
+      index.hasUnavailableDate(new Date(2019, 2, 6, 0, 0, 0), new Date(2019, 2, 9, 0, 0, 0)),
+    ).toBe(false)
+    expect(
+      index.hasUnavailableDate(new Date(2019, 2, 6, 0, 0, 0), new Date(2019, 2, 10, 0, 0, 0)),
+    ).toBe(true)
+    expect(
+      index.hasUnavailableDate(new Date(2019, 2, 11, 0, 0, 0), new Date(2019, 2, 11, 0, 0, 0)),
+    ).toBe(true)
+    expect(
+      index.hasUnavailableDate(new Date(2019, 2, 15, 0, 0, 0), new Date(2019, 2, 19, 0, 0, 0)),
+    ).toBe(false)
+    expect(
+      index.hasUnavailableDate(new Date(2019, 1, 1, 0, 0, 0), new Date(2019, 3, 1, 0, 0, 0)),
+    ).toBe(true)
+    expect(createUnavailableDatesIndex().isDateUnavailable(new Date(2019, 2, 5, 0, 0, 0))).toBe(
+      false,
+    )
+  })
+
+  test('should look up thousands of unavailable dates and ranges in the index', () => {
+    // Every third day and a weekly range of 2 days over 30 years
+    const firstDate = new Date(2000, 0, 1, 0, 0, 0)
+    const unavailableDates = Array.from(Array(3650).keys()).map(i => addDays(firstDate, i * 3))
+    const unavailableRanges = Array.from(Array(1560).keys()).map(i => ({
+      start: addDays(firstDate, i * 7 + 1),
+      end: addDays(firstDate, i * 7 + 2),
+    }))
+    const days = Array.from(Array(400).keys()).map(i => addDays(firstDate, i))
+    const bigIndex = createUnavailableDatesIndex(unavailableDates, unavailableRanges)
+
+    // Same result as a linear scan
+    const isUnavailable = (day: Date) =>
+      unavailableDates.some(date => date.getTime() === day.getTime()) ||
+      unavailableRanges.some(({start, end}) => day >= start && day <= end)
+    const expectedDays = days.filter(isUnavailable)
+
+    // The lookups only read the index, not the unavailable dates and ranges
+    unavailableDates.length = 0
+    unavailableRanges.length = 0
+    expect(days.filter(day => bigIndex.isDateUnavailable(day))).toEqual(expectedDays)
+    expect(bigIndex.hasUnavailableDate(addDays(firstDate, 9000), addDays(firstDate, 9003))).toBe(
+      true,
+    )
+  })
+})
+
+describe('the unavailable dates index of useDatepicker', () => {
+  beforeEach(() => {
+    advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    clear()
+  })
+
+  test('should build the index of thousands of entries once', () => {
+    const createIndex = jest.spyOn(utils, 'createUnavailableDatesIndex')
+    // Every other day from 2020 on
+    const firstDate = new Date(2020, 0, 1, 0, 0, 0)
+    const unavailableDates = Array.from(Array(5000).keys()).map(i => addDays(firstDate, i * 2))
+    const unavailableRanges = [
+      {start: new Date(2019, 3, 1, 0, 0, 0), end: new Date(2019, 3, 30, 0, 0, 0)},
+    ]
+    const {result, rerender} = renderHook(() =>
+      useDatepicker({
+        startDate: new Date(2019, 2, 2, 0, 0, 0),
+        endDate: null,
+        focusedInput: END_DATE,
+        onDatesChange: jest.fn(),
+        unavailableDates,
+        unavailableRanges,
+      }),
+    )
+    act(() => {
+      result.current.onDateHover(new Date(2019, 2, 25, 0, 0, 0))
+    })
+    rerender()
+    const days = Array.from(Array(730).keys()).map(i => addDays(new Date(2019, 0, 1, 0, 0, 0), i))
+    days.forEach(day => {
+      result.current.isDateBlocked(day)
+      result.current.isDateHovered(day)
+    })
+
+    expect(result.current.isDateHovered(new Date(2019, 2, 20, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateBlocked(new Date(2019, 2, 31, 0, 0, 0))).toBe(false)
+    expect(result.current.isDateBlocked(new Date(2019, 3, 16, 0, 0, 0))).toBe(true)
+    expect(result.current.isDateBlocked(new Date(2020, 0, 4, 0, 0, 0))).toBe(true)
+    expect(createIndex).toHaveBeenCalledTimes(1)
+  })
+
+  test('should reuse the index without unavailable dates', () => {
+    const createIndex = jest.spyOn(utils, 'createUnavailableDatesIndex')
+    const {result, rerender} = renderHook(() =>
+      useDatepicker({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        onDatesChange: jest.fn(),
+      }),
+    )
+    act(() => {
+      result.current.onDateHover(new Date(2019, 2, 25, 0, 0, 0))
+    })
+    rerender()
+
+    expect(result.current.isDateBlocked(new Date(2019, 2, 25, 0, 0, 0))).toBe(false)
+    expect(createIndex).toHaveBeenCalledTimes(1)
+  })
+
+  test('should build the index again for new unavailable dates', () => {
+    const createIndex = jest.spyOn(utils, 'createUnavailableDatesIndex')
+    const {result, rerender} = renderHook(
+      ({unavailableDates}: {unavailableDates: Date[]}) =>
+        useDatepicker({
+          startDate: null,
+          endDate: null,
+          focusedInput: START_DATE,
+          onDatesChange: jest.fn(),
+          unavailableDates,
+        }),
+      {initialProps: {unavailableDates: [new Date(2019, 2, 25, 0, 0, 0)]}},
+    )
+    rerender({unavailableDates: [new Date(2019, 2, 26, 0, 0, 0)]})
+
+    expect(result.current.isDateBlocked(new Date(2019, 2, 25, 0, 0, 0))).toBe(false)
+    expect(result.current.isDateBlocked(new Date(2019, 2, 26, 0, 0, 0))).toBe(true)
+    expect(createIndex).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('hasBlockedNight', () => {
+  const isNightBlocked = (date: Date) => isSameDay(date, new Date(2019, 2, 10, 0, 0, 0))
+
+  test('should check the nights from the start date to the day before the end date', () => {
+    expect(
+      hasBlockedNight(
+        new Date(2019, 2, 5, 0, 0, 0),
+        new Date(2019, 2, 10, 0, 0, 0),
+        isNightBlocked,
+      ),
+    ).toBe(false)
+    expect(
+      hasBlockedNight(
+        new Date(2019, 2, 5, 0, 0, 0),
+        new Date(2019, 2, 11, 0, 0, 0),
+        isNightBlocked,
+      ),
+    ).toBe(true)
+    expect(
+      hasBlockedNight(
+        new Date(2019, 2, 10, 0, 0, 0),
+        new Date(2019, 2, 10, 0, 0, 0),
+        isNightBlocked,
+      ),
+    ).toBe(false)
+  })
+})
+
+describe('getHalfDayAvailability', () => {
+  const isNightBlocked = (date: Date) =>
+    isSameDay(date, new Date(2019, 2, 10, 0, 0, 0)) ||
+    isSameDay(date, new Date(2019, 2, 11, 0, 0, 0))
+
+  test('should return the available half of the date', () => {
+    expect(getHalfDayAvailability(new Date(2019, 2, 9, 0, 0, 0), isNightBlocked)).toBe(null)
+    expect(getHalfDayAvailability(new Date(2019, 2, 10, 0, 0, 0), isNightBlocked)).toBe('checkOut')
+    expect(getHalfDayAvailability(new Date(2019, 2, 11, 0, 0, 0), isNightBlocked)).toBe(null)
+    expect(getHalfDayAvailability(new Date(2019, 2, 12, 0, 0, 0), isNightBlocked)).toBe('checkIn')
+  })
 })
@@ -1,323 +1,312 @@
-import {useState, useEffect} from 'react'
-import isBefore from 'date-fns/isBefore'
-import isAfter from 'date-fns/isAfter'
-import addDays from 'date-fns/addDays'
-import isWithinRange from 'date-fns/isWithinInterval'
-import isSameDay from 'date-fns/isSameDay'
-import isSameMonth from 'date-fns/isSameDay'
+import {useState, useEffect, useMemo} from 'react'
 import {
-  getInitialMonths,
-  getNextActiveMonth,
-  isDateSelected as isDateSelectedFn,
-  isDateBlocked as isDateBlockedFn,
-  isFirstOrLastSelectedDate as isFirstOrLastSelectedDateFn,
-  canSelectRange,
-  isDateHovered as isDateHoveredFn,
-  isInUnavailableDates,
-} from './useDatepicker.utils'
+  createDatepickerMachine,
+  START_DATE,
+  END_DATE,
+  FocusedInput,
+  OnDatesChangeProps,
+  OnDateChangeProps,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  OnVisibleMonthsChangeProps,
+  FirstDayOfWeek,
+  SelectionMode,
+  DatepickerView,
+  DateRestriction,
+  DatepickerConfig,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
+  DatepickerSnapshot,
+} from '../datepickerMachine/datepickerMachine'
+import {DateAdapter} from '../dateAdapter/dateAdapter'
+import {MonthType, HalfDayAvailability, DateRange, UnavailableRange} from './useDatepicker.utils'
 
-export const START_DATE = 'startDate'
-export const END_DATE = 'endDate'
-
-export type FocusedInput = 'startDate' | 'endDate' | null
-
-export interface OnDatesChangeProps {
-  focusedInput: FocusedInput
-  startDate: Date | null
-  endDate: Date | null
+export {
+  START_DATE,
+  END_DATE,
+  FocusedInput,
+  OnDatesChangeProps,
+  OnDateChangeProps,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  OnVisibleMonthsChangeProps,
+  FirstDayOfWeek,
+  SelectionMode,
+  DatepickerView,
+  DateRestriction,
+  LooseDatepickerConfig,
+  DatepickerBaseConfig,
+  RangeSelectionConfig,
+  WeekSelectionConfig,
+  SingleSelectionConfig,
+  MultipleSelectionConfig,
+  RangesSelectionConfig,
 }
 
-export type FirstDayOfWeek = 0 | 1 | 2 | 3 | 4 | 5 | 6
+export type UseDatepickerProps<TDate = Date> = DatepickerConfig<TDate> & {
+  dateAdapter?: DateAdapter<TDate>
+}
 
-export interface UseDatepickerProps {
-  onDatesChange(data: OnDatesChangeProps): void
-  minBookingDate?: Date
-  maxBookingDate?: Date
-  startDate: Date | null
-  endDate: Date | null
-  focusedInput: FocusedInput
-  numberOfMonths?: number
-  minBookingDays?: number
-  exactMinBookingDays?: boolean
-  firstDayOfWeek?: FirstDayOfWeek
-  initialVisibleMonth?: Date
-  isDateBlocked?(date: Date): boolean
-  unavailableDates?: Date[]
+export interface UseDatepickerResult<TDate = Date>
+  extends Omit<
+    DatepickerSnapshot,
+    | 'activeMonths'
+    | 'focusedDate'
+    | 'hoveredDate'
+    | 'onMonthSelect'
+    | 'isDateSelected'
+    | 'isDateHovered'
+    | 'isFirstOrLastSelectedDate'
+    | 'isStartDate'
+    | 'isEndDate'
+    | 'isDateInActiveRange'
+    | 'isDateDragRejected'
+    | 'isDateBlocked'
+    | 'getDateRestriction'
+    | 'getHalfDayAvailability'
+    | 'isDateFocused'
+    | 'onDateHover'
+    | 'onDateSelect'
+    | 'onDateFocus'
+    | 'onDateDragStart'
+    | 'onDateDragEnd'
+    | 'goToDate'
+  > {
+  activeMonths: MonthType<TDate>[]
+  focusedDate: TDate | null
+  hoveredDate: TDate | null
+  onMonthSelect(date: TDate): void
+  isDateSelected(date: TDate): boolean
+  isDateHovered(date: TDate): boolean
+  isFirstOrLastSelectedDate(date: TDate): boolean
+  isStartDate(date: TDate): boolean
+  isEndDate(date: TDate): boolean
+  isDateInActiveRange(date: TDate): boolean
+  isDateDragRejected(date: TDate): boolean
+  isDateBlocked(date: TDate): boolean
+  getDateRestriction(date: TDate): DateRestriction
+  getHalfDayAvailability(date: TDate): HalfDayAvailability
+  isDateFocused(date: TDate): boolean
+  onDateHover(date: TDate | null): void
+  onDateSelect(date: TDate): void
+  onDateFocus(date: TDate): void
+  onDateDragStart(date: TDate): void
+  onDateDragEnd(date: TDate): void
+  goToDate(date: TDate): void
 }
 
-export function useDatepicker({
-  startDate,
-  endDate,
-  focusedInput,
-  minBookingDate,
-  maxBookingDate,
-  onDatesChange,
-  initialVisibleMonth,
-  exactMinBookingDays = false,
-  minBookingDays = 1,
-  numberOfMonths = 2,
-  firstDayOfWeek = 1,
-  isDateBlocked: isDateBlockedProps = () => false,
-  unavailableDates = [],
-}: UseDatepickerProps) {
-  const [activeMonths, setActiveMonths] = useState(() =>
-    startDate
-      ? getInitialMonths(numberOfMonths, startDate)
-      : getInitialMonths(numberOfMonths, initialVisibleMonth || null),
-  )
-  const [hoveredDate, setHoveredDate] = useState<Date | null>(null)
-  const [focusedDate, setFocusedDate] = useState<Date | null>(startDate)
+// Converts an array again only when it is a new array, so that the converted array stays the same
+// across renders and the machine keeps its index of the unavailable dates
+function createArrayConverter<T, U>(convert: (value: T) => U) {
+  let last: {values: T[]; converted: U[]} | null = null
 
-  useEffect(() => {
-    if (typeof window !== 'undefined') {
-      window.addEventListener('keydown', handleKeyDown)
+  return (values?: T[]) => {
+    if (!values) {
+      return undefined
     }
 
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown)
+    if (!last || last.values !== values) {
+      last = {values, converted: values.map(convert)}
     }
-  })
 
-  const disabledDatesByUser = (date: Date) => {
-    return isInUnavailableDates(unavailableDates, date) || isDateBlockedProps(date)
+    return last.converted
   }
+}
 
-  const onDateFocus = (date: Date) => {
-    setFocusedDate(date)
-
-    if (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate))) {
-      setActiveMonths(getInitialMonths(numberOfMonths, date))
-    }
-  }
+// The adapter of the hook. The native Dates converted from the app's dates convert back to the same
+// dates, so a date the datepicker doesn't change comes back as it was, even if the host's time zone
+// skips its time, e.g. in a daylight saving time gap.
+function createHookAdapter<TDate>(dateAdapter: DateAdapter<TDate>): DateAdapter<TDate> {
+  const appDates = new WeakMap<Date, TDate>()
 
-  const isDateSelected = (date: Date) => isDateSelectedFn(date, startDate, endDate)
+  return {
+    toDate: (value: TDate) => {
+      const date = dateAdapter.toDate(value)
+      appDates.set(date, value)
 
-  const isFirstOrLastSelectedDate = (date: Date) =>
-    isFirstOrLastSelectedDateFn(date, startDate, endDate)
+      return date
+    },
+    fromDate: (date: Date) => {
+      const value = appDates.get(date)
 
-  const isDateBlocked = (date: Date) =>
-    isDateBlockedFn({
-      date,
-      minBookingDate,
-      maxBookingDate,
-      startDate,
-      endDate,
-      minBookingDays,
-      isDateBlockedFn: disabledDatesByUser,
-    })
+      return value === undefined ? dateAdapter.fromDate(date) : value
+    },
+  }
+}
 
-  const isDateFocused = (date: Date) => (focusedDate ? isSameDay(date, focusedDate) : false)
+// The props in the app's own dates converted to native Dates, the callbacks receive the app's dates
+function createPropsConverter<TDate>({toDate, fromDate}: DateAdapter<TDate>) {
+  const toDateOrNull = (value: TDate | null) => (value === null ? null : toDate(value))
+  const toOptionalDate = (value?: TDate | null) =>
+    value === undefined ? undefined : toDateOrNull(value)
+  const fromDateOrNull = (value: Date | null) => (value === null ? null : fromDate(value))
+  const toDateTest = (test?: (value: TDate) => boolean) =>
+    test && ((value: Date) => test(fromDate(value)))
+  const toSelectedDates = createArrayConverter(toDate)
+  const toRanges = createArrayConverter((range: DateRange<TDate>) => ({
+    startDate: toDate(range.startDate),
+    endDate: toDateOrNull(range.endDate),
+  }))
+  const toUnavailableDates = createArrayConverter(toDate)
+  const toUnavailableRanges = createArrayConverter((range: UnavailableRange<TDate>) => ({
+    start: toDate(range.start),
+    end: toDate(range.end),
+  }))
 
-  const isDateHovered = (date: Date) =>
-    isDateHoveredFn({
-      date,
-      hoveredDate,
-      startDate,
-      endDate,
-      minBookingDays,
-      exactMinBookingDays,
-      isDateBlocked: disabledDatesByUser,
-    })
+  return ({
+    onDatesChange,
+    onDateChange,
+    onSelectedDatesChange,
+    onRangesChange,
+    onVisibleMonthsChange,
+    minBookingDate,
+    maxBookingDate,
+    startDate,
+    endDate,
+    date,
+    selectedDates,
+    ranges,
+    minBookingDays,
+    initialVisibleMonth,
+    visibleMonth,
+    isDateBlocked,
+    isStartDateBlocked,
+    isEndDateBlocked,
+    isNightBlocked,
+    unavailableDates,
+    unavailableRanges,
+    ...props
+  }: LooseDatepickerConfig<TDate>): LooseDatepickerConfig => ({
+    ...props,
+    onDatesChange:
+      onDatesChange &&
+      (data =>
+        onDatesChange({
+          ...data,
+          startDate: fromDateOrNull(data.startDate),
+          endDate: fromDateOrNull(data.endDate),
+        })),
+    onDateChange: onDateChange && (data => onDateChange({date: fromDateOrNull(data.date)})),
+    onSelectedDatesChange:
+      onSelectedDatesChange &&
+      (data => onSelectedDatesChange({selectedDates: data.selectedDates.map(fromDate)})),
+    onRangesChange:
+      onRangesChange &&
+      (data =>
+        onRangesChange({
+          ranges: data.ranges.map(range => ({
+            startDate: fromDate(range.startDate),
+            endDate: fromDateOrNull(range.endDate),
+          })),
+        })),
+    onVisibleMonthsChange:
+      onVisibleMonthsChange &&
+      (data => onVisibleMonthsChange({...data, visibleMonth: fromDate(data.visibleMonth)})),
+    minBookingDate: toOptionalDate(minBookingDate) || undefined,
+    maxBookingDate: toOptionalDate(maxBookingDate) || undefined,
+    startDate: toOptionalDate(startDate),
+    endDate: toOptionalDate(endDate),
+    date: toOptionalDate(date),
+    selectedDates: toSelectedDates(selectedDates),
+    ranges: toRanges(ranges),
+    minBookingDays:
+      typeof minBookingDays === 'function'
+        ? (value: Date) => minBookingDays(fromDate(value))
+        : minBookingDays,
+    initialVisibleMonth: toOptionalDate(initialVisibleMonth) || undefined,
+    visibleMonth: toOptionalDate(visibleMonth) || undefined,
+    isDateBlocked: toDateTest(isDateBlocked),
+    isStartDateBlocked: toDateTest(isStartDateBlocked),
+    isEndDateBlocked: toDateTest(isEndDateBlocked),
+    isNightBlocked: toDateTest(isNightBlocked),
+    unavailableDates: toUnavailableDates(unavailableDates),
+    unavailableRanges: toUnavailableRanges(unavailableRanges),
+  })
+}
 
-  function handleKeyDown(e: KeyboardEvent) {
-    if (
-      (e.key === 'ArrowRight' ||
-        e.key === 'ArrowLeft' ||
-        e.key === 'ArrowDown' ||
-        e.key === 'ArrowUp') &&
-      !focusedDate
-    ) {
-      const activeMonth = activeMonths[0]
-      onDateFocus(activeMonth.date)
-      setActiveMonths(getInitialMonths(numberOfMonths, activeMonth.date))
-    }
-  }
+// The result in the app's own dates, its queries and actions take them and pass native Dates on
+function fromNativeResult<TDate>(
+  result: DatepickerSnapshot,
+  {toDate, fromDate}: DateAdapter<TDate>,
+): UseDatepickerResult<TDate> {
+  const fromDateOrNull = (date: Date | null) => (date === null ? null : fromDate(date))
+  const withNativeDate = <T>(fn: (date: Date) => T) => (value: TDate) => fn(toDate(value))
 
-  function onResetDates() {
-    onDatesChange({
-      startDate: null,
-      endDate: null,
-      focusedInput: START_DATE,
-    })
+  return {
+    ...result,
+    activeMonths: result.activeMonths.map(month => ({...month, date: fromDate(month.date)})),
+    focusedDate: fromDateOrNull(result.focusedDate),
+    hoveredDate: fromDateOrNull(result.hoveredDate),
+    onMonthSelect: withNativeDate(result.onMonthSelect),
+    isDateSelected: withNativeDate(result.isDateSelected),
+    isDateHovered: withNativeDate(result.isDateHovered),
+    isFirstOrLastSelectedDate: withNativeDate(result.isFirstOrLastSelectedDate),
+    isStartDate: withNativeDate(result.isStartDate),
+    isEndDate: withNativeDate(result.isEndDate),
+    isDateInActiveRange: withNativeDate(result.isDateInActiveRange),
+    isDateDragRejected: withNativeDate(result.isDateDragRejected),
+    isDateBlocked: withNativeDate(result.isDateBlocked),
+    getDateRestriction: withNativeDate(result.getDateRestriction),
+    getHalfDayAvailability: withNativeDate(result.getHalfDayAvailability),
+    isDateFocused: withNativeDate(result.isDateFocused),
+    onDateHover: (value: TDate | null) => result.onDateHover(value === null ? null : toDate(value)),
+    onDateSelect: withNativeDate(result.onDateSelect),
+    onDateFocus: withNativeDate(result.onDateFocus),
+    onDateDragStart: withNativeDate(result.onDateDragStart),
+    onDateDragEnd: withNativeDate(result.onDateDragEnd),
+    goToDate: withNativeDate(result.goToDate),
   }
+}
 
-  function onDateSelect(date: Date) {
-    if (
-      (focusedInput === END_DATE || focusedInput === START_DATE) &&
-      minBookingDays > 0 &&
-      exactMinBookingDays &&
-      canSelectRange({
-        minBookingDays,
-        exactMinBookingDays,
-        minBookingDate,
-        maxBookingDate,
-        isDateBlocked: disabledDatesByUser,
-        startDate: date,
-        endDate: null,
-      })
-    ) {
-      onDatesChange({
-        startDate: date,
-        endDate: addDays(date, minBookingDays - 1),
-        focusedInput: null,
-      })
-    } else if (
-      ((focusedInput === END_DATE && startDate && isBefore(date, startDate)) ||
-        (focusedInput === START_DATE && endDate && isAfter(date, endDate))) &&
-      !exactMinBookingDays &&
-      canSelectRange({
-        minBookingDays,
-        isDateBlocked: disabledDatesByUser,
-        startDate: date,
-        endDate: null,
-      })
-    ) {
-      onDatesChange({
-        endDate: null,
-        startDate: date,
-        focusedInput: END_DATE,
-      })
-    } else if (
-      focusedInput === START_DATE &&
-      !exactMinBookingDays &&
-      canSelectRange({minBookingDays, isDateBlocked: disabledDatesByUser, endDate, startDate: date})
-    ) {
-      onDatesChange({
-        endDate,
-        startDate: date,
-        focusedInput: END_DATE,
-      })
-    } else if (
-      focusedInput === START_DATE &&
-      !exactMinBookingDays &&
-      canSelectRange({
-        minBookingDays,
-        isDateBlocked: disabledDatesByUser,
-        endDate: null,
-        startDate: date,
-      })
-    ) {
-      onDatesChange({
-        endDate: null,
-        startDate: date,
-        focusedInput: END_DATE,
-      })
-    } else if (
-      focusedInput === END_DATE &&
-      startDate &&
-      !isBefore(date, startDate) &&
-      !exactMinBookingDays &&
-      canSelectRange({minBookingDays, isDateBlocked: disabledDatesByUser, startDate, endDate: date})
-    ) {
-      onDatesChange({
-        startDate,
-        endDate: date,
-        focusedInput: null,
-      })
-    }
+// The dates of the props, the callbacks and the result are native Dates, or the app's own dates
+// with a dateAdapter. The datepicker converts them and works with native Dates in between.
+export function useDatepicker(props: UseDatepickerProps): UseDatepickerResult
+export function useDatepicker<TDate>(
+  props: UseDatepickerProps<TDate> & {dateAdapter: DateAdapter<TDate>},
+): UseDatepickerResult<TDate>
+export function useDatepicker<TDate>(props: UseDatepickerProps<TDate>): UseDatepickerResult<TDate> {
+  const {
+    dateAdapter,
+    ...config
+  }: LooseDatepickerConfig<TDate> & {
+    dateAdapter?: DateAdapter<TDate>
+  } = props
 
-    if (
-      focusedInput !== END_DATE &&
-      (!focusedDate || (focusedDate && !isSameMonth(date, focusedDate)))
-    ) {
-      setActiveMonths(getInitialMonths(numberOfMonths, date))
+  // The conversions are kept for the same dateAdapter, e.g. one created outside of the component
+  const conversion = useMemo(() => {
+    if (!dateAdapter) {
+      return null
     }
-  }
-
-  function onDateHover(date: Date | null) {
-    if (!date) {
-      setHoveredDate(null)
-    } else if (date) {
-      const isNotBlocked = !isDateBlocked(date) || (startDate && isSameDay(date, startDate))
-      const isHoveredDateAfterOrEqualMinDate = minBookingDate
-        ? !isBefore(date, addDays(minBookingDate, -1))
-        : true
-      const isHoveredDateBeforeOrEqualMaxDate = maxBookingDate
-        ? !isAfter(date, maxBookingDate)
-        : true
-
-      // Exact minimal booking days
-      const potentialEndDate = addDays(date, minBookingDays - 1)
-      const isPotentialEndDateAfterOrEqualMinDate = minBookingDate
-        ? !isBefore(potentialEndDate, minBookingDate)
-        : true
-      const isPotentialEndDateBeforeOrEqualMaxDate = maxBookingDate
-        ? !isAfter(potentialEndDate, maxBookingDate)
-        : true
-      const isExactAndInRange =
-        exactMinBookingDays &&
-        minBookingDays > 1 &&
-        isHoveredDateAfterOrEqualMinDate &&
-        isHoveredDateBeforeOrEqualMaxDate &&
-        isPotentialEndDateAfterOrEqualMinDate &&
-        isPotentialEndDateBeforeOrEqualMaxDate
 
-      // Is date in range
-      const isInRange =
-        startDate &&
-        !endDate &&
-        !exactMinBookingDays &&
-        isHoveredDateAfterOrEqualMinDate &&
-        isHoveredDateBeforeOrEqualMaxDate
+    const hookAdapter = createHookAdapter(dateAdapter)
 
-      // Is start date hovered and in range
-      const isMinBookingDaysInRange =
-        minBookingDays > 1 && startDate
-          ? isWithinRange(date, {start: startDate, end: addDays(startDate, minBookingDays - 2)})
-          : true
-      const isStartDateHoveredAndInRange =
-        startDate && isSameDay(date, startDate) && isMinBookingDaysInRange
-
-      if (isNotBlocked && (isExactAndInRange || isInRange || isStartDateHoveredAndInRange)) {
-        setHoveredDate(date)
-      } else if (hoveredDate !== null) {
-        setHoveredDate(null)
-      }
-    }
-  }
-
-  function goToPreviousMonths() {
-    setActiveMonths(getNextActiveMonth(activeMonths, numberOfMonths, -1))
-    setFocusedDate(null)
-  }
+    return {adapter: hookAdapter, toNativeProps: createPropsConverter(hookAdapter)}
+  }, [dateAdapter])
+  const result = useNativeDatepicker(
+    conversion ? conversion.toNativeProps(config) : ((config as unknown) as LooseDatepickerConfig),
+  )
 
-  function goToNextMonths() {
-    setActiveMonths(getNextActiveMonth(activeMonths, numberOfMonths, 1))
-    setFocusedDate(null)
-  }
+  return conversion
+    ? fromNativeResult(result, conversion.adapter)
+    : ((result as unknown) as UseDatepickerResult<TDate>)
+}
 
-  function goToPreviousYear(numYears: number = 1) {
-    setActiveMonths(
-      getNextActiveMonth(activeMonths, numberOfMonths, -(numYears * 12 - numberOfMonths + 1)),
-    )
-    setFocusedDate(null)
-  }
+// The React binding of the datepicker machine, the props are its config and a state change renders.
+// The props were checked against their selection mode by useDatepicker.
+function useNativeDatepicker(props: LooseDatepickerConfig) {
+  const [machine] = useState(() => createDatepickerMachine(props as DatepickerConfig))
+  const [, setState] = useState(machine.getState)
+  machine.setConfig(props as DatepickerConfig)
 
-  function goToNextYear(numYears: number = 1) {
-    setActiveMonths(
-      getNextActiveMonth(activeMonths, numberOfMonths, numYears * 12 - numberOfMonths + 1),
-    )
-    setFocusedDate(null)
-  }
+  useEffect(() => {
+    setState(machine.getState())
+    return machine.subscribe(setState)
+  }, [machine])
 
-  return {
-    firstDayOfWeek,
-    activeMonths,
-    isDateSelected,
-    isDateHovered,
-    isFirstOrLastSelectedDate,
-    isDateBlocked,
-    numberOfMonths,
-    isDateFocused,
-    focusedDate,
-    hoveredDate,
-    onResetDates,
-    onDateHover,
-    onDateSelect,
-    onDateFocus,
-    goToPreviousMonths,
-    goToNextMonths,
-    goToPreviousYear,
-    goToNextYear,
-  }
+  return machine.getSnapshot()
 }
@@ -3,18 +3,112 @@ import isSameDay from 'date-fns/isSameDay'
 import eachDay from 'date-fns/eachDayOfInterval'
 import isBefore from 'date-fns/isBefore'
 import isAfter from 'date-fns/isAfter'
-import getYear from 'date-fns/getYear'
-import getMonth from 'date-fns/getMonth'
 import startOfToday from 'date-fns/startOfToday'
-import startOfMonth from 'date-fns/startOfMonth'
-import addMonths from 'date-fns/addMonths'
 import format from 'date-fns/format'
 import addDays from 'date-fns/addDays'
+import startOfWeek from 'date-fns/startOfWeek'
+import endOfWeek from 'date-fns/endOfWeek'
+import startOfDay from 'date-fns/startOfDay'
+import {Locale} from 'date-fns'
+import {Calendar, gregorianCalendar} from '../calendar/calendar'
+
+type FirstDayOfWeek = 0 | 1 | 2 | 3 | 4 | 5 | 6
 
 export const isInUnavailableDates = (unavailableDates: Date[] = [], date: Date) => {
   return unavailableDates.some(_date => isSameDay(date, _date))
 }
 
+export interface UnavailableRange<TDate = Date> {
+  start: TDate
+  end: TDate
+}
+
+export interface UnavailableDatesIndex {
+  isDateUnavailable(date: Date): boolean
+  hasUnavailableDate(start: Date, end: Date): boolean
+}
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+// Days compare as integers, regardless of the time of day and daylight saving time
+function getDayNumber(date: Date) {
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_IN_MS
+}
+
+// Merges unavailable dates and ranges into sorted intervals of days that don't touch each other,
+// so that a day or an interval of days is looked up with a binary search instead of a linear scan.
+export function createUnavailableDatesIndex(
+  unavailableDates: Date[] = [],
+  unavailableRanges: UnavailableRange[] = [],
+): UnavailableDatesIndex {
+  const intervals = unavailableDates
+    .map(date => [getDayNumber(date), getDayNumber(date)])
+    .concat(
+      unavailableRanges.map(({start, end}) => [
+        Math.min(getDayNumber(start), getDayNumber(end)),
+        Math.max(getDayNumber(start), getDayNumber(end)),
+      ]),
+    )
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged: number[][], interval) => {
+      const lastInterval = merged[merged.length - 1]
+
+      if (lastInterval && interval[0] <= lastInterval[1] + 1) {
+        lastInterval[1] = Math.max(lastInterval[1], interval[1])
+      } else {
+        merged.push(interval)
+      }
+
+      return merged
+    }, [])
+
+  // Index of the last interval that starts on or before the day, -1 if there is none
+  function findInterval(day: number) {
+    let low = 0
+    let high = intervals.length - 1
+    let index = -1
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2)
+
+      if (intervals[middle][0] <= day) {
+        index = middle
+        low = middle + 1
+      } else {
+        high = middle - 1
+      }
+    }
+
+    return index
+  }
+
+  return {
+    isDateUnavailable(date: Date) {
+      const day = getDayNumber(date)
+      const index = findInterval(day)
+
+      return index >= 0 && intervals[index][1] >= day
+    },
+    hasUnavailableDate(start: Date, end: Date) {
+      const index = findInterval(getDayNumber(end))
+
+      return index >= 0 && intervals[index][1] >= getDayNumber(start)
+    },
+  }
+}
+
+export const isInSelectedDates = (selectedDates: Date[], date: Date) => {
+  return selectedDates.some(_date => isSameDay(date, _date))
+}
+
+export function toggleSelectedDate(selectedDates: Date[], date: Date) {
+  if (isInSelectedDates(selectedDates, date)) {
+    return selectedDates.filter(_date => !isSameDay(date, _date))
+  }
+
+  return selectedDates.concat([date]).sort((a, b) => a.getTime() - b.getTime())
+}
+
 export function isDateSelected(date: Date, startDate: Date | null, endDate: Date | null) {
   if (startDate && endDate) {
     return isWithinRange(date, {start: startDate, end: endDate})
@@ -31,11 +125,50 @@ export function isFirstOrLastSelectedDate(
   return !!((startDate && isSameDay(date, startDate)) || (endDate && isSameDay(date, endDate)))
 }
 
+export interface DateRange<TDate = Date> {
+  startDate: TDate
+  endDate: TDate | null
+}
+
+export function getRangeIndex(ranges: DateRange[], date: Date, excludedIndex: number = -1) {
+  return ranges.findIndex(
+    ({startDate, endDate}, index) =>
+      index !== excludedIndex &&
+      (endDate ? isDateSelected(date, startDate, endDate) : isSameDay(date, startDate)),
+  )
+}
+
+export function getWeekRange(date: Date, firstDayOfWeek: FirstDayOfWeek = 1) {
+  return {
+    startDate: startOfWeek(date, {weekStartsOn: firstDayOfWeek}),
+    endDate: startOfDay(endOfWeek(date, {weekStartsOn: firstDayOfWeek})),
+  }
+}
+
+export function startOfDayOrNull(date: Date | null) {
+  return date ? startOfDay(date) : null
+}
+
+export function replaceRange(ranges: DateRange[], index: number, range: DateRange) {
+  return ranges
+    .slice(0, index)
+    .concat([range])
+    .concat(ranges.slice(index + 1))
+}
+
+// Minimal number of days of a range, or a function that returns it for the start date of a range
+export type MinBookingDays<TDate = Date> = number | ((startDate: TDate) => number)
+
+export function getMinBookingDays(minBookingDays: MinBookingDays, startDate: Date) {
+  return typeof minBookingDays === 'function' ? minBookingDays(startDate) : minBookingDays
+}
+
 interface IsDateBlockedProps {
   date: Date
   startDate: Date | null
   endDate: Date | null
-  minBookingDays?: number
+  minBookingDays?: MinBookingDays
+  maxBookingDays?: number
   minBookingDate?: Date
   maxBookingDate?: Date
   isDateBlockedFn?: (date?: Date) => boolean
@@ -49,6 +182,7 @@ export function isDateBlocked({
   startDate,
   endDate,
   minBookingDays = 1,
+  maxBookingDays,
   unavailableDates = [],
 }: IsDateBlockedProps) {
   const compareMinDate = minBookingDate
@@ -71,6 +205,7 @@ export function isDateBlocked({
         0,
       )
     : maxBookingDate
+  const startDateMinBookingDays = startDate ? getMinBookingDays(minBookingDays, startDate) : 1
 
   return !!(
     isInUnavailableDates(unavailableDates, date) ||
@@ -78,42 +213,55 @@ export function isDateBlocked({
     (compareMaxDate && isAfter(date, compareMaxDate)) ||
     (startDate &&
       !endDate &&
-      minBookingDays > 1 &&
-      isWithinRange(date, {start: startDate, end: addDays(startDate, minBookingDays - 2)})) ||
+      startDateMinBookingDays > 1 &&
+      isWithinRange(date, {
+        start: startDate,
+        end: addDays(startDate, startDateMinBookingDays - 2),
+      })) ||
+    (startDate &&
+      !endDate &&
+      maxBookingDays !== undefined &&
+      isAfter(date, getMaxEndDate(startDate, maxBookingDays))) ||
     (isDateBlockedFn && isDateBlockedFn(date))
   )
 }
 
-export interface MonthType {
+export interface MonthType<TDate = Date> {
   year: number
   month: number
-  date: Date
+  date: TDate
 }
 
-export function getDateMonthAndYear(date: Date): MonthType {
-  const today = startOfMonth(date)
-  const year = getYear(today)
-  const month = getMonth(today)
+// The year and month are counted in the calendar, the date is the first day of the month
+export function getDateMonthAndYear(date: Date, calendar: Calendar = gregorianCalendar): MonthType {
+  const year = calendar.getYear(date)
+  const month = calendar.getMonth(date)
   return {
     year,
     month,
-    date: today,
+    date: calendar.getMonthStart(year, month),
   }
 }
 
-export function getCurrentYearMonthAndDate(): MonthType {
-  return getDateMonthAndYear(startOfToday())
+export function getCurrentYearMonthAndDate(calendar: Calendar = gregorianCalendar): MonthType {
+  return getDateMonthAndYear(startOfToday(), calendar)
 }
 
-export function getInitialMonths(numberOfMonths: number, startDate: Date | null): MonthType[] {
-  const firstMonth = startDate ? getDateMonthAndYear(startDate) : getCurrentYearMonthAndDate()
+export function getInitialMonths(
+  numberOfMonths: number,
+  startDate: Date | null,
+  calendar: Calendar = gregorianCalendar,
+): MonthType[] {
+  const firstMonth = startDate
+    ? getDateMonthAndYear(startDate, calendar)
+    : getCurrentYearMonthAndDate(calendar)
   let prevMonthDate = firstMonth.date
   let months = [firstMonth]
 
   if (numberOfMonths > 1) {
     months = Array.from(Array(numberOfMonths - 1).keys()).reduce((m: MonthType[]) => {
-      prevMonthDate = addMonths(m[m.length - 1].date, 1)
-      return m.concat([getDateMonthAndYear(prevMonthDate)])
+      prevMonthDate = calendar.addMonths(m[m.length - 1].date, 1)
+      return m.concat([getDateMonthAndYear(prevMonthDate, calendar)])
     }, months)
   }
 
@@ -124,20 +272,21 @@ export function getNextActiveMonth(
   activeMonth: MonthType[],
   numberOfMonths: number,
   counter: number,
+  calendar: Calendar = gregorianCalendar,
 ): MonthType[] {
   const prevMonth = counter > 0 ? activeMonth.length - 1 : 0
   let prevMonthDate = activeMonth[prevMonth].date
 
   return Array.from(Array(numberOfMonths).keys()).reduce((m: MonthType[]) => {
     if (m.length === 0) {
-      prevMonthDate = addMonths(prevMonthDate, counter)
+      prevMonthDate = calendar.addMonths(prevMonthDate, counter)
     } else {
-      prevMonthDate = addMonths(prevMonthDate, counter >= 0 ? 1 : -1)
+      prevMonthDate = calendar.addMonths(prevMonthDate, counter >= 0 ? 1 : -1)
     }
 
     return counter > 0
-      ? m.concat([getDateMonthAndYear(prevMonthDate)])
-      : [getDateMonthAndYear(prevMonthDate)].concat(m)
+      ? m.concat([getDateMonthAndYear(prevMonthDate, calendar)])
+      : [getDateMonthAndYear(prevMonthDate, calendar)].concat(m)
   }, [])
 }
 
@@ -146,9 +295,10 @@ export function getInputValue(
   date: Date | null,
   displayFormat: string | FormatFunction,
   defaultValue: string,
+  locale?: Locale,
 ) {
   if (date && typeof displayFormat === 'string') {
-    return format(date, displayFormat)
+    return format(date, displayFormat, {locale})
   } else if (date && typeof displayFormat === 'function') {
     return displayFormat(date)
   } else {
@@ -156,11 +306,82 @@ export function getInputValue(
   }
 }
 
+// The short date of the locale (e.g. 27.03.2019 in German), which the inputs parse as well
+export function getDefaultDisplayFormat(locale?: Locale) {
+  return locale ? 'P' : 'MM/dd/yyyy'
+}
+
+// A range spends the nights from its start date to the day before its end date
+export function hasBlockedNight(
+  startDate: Date,
+  endDate: Date,
+  isNightBlocked: (date: Date) => boolean,
+) {
+  return (
+    isBefore(startDate, endDate) &&
+    eachDay({start: startDate, end: addDays(endDate, -1)}).some(d => isNightBlocked(d))
+  )
+}
+
+export interface UserRangeRulesProps {
+  unavailableDatesIndex: UnavailableDatesIndex
+  isDateBlocked(date: Date): boolean
+  isStartDateBlocked(date: Date): boolean
+  isNightBlocked(date: Date): boolean
+}
+
+// The dates and ranges the user's restrictions block, as the range selection checks them
+export function getUserRangeRules({
+  unavailableDatesIndex,
+  isDateBlocked,
+  isStartDateBlocked,
+  isNightBlocked,
+}: UserRangeRulesProps) {
+  return {
+    isDateBlocked: (date: Date) =>
+      unavailableDatesIndex.isDateUnavailable(date) || isDateBlocked(date),
+    isRangeBlocked: (start: Date, end: Date) =>
+      unavailableDatesIndex.hasUnavailableDate(start, end) ||
+      eachDay({start, end}).some(d => isDateBlocked(d)) ||
+      hasBlockedNight(start, end, isNightBlocked),
+    isStartDateBlocked: (date: Date) => isStartDateBlocked(date) || isNightBlocked(date),
+  }
+}
+
+// Half available dates: the night of the date is blocked, but the date is still valid as a
+// check-out, or the night before is blocked, but the date is still valid as a check-in
+export type HalfDayAvailability = 'checkIn' | 'checkOut' | null
+
+export function getHalfDayAvailability(
+  date: Date,
+  isNightBlocked: (date: Date) => boolean,
+): HalfDayAvailability {
+  const isDateNightBlocked = isNightBlocked(date)
+  const isPreviousNightBlocked = isNightBlocked(addDays(date, -1))
+
+  if (isDateNightBlocked && !isPreviousNightBlocked) {
+    return 'checkOut'
+  } else if (!isDateNightBlocked && isPreviousNightBlocked) {
+    return 'checkIn'
+  }
+
+  return null
+}
+
+// The last end date of a range, counted like minBookingDays
+export function getMaxEndDate(startDate: Date, maxBookingDays: number) {
+  return addDays(startDate, maxBookingDays - 1)
+}
+
 export interface CanSelectRangeProps {
   startDate: Date
   endDate: Date | null
   isDateBlocked(date: Date): boolean
-  minBookingDays: number
+  isRangeBlocked?(startDate: Date, endDate: Date): boolean
+  isStartDateBlocked?(date: Date): boolean
+  isEndDateBlocked?(date: Date): boolean
+  minBookingDays: MinBookingDays
+  maxBookingDays?: number
   exactMinBookingDays?: boolean
   minBookingDate?: Date
   maxBookingDate?: Date
@@ -169,11 +390,22 @@ export function canSelectRange({
   startDate,
   endDate,
   isDateBlocked,
-  minBookingDays,
+  isRangeBlocked = (start, end) => eachDay({start, end}).some(d => isDateBlocked(d)),
+  isStartDateBlocked = () => false,
+  isEndDateBlocked = () => false,
+  minBookingDays: minBookingDaysProp,
+  maxBookingDays,
   exactMinBookingDays,
   minBookingDate,
   maxBookingDate,
 }: CanSelectRangeProps) {
+  const minBookingDays = getMinBookingDays(minBookingDaysProp, startDate)
+  // The range can't start or end on a date that is closed for it
+  const rangeEndDate = exactMinBookingDays ? addDays(startDate, minBookingDays - 1) : endDate
+  if (isStartDateBlocked(startDate) || (rangeEndDate && isEndDateBlocked(rangeEndDate))) {
+    return false
+  }
+
   const isStartDateAfterOrEqualMinDate = minBookingDate
     ? !isBefore(startDate, addDays(minBookingDate, -1))
     : true
@@ -192,17 +424,18 @@ export function canSelectRange({
       isStartDateBeforeOrEqualMaxDate) ||
     (startDate && minBookingDays > 0 && exactMinBookingDays && !minBookingDate && !maxBookingDate)
   ) {
-    return !eachDay({start: startDate, end: addDays(startDate, minBookingDays - 1)}).some(d =>
-      isDateBlocked(d),
-    )
+    return !isRangeBlocked(startDate, addDays(startDate, minBookingDays - 1))
   } else if (startDate && endDate && !exactMinBookingDays) {
     const minBookingDaysDate = addDays(startDate, minBookingDays - 1)
 
-    if (isBefore(endDate, minBookingDaysDate)) {
+    if (
+      isBefore(endDate, minBookingDaysDate) ||
+      (maxBookingDays !== undefined && isAfter(endDate, getMaxEndDate(startDate, maxBookingDays)))
+    ) {
       return false
     }
 
-    return !eachDay({start: startDate, end: endDate}).some(d => isDateBlocked(d))
+    return !isRangeBlocked(startDate, endDate)
   }
 
   return false
@@ -213,8 +446,9 @@ export interface IsDateHoveredProps {
   endDate: Date | null
   date: Date
   isDateBlocked(date: Date): boolean
+  isRangeBlocked?(startDate: Date, endDate: Date): boolean
   hoveredDate: Date | null
-  minBookingDays: number
+  minBookingDays: MinBookingDays
   exactMinBookingDays: boolean
 }
 export function isDateHovered({
@@ -222,10 +456,14 @@ export function isDateHovered({
   startDate,
   endDate,
   isDateBlocked,
+  isRangeBlocked = (start, end) => eachDay({start, end}).some(d => isDateBlocked(d)),
   hoveredDate,
-  minBookingDays,
+  minBookingDays: minBookingDaysProp,
   exactMinBookingDays,
 }: IsDateHoveredProps) {
+  // The hovered date is the start date of the range in both min booking days previews
+  const minBookingDays = hoveredDate ? getMinBookingDays(minBookingDaysProp, hoveredDate) : 1
+
   if (
     // exact min booking days
     hoveredDate &&
@@ -233,9 +471,7 @@ export function isDateHovered({
     exactMinBookingDays &&
     isWithinRange(date, {start: hoveredDate, end: addDays(hoveredDate, minBookingDays - 1)})
   ) {
-    return !eachDay({start: hoveredDate, end: addDays(hoveredDate, minBookingDays - 1)}).some(d =>
-      isDateBlocked(d),
-    )
+    return !isRangeBlocked(hoveredDate, addDays(hoveredDate, minBookingDays - 1))
   } else if (
     // min booking days
     startDate &&
@@ -245,9 +481,7 @@ export function isDateHovered({
     isSameDay(startDate, hoveredDate) &&
     minBookingDays > 1
   ) {
-    return !eachDay({start: startDate, end: addDays(startDate, minBookingDays - 1)}).some(d =>
-      isDateBlocked(d),
-    )
+    return !isRangeBlocked(startDate, addDays(startDate, minBookingDays - 1))
   } else if (
     // normal
     startDate &&
@@ -256,8 +490,14 @@ export function isDateHovered({
     !isBefore(hoveredDate, startDate) &&
     isWithinRange(date, {start: startDate, end: hoveredDate})
   ) {
-    return !eachDay({start: startDate, end: hoveredDate}).some(d => isDateBlocked(d))
+    return !isRangeBlocked(startDate, hoveredDate)
   }
 
   return false
 }
+
+export function getDecadeYears(year: number) {
+  const decadeStart = year - (year % 10)
+
+  return Array.from(Array(12).keys()).map(index => decadeStart - 1 + index)
+}
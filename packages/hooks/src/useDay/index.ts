@@ -1,3 +1,5 @@
 import useDay from './useDay'
+import {getKeyboardFocusDate, GetKeyboardFocusDateProps} from './useDay.utils'
 
+export {getKeyboardFocusDate, GetKeyboardFocusDateProps}
 export default useDay
@@ -1,5 +1,7 @@
 import {renderHook, act} from '@testing-library/react-hooks'
-import useDay from '.'
+import {DateTime} from 'luxon'
+import {createLuxonAdapter} from '../dateAdapter'
+import useDay, {getKeyboardFocusDate} from '.'
 
 const date = new Date(2019, 2, 1, 0, 0, 0)
 const dayRef = {
@@ -222,3 +224,328 @@ test('should be focused', () => {
 
   expect(result.current.tabIndex).toBe(0)
 })
+
+test('should distinguish start, end and active range days', () => {
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: null,
+      isDateSelected: () => true,
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: () => true,
+      isStartDate: () => true,
+      isEndDate: () => false,
+      isDateInActiveRange: () => true,
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      onDateFocus: jest.fn(),
+      onDateHover: jest.fn(),
+    }),
+  )
+
+  expect(result.current.isSelectedStart).toBe(true)
+  expect(result.current.isSelectedEnd).toBe(false)
+  expect(result.current.isWithinActiveRange).toBe(true)
+})
+
+test('should expose the restriction of the date', () => {
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: null,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      getDateRestriction: () => 'endDate',
+      onDateFocus: jest.fn(),
+      onDateHover: jest.fn(),
+    }),
+  )
+
+  expect(result.current.restriction).toBe('endDate')
+})
+
+test('should expose the half-day availability of the date', () => {
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: null,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      getHalfDayAvailability: () => 'checkOut',
+      onDateFocus: jest.fn(),
+      onDateHover: jest.fn(),
+    }),
+  )
+
+  expect(result.current.halfDayAvailability).toBe('checkOut')
+})
+
+test('should move focus with the grid keys', () => {
+  const onDateFocus = jest.fn()
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: date,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      onDateFocus,
+      onDateHover: jest.fn(),
+      firstDayOfWeek: 0,
+    }),
+  )
+
+  const events = [
+    {key: 'ArrowRight'},
+    {key: 'ArrowLeft'},
+    {key: 'ArrowUp'},
+    {key: 'ArrowDown'},
+    {key: 'PageUp'},
+    {key: 'PageDown'},
+    {key: 'PageUp', shiftKey: true},
+    {key: 'PageDown', shiftKey: true},
+    {key: 'Home'},
+    {key: 'End'},
+  ]
+  events.forEach(event => {
+    // @ts-ignore
+    result.current.onKeyDown({...event, preventDefault: jest.fn()})
+  })
+  expect(onDateFocus.mock.calls.map(call => call[0])).toEqual([
+    new Date(2019, 2, 2, 0, 0, 0),
+    new Date(2019, 1, 28, 0, 0, 0),
+    new Date(2019, 1, 22, 0, 0, 0),
+    new Date(2019, 2, 8, 0, 0, 0),
+    new Date(2019, 1, 1, 0, 0, 0),
+    new Date(2019, 3, 1, 0, 0, 0),
+    new Date(2018, 2, 1, 0, 0, 0),
+    new Date(2020, 2, 1, 0, 0, 0),
+    new Date(2019, 1, 24, 0, 0, 0),
+    new Date(2019, 2, 2, 0, 0, 0),
+  ])
+})
+
+test('should move focus in the dates of the adapter', () => {
+  const dateAdapter = createLuxonAdapter(values =>
+    DateTime.fromObject({...values, zone: 'Pacific/Kiritimati'}),
+  )
+  const day = DateTime.fromObject({year: 2019, month: 3, day: 1, zone: 'Pacific/Kiritimati'})
+  const onDateFocus = jest.fn()
+  const isDateBlocked = jest.fn((value: DateTime) => value.toISODate() === '2019-03-02')
+  const {result} = renderHook(() =>
+    useDay({
+      date: day,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: day,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked,
+      onDateFocus,
+      onDateHover: jest.fn(),
+      skipBlockedDates: true,
+      dateAdapter,
+    }),
+  )
+
+  act(() => {
+    // @ts-ignore
+    result.current.onKeyDown({key: 'ArrowRight', preventDefault: jest.fn()})
+  })
+  expect(isDateBlocked.mock.calls[0][0].zoneName).toBe('Pacific/Kiritimati')
+  expect(onDateFocus.mock.calls[0][0].toISO()).toBe('2019-03-03T00:00:00.000+14:00')
+})
+
+test('should skip blocked dates with the arrow keys', () => {
+  const onDateFocus = jest.fn()
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: date,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      // Weekends and everything before March 2019
+      isDateBlocked: (d: Date) =>
+        d.getDay() === 0 || d.getDay() === 6 || d < new Date(2019, 2, 1, 0, 0, 0),
+      onDateFocus,
+      onDateHover: jest.fn(),
+      skipBlockedDates: true,
+    }),
+  )
+
+  const keys = ['ArrowRight', 'ArrowDown', 'ArrowLeft']
+  keys.forEach(key => {
+    // @ts-ignore
+    result.current.onKeyDown({key, preventDefault: jest.fn()})
+  })
+  expect(onDateFocus.mock.calls.map(call => call[0])).toEqual([
+    new Date(2019, 2, 4, 0, 0, 0),
+    new Date(2019, 2, 8, 0, 0, 0),
+    // No available date, the focus moves to the previous date
+    new Date(2019, 1, 28, 0, 0, 0),
+  ])
+})
+
+test('should select with Enter and Space', () => {
+  const onDateSelect = jest.fn()
+  const preventDefault = jest.fn()
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect,
+      focusedDate: date,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      onDateFocus: jest.fn(),
+      onDateHover: jest.fn(),
+    }),
+  )
+
+  act(() => {
+    // @ts-ignore
+    result.current.onKeyDown({key: 'Enter', preventDefault})
+    // @ts-ignore
+    result.current.onKeyDown({key: ' ', preventDefault})
+  })
+  expect(onDateSelect).toBeCalledTimes(2)
+  expect(preventDefault).toBeCalledTimes(2)
+})
+
+test('should follow the visual direction of the horizontal arrow keys in rtl', () => {
+  const onDateFocus = jest.fn()
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: date,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      onDateFocus,
+      onDateHover: jest.fn(),
+      rtl: true,
+    }),
+  )
+
+  const keys = ['ArrowRight', 'ArrowLeft', 'ArrowDown']
+  keys.forEach(key => {
+    // @ts-ignore
+    result.current.onKeyDown({key, preventDefault: jest.fn()})
+  })
+  expect(onDateFocus.mock.calls.map(call => call[0])).toEqual([
+    new Date(2019, 1, 28, 0, 0, 0),
+    new Date(2019, 2, 2, 0, 0, 0),
+    new Date(2019, 2, 8, 0, 0, 0),
+  ])
+})
+
+test('should drag a range with the pointer callbacks', () => {
+  const onDateDragStart = jest.fn()
+  const onDateDragEnd = jest.fn()
+  const onDateHover = jest.fn()
+  const releasePointerCapture = jest.fn()
+  const {result} = renderHook(() =>
+    useDay({
+      date,
+      // @ts-ignore
+      dayRef,
+      onDateSelect: jest.fn(),
+      focusedDate: null,
+      isDateSelected: jest.fn(),
+      isDateFocused: jest.fn(),
+      isFirstOrLastSelectedDate: jest.fn(),
+      isDateHovered: jest.fn(),
+      isDateBlocked: jest.fn(),
+      onDateFocus: jest.fn(),
+      onDateHover,
+      onDateDragStart,
+      onDateDragEnd,
+      isDateDragRejected: () => true,
+    }),
+  )
+  expect(result.current.isDragRejected).toBe(true)
+
+  act(() => {
+    result.current.onPointerDown({
+      pointerId: 1,
+      // @ts-ignore
+      currentTarget: {hasPointerCapture: () => true, releasePointerCapture},
+    })
+  })
+  expect(releasePointerCapture).toBeCalledWith(1)
+  expect(onDateDragStart).toBeCalledWith(date)
+
+  // The mouse previews with onMouseEnter
+  act(() => {
+    // @ts-ignore
+    result.current.onPointerEnter({pointerType: 'mouse'})
+  })
+  expect(onDateHover).not.toBeCalled()
+  act(() => {
+    // @ts-ignore
+    result.current.onPointerEnter({pointerType: 'touch'})
+  })
+  expect(onDateHover).toBeCalledWith(date)
+
+  act(() => {
+    result.current.onPointerUp()
+  })
+  expect(onDateDragEnd).toBeCalledWith(date)
+})
+
+test('should return the date the key moves the focus to', () => {
+  const isDateBlocked = (day: Date) => day.getDate() === 2 || day.getDate() === 3
+  expect(getKeyboardFocusDate({date, key: 'ArrowRight', isDateBlocked})).toEqual(
+    new Date(2019, 2, 2, 0, 0, 0),
+  )
+  expect(
+    getKeyboardFocusDate({date, key: 'ArrowRight', isDateBlocked, skipBlockedDates: true}),
+  ).toEqual(new Date(2019, 2, 4, 0, 0, 0))
+  expect(getKeyboardFocusDate({date, key: 'ArrowRight', isDateBlocked, rtl: true})).toEqual(
+    new Date(2019, 1, 28, 0, 0, 0),
+  )
+  expect(getKeyboardFocusDate({date, key: 'PageDown', shiftKey: true, isDateBlocked})).toEqual(
+    new Date(2020, 2, 1, 0, 0, 0),
+  )
+  expect(getKeyboardFocusDate({date, key: 'End', isDateBlocked, firstDayOfWeek: 0})).toEqual(
+    new Date(2019, 2, 2, 0, 0, 0),
+  )
+  expect(getKeyboardFocusDate({date, key: 'a', isDateBlocked})).toBe(null)
+})
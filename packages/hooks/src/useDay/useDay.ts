@@ -1,21 +1,36 @@
 import React, {useCallback, useEffect} from 'react'
-import addDays from 'date-fns/addDays'
+import {DateRestriction, HalfDayAvailability, FirstDayOfWeek} from '../useDatepicker'
+import {getKeyboardFocusDate} from './useDay.utils'
+import {DateAdapter, dateFnsAdapter} from '../dateAdapter/dateAdapter'
 
-interface UseDayProps {
-  date: Date
-  focusedDate: Date | null
-  isDateFocused(date: Date): boolean
-  isDateSelected(date: Date): boolean
-  isDateHovered(date: Date): boolean
-  isDateBlocked(date: Date): boolean
-  isFirstOrLastSelectedDate(date: Date): boolean
-  onDateFocus(date: Date): void
-  onDateSelect(date: Date): void
-  onDateHover(date: Date): void
+interface UseDayProps<TDate = Date> {
+  date: TDate
+  focusedDate: TDate | null
+  isDateFocused(date: TDate): boolean
+  isDateSelected(date: TDate): boolean
+  isDateHovered(date: TDate): boolean
+  isDateBlocked(date: TDate): boolean
+  isFirstOrLastSelectedDate(date: TDate): boolean
+  isStartDate?(date: TDate): boolean
+  isEndDate?(date: TDate): boolean
+  isDateInActiveRange?(date: TDate): boolean
+  isDateDragRejected?(date: TDate): boolean
+  getDateRestriction?(date: TDate): DateRestriction
+  getHalfDayAvailability?(date: TDate): HalfDayAvailability
+  onDateFocus(date: TDate): void
+  onDateSelect(date: TDate): void
+  onDateHover(date: TDate): void
+  onDateDragStart?(date: TDate): void
+  onDateDragEnd?(date: TDate): void
   dayRef: React.RefObject<HTMLButtonElement>
+  firstDayOfWeek?: FirstDayOfWeek
+  skipBlockedDates?: boolean
+  rtl?: boolean
+  dateAdapter?: DateAdapter<TDate>
 }
 
-function useDay({
+// The dates are the app's own dates with a dateAdapter, like the dates of useDatepicker
+function useDay<TDate = Date>({
   date,
   focusedDate,
   isDateSelected,
@@ -23,13 +38,46 @@ function useDay({
   isFirstOrLastSelectedDate,
   isDateHovered,
   isDateBlocked,
+  isStartDate = () => false,
+  isEndDate = () => false,
+  isDateInActiveRange = () => false,
+  isDateDragRejected = () => false,
+  getDateRestriction = () => null,
+  getHalfDayAvailability = () => null,
   onDateSelect,
   onDateFocus,
   onDateHover,
+  onDateDragStart = () => {},
+  onDateDragEnd = () => {},
   dayRef,
-}: UseDayProps) {
+  firstDayOfWeek = 1,
+  skipBlockedDates = false,
+  rtl = false,
+  dateAdapter = (dateFnsAdapter as unknown) as DateAdapter<TDate>,
+}: UseDayProps<TDate>) {
   const onClick = useCallback(() => onDateSelect(date), [date, onDateSelect])
   const onMouseEnter = useCallback(() => onDateHover(date), [date, onDateHover])
+  const onPointerDown = useCallback(
+    (e: React.PointerEvent<HTMLButtonElement>) => {
+      // Touch pointers are captured by the pressed day, released they enter the other days
+      if (e.currentTarget.hasPointerCapture && e.currentTarget.hasPointerCapture(e.pointerId)) {
+        e.currentTarget.releasePointerCapture(e.pointerId)
+      }
+
+      onDateDragStart(date)
+    },
+    [date, onDateDragStart],
+  )
+  // Mouse pointers preview the range with onMouseEnter
+  const onPointerEnter = useCallback(
+    (e: React.PointerEvent<HTMLButtonElement>) => {
+      if (e.pointerType !== 'mouse') {
+        onDateHover(date)
+      }
+    },
+    [date, onDateHover],
+  )
+  const onPointerUp = useCallback(() => onDateDragEnd(date), [date, onDateDragEnd])
 
   useEffect(() => {
     if (dayRef && dayRef.current && isDateFocused(date)) {
@@ -43,21 +91,42 @@ function useDay({
     tabIndex: focusedDate === null || isDateFocused(date) ? 0 : -1,
     isSelected: isDateSelected(date),
     isSelectedStartOrEnd: isFirstOrLastSelectedDate(date),
+    isSelectedStart: isStartDate(date),
+    isSelectedEnd: isEndDate(date),
+    isWithinActiveRange: isDateInActiveRange(date),
+    isDragRejected: isDateDragRejected(date),
     isWithinHoverRange: isDateHovered(date),
     disabledDate: disabled,
+    restriction: getDateRestriction(date),
+    halfDayAvailability: getHalfDayAvailability(date),
     onKeyDown: (e: React.KeyboardEvent<HTMLButtonElement>) => {
-      if (e.key === 'ArrowRight') {
-        onDateFocus(addDays(date, 1))
-      } else if (e.key === 'ArrowLeft') {
-        onDateFocus(addDays(date, -1))
-      } else if (e.key === 'ArrowUp') {
-        onDateFocus(addDays(date, -7))
-      } else if (e.key === 'ArrowDown') {
-        onDateFocus(addDays(date, 7))
+      const nextDate = getKeyboardFocusDate({
+        date: dateAdapter.toDate(date),
+        key: e.key,
+        shiftKey: e.shiftKey,
+        isDateBlocked: nativeDate => isDateBlocked(dateAdapter.fromDate(nativeDate)),
+        firstDayOfWeek,
+        skipBlockedDates,
+        rtl,
+      })
+
+      if (nextDate) {
+        e.preventDefault()
+        onDateFocus(dateAdapter.fromDate(nextDate))
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        // The button would be clicked as well
+        e.preventDefault()
+
+        if (!disabled) {
+          onClick()
+        }
       }
     },
     onClick: disabled ? () => {} : onClick,
     onMouseEnter,
+    onPointerDown,
+    onPointerEnter,
+    onPointerUp,
   }
 }
 
@@ -0,0 +1,64 @@
+import addDays from 'date-fns/addDays'
+import addMonths from 'date-fns/addMonths'
+import addYears from 'date-fns/addYears'
+import startOfWeek from 'date-fns/startOfWeek'
+import {FirstDayOfWeek} from '../useDatepicker'
+
+// How far an arrow key looks for an available date when skipBlockedDates is set
+const MAX_SKIPPED_DATES = 366
+
+const arrowKeySteps: Record<string, number> = {
+  ArrowRight: 1,
+  ArrowLeft: -1,
+  ArrowUp: -7,
+  ArrowDown: 7,
+}
+
+function getAvailableDate(date: Date, step: number, isDateBlocked: (date: Date) => boolean) {
+  let nextDate = addDays(date, step)
+
+  for (let i = 1; i < MAX_SKIPPED_DATES && isDateBlocked(nextDate); i++) {
+    nextDate = addDays(nextDate, step)
+  }
+
+  return isDateBlocked(nextDate) ? addDays(date, step) : nextDate
+}
+
+export interface GetKeyboardFocusDateProps {
+  date: Date
+  key: string
+  shiftKey?: boolean
+  isDateBlocked(date: Date): boolean
+  firstDayOfWeek?: FirstDayOfWeek
+  skipBlockedDates?: boolean
+  rtl?: boolean
+}
+
+// The date a key pressed on the day moves the focus to, or null for the other keys
+export function getKeyboardFocusDate({
+  date,
+  key,
+  shiftKey = false,
+  isDateBlocked,
+  firstDayOfWeek = 1,
+  skipBlockedDates = false,
+  rtl = false,
+}: GetKeyboardFocusDateProps) {
+  // Horizontal arrows follow the visual direction
+  const arrowStep =
+    rtl && (key === 'ArrowLeft' || key === 'ArrowRight') ? -arrowKeySteps[key] : arrowKeySteps[key]
+
+  if (arrowStep) {
+    return skipBlockedDates
+      ? getAvailableDate(date, arrowStep, isDateBlocked)
+      : addDays(date, arrowStep)
+  } else if (key === 'PageUp' || key === 'PageDown') {
+    const step = key === 'PageUp' ? -1 : 1
+    return shiftKey ? addYears(date, step) : addMonths(date, step)
+  } else if (key === 'Home' || key === 'End') {
+    const weekStart = startOfWeek(date, {weekStartsOn: firstDayOfWeek})
+    return key === 'Home' ? weekStart : addDays(weekStart, 6)
+  }
+
+  return null
+}
@@ -12,6 +12,7 @@ import {
   GetWeekdayLabelsProps,
   GetDaysProps,
   CalendarDay,
+  getFirstDayOfWeek,
 } from './useMonth.utils'
 
 export {
@@ -21,6 +22,7 @@ export {
   useMonth,
   getDays,
   getWeekdayLabels,
+  getFirstDayOfWeek,
   GetWeekdayLabelsProps,
   GetDaysProps,
   UseMonthResult,
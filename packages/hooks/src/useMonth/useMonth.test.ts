@@ -1,6 +1,12 @@
 import {renderHook} from '@testing-library/react-hooks'
 import {format} from 'date-fns'
-import {useMonth, getDays, getWeekdayLabels} from '.'
+import de from 'date-fns/locale/de'
+import enUS from 'date-fns/locale/en-US'
+import ja from 'date-fns/locale/ja'
+import dayjs from 'dayjs'
+import {jalaliCalendar} from '../calendar'
+import {createDayjsAdapter} from '../dateAdapter'
+import {useMonth, getDays, getWeekdayLabels, getFirstDayOfWeek} from '.'
 
 describe('getWeekdayLabels', () => {
   test('should return week days start with monday', () => {
@@ -28,6 +34,17 @@ describe('getWeekdayLabels', () => {
       'Fr',
     ])
   })
+  test('should return week days of the locale', () => {
+    expect(getWeekdayLabels({locale: de})).toEqual(['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'])
+  })
+})
+
+describe('getFirstDayOfWeek', () => {
+  test('should return the first day of the week of the locale', () => {
+    expect(getFirstDayOfWeek()).toBe(1)
+    expect(getFirstDayOfWeek(enUS)).toBe(0)
+    expect(getFirstDayOfWeek(de)).toBe(1)
+  })
 })
 
 describe('getDays', () => {
@@ -297,4 +314,42 @@ describe('useMonth', () => {
     expect(result.current.weekdayLabels[0]).toBe('Sa')
     expect(result.current.weekdayLabels[6]).toBe('Fr')
   })
+
+  test('should format the labels and start the week with the locale', () => {
+    const {result, rerender} = renderHook(props => useMonth(props), {
+      initialProps: {year: 2019, month: 2, locale: de},
+    })
+    expect(result.current.monthLabel).toBe('März 2019')
+    expect(result.current.weekdayLabels[0]).toBe('Mo')
+    expect(result.current.weekdayLabels[6]).toBe('So')
+
+    rerender({year: 2019, month: 2, locale: ja})
+    expect(result.current.monthLabel).toBe('3月 2019')
+    expect(result.current.weekdayLabels[0]).toBe('月')
+
+    rerender({year: 2019, month: 2, locale: enUS})
+    expect(result.current.weekdayLabels[0]).toBe('Su')
+    expect(result.current.days.length).toBe(36)
+  })
+
+  test('should lay out the month of the calendar', () => {
+    const {result} = renderHook(() =>
+      useMonth({year: 1398, month: 0, firstDayOfWeek: 6, calendar: jalaliCalendar}),
+    )
+    expect(result.current.monthLabel).toBe('فروردین 1398')
+    expect(result.current.days.length).toBe(36)
+    expect(result.current.days[4]).toBe(0)
+    expect(result.current.days[5]).toEqual({dayLabel: '01', date: new Date(2019, 2, 21, 0, 0, 0)})
+    expect(result.current.days[35]).toEqual({dayLabel: '31', date: new Date(2019, 3, 20, 0, 0, 0)})
+  })
+
+  test('should return the days in the dates of the adapter', () => {
+    const {result} = renderHook(() =>
+      useMonth({year: 2019, month: 2, dateAdapter: createDayjsAdapter(dayjs)}),
+    )
+    expect(result.current.monthLabel).toBe('March 2019')
+    expect(result.current.days[3]).toBe(0)
+    // @ts-ignore
+    expect(result.current.days[4].date.format('YYYY-MM-DD HH:mm')).toBe('2019-03-01 00:00')
+  })
 })
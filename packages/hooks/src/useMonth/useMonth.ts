@@ -1,43 +1,85 @@
 import {useMemo} from 'react'
 import format from 'date-fns/format'
-import {getDays, GetDaysProps, getWeekdayLabels, GetWeekdayLabelsProps} from './useMonth.utils'
+import {Locale} from 'date-fns'
+import {
+  getDays,
+  GetDaysProps,
+  getWeekdayLabels,
+  GetWeekdayLabelsProps,
+  getFirstDayOfWeek,
+} from './useMonth.utils'
+import {gregorianCalendar} from '../calendar/calendar'
+import {DateAdapter} from '../dateAdapter/dateAdapter'
 
-export const dayLabelFormatFn = (date: Date) => format(date, 'dd')
-export const weekdayLabelFormatFn = (date: Date) => format(date, 'eeeeee')
-export const monthLabelFormatFn = (date: Date) => format(date, 'MMMM yyyy')
+export const dayLabelFormatFn = (date: Date, locale?: Locale) => format(date, 'dd', {locale})
+export const weekdayLabelFormatFn = (date: Date, locale?: Locale) =>
+  format(date, 'eeeeee', {locale})
+export const monthLabelFormatFn = (date: Date, locale?: Locale) =>
+  format(date, 'MMMM yyyy', {locale})
 
-export interface UseMonthResult {
+export type MonthDay<TDate = Date> = number | {dayLabel: string; date: TDate}
+
+export interface UseMonthResult<TDate = Date> {
   weekdayLabels: string[]
-  days: (number | {dayLabel: string; date: Date})[]
+  days: MonthDay<TDate>[]
   monthLabel: string
 }
 
-export interface UseMonthProps extends GetWeekdayLabelsProps, GetDaysProps {
+export interface UseMonthProps<TDate = Date> extends GetWeekdayLabelsProps, GetDaysProps {
   monthLabelFormat?(date: Date): string
+  dateAdapter?: DateAdapter<TDate>
+}
+
+function fromNativeDays<TDate>(
+  days: MonthDay[],
+  dateAdapter?: DateAdapter<TDate>,
+): MonthDay<TDate>[] {
+  if (!dateAdapter) {
+    return (days as unknown) as MonthDay<TDate>[]
+  }
+
+  return days.map(day =>
+    typeof day === 'number' ? day : {...day, date: dateAdapter.fromDate(day.date)},
+  )
 }
 
-export function useMonth({
+// The labels and the first day of the week follow the locale, unless they are set. The year and
+// month are counted in the calendar, which also labels the days and the month. The dates of the
+// days are the app's own dates with a dateAdapter, the label formats receive native Dates.
+export function useMonth<TDate = Date>({
   year,
   month,
-  firstDayOfWeek = 1,
-  dayLabelFormat = dayLabelFormatFn,
-  weekdayLabelFormat = weekdayLabelFormatFn,
-  monthLabelFormat = monthLabelFormatFn,
-}: UseMonthProps): UseMonthResult {
-  const days = useMemo(() => getDays({year, month, firstDayOfWeek, dayLabelFormat}), [
-    year,
-    month,
-    firstDayOfWeek,
-    dayLabelFormat,
-  ])
-  const weekdayLabels = useMemo(() => getWeekdayLabels({firstDayOfWeek, weekdayLabelFormat}), [
-    firstDayOfWeek,
-    weekdayLabelFormat,
-  ])
+  locale,
+  calendar = gregorianCalendar,
+  firstDayOfWeek = getFirstDayOfWeek(locale),
+  dayLabelFormat,
+  weekdayLabelFormat,
+  monthLabelFormat = (date: Date) => calendar.formatMonth(date, locale),
+  dateAdapter,
+}: UseMonthProps<TDate>): UseMonthResult<TDate> {
+  const days = useMemo(() => {
+    const nativeDays = getDays({
+      year,
+      month,
+      firstDayOfWeek,
+      calendar,
+      dayLabelFormat: dayLabelFormat || (date => calendar.formatDay(date, locale)),
+    })
+
+    return fromNativeDays(nativeDays, dateAdapter)
+  }, [year, month, firstDayOfWeek, dayLabelFormat, locale, calendar, dateAdapter])
+  const weekdayLabels = useMemo(
+    () =>
+      getWeekdayLabels({
+        firstDayOfWeek,
+        weekdayLabelFormat: weekdayLabelFormat || (date => weekdayLabelFormatFn(date, locale)),
+      }),
+    [firstDayOfWeek, weekdayLabelFormat, locale],
+  )
 
   return {
     days,
     weekdayLabels,
-    monthLabel: monthLabelFormat(new Date(year, month)),
+    monthLabel: monthLabelFormat(calendar.getMonthStart(year, month)),
   }
 }
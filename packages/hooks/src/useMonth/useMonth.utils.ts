@@ -1,21 +1,31 @@
 import addDays from 'date-fns/addDays'
 import eachDay from 'date-fns/eachDayOfInterval'
-import endOfMonth from 'date-fns/endOfMonth'
 import endOfWeek from 'date-fns/endOfWeek'
 import format from 'date-fns/format'
 import getDay from 'date-fns/getDay'
-import startOfMonth from 'date-fns/startOfMonth'
 import startOfWeek from 'date-fns/startOfWeek'
+import {Locale} from 'date-fns'
+import {Calendar, gregorianCalendar} from '../calendar/calendar'
 
 type FirstDayOfWeek = 0 | 1 | 2 | 3 | 4 | 5 | 6
+
+// The week of the locale starts on its weekStartsOn day, weeks without a locale start on Monday
+export function getFirstDayOfWeek(locale?: Locale): FirstDayOfWeek {
+  return locale && locale.options && locale.options.weekStartsOn !== undefined
+    ? locale.options.weekStartsOn
+    : 1
+}
+
 export interface GetWeekdayLabelsProps {
   firstDayOfWeek?: FirstDayOfWeek
   weekdayLabelFormat?(date: Date): string
+  locale?: Locale
 }
 
 export function getWeekdayLabels({
   firstDayOfWeek = 1,
-  weekdayLabelFormat = (date: Date) => format(date, 'iiiiii'),
+  locale,
+  weekdayLabelFormat = (date: Date) => format(date, 'iiiiii', {locale}),
 }: GetWeekdayLabelsProps = {}) {
   const now = new Date()
   const arr = eachDay({
@@ -34,6 +44,8 @@ export interface GetDaysProps {
   month: number
   firstDayOfWeek?: FirstDayOfWeek
   dayLabelFormat?(date: Date): string
+  locale?: Locale
+  calendar?: Calendar
 }
 
 export type CalendarDay = number | {dayLabel: string; date: Date}
@@ -41,13 +53,13 @@ export function getDays({
   year,
   month,
   firstDayOfWeek = 1,
-  dayLabelFormat = (date: Date) => format(date, 'dd'),
+  locale,
+  calendar = gregorianCalendar,
+  dayLabelFormat = (date: Date) => calendar.formatDay(date, locale),
 }: GetDaysProps): CalendarDay[] {
-  const date = new Date(year, month)
-
-  const monthStart = startOfMonth(date)
+  // The year and month are counted in the calendar
+  const monthStart = calendar.getMonthStart(year, month)
   const monthStartDay = getDay(monthStart)
-  const monthEnd = endOfMonth(date)
 
   const prevMonthDays = Array.from(
     Array(
@@ -56,10 +68,13 @@ export function getDays({
         : 6 - firstDayOfWeek + monthStartDay + 1,
     ).keys(),
   ).fill(0)
-  const days = eachDay({start: monthStart, end: monthEnd}).map(date => ({
-    date,
-    dayLabel: dayLabelFormat(date),
-  }))
+  const days = Array.from(Array(calendar.getDaysInMonth(monthStart)).keys()).map(index => {
+    const date = addDays(monthStart, index)
+    return {
+      date,
+      dayLabel: dayLabelFormat(date),
+    }
+  })
 
   return [...prevMonthDays, ...days]
 }
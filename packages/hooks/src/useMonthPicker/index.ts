@@ -0,0 +1,32 @@
+import {
+  useMonthPicker,
+  UseMonthPickerProps,
+  MonthPickerSelectionMode,
+  yearLabelFormatFn as yearLabelFormat,
+  monthPickerLabelFormatFn as monthPickerLabelFormat,
+} from './useMonthPicker'
+import {useMonthPickerMonth, UseMonthPickerMonthProps} from './useMonthPickerMonth'
+import {
+  getMonths,
+  getInitialYears,
+  isMonthBlocked,
+  CalendarMonth,
+  YearType,
+  GetMonthsProps,
+} from './useMonthPicker.utils'
+
+export {
+  useMonthPicker,
+  UseMonthPickerProps,
+  MonthPickerSelectionMode,
+  yearLabelFormat,
+  monthPickerLabelFormat,
+  useMonthPickerMonth,
+  UseMonthPickerMonthProps,
+  getMonths,
+  getInitialYears,
+  isMonthBlocked,
+  CalendarMonth,
+  YearType,
+  GetMonthsProps,
+}
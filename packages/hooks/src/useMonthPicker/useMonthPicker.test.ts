@@ -0,0 +1,303 @@
+import {renderHook, act} from '@testing-library/react-hooks'
+import {advanceTo, clear} from 'jest-date-mock'
+import {useMonthPicker, useMonthPickerMonth, getMonths, getInitialYears, isMonthBlocked} from '.'
+import de from 'date-fns/locale/de'
+import {START_DATE, END_DATE} from '../useDatepicker'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+describe('getMonths', () => {
+  test('should return 12 months of the year', () => {
+    const months = getMonths({year: 2019})
+    expect(months.length).toBe(12)
+    expect(months[0]).toEqual({monthLabel: 'Jan', date: new Date(2019, 0, 1, 0, 0, 0)})
+    expect(months[11]).toEqual({monthLabel: 'Dec', date: new Date(2019, 11, 1, 0, 0, 0)})
+  })
+  test('should format the months with the locale', () => {
+    expect(getMonths({year: 2019, locale: de})[2].monthLabel).toBe('Mär')
+  })
+})
+
+describe('getInitialYears', () => {
+  test('should return consecutive years', () => {
+    expect(getInitialYears(1, 2019)).toEqual([2019])
+    expect(getInitialYears(3, 2019)).toEqual([2019, 2020, 2021])
+  })
+})
+
+describe('isMonthBlocked', () => {
+  test('should block months outside of the booking dates', () => {
+    const minBookingDate = new Date(2019, 2, 15, 0, 0, 0)
+    const maxBookingDate = new Date(2019, 8, 15, 0, 0, 0)
+    expect(isMonthBlocked({date: new Date(2019, 1, 1), minBookingDate, maxBookingDate})).toBe(true)
+    expect(isMonthBlocked({date: new Date(2019, 2, 1), minBookingDate, maxBookingDate})).toBe(false)
+    expect(isMonthBlocked({date: new Date(2019, 8, 1), minBookingDate, maxBookingDate})).toBe(false)
+    expect(isMonthBlocked({date: new Date(2019, 9, 1), minBookingDate, maxBookingDate})).toBe(true)
+    expect(
+      isMonthBlocked({date: new Date(2019, 5, 1), isMonthBlockedFn: date => date.getMonth() === 5}),
+    ).toBe(true)
+  })
+})
+
+describe('useMonthPicker', () => {
+  test('should render the year of the selected month', () => {
+    const {result} = renderHook(() =>
+      useMonthPicker({date: new Date(2017, 4, 1, 0, 0, 0), numberOfYears: 2}),
+    )
+    expect(result.current.activeYears.map(year => year.yearLabel)).toEqual(['2017', '2018'])
+    expect(result.current.activeYears[0].months.length).toBe(12)
+    expect(result.current.isMonthSelected(new Date(2017, 4, 1, 0, 0, 0))).toBe(true)
+    expect(result.current.isMonthSelected(new Date(2018, 4, 1, 0, 0, 0))).toBe(false)
+  })
+
+  test('should render the current year', () => {
+    const {result} = renderHook(() => useMonthPicker({}))
+    expect(result.current.activeYears[0].year).toBe(2019)
+  })
+
+  test('should select a single month', () => {
+    const onDateChange = jest.fn()
+    const {result} = renderHook(() =>
+      useMonthPicker({
+        date: null,
+        onDateChange,
+        minBookingDate: new Date(2019, 2, 15, 0, 0, 0),
+      }),
+    )
+
+    act(() => {
+      result.current.onMonthSelect(new Date(2019, 5, 20, 0, 0, 0))
+    })
+    expect(onDateChange).toBeCalledWith({date: new Date(2019, 5, 1, 0, 0, 0)})
+
+    // Blocked month
+    act(() => {
+      result.current.onMonthSelect(new Date(2019, 1, 1, 0, 0, 0))
+    })
+    expect(onDateChange).toBeCalledTimes(1)
+
+    act(() => {
+      result.current.onResetDates()
+    })
+    expect(onDateChange).toBeCalledWith({date: null})
+  })
+
+  test('should select a range of months', () => {
+    const onDatesChange = jest.fn()
+    const {result, rerender} = renderHook(props => useMonthPicker(props), {
+      initialProps: {
+        selectionMode: 'range' as 'range',
+        startDate: null as Date | null,
+        endDate: null as Date | null,
+        focusedInput: START_DATE as 'startDate' | 'endDate',
+        onDatesChange,
+        isMonthBlocked: (date: Date) => date.getMonth() === 8,
+      },
+    })
+
+    act(() => {
+      result.current.onMonthSelect(new Date(2019, 3, 1, 0, 0, 0))
+    })
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 1, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+
+    rerender({
+      selectionMode: 'range',
+      startDate: new Date(2019, 3, 1, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      onDatesChange,
+      isMonthBlocked: (date: Date) => date.getMonth() === 8,
+    })
+
+    act(() => {
+      result.current.onMonthHover(new Date(2019, 5, 1, 0, 0, 0))
+    })
+    expect(result.current.isMonthHovered(new Date(2019, 4, 1, 0, 0, 0))).toBe(true)
+    expect(result.current.isMonthHovered(new Date(2019, 6, 1, 0, 0, 0))).toBe(false)
+
+    // Range over a blocked month starts a new range
+    act(() => {
+      result.current.onMonthSelect(new Date(2019, 10, 1, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 10, 1, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+    })
+
+    act(() => {
+      result.current.onMonthSelect(new Date(2019, 5, 1, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 3, 1, 0, 0, 0),
+      endDate: new Date(2019, 5, 1, 0, 0, 0),
+      focusedInput: null,
+    })
+
+    rerender({
+      selectionMode: 'range',
+      startDate: new Date(2019, 3, 1, 0, 0, 0),
+      endDate: new Date(2019, 5, 1, 0, 0, 0),
+      focusedInput: START_DATE,
+      onDatesChange,
+      isMonthBlocked: (date: Date) => date.getMonth() === 8,
+    })
+    expect(result.current.isMonthSelected(new Date(2019, 4, 1, 0, 0, 0))).toBe(true)
+    expect(result.current.isFirstOrLastSelectedMonth(new Date(2019, 4, 1, 0, 0, 0))).toBe(false)
+    expect(result.current.isFirstOrLastSelectedMonth(new Date(2019, 5, 1, 0, 0, 0))).toBe(true)
+
+    // New start date before the end date keeps the end date
+    act(() => {
+      result.current.onMonthSelect(new Date(2019, 1, 1, 0, 0, 0))
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: new Date(2019, 1, 1, 0, 0, 0),
+      endDate: new Date(2019, 5, 1, 0, 0, 0),
+      focusedInput: END_DATE,
+    })
+
+    act(() => {
+      result.current.onResetDates()
+    })
+    expect(onDatesChange).toHaveBeenLastCalledWith({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+    })
+  })
+
+  test('should page years', () => {
+    const {result} = renderHook(() => useMonthPicker({initialVisibleYear: 2020}))
+    expect(result.current.activeYears[0].year).toBe(2020)
+
+    act(() => {
+      result.current.goToNextYear()
+    })
+    expect(result.current.activeYears[0].year).toBe(2021)
+
+    act(() => {
+      result.current.goToPreviousYear(2)
+    })
+    expect(result.current.activeYears[0].year).toBe(2019)
+
+    act(() => {
+      result.current.onMonthFocus(new Date(2017, 11, 1, 0, 0, 0))
+    })
+    expect(result.current.activeYears[0].year).toBe(2017)
+    expect(result.current.isMonthFocused(new Date(2017, 11, 1, 0, 0, 0))).toBe(true)
+  })
+})
+
+describe('useMonthPickerMonth', () => {
+  const date = new Date(2019, 5, 1, 0, 0, 0)
+  const monthRef = {
+    current: {
+      focus: jest.fn(),
+    },
+  }
+
+  test('should move focus with the keyboard', () => {
+    const onMonthFocus = jest.fn()
+    const {result} = renderHook(() =>
+      useMonthPickerMonth({
+        date,
+        // @ts-ignore
+        monthRef,
+        focusedMonth: date,
+        isMonthFocused: () => true,
+        isMonthSelected: () => false,
+        isMonthHovered: () => false,
+        isMonthBlocked: () => false,
+        isFirstOrLastSelectedMonth: () => false,
+        onMonthFocus,
+        onMonthSelect: jest.fn(),
+        onMonthHover: jest.fn(),
+      }),
+    )
+
+    expect(monthRef.current.focus).toBeCalled()
+    expect(result.current.tabIndex).toBe(0)
+
+    const keys = ['ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown', 'PageUp', 'PageDown']
+    keys.forEach(key => {
+      // @ts-ignore
+      result.current.onKeyDown({key})
+    })
+    expect(onMonthFocus.mock.calls.map(call => call[0])).toEqual([
+      new Date(2019, 6, 1, 0, 0, 0),
+      new Date(2019, 4, 1, 0, 0, 0),
+      new Date(2019, 2, 1, 0, 0, 0),
+      new Date(2019, 8, 1, 0, 0, 0),
+      new Date(2018, 5, 1, 0, 0, 0),
+      new Date(2020, 5, 1, 0, 0, 0),
+    ])
+  })
+
+  test('should move focus by years', () => {
+    const onMonthFocus = jest.fn()
+    const {result} = renderHook(() =>
+      useMonthPickerMonth({
+        date,
+        // @ts-ignore
+        monthRef,
+        unit: 'year',
+        focusedMonth: null,
+        isMonthFocused: () => false,
+        isMonthSelected: () => false,
+        isMonthHovered: () => false,
+        isMonthBlocked: () => false,
+        isFirstOrLastSelectedMonth: () => false,
+        onMonthFocus,
+        onMonthSelect: jest.fn(),
+        onMonthHover: jest.fn(),
+      }),
+    )
+
+    const keys = ['ArrowRight', 'ArrowUp', 'PageDown']
+    keys.forEach(key => {
+      // @ts-ignore
+      result.current.onKeyDown({key})
+    })
+    expect(onMonthFocus.mock.calls.map(call => call[0])).toEqual([
+      new Date(2020, 5, 1, 0, 0, 0),
+      new Date(2016, 5, 1, 0, 0, 0),
+      new Date(2029, 5, 1, 0, 0, 0),
+    ])
+  })
+
+  test('should not select a blocked month', () => {
+    const onMonthSelect = jest.fn()
+    const {result} = renderHook(() =>
+      useMonthPickerMonth({
+        date,
+        // @ts-ignore
+        monthRef,
+        focusedMonth: null,
+        isMonthFocused: () => false,
+        isMonthSelected: () => false,
+        isMonthHovered: () => false,
+        isMonthBlocked: () => true,
+        isFirstOrLastSelectedMonth: () => false,
+        onMonthFocus: jest.fn(),
+        onMonthSelect,
+        onMonthHover: jest.fn(),
+      }),
+    )
+
+    act(() => {
+      result.current.onClick()
+    })
+    expect(onMonthSelect).not.toBeCalled()
+    expect(result.current.disabledMonth).toBe(true)
+  })
+})
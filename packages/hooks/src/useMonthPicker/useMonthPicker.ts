@@ -0,0 +1,197 @@
+import {useState} from 'react'
+import startOfMonth from 'date-fns/startOfMonth'
+import isBefore from 'date-fns/isBefore'
+import isAfter from 'date-fns/isAfter'
+import isSameMonth from 'date-fns/isSameMonth'
+import format from 'date-fns/format'
+import {
+  getMonths,
+  getInitialYears,
+  isMonthBlocked as isMonthBlockedFn,
+  isMonthInRange,
+  canSelectMonthRange,
+  YearType,
+} from './useMonthPicker.utils'
+import {
+  START_DATE,
+  END_DATE,
+  FocusedInput,
+  OnDatesChangeProps,
+  OnDateChangeProps,
+} from '../useDatepicker'
+
+export const yearLabelFormatFn = (date: Date) => format(date, 'yyyy')
+export const monthPickerLabelFormatFn = (date: Date) => format(date, 'MMM')
+
+export type MonthPickerSelectionMode = 'single' | 'range'
+
+export interface UseMonthPickerProps {
+  selectionMode?: MonthPickerSelectionMode
+  date?: Date | null
+  startDate?: Date | null
+  endDate?: Date | null
+  focusedInput?: FocusedInput
+  onDateChange?(data: OnDateChangeProps): void
+  onDatesChange?(data: OnDatesChangeProps): void
+  minBookingDate?: Date
+  maxBookingDate?: Date
+  numberOfYears?: number
+  initialVisibleYear?: number
+  isMonthBlocked?(date: Date): boolean
+  monthLabelFormat?(date: Date): string
+  yearLabelFormat?(date: Date): string
+}
+
+export function useMonthPicker({
+  selectionMode = 'single',
+  date = null,
+  startDate = null,
+  endDate = null,
+  focusedInput = null,
+  onDateChange = () => {},
+  onDatesChange = () => {},
+  minBookingDate,
+  maxBookingDate,
+  numberOfYears = 1,
+  initialVisibleYear,
+  isMonthBlocked: isMonthBlockedProps = () => false,
+  monthLabelFormat = monthPickerLabelFormatFn,
+  yearLabelFormat = yearLabelFormatFn,
+}: UseMonthPickerProps) {
+  const isRangeMode = selectionMode === 'range'
+  const initialDate = isRangeMode ? startDate : date
+  const [activeYears, setActiveYears] = useState(() =>
+    getInitialYears(
+      numberOfYears,
+      initialDate
+        ? initialDate.getFullYear()
+        : initialVisibleYear !== undefined
+        ? initialVisibleYear
+        : new Date().getFullYear(),
+    ),
+  )
+  const [hoveredMonth, setHoveredMonth] = useState<Date | null>(null)
+  const [focusedMonth, setFocusedMonth] = useState<Date | null>(initialDate)
+
+  const years: YearType[] = activeYears.map(year => ({
+    year,
+    yearLabel: yearLabelFormat(new Date(year, 0, 1)),
+    months: getMonths({year, monthLabelFormat}),
+  }))
+
+  const isMonthBlocked = (date: Date) =>
+    isMonthBlockedFn({
+      date,
+      minBookingDate,
+      maxBookingDate,
+      isMonthBlockedFn: isMonthBlockedProps,
+    })
+
+  const isMonthSelected = (month: Date) =>
+    isRangeMode ? isMonthInRange(month, startDate, endDate) : !!date && isSameMonth(month, date)
+
+  const isFirstOrLastSelectedMonth = (month: Date) =>
+    isRangeMode
+      ? (!!startDate && isSameMonth(month, startDate)) || (!!endDate && isSameMonth(month, endDate))
+      : isMonthSelected(month)
+
+  const isMonthHovered = (month: Date) =>
+    isRangeMode &&
+    !!hoveredMonth &&
+    !!startDate &&
+    !endDate &&
+    !isBefore(hoveredMonth, startOfMonth(startDate)) &&
+    isMonthInRange(month, startDate, hoveredMonth)
+
+  const isMonthFocused = (month: Date) => !!focusedMonth && isSameMonth(month, focusedMonth)
+
+  function onMonthFocus(month: Date) {
+    setFocusedMonth(month)
+
+    if (!activeYears.includes(month.getFullYear())) {
+      setActiveYears(
+        getInitialYears(
+          numberOfYears,
+          month.getFullYear() < activeYears[0]
+            ? month.getFullYear() - numberOfYears + 1
+            : month.getFullYear(),
+        ),
+      )
+    }
+  }
+
+  function onMonthSelect(month: Date) {
+    const selectedMonth = startOfMonth(month)
+
+    if (isMonthBlocked(selectedMonth)) {
+      return
+    }
+
+    if (!isRangeMode) {
+      onDateChange({date: selectedMonth})
+    } else if (
+      focusedInput === END_DATE &&
+      startDate &&
+      !isBefore(selectedMonth, startOfMonth(startDate)) &&
+      canSelectMonthRange(startDate, selectedMonth, isMonthBlocked)
+    ) {
+      onDatesChange({startDate, endDate: selectedMonth, focusedInput: null})
+    } else {
+      const keepEndDate =
+        focusedInput === START_DATE &&
+        !!endDate &&
+        !isAfter(selectedMonth, endDate) &&
+        canSelectMonthRange(selectedMonth, endDate, isMonthBlocked)
+
+      onDatesChange({
+        startDate: selectedMonth,
+        endDate: keepEndDate ? endDate : null,
+        focusedInput: END_DATE,
+      })
+    }
+
+    setHoveredMonth(null)
+    setFocusedMonth(selectedMonth)
+  }
+
+  function onMonthHover(month: Date | null) {
+    setHoveredMonth(month && !isMonthBlocked(month) ? startOfMonth(month) : null)
+  }
+
+  function onResetDates() {
+    if (isRangeMode) {
+      onDatesChange({startDate: null, endDate: null, focusedInput: START_DATE})
+    } else {
+      onDateChange({date: null})
+    }
+  }
+
+  function goToPreviousYear(numYears: number = 1) {
+    setActiveYears(activeYears.map(year => year - numYears))
+    setFocusedMonth(null)
+  }
+
+  function goToNextYear(numYears: number = 1) {
+    setActiveYears(activeYears.map(year => year + numYears))
+    setFocusedMonth(null)
+  }
+
+  return {
+    selectionMode,
+    activeYears: years,
+    numberOfYears,
+    focusedMonth,
+    hoveredMonth,
+    isMonthSelected,
+    isMonthHovered,
+    isMonthBlocked,
+    isMonthFocused,
+    isFirstOrLastSelectedMonth,
+    onMonthSelect,
+    onMonthHover,
+    onMonthFocus,
+    onResetDates,
+    goToPreviousYear,
+    goToNextYear,
+  }
+}
@@ -0,0 +1,83 @@
+import startOfMonth from 'date-fns/startOfMonth'
+import endOfMonth from 'date-fns/endOfMonth'
+import isBefore from 'date-fns/isBefore'
+import isAfter from 'date-fns/isAfter'
+import isSameMonth from 'date-fns/isSameMonth'
+import eachMonthOfInterval from 'date-fns/eachMonthOfInterval'
+import format from 'date-fns/format'
+import {Locale} from 'date-fns'
+
+export interface CalendarMonth {
+  monthLabel: string
+  date: Date
+}
+
+export interface YearType {
+  year: number
+  yearLabel: string
+  months: CalendarMonth[]
+}
+
+export interface GetMonthsProps {
+  year: number
+  monthLabelFormat?(date: Date): string
+  locale?: Locale
+}
+
+export function getMonths({
+  year,
+  locale,
+  monthLabelFormat = (date: Date) => format(date, 'MMM', {locale}),
+}: GetMonthsProps): CalendarMonth[] {
+  return Array.from(Array(12).keys()).map(month => {
+    const date = new Date(year, month, 1)
+
+    return {
+      monthLabel: monthLabelFormat(date),
+      date,
+    }
+  })
+}
+
+export function getInitialYears(numberOfYears: number, year: number) {
+  return Array.from(Array(numberOfYears).keys()).map(index => year + index)
+}
+
+interface IsMonthBlockedProps {
+  date: Date
+  minBookingDate?: Date
+  maxBookingDate?: Date
+  isMonthBlockedFn?: (date: Date) => boolean
+}
+
+export function isMonthBlocked({
+  date,
+  minBookingDate,
+  maxBookingDate,
+  isMonthBlockedFn = () => false,
+}: IsMonthBlockedProps) {
+  return !!(
+    (minBookingDate && isBefore(endOfMonth(date), minBookingDate)) ||
+    (maxBookingDate && isAfter(startOfMonth(date), maxBookingDate)) ||
+    isMonthBlockedFn(startOfMonth(date))
+  )
+}
+
+export function isMonthInRange(date: Date, startDate: Date | null, endDate: Date | null) {
+  if (startDate && endDate) {
+    return (
+      !isBefore(startOfMonth(date), startOfMonth(startDate)) &&
+      !isAfter(startOfMonth(date), startOfMonth(endDate))
+    )
+  }
+
+  return !!startDate && isSameMonth(date, startDate)
+}
+
+export function canSelectMonthRange(
+  startDate: Date,
+  endDate: Date,
+  isMonthBlockedFn: (date: Date) => boolean,
+) {
+  return !eachMonthOfInterval({start: startDate, end: endDate}).some(isMonthBlockedFn)
+}
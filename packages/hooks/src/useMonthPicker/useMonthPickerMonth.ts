@@ -0,0 +1,76 @@
+import React, {useCallback, useEffect} from 'react'
+import addMonths from 'date-fns/addMonths'
+import addYears from 'date-fns/addYears'
+
+export const MONTHS_PER_ROW = 3
+
+export interface UseMonthPickerMonthProps {
+  date: Date
+  focusedMonth: Date | null
+  isMonthFocused(date: Date): boolean
+  isMonthSelected(date: Date): boolean
+  isMonthHovered(date: Date): boolean
+  isMonthBlocked(date: Date): boolean
+  isFirstOrLastSelectedMonth(date: Date): boolean
+  onMonthFocus(date: Date): void
+  onMonthSelect(date: Date): void
+  onMonthHover(date: Date): void
+  monthRef: React.RefObject<HTMLButtonElement>
+  monthsPerRow?: number
+  unit?: 'month' | 'year'
+}
+
+export function useMonthPickerMonth({
+  date,
+  focusedMonth,
+  isMonthFocused,
+  isMonthSelected,
+  isMonthHovered,
+  isMonthBlocked,
+  isFirstOrLastSelectedMonth,
+  onMonthFocus,
+  onMonthSelect,
+  onMonthHover,
+  monthRef,
+  monthsPerRow = MONTHS_PER_ROW,
+  unit = 'month',
+}: UseMonthPickerMonthProps) {
+  // The same grid is used for years, where a page is a decade
+  const add = unit === 'year' ? addYears : addMonths
+  const page = unit === 'year' ? 10 : 12
+  const onClick = useCallback(() => onMonthSelect(date), [date, onMonthSelect])
+  const onMouseEnter = useCallback(() => onMonthHover(date), [date, onMonthHover])
+
+  useEffect(() => {
+    if (monthRef && monthRef.current && isMonthFocused(date)) {
+      monthRef.current.focus()
+    }
+  }, [monthRef, date, isMonthFocused])
+
+  const disabled = isMonthBlocked(date)
+
+  return {
+    tabIndex: focusedMonth === null || isMonthFocused(date) ? 0 : -1,
+    isSelected: isMonthSelected(date),
+    isSelectedStartOrEnd: isFirstOrLastSelectedMonth(date),
+    isWithinHoverRange: isMonthHovered(date),
+    disabledMonth: disabled,
+    onKeyDown: (e: React.KeyboardEvent<HTMLButtonElement>) => {
+      if (e.key === 'ArrowRight') {
+        onMonthFocus(add(date, 1))
+      } else if (e.key === 'ArrowLeft') {
+        onMonthFocus(add(date, -1))
+      } else if (e.key === 'ArrowUp') {
+        onMonthFocus(add(date, -monthsPerRow))
+      } else if (e.key === 'ArrowDown') {
+        onMonthFocus(add(date, monthsPerRow))
+      } else if (e.key === 'PageUp') {
+        onMonthFocus(add(date, -page))
+      } else if (e.key === 'PageDown') {
+        onMonthFocus(add(date, page))
+      }
+    },
+    onClick: disabled ? () => {} : onClick,
+    onMouseEnter,
+  }
+}
@@ -0,0 +1,4 @@
+import {usePresets, UsePresetsProps} from './usePresets'
+import {getPresetRange, Preset, PresetRange, PresetType} from './usePresets.utils'
+
+export {usePresets, UsePresetsProps, getPresetRange, Preset, PresetRange, PresetType}
@@ -0,0 +1,173 @@
+import {renderHook} from '@testing-library/react-hooks'
+import {advanceTo, clear} from 'jest-date-mock'
+import addDays from 'date-fns/addDays'
+import startOfMonth from 'date-fns/startOfMonth'
+import endOfMonth from 'date-fns/endOfMonth'
+import {usePresets, getPresetRange} from '.'
+import * as utils from '../useDatepicker/useDatepicker.utils'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 10, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+const presets = [
+  {label: 'Last 7 days', range: (today: Date) => ({startDate: addDays(today, -6), endDate: today})},
+  {
+    label: 'This month',
+    range: (today: Date) => ({startDate: startOfMonth(today), endDate: endOfMonth(today)}),
+  },
+  {
+    label: 'Christmas',
+    range: {startDate: new Date(2019, 11, 24, 0, 0, 0), endDate: new Date(2019, 11, 26, 0, 0, 0)},
+  },
+]
+
+describe('getPresetRange', () => {
+  test('should return the days of a fixed range or a function of today', () => {
+    const today = new Date(2019, 2, 27, 0, 0, 0)
+    expect(getPresetRange(presets[1], today)).toEqual({
+      startDate: new Date(2019, 2, 1, 0, 0, 0),
+      endDate: new Date(2019, 2, 31, 0, 0, 0),
+    })
+    expect(getPresetRange(presets[2], today)).toEqual({
+      startDate: new Date(2019, 11, 24, 0, 0, 0),
+      endDate: new Date(2019, 11, 26, 0, 0, 0),
+    })
+  })
+})
+
+describe('usePresets', () => {
+  test('should highlight the active preset', () => {
+    const {result} = renderHook(() =>
+      usePresets({
+        presets,
+        startDate: new Date(2019, 2, 21, 0, 0, 0),
+        endDate: new Date(2019, 2, 27, 18, 30, 0),
+        onDatesChange: jest.fn(),
+      }),
+    )
+
+    expect(result.current.presets.map(preset => preset.isActive)).toEqual([true, false, false])
+    expect(result.current.presets[0]).toEqual({
+      label: 'Last 7 days',
+      startDate: new Date(2019, 2, 21, 0, 0, 0),
+      endDate: new Date(2019, 2, 27, 0, 0, 0),
+      isActive: true,
+      isBlocked: false,
+    })
+  })
+
+  test('should select a preset', () => {
+    const onDatesChange = jest.fn()
+    const {result} = renderHook(() =>
+      usePresets({presets, startDate: null, endDate: null, onDatesChange}),
+    )
+
+    result.current.onPresetSelect(result.current.presets[2])
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 11, 24, 0, 0, 0),
+      endDate: new Date(2019, 11, 26, 0, 0, 0),
+      focusedInput: null,
+    })
+  })
+
+  test('should block presets that can not be selected', () => {
+    const onDatesChange = jest.fn()
+    const {result} = renderHook(() =>
+      usePresets({
+        presets,
+        startDate: null,
+        endDate: null,
+        onDatesChange,
+        minBookingDate: new Date(2019, 2, 25, 0, 0, 0),
+        maxBookingDays: 10,
+        unavailableDates: [new Date(2019, 11, 25, 0, 0, 0)],
+      }),
+    )
+
+    expect(result.current.presets.map(preset => preset.isBlocked)).toEqual([true, true, true])
+
+    result.current.onPresetSelect(result.current.presets[0])
+    expect(onDatesChange).not.toBeCalled()
+  })
+  test('should block presets with the rules of the calendar', () => {
+    const props = {presets, startDate: null, endDate: null, onDatesChange: jest.fn()}
+
+    const {result: unavailableRanges} = renderHook(() =>
+      usePresets({
+        ...props,
+        unavailableRanges: [
+          {start: new Date(2019, 2, 22, 0, 0, 0), end: new Date(2019, 2, 23, 0, 0, 0)},
+        ],
+      }),
+    )
+    expect(unavailableRanges.current.presets.map(preset => preset.isBlocked)).toEqual([
+      true,
+      true,
+      false,
+    ])
+
+    const {result: blockedNights} = renderHook(() =>
+      usePresets({
+        ...props,
+        isStartDateBlocked: date => date.getDate() === 21,
+        isNightBlocked: date => date.getMonth() === 11 && date.getDate() === 25,
+      }),
+    )
+    expect(blockedNights.current.presets.map(preset => preset.isBlocked)).toEqual([
+      true,
+      false,
+      true,
+    ])
+
+    const {result: exactMinBookingDays} = renderHook(() =>
+      usePresets({...props, minBookingDays: 3, exactMinBookingDays: true}),
+    )
+    expect(exactMinBookingDays.current.presets.map(preset => preset.isBlocked)).toEqual([
+      true,
+      true,
+      false,
+    ])
+  })
+})
+
+describe('the unavailable dates index of usePresets', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('should build the index once for the same unavailable dates', () => {
+    const createIndex = jest.spyOn(utils, 'createUnavailableDatesIndex')
+    const props = {presets, startDate: null, endDate: null, onDatesChange: jest.fn()}
+    const unavailableDates = [new Date(2019, 2, 10, 0, 0, 0)]
+    const unavailableRanges = [
+      {start: new Date(2019, 11, 25, 0, 0, 0), end: new Date(2019, 11, 26, 0, 0, 0)},
+    ]
+    const {result, rerender} = renderHook(
+      ({dates, ranges}) =>
+        usePresets({...props, unavailableDates: dates, unavailableRanges: ranges}),
+      {initialProps: {dates: unavailableDates, ranges: unavailableRanges}},
+    )
+    rerender({dates: unavailableDates, ranges: unavailableRanges})
+    expect(createIndex).toHaveBeenCalledTimes(1)
+    expect(result.current.presets.map(preset => preset.isBlocked)).toEqual([false, true, true])
+
+    rerender({dates: [], ranges: unavailableRanges})
+    expect(createIndex).toHaveBeenCalledTimes(2)
+    expect(result.current.presets.map(preset => preset.isBlocked)).toEqual([false, false, true])
+  })
+
+  test('should reuse the index without unavailable dates', () => {
+    const createIndex = jest.spyOn(utils, 'createUnavailableDatesIndex')
+    const {rerender} = renderHook(() =>
+      usePresets({presets, startDate: null, endDate: null, onDatesChange: jest.fn()}),
+    )
+    rerender()
+    rerender()
+    expect(createIndex).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,128 @@
+import {useMemo} from 'react'
+import startOfToday from 'date-fns/startOfToday'
+import isSameDay from 'date-fns/isSameDay'
+import addDays from 'date-fns/addDays'
+import {getPresetRange, Preset, PresetRange, PresetType} from './usePresets.utils'
+import {
+  canSelectRange,
+  createUnavailableDatesIndex,
+  getMinBookingDays,
+  getUserRangeRules,
+  isDateBlocked as isDateBlockedFn,
+  MinBookingDays,
+  UnavailableRange,
+} from '../useDatepicker/useDatepicker.utils'
+import {OnDatesChangeProps} from '../useDatepicker'
+
+// The defaults of the unavailable dates are the same arrays on every render, so their index is kept
+const NO_UNAVAILABLE_DATES: Date[] = []
+const NO_UNAVAILABLE_RANGES: UnavailableRange[] = []
+
+export interface UsePresetsProps {
+  presets: Preset[]
+  startDate: Date | null
+  endDate: Date | null
+  onDatesChange(data: OnDatesChangeProps): void
+  minBookingDate?: Date
+  maxBookingDate?: Date
+  minBookingDays?: MinBookingDays
+  maxBookingDays?: number
+  exactMinBookingDays?: boolean
+  isDateBlocked?(date: Date): boolean
+  isStartDateBlocked?(date: Date): boolean
+  isEndDateBlocked?(date: Date): boolean
+  isNightBlocked?(date: Date): boolean
+  unavailableDates?: Date[]
+  unavailableRanges?: UnavailableRange[]
+}
+
+export function usePresets({
+  presets,
+  startDate,
+  endDate,
+  onDatesChange,
+  minBookingDate,
+  maxBookingDate,
+  minBookingDays = 1,
+  maxBookingDays,
+  exactMinBookingDays = false,
+  isDateBlocked: isDateBlockedProps = () => false,
+  isStartDateBlocked = () => false,
+  isEndDateBlocked = () => false,
+  isNightBlocked = () => false,
+  unavailableDates = NO_UNAVAILABLE_DATES,
+  unavailableRanges = NO_UNAVAILABLE_RANGES,
+}: UsePresetsProps) {
+  const today = startOfToday()
+  const unavailableDatesIndex = useMemo(
+    () => createUnavailableDatesIndex(unavailableDates, unavailableRanges),
+    [unavailableDates, unavailableRanges],
+  )
+
+  // Presets don't depend on the current selection, so only the user's restrictions block them,
+  // the same way they block a range selected in the calendar
+  const rules = getUserRangeRules({
+    unavailableDatesIndex,
+    isDateBlocked: isDateBlockedProps,
+    isStartDateBlocked,
+    isNightBlocked,
+  })
+
+  const isDateBlocked = (date: Date) =>
+    isDateBlockedFn({
+      date,
+      startDate: null,
+      endDate: null,
+      minBookingDate,
+      maxBookingDate,
+      isDateBlockedFn: rules.isDateBlocked,
+    })
+
+  // With exact min booking days, the calendar only selects ranges of that length
+  const hasExactLength = ({startDate, endDate}: PresetRange) =>
+    !exactMinBookingDays ||
+    isSameDay(endDate, addDays(startDate, getMinBookingDays(minBookingDays, startDate) - 1))
+
+  const canSelectPreset = (range: PresetRange) =>
+    !isDateBlocked(range.startDate) &&
+    !isDateBlocked(range.endDate) &&
+    hasExactLength(range) &&
+    canSelectRange({
+      ...range,
+      isDateBlocked,
+      isRangeBlocked: rules.isRangeBlocked,
+      isStartDateBlocked: rules.isStartDateBlocked,
+      isEndDateBlocked,
+      minBookingDays,
+      maxBookingDays,
+      exactMinBookingDays,
+      minBookingDate,
+      maxBookingDate,
+    })
+
+  const presetItems: PresetType[] = presets.map(preset => {
+    const range = getPresetRange(preset, today)
+
+    return {
+      ...range,
+      label: preset.label,
+      isActive:
+        !!startDate &&
+        !!endDate &&
+        isSameDay(startDate, range.startDate) &&
+        isSameDay(endDate, range.endDate),
+      isBlocked: !canSelectPreset(range),
+    }
+  })
+
+  function onPresetSelect(preset: PresetType) {
+    if (!preset.isBlocked) {
+      onDatesChange({startDate: preset.startDate, endDate: preset.endDate, focusedInput: null})
+    }
+  }
+
+  return {
+    presets: presetItems,
+    onPresetSelect,
+  }
+}
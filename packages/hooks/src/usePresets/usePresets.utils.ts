@@ -0,0 +1,26 @@
+import startOfDay from 'date-fns/startOfDay'
+
+export interface PresetRange {
+  startDate: Date
+  endDate: Date
+}
+
+export interface Preset {
+  label: string
+  range: PresetRange | ((today: Date) => PresetRange)
+}
+
+export interface PresetType extends PresetRange {
+  label: string
+  isActive: boolean
+  isBlocked: boolean
+}
+
+export function getPresetRange(preset: Preset, today: Date): PresetRange {
+  const range = typeof preset.range === 'function' ? preset.range(today) : preset.range
+
+  return {
+    startDate: startOfDay(range.startDate),
+    endDate: startOfDay(range.endDate),
+  }
+}
@@ -0,0 +1,26 @@
+import {useTimepicker, UseTimepickerProps} from './useTimepicker'
+import {
+  getTimes,
+  getTimeFormat,
+  getTimeLabelFormat,
+  parseTime,
+  setTime,
+  keepTime,
+  TimeType,
+  HourFormat,
+  GetTimesProps,
+} from './useTimepicker.utils'
+
+export {
+  useTimepicker,
+  UseTimepickerProps,
+  getTimes,
+  getTimeFormat,
+  getTimeLabelFormat,
+  parseTime,
+  setTime,
+  keepTime,
+  TimeType,
+  HourFormat,
+  GetTimesProps,
+}
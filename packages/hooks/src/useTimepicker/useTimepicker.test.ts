@@ -0,0 +1,128 @@
+import {renderHook, act} from '@testing-library/react-hooks'
+import {
+  useTimepicker,
+  getTimes,
+  getTimeFormat,
+  getTimeLabelFormat,
+  parseTime,
+  setTime,
+  keepTime,
+} from '.'
+
+describe('parseTime', () => {
+  test('should parse hours and minutes', () => {
+    expect(parseTime('08:30')).toEqual({hours: 8, minutes: 30})
+    expect(parseTime('17')).toEqual({hours: 17, minutes: 0})
+  })
+})
+
+describe('setTime', () => {
+  test('should set the time of day', () => {
+    expect(setTime(new Date(2019, 2, 27, 23, 59, 59), {hours: 9, minutes: 15})).toEqual(
+      new Date(2019, 2, 27, 9, 15, 0),
+    )
+  })
+})
+
+describe('keepTime', () => {
+  test('should keep the time of the previous date', () => {
+    const previousDate = new Date(2019, 2, 1, 10, 30, 0)
+    expect(keepTime(new Date(2019, 2, 5, 0, 0, 0), previousDate)).toEqual(
+      new Date(2019, 2, 5, 10, 30, 0),
+    )
+    expect(keepTime(new Date(2019, 2, 5, 18, 0, 0), previousDate)).toEqual(
+      new Date(2019, 2, 5, 18, 0, 0),
+    )
+    expect(keepTime(new Date(2019, 2, 5, 0, 0, 0), null)).toEqual(new Date(2019, 2, 5, 0, 0, 0))
+    expect(keepTime(null, previousDate)).toBe(null)
+  })
+
+  test('should keep the previous date of the same day', () => {
+    const previousDate = new Date(2019, 2, 5, 10, 30, 15)
+    expect(keepTime(new Date(2019, 2, 5, 0, 0, 0), previousDate)).toBe(previousDate)
+  })
+})
+
+describe('getTimeFormat', () => {
+  test('should return the time format of the hour format', () => {
+    expect(getTimeFormat(12)).toBe('h:mm a')
+    expect(getTimeFormat(24)).toBe('HH:mm')
+  })
+})
+
+describe('getTimes', () => {
+  test('should return times between min and max time', () => {
+    const times = getTimes({minuteStep: 45, minTime: '08:00', maxTime: '10:00'})
+    expect(times).toEqual([
+      {hours: 8, minutes: 0, timeLabel: '08:00'},
+      {hours: 8, minutes: 45, timeLabel: '08:45'},
+      {hours: 9, minutes: 30, timeLabel: '09:30'},
+    ])
+  })
+
+  test('should return times of the whole day', () => {
+    const times = getTimes({minuteStep: 60, timeLabelFormat: getTimeLabelFormat(12)})
+    expect(times.length).toBe(24)
+    expect(times[0].timeLabel).toBe('12:00 AM')
+    expect(times[13].timeLabel).toBe('1:00 PM')
+  })
+
+  test('should step by at least a minute', () => {
+    expect(getTimes({minuteStep: 0, minTime: '08:00', maxTime: '08:02'})).toEqual([
+      {hours: 8, minutes: 0, timeLabel: '08:00'},
+      {hours: 8, minutes: 1, timeLabel: '08:01'},
+      {hours: 8, minutes: 2, timeLabel: '08:02'},
+    ])
+    expect(getTimes({minuteStep: -15, minTime: '08:00', maxTime: '08:01'}).length).toBe(2)
+  })
+
+  test('should step by the default step without a finite step', () => {
+    const times = getTimes({minTime: '08:00', maxTime: '09:00'})
+
+    expect(getTimes({minuteStep: NaN, minTime: '08:00', maxTime: '09:00'})).toEqual(times)
+    expect(getTimes({minuteStep: Infinity, minTime: '08:00', maxTime: '09:00'})).toEqual(times)
+    expect(times.map(time => time.timeLabel)).toEqual(['08:00', '08:30', '09:00'])
+  })
+})
+
+describe('useTimepicker', () => {
+  test('should select a time of the date', () => {
+    const onTimeChange = jest.fn()
+    const {result} = renderHook(() =>
+      useTimepicker({
+        date: new Date(2019, 2, 27, 10, 0, 0),
+        onTimeChange,
+        minTime: '08:00',
+        maxTime: '20:00',
+        hourFormat: 12,
+        isTimeBlocked: (date: Date) => date.getHours() === 12,
+      }),
+    )
+    expect(result.current.times.length).toBe(25)
+    expect(result.current.times[0].timeLabel).toBe('8:00 AM')
+    expect(result.current.isTimeSelected({hours: 10, minutes: 0, timeLabel: '10:00 AM'})).toBe(true)
+
+    act(() => {
+      result.current.onTimeSelect({hours: 14, minutes: 30, timeLabel: '2:30 PM'})
+    })
+    expect(onTimeChange).toBeCalledWith(new Date(2019, 2, 27, 14, 30, 0))
+
+    // Blocked time
+    act(() => {
+      result.current.onTimeSelect({hours: 12, minutes: 0, timeLabel: '12:00 PM'})
+    })
+    expect(onTimeChange).toBeCalledTimes(1)
+  })
+
+  test('should block times without a date', () => {
+    const onTimeChange = jest.fn()
+    const {result} = renderHook(() => useTimepicker({date: null, onTimeChange}))
+    expect(result.current.times[0].timeLabel).toBe('00:00')
+    expect(result.current.isTimeBlocked(result.current.times[0])).toBe(true)
+
+    act(() => {
+      result.current.onTimeSelect(result.current.times[0])
+    })
+    expect(onTimeChange).not.toBeCalled()
+  })
+})
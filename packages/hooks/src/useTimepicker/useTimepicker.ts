@@ -0,0 +1,45 @@
+import {getTimes, getTimeLabelFormat, setTime, TimeType, HourFormat} from './useTimepicker.utils'
+
+export interface UseTimepickerProps {
+  date: Date | null
+  onTimeChange(date: Date): void
+  minuteStep?: number
+  minTime?: string
+  maxTime?: string
+  hourFormat?: HourFormat
+  isTimeBlocked?(date: Date): boolean
+  timeLabelFormat?(date: Date): string
+}
+
+export function useTimepicker({
+  date,
+  onTimeChange,
+  minuteStep = 30,
+  minTime = '00:00',
+  maxTime = '23:59',
+  hourFormat = 24,
+  isTimeBlocked: isTimeBlockedProps = () => false,
+  timeLabelFormat = getTimeLabelFormat(hourFormat),
+}: UseTimepickerProps) {
+  const times = getTimes({minuteStep, minTime, maxTime, timeLabelFormat})
+
+  const isTimeSelected = (time: TimeType) =>
+    !!date && date.getHours() === time.hours && date.getMinutes() === time.minutes
+
+  // Times can be selected only when there is a date to set them on
+  const isTimeBlocked = (time: TimeType) => !date || isTimeBlockedProps(setTime(date, time))
+
+  function onTimeSelect(time: TimeType) {
+    if (date && !isTimeBlocked(time)) {
+      onTimeChange(setTime(date, time))
+    }
+  }
+
+  return {
+    times,
+    hourFormat,
+    isTimeSelected,
+    isTimeBlocked,
+    onTimeSelect,
+  }
+}
@@ -0,0 +1,84 @@
+import format from 'date-fns/format'
+import isSameDay from 'date-fns/isSameDay'
+
+export interface TimeType {
+  hours: number
+  minutes: number
+  timeLabel: string
+}
+
+export type HourFormat = 12 | 24
+
+export function parseTime(time: string) {
+  const [hours, minutes = '0'] = time.split(':')
+
+  return {hours: parseInt(hours, 10), minutes: parseInt(minutes, 10)}
+}
+
+export function setTime(date: Date, {hours, minutes}: {hours: number; minutes: number}) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes, 0)
+}
+
+// Keeps the time of the date it replaces. Dates at midnight, like the ones of the day cells, have no
+// time of their own. The date it replaces on the same day is kept as it is.
+export function keepTime(date: Date | null, previousDate: Date | null) {
+  if (!date || !previousDate || date.getHours() !== 0 || date.getMinutes() !== 0) {
+    return date
+  }
+
+  if (isSameDay(date, previousDate)) {
+    return previousDate
+  }
+
+  return setTime(date, {hours: previousDate.getHours(), minutes: previousDate.getMinutes()})
+}
+
+export function getTimeFormat(hourFormat: HourFormat) {
+  return hourFormat === 12 ? 'h:mm a' : 'HH:mm'
+}
+
+export function getTimeLabelFormat(hourFormat: HourFormat) {
+  return (date: Date) => format(date, getTimeFormat(hourFormat))
+}
+
+const DEFAULT_MINUTE_STEP = 30
+
+export interface GetTimesProps {
+  minuteStep?: number
+  minTime?: string
+  maxTime?: string
+  timeLabelFormat?(date: Date): string
+}
+
+export function getTimes({
+  minuteStep = DEFAULT_MINUTE_STEP,
+  minTime = '00:00',
+  maxTime = '23:59',
+  timeLabelFormat = getTimeLabelFormat(24),
+}: GetTimesProps): TimeType[] {
+  const min = parseTime(minTime)
+  const max = parseTime(maxTime)
+  const times: TimeType[] = []
+  // A step shorter than a minute would never reach the max time, one that is not finite would stop
+  // at the min time
+  const step = Number.isFinite(minuteStep)
+    ? Math.max(1, Math.round(minuteStep))
+    : DEFAULT_MINUTE_STEP
+
+  for (
+    let minute = min.hours * 60 + min.minutes;
+    minute <= max.hours * 60 + max.minutes;
+    minute += step
+  ) {
+    const hours = Math.floor(minute / 60)
+    const minutes = minute % 60
+
+    times.push({
+      hours,
+      minutes,
+      timeLabel: timeLabelFormat(new Date(1970, 0, 1, hours, minutes, 0)),
+    })
+  }
+
+  return times
+}
@@ -97,12 +97,22 @@ export interface DayTheme extends CommonTheme {
   daySelectedColor?: ResponsiveValue<ColorProperty>
   daySelectedHoverColor?: ResponsiveValue<ColorProperty>
   daySelectedFirstOrLastColor?: ResponsiveValue<ColorProperty>
+  daySelectedStartColor?: ResponsiveValue<ColorProperty>
+  daySelectedEndColor?: ResponsiveValue<ColorProperty>
+  dayActiveRangeColor?: ResponsiveValue<ColorProperty>
+  dayDragRejectedColor?: ResponsiveValue<ColorProperty>
+  dayRestrictedColor?: ColorProperty
   dayBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
   dayHoverBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
   dayHoverRangeBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
   daySelectedBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
   daySelectedHoverBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
   daySelectedFirstOrLastBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  daySelectedStartBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  daySelectedEndBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  dayActiveRangeBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  dayDragRejectedBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  dayHalfBlockedBackground?: BackgroundProperty<TLengthStyledSystem>
   dayBorderColor?: ColorProperty
   dayHoverRangeBorderColor?: ColorProperty
   daySelectedBorderColor?: ColorProperty
@@ -185,6 +195,8 @@ export interface DatepickerTheme extends CommonTheme {
   datepickerNextMonthButtonBottom?: ResponsiveValue<BottomProperty<TLengthStyledSystem>>
   datepickerMonthsGridHeight?: ResponsiveValue<HeightProperty<TLengthStyledSystem>>
   datepickerMonthsGridOverflow?: ResponsiveValue<OverflowProperty>
+  datepickerTimeColumnsMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  datepickerTimeColumnsGap?: ResponsiveValue<GridGapProperty<TLengthStyledSystem>>
 }
 
 export interface DateRangeInputTheme extends CommonTheme {
@@ -216,3 +228,117 @@ export interface DateSingleInputTheme extends CommonTheme {
   dateSingleDatepickerWrapperPosition?: ResponsiveValue<PositionProperty>
   dateSingleInputPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
 }
+
+export interface WeekInputTheme extends CommonTheme {
+  weekZIndex?: ResponsiveValue<ZIndexProperty>
+  weekDatepickerWrapperTop?: ResponsiveValue<TopProperty<TLengthStyledSystem>>
+  weekDatepickerWrapperRight?: ResponsiveValue<RightProperty<TLengthStyledSystem>>
+  weekDatepickerWrapperLeft?: ResponsiveValue<LeftProperty<TLengthStyledSystem>>
+  weekDatepickerWrapperBottom?: ResponsiveValue<BottomProperty<TLengthStyledSystem>>
+  weekDatepickerWrapperPosition?: ResponsiveValue<PositionProperty>
+  weekInputPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
+}
+
+export interface MonthButtonTheme extends CommonTheme {
+  monthButtonHeight?: ResponsiveValue<HeightProperty<TLengthStyledSystem>>
+  monthButtonWidth?: ResponsiveValue<WidthProperty<TLengthStyledSystem>>
+  monthButtonFontWeight?: ResponsiveValue<FontWeightProperty>
+  monthButtonFontSize?: ResponsiveValue<FontSizeProperty<TLengthStyledSystem>>
+  monthButtonColor?: ResponsiveValue<ColorProperty>
+  monthButtonHoverColor?: ResponsiveValue<ColorProperty>
+  monthButtonSelectedColor?: ResponsiveValue<ColorProperty>
+  monthButtonHoverRangeColor?: ResponsiveValue<ColorProperty>
+  monthButtonSelectedFirstOrLastColor?: ResponsiveValue<ColorProperty>
+  monthButtonBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  monthButtonHoverBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  monthButtonSelectedBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  monthButtonHoverRangeBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  monthButtonSelectedFirstOrLastBackground?: ResponsiveValue<
+    BackgroundProperty<TLengthStyledSystem>
+  >
+  monthButtonBorderColor?: ColorProperty
+  monthButtonAccessibilityBorderColor?: ColorProperty
+}
+
+export interface MonthPickerTheme extends CommonTheme {
+  monthPickerZIndex?: ResponsiveValue<ZIndexProperty>
+  monthPickerBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  monthPickerPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
+  monthPickerBorderRadius?: ResponsiveValue<BorderRadiusProperty<TLengthStyledSystem>>
+  monthPickerPosition?: ResponsiveValue<PositionProperty>
+  monthPickerWidth?: ResponsiveValue<WidthProperty<TLengthStyledSystem>>
+  monthPickerBoxShadow?: ResponsiveValue<BoxShadowProperty>
+  monthPickerCloseWrapperMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  monthPickerYearsGridGap?: ResponsiveValue<GridGapProperty<TLengthStyledSystem>>
+  monthPickerYearLabelMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  monthPickerMonthsGridGap?: ResponsiveValue<GridGapProperty<TLengthStyledSystem>>
+  monthPickerResetDatesWrapperMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  monthPickerPreviousYearButtonTop?: ResponsiveValue<TopProperty<TLengthStyledSystem>>
+  monthPickerNextYearButtonTop?: ResponsiveValue<TopProperty<TLengthStyledSystem>>
+}
+
+export interface MonthInputTheme extends CommonTheme {
+  monthInputZIndex?: ResponsiveValue<ZIndexProperty>
+  monthInputMonthPickerWrapperTop?: ResponsiveValue<TopProperty<TLengthStyledSystem>>
+  monthInputMonthPickerWrapperRight?: ResponsiveValue<RightProperty<TLengthStyledSystem>>
+  monthInputMonthPickerWrapperLeft?: ResponsiveValue<LeftProperty<TLengthStyledSystem>>
+  monthInputMonthPickerWrapperBottom?: ResponsiveValue<BottomProperty<TLengthStyledSystem>>
+  monthInputMonthPickerWrapperPosition?: ResponsiveValue<PositionProperty>
+  monthInputPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
+}
+
+export interface MonthRangeInputTheme extends CommonTheme {
+  monthRangeZIndex?: ResponsiveValue<ZIndexProperty>
+  monthRangeBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  monthRangeGridTemplateColumns?: ResponsiveValue<GridTemplateColumnsProperty<TLengthStyledSystem>>
+  monthRangeGridTemplateRows?: ResponsiveValue<GridTemplateRowsProperty<TLengthStyledSystem>>
+  monthRangeBorder?: ResponsiveValue<BorderProperty<TLengthStyledSystem>>
+  monthRangeBorderRadius?: ResponsiveValue<BorderRadiusProperty<TLengthStyledSystem>>
+  monthRangeArrowIconWidth?: ResponsiveValue<WidthProperty<TLengthStyledSystem>>
+  monthRangeArrowIconHeight?: ResponsiveValue<HeightProperty<TLengthStyledSystem>>
+  monthRangeArrowIconColor?: ResponsiveValue<ColorProperty>
+  monthRangeArrowIconOpacity?: ResponsiveValue<GlobalsNumber>
+  monthRangeMonthPickerWrapperTop?: ResponsiveValue<TopProperty<TLengthStyledSystem>>
+  monthRangeMonthPickerWrapperRight?: ResponsiveValue<RightProperty<TLengthStyledSystem>>
+  monthRangeMonthPickerWrapperLeft?: ResponsiveValue<LeftProperty<TLengthStyledSystem>>
+  monthRangeMonthPickerWrapperBottom?: ResponsiveValue<BottomProperty<TLengthStyledSystem>>
+  monthRangeMonthPickerWrapperPosition?: ResponsiveValue<PositionProperty>
+  monthRangeStartMonthInputPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
+  monthRangeEndMonthInputPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
+}
+
+export interface PeriodGridTheme extends CommonTheme {
+  periodGridLabelMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  periodGridGap?: ResponsiveValue<GridGapProperty<TLengthStyledSystem>>
+}
+
+export interface TimeColumnTheme extends CommonTheme {
+  timeColumnTitleFontSize?: ResponsiveValue<FontSizeProperty<TLengthStyledSystem>>
+  timeColumnTitleColor?: ResponsiveValue<ColorProperty>
+  timeColumnTitleMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  timeColumnHeight?: ResponsiveValue<HeightProperty<TLengthStyledSystem>>
+  timeColumnButtonHeight?: ResponsiveValue<HeightProperty<TLengthStyledSystem>>
+  timeColumnButtonFontSize?: ResponsiveValue<FontSizeProperty<TLengthStyledSystem>>
+  timeColumnButtonFontWeight?: ResponsiveValue<FontWeightProperty>
+  timeColumnButtonColor?: ResponsiveValue<ColorProperty>
+  timeColumnButtonBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  timeColumnButtonHoverBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  timeColumnButtonSelectedColor?: ResponsiveValue<ColorProperty>
+  timeColumnButtonSelectedBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  timeColumnButtonAccessibilityBorderColor?: ColorProperty
+}
+
+export interface PresetsTheme extends CommonTheme {
+  presetsMargin?: ResponsiveValue<MarginProperty<TLengthStyledSystem>>
+  presetsGap?: ResponsiveValue<GridGapProperty<TLengthStyledSystem>>
+  presetsButtonHeight?: ResponsiveValue<HeightProperty<TLengthStyledSystem>>
+  presetsButtonPadding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
+  presetsButtonFontSize?: ResponsiveValue<FontSizeProperty<TLengthStyledSystem>>
+  presetsButtonFontWeight?: ResponsiveValue<FontWeightProperty>
+  presetsButtonColor?: ResponsiveValue<ColorProperty>
+  presetsButtonBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  presetsButtonHoverBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  presetsButtonActiveColor?: ResponsiveValue<ColorProperty>
+  presetsButtonActiveBackground?: ResponsiveValue<BackgroundProperty<TLengthStyledSystem>>
+  presetsButtonAccessibilityBorderColor?: ColorProperty
+}
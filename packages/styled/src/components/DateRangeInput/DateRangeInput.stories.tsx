@@ -8,6 +8,7 @@ import {
   dayLabelFormat as dayLabelFormatFn,
   weekdayLabelFormat as weekdayLabelFormatFn,
   monthLabelFormat as monthLabelFormatFn,
+  HourFormat,
 } from '@datepicker-react/hooks'
 import {es as locale} from 'date-fns/locale'
 import Flex from '../Flex'
@@ -57,6 +58,11 @@ interface AppProps {
   onDayRender?(date: Date): React.ReactNode
   unavailableDates?: Date[]
   initialVisibleMonth?: Date
+  showTimepicker?: boolean
+  minuteStep?: number
+  minTime?: string
+  maxTime?: string
+  hourFormat?: HourFormat
 }
 
 function App({
@@ -80,6 +86,11 @@ function App({
   monthLabelFormat = monthLabelFormatFn,
   onDayRender = undefined,
   unavailableDates = [],
+  showTimepicker = false,
+  minuteStep,
+  minTime,
+  maxTime,
+  hourFormat,
 }: AppProps) {
   const [state, dispatch] = useReducer(reducer, initialState)
 
@@ -115,6 +126,11 @@ function App({
       onDayRender={onDayRender}
       unavailableDates={unavailableDates}
       initialVisibleMonth={initialVisibleMonth}
+      showTimepicker={showTimepicker}
+      minuteStep={minuteStep}
+      minTime={minTime}
+      maxTime={maxTime}
+      hourFormat={hourFormat}
     />
   )
 }
@@ -143,6 +159,20 @@ storiesOf('DateRangeInput', module)
       initialVisibleMonth={addMonths(new Date(), 5)}
     />
   ))
+  .add('Time of day', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      vertical={boolean('vertical', false)}
+      showResetDates={boolean('showResetDates', true)}
+      showClose={boolean('showClose', true)}
+      showSelectedDates={boolean('showSelectedDates', true)}
+      displayFormat={text('displayFormat', 'MM/dd/yyyy h:mm a')}
+      showTimepicker
+      minTime={text('minTime', '08:00')}
+      maxTime={text('maxTime', '20:00')}
+      hourFormat={boolean('12-hour clock', true) ? 12 : 24}
+    />
+  ))
   .add('Minimum booking days (7 days)', () => (
     <App
       rtl={boolean('rtl', false)}
@@ -193,6 +223,9 @@ storiesOf('DateRangeInput', module)
         datepickerStartDatePlaceholder: 'Seleccionar',
         datepickerStartDateLabel: 'Fecha de inicio:',
         datepickerEndDatePlaceholder: 'Seleccionar',
+        datepickerStartTimeLabel: 'Hora de inicio:',
+        datepickerEndTimeLabel: 'Hora final:',
+        datepickerTimeLabel: 'Hora:',
         datepickerEndDateLabel: 'Fecha final:',
         resetDates: 'Deshacer',
         startDateAriaLabel: 'Fecha de inicio',
@@ -217,6 +250,9 @@ storiesOf('DateRangeInput', module)
         datepickerStartDatePlaceholder: 'Seleccionar',
         datepickerStartDateLabel: 'Fecha de inicio:',
         datepickerEndDatePlaceholder: 'Seleccionar',
+        datepickerStartTimeLabel: 'Hora de inicio:',
+        datepickerEndTimeLabel: 'Hora final:',
+        datepickerTimeLabel: 'Hora:',
         datepickerEndDateLabel: 'Fecha de inicio:',
         resetDates: 'Deshacer',
         startDateAriaLabel: 'Fecha de inicio',
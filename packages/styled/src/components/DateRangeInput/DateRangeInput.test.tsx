@@ -263,6 +263,9 @@ test('should execute onClose callback', () => {
         datepickerStartDateLabel: 'test',
         datepickerEndDateLabel: 'test',
         datepickerEndDatePlaceholder: 'test',
+        datepickerStartTimeLabel: 'test',
+        datepickerEndTimeLabel: 'test',
+        datepickerTimeLabel: 'test',
         resetDates: 'test',
         startDateAriaLabel: 'test',
         endDateAriaLabel: 'test',
@@ -309,6 +312,9 @@ test('should not render calendar icons', () => {
         datepickerStartDateLabel: 'test',
         datepickerEndDateLabel: 'test',
         datepickerEndDatePlaceholder: 'test',
+        datepickerStartTimeLabel: 'test',
+        datepickerEndTimeLabel: 'test',
+        datepickerTimeLabel: 'test',
         resetDates: 'test',
         startDateAriaLabel: 'test',
         endDateAriaLabel: 'test',
@@ -421,3 +427,54 @@ test('should handle custom id for input fields', () => {
   expect(getAllByTestId('DatepickerInput')[0].id).toEqual('customStartDateId')
   expect(getAllByTestId('DatepickerInput')[1].id).toEqual('customEndDateId')
 })
+
+test('should display the time of the dates', () => {
+  const {getAllByTestId, rerender} = render(
+    <Datepicker
+      onFocusChange={jest.fn()}
+      startDate={new Date(2019, 2, 28, 10, 30, 0)}
+      endDate={new Date(2019, 2, 30, 18, 0, 0)}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      showTimepicker
+    />,
+  )
+  expect(getAllByTestId('TimeColumn').length).toBe(2)
+  // @ts-ignore
+  expect(getAllByTestId('DatepickerInput')[0]).toHaveValue('03/28/2019 10:30')
+  // @ts-ignore
+  expect(getAllByTestId('DatepickerInput')[1]).toHaveValue('03/30/2019 18:00')
+
+  rerender(
+    <Datepicker
+      onFocusChange={jest.fn()}
+      startDate={new Date(2019, 2, 28, 10, 30, 0)}
+      endDate={new Date(2019, 2, 30, 18, 0, 0)}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      showTimepicker
+      displayFormat="dd.MM.yyyy h:mm a"
+    />,
+  )
+  // @ts-ignore
+  expect(getAllByTestId('DatepickerInput')[0]).toHaveValue('28.03.2019 10:30 AM')
+  // @ts-ignore
+  expect(getAllByTestId('DatepickerInput')[1]).toHaveValue('30.03.2019 6:00 PM')
+})
+
+test('should move the focus from the input to the datepicker with an arrow key', () => {
+  const {getAllByTestId, getByLabelText} = render(
+    <Datepicker
+      onFocusChange={jest.fn()}
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+    />,
+  )
+
+  getAllByTestId('DatepickerInput')[0].focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowDown'})
+  // @ts-ignore
+  expect(getByLabelText(`Day-${new Date(2019, 2, 1, 0, 0, 0).toDateString()}`)).toHaveFocus()
+})
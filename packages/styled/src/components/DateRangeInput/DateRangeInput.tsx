@@ -16,12 +16,19 @@ import {
   compose,
 } from 'styled-system'
 import {
-  UseDatepickerProps,
+  DatepickerBaseConfig,
   START_DATE,
   FormatFunction,
   getInputValue,
   END_DATE,
   FocusedInput,
+  OnDatesChangeProps,
+  HourFormat,
+  getTimeFormat,
+  getDefaultDisplayFormat,
+  UnavailableRange,
+  OnVisibleMonthsChangeProps,
+  Preset,
 } from '@datepicker-react/hooks'
 import {dateRangeInputPhrases, DateRangeInputPhrases} from '../../phrases'
 import Grid from '../Grid'
@@ -102,7 +109,11 @@ function getPlacement(placement: 'bottom' | 'top', rtl: boolean) {
   }
 }
 
-export interface DateRangeInputProps extends UseDatepickerProps {
+export interface DateRangeInputProps extends DatepickerBaseConfig {
+  startDate: Date | null
+  endDate: Date | null
+  focusedInput: FocusedInput
+  onDatesChange(data: OnDatesChangeProps): void
   displayFormat?: string | FormatFunction
   phrases?: DateRangeInputPhrases
   onFocusChange(focusInput: FocusedInput): void
@@ -122,7 +133,18 @@ export interface DateRangeInputProps extends UseDatepickerProps {
   startDateInputId?: string
   endDateInputId?: string
   unavailableDates?: Date[]
+  unavailableRanges?: UnavailableRange[]
+  presets?: Preset[]
+  dragToSelect?: boolean
   initialVisibleMonth?: Date
+  visibleMonth?: Date
+  onVisibleMonthsChange?(data: OnVisibleMonthsChangeProps): void
+  showTimepicker?: boolean
+  minuteStep?: number
+  minTime?: string
+  maxTime?: string
+  hourFormat?: HourFormat
+  timeLabelFormat?(date: Date): string
 }
 
 function DateRangeInput({
@@ -131,6 +153,8 @@ function DateRangeInput({
   minBookingDate,
   maxBookingDate,
   firstDayOfWeek,
+  locale,
+  calendar,
   onFocusChange,
   numberOfMonths,
   focusedInput,
@@ -141,22 +165,39 @@ function DateRangeInput({
   monthLabelFormat,
   onDayRender,
   initialVisibleMonth,
+  visibleMonth,
+  onVisibleMonthsChange,
   showClose = true,
   showSelectedDates = true,
   showResetDates = true,
   vertical = false,
   rtl = false,
   isDateBlocked = () => false,
+  isStartDateBlocked,
+  isEndDateBlocked,
+  isNightBlocked,
   minBookingDays = 1,
+  maxBookingDays,
   onClose = () => {},
   showStartDateCalendarIcon = true,
   showEndDateCalendarIcon = true,
-  displayFormat = 'MM/dd/yyyy',
   phrases = dateRangeInputPhrases,
   placement = 'bottom',
   startDateInputId = 'startDate',
   endDateInputId = 'endDate',
   unavailableDates = [],
+  unavailableRanges = [],
+  presets,
+  dragToSelect,
+  showTimepicker = false,
+  minuteStep,
+  minTime,
+  maxTime,
+  hourFormat = 24,
+  timeLabelFormat,
+  displayFormat = showTimepicker
+    ? `${getDefaultDisplayFormat(locale)} ${getTimeFormat(hourFormat)}`
+    : getDefaultDisplayFormat(locale),
 }: DateRangeInputProps) {
   const ref = useRef(null)
   const datepickerWrapperRef = useRef<HTMLDivElement>(null)
@@ -213,6 +254,15 @@ function DateRangeInput({
     }
   }
 
+  // The arrow keys in the inputs move the focus to the open datepicker
+  function handleKeyDown(e: React.KeyboardEvent) {
+    // @ts-ignore
+    if (ref && ref.current && ref.current.onKeyDown) {
+      // @ts-ignore
+      ref.current.onKeyDown(e)
+    }
+  }
+
   return (
     <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
       <Wrapper
@@ -220,6 +270,7 @@ function DateRangeInput({
         rtl={rtl}
         position="relative"
         ref={datepickerWrapperRef}
+        onKeyDown={handleKeyDown}
       >
         <InputGrid
           data-testid="DateRangeInputGrid"
@@ -233,7 +284,7 @@ function DateRangeInput({
             id={startDateInputId}
             ariaLabel={phrases.startDateAriaLabel}
             placeholder={phrases.startDatePlaceholder}
-            value={getInputValue(startDate, displayFormat, '')}
+            value={getInputValue(startDate, displayFormat, '', locale)}
             onClick={() => onFocusChange(START_DATE)}
             showCalendarIcon={showStartDateCalendarIcon}
             vertical={vertical}
@@ -243,6 +294,7 @@ function DateRangeInput({
             onChange={handleInputChange}
             // @ts-ignore
             dateFormat={displayFormat}
+            locale={locale}
           />
           <Flex alignItems="center" justifyContent="center">
             <InputArrowIcon
@@ -259,7 +311,7 @@ function DateRangeInput({
             id={endDateInputId}
             ariaLabel={phrases.endDateAriaLabel}
             placeholder={phrases.endDatePlaceholder}
-            value={getInputValue(endDate, displayFormat, '')}
+            value={getInputValue(endDate, displayFormat, '', locale)}
             onClick={() => onFocusChange(!startDate ? START_DATE : END_DATE)}
             showCalendarIcon={showEndDateCalendarIcon}
             vertical={vertical}
@@ -270,6 +322,7 @@ function DateRangeInput({
             onChange={handleInputChange}
             // @ts-ignore
             dateFormat={displayFormat}
+            locale={locale}
           />
         </InputGrid>
         <Box
@@ -287,12 +340,18 @@ function DateRangeInput({
               minBookingDate={minBookingDate}
               maxBookingDate={maxBookingDate}
               firstDayOfWeek={firstDayOfWeek}
+              locale={locale}
+              calendar={calendar}
               numberOfMonths={numberOfMonths}
               focusedInput={focusedInput}
               displayFormat={displayFormat}
               onDatesChange={onDatesChange}
               minBookingDays={minBookingDays}
+              maxBookingDays={maxBookingDays}
               isDateBlocked={isDateBlocked}
+              isStartDateBlocked={isStartDateBlocked}
+              isEndDateBlocked={isEndDateBlocked}
+              isNightBlocked={isNightBlocked}
               exactMinBookingDays={exactMinBookingDays}
               showResetDates={showResetDates}
               vertical={vertical}
@@ -305,8 +364,19 @@ function DateRangeInput({
               onDayRender={onDayRender}
               phrases={phrases}
               unavailableDates={unavailableDates}
+              unavailableRanges={unavailableRanges}
+              presets={presets}
+              dragToSelect={dragToSelect}
               ref={ref}
               initialVisibleMonth={initialVisibleMonth}
+              visibleMonth={visibleMonth}
+              onVisibleMonthsChange={onVisibleMonthsChange}
+              showTimepicker={showTimepicker}
+              minuteStep={minuteStep}
+              minTime={minTime}
+              maxTime={maxTime}
+              hourFormat={hourFormat}
+              timeLabelFormat={timeLabelFormat}
             />
           )}
         </Box>
@@ -160,6 +160,9 @@ storiesOf('DateSingleInput', module)
         datepickerStartDatePlaceholder: 'Seleccionar',
         datepickerStartDateLabel: 'Fecha de inicio:',
         datepickerEndDatePlaceholder: 'Seleccionar',
+        datepickerStartTimeLabel: 'Hora de inicio:',
+        datepickerEndTimeLabel: 'Hora final:',
+        datepickerTimeLabel: 'Hora:',
         datepickerEndDateLabel: 'Fecha de inicio:',
         resetDates: 'Deshacer',
         dateAriaLabel: 'Seleccione fecha',
@@ -180,6 +183,9 @@ storiesOf('DateSingleInput', module)
         datepickerStartDatePlaceholder: 'Seleccionar',
         datepickerStartDateLabel: 'Fecha de inicio:',
         datepickerEndDatePlaceholder: 'Seleccionar',
+        datepickerStartTimeLabel: 'Hora de inicio:',
+        datepickerEndTimeLabel: 'Hora final:',
+        datepickerTimeLabel: 'Hora:',
         datepickerEndDateLabel: 'Fecha de inicio:',
         resetDates: 'Deshacer',
         dateAriaLabel: 'Seleccione fecha',
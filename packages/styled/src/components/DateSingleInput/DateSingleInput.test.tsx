@@ -181,6 +181,9 @@ test('should execute onClose callback', () => {
         datepickerStartDateLabel: 'test',
         datepickerEndDateLabel: 'test',
         datepickerEndDatePlaceholder: 'test',
+        datepickerStartTimeLabel: 'test',
+        datepickerEndTimeLabel: 'test',
+        datepickerTimeLabel: 'test',
         resetDates: 'test',
         dateAriaLabel: 'test',
         datePlaceholder: 'test',
@@ -233,3 +236,29 @@ test('should handle custom id for input field', () => {
   expect(container).toMatchSnapshot()
   expect(getByTestId('DatepickerInput').id).toEqual('customId')
 })
+
+test('should reset the date and keep the datepicker open', () => {
+  const onDateChange = jest.fn()
+  const {getByText} = render(
+    <Datepicker
+      showDatepicker
+      date={new Date(2019, 2, 16, 0, 0, 0)}
+      onDateChange={onDateChange}
+      onFocusChange={jest.fn()}
+    />,
+  )
+
+  fireEvent.click(getByText('Reset dates'))
+  expect(onDateChange).toHaveBeenCalledWith({date: null, showDatepicker: true})
+})
+
+test('should move the focus from the input to the datepicker with an arrow key', () => {
+  const {getByTestId, getByLabelText} = render(
+    <Datepicker showDatepicker onFocusChange={jest.fn()} date={null} onDateChange={jest.fn()} />,
+  )
+
+  getByTestId('DatepickerInput').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowDown'})
+  // @ts-ignore
+  expect(getByLabelText(`Day-${new Date(2019, 2, 1, 0, 0, 0).toDateString()}`)).toHaveFocus()
+})
@@ -2,12 +2,18 @@ import React, {useRef, useEffect} from 'react'
 import {zIndex, ZIndexProps} from 'styled-system'
 import styled, {css, ThemeProvider} from 'styled-components'
 import {
-  START_DATE,
   FormatFunction,
   getInputValue,
-  OnDatesChangeProps,
+  OnDateChangeProps as DatepickerOnDateChangeProps,
   FirstDayOfWeek,
+  HourFormat,
+  getTimeFormat,
+  getDefaultDisplayFormat,
+  UnavailableRange,
+  OnVisibleMonthsChangeProps,
+  Calendar,
 } from '@datepicker-react/hooks'
+import {Locale} from 'date-fns'
 import {dateSingleInputPhrases, DateSingleInputPhrases} from '../../phrases'
 import Box from '../Box'
 import Input from '../Input'
@@ -61,8 +67,7 @@ function getPlacement(placement: 'bottom' | 'top', rtl: boolean) {
   }
 }
 
-export interface OnDateChangeProps {
-  date: Date | null
+export interface OnDateChangeProps extends DatepickerOnDateChangeProps {
   showDatepicker: boolean
 }
 
@@ -73,6 +78,8 @@ export interface DateSingleInputProps {
   showDatepicker: boolean
   numberOfMonths?: number
   firstDayOfWeek?: FirstDayOfWeek
+  locale?: Locale
+  calendar?: Calendar
   displayFormat?: string | FormatFunction
   phrases?: DateSingleInputPhrases
   showCalendarIcon?: boolean
@@ -82,6 +89,8 @@ export interface DateSingleInputProps {
   rtl?: boolean
   placement?: 'top' | 'bottom'
   initialVisibleMonth?: Date
+  visibleMonth?: Date
+  onVisibleMonthsChange?(data: OnVisibleMonthsChangeProps): void
   onDateChange(data: OnDateChangeProps): void
   onFocusChange(focusInput: boolean): void
   isDateBlocked?(date: Date): boolean
@@ -92,6 +101,13 @@ export interface DateSingleInputProps {
   onDayRender?(date: Date): React.ReactNode
   inputId?: string
   unavailableDates?: Date[]
+  unavailableRanges?: UnavailableRange[]
+  showTimepicker?: boolean
+  minuteStep?: number
+  minTime?: string
+  maxTime?: string
+  hourFormat?: HourFormat
+  timeLabelFormat?(date: Date): string
 }
 
 function DateSingleInput({
@@ -99,6 +115,8 @@ function DateSingleInput({
   minBookingDate,
   maxBookingDate,
   firstDayOfWeek,
+  locale,
+  calendar,
   onFocusChange,
   showDatepicker,
   onDateChange,
@@ -107,6 +125,8 @@ function DateSingleInput({
   monthLabelFormat,
   onDayRender,
   initialVisibleMonth,
+  visibleMonth,
+  onVisibleMonthsChange,
   numberOfMonths = 1,
   showClose = true,
   showResetDate = true,
@@ -115,11 +135,20 @@ function DateSingleInput({
   isDateBlocked = () => false,
   onClose = () => {},
   showCalendarIcon = true,
-  displayFormat = 'MM/dd/yyyy',
   phrases = dateSingleInputPhrases,
   placement = 'bottom',
   inputId = 'startDate',
   unavailableDates = [],
+  unavailableRanges = [],
+  showTimepicker = false,
+  minuteStep,
+  minTime,
+  maxTime,
+  hourFormat = 24,
+  timeLabelFormat,
+  displayFormat = showTimepicker
+    ? `${getDefaultDisplayFormat(locale)} ${getTimeFormat(hourFormat)}`
+    : getDefaultDisplayFormat(locale),
 }: DateSingleInputProps) {
   const ref = useRef(null)
   const datepickerWrapperRef = useRef<HTMLDivElement>(null)
@@ -157,10 +186,11 @@ function DateSingleInput({
     onFocusChange(false)
   }
 
-  function onDatesChange({focusedInput, startDate}: OnDatesChangeProps) {
+  function handleDateChange({date}: DatepickerOnDateChangeProps) {
     onDateChange({
-      showDatepicker: focusedInput !== null,
-      date: startDate,
+      // The datepicker stays open for the time of the selected date
+      showDatepicker: date === null || showTimepicker,
+      date,
     })
   }
 
@@ -172,6 +202,15 @@ function DateSingleInput({
     }
   }
 
+  // The arrow keys in the inputs move the focus to the open datepicker
+  function handleKeyDown(e: React.KeyboardEvent) {
+    // @ts-ignore
+    if (ref && ref.current && ref.current.onKeyDown) {
+      // @ts-ignore
+      ref.current.onKeyDown(e)
+    }
+  }
+
   return (
     <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
       <Wrapper
@@ -179,12 +218,13 @@ function DateSingleInput({
         rtl={rtl}
         position="relative"
         ref={datepickerWrapperRef}
+        onKeyDown={handleKeyDown}
       >
         <Input
           id={inputId}
           ariaLabel={phrases.dateAriaLabel}
           placeholder={phrases.datePlaceholder}
-          value={getInputValue(date, displayFormat, '')}
+          value={getInputValue(date, displayFormat, '', locale)}
           onClick={() => onFocusChange(true)}
           showCalendarIcon={showCalendarIcon}
           vertical={vertical}
@@ -194,6 +234,7 @@ function DateSingleInput({
           onChange={handleInputChange}
           // @ts-ignore
           dateFormat={displayFormat}
+          locale={locale}
         />
         <Box
           position={theme.dateSingleDatepickerWrapperPosition}
@@ -204,18 +245,17 @@ function DateSingleInput({
         >
           {showDatepicker && (
             <Datepicker
-              exactMinBookingDays
-              minBookingDays={1}
+              selectionMode="single"
               onClose={handleDatepickerClose}
-              startDate={date}
-              endDate={date}
+              date={date}
               minBookingDate={minBookingDate}
               maxBookingDate={maxBookingDate}
               firstDayOfWeek={firstDayOfWeek}
+              locale={locale}
+              calendar={calendar}
               numberOfMonths={numberOfMonths}
-              focusedInput={showDatepicker ? START_DATE : null}
               displayFormat={displayFormat}
-              onDatesChange={onDatesChange}
+              onDateChange={handleDateChange}
               isDateBlocked={isDateBlocked}
               showResetDates={showResetDate}
               vertical={vertical}
@@ -229,7 +269,16 @@ function DateSingleInput({
               phrases={phrases}
               ref={ref}
               unavailableDates={unavailableDates}
+              unavailableRanges={unavailableRanges}
               initialVisibleMonth={initialVisibleMonth}
+              visibleMonth={visibleMonth}
+              onVisibleMonthsChange={onVisibleMonthsChange}
+              showTimepicker={showTimepicker}
+              minuteStep={minuteStep}
+              minTime={minTime}
+              maxTime={maxTime}
+              hourFormat={hourFormat}
+              timeLabelFormat={timeLabelFormat}
             />
           )}
         </Box>
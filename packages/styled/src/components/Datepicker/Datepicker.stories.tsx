@@ -1,10 +1,20 @@
 import React, {useState} from 'react'
 import {ThemeProvider} from 'styled-components'
-import {format, addDays, isSameDay, addMonths} from 'date-fns'
+import {
+  format,
+  addDays,
+  isSameDay,
+  addMonths,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+} from 'date-fns'
 import {
   dayLabelFormat as dayLabelFormatFn,
   weekdayLabelFormat as weekdayLabelFormatFn,
   monthLabelFormat as monthLabelFormatFn,
+  jalaliCalendar,
+  Calendar,
 } from '@datepicker-react/hooks'
 import {storiesOf} from '@storybook/react'
 import {action} from '@storybook/addon-actions'
@@ -17,6 +27,7 @@ import {
   FirstDayOfWeek,
   DatepickerPhrases,
   datepickerPhrases,
+  Preset,
 } from '../../index'
 import Flex from '../Flex'
 
@@ -41,6 +52,9 @@ interface AppProps {
   onDayRender?(date: Date): React.ReactNode
   unavailableDates?: Date[]
   initialVisibleMonth?: Date
+  presets?: Preset[]
+  dragToSelect?: boolean
+  calendar?: Calendar
 }
 
 function App({
@@ -64,6 +78,9 @@ function App({
   monthLabelFormat = monthLabelFormatFn,
   onDayRender = undefined,
   unavailableDates = [],
+  presets,
+  dragToSelect,
+  calendar,
 }: AppProps) {
   const [state, setState] = useState<OnDatesChangeProps>({
     startDate: null,
@@ -107,10 +124,15 @@ function App({
       onDayRender={onDayRender}
       unavailableDates={unavailableDates}
       initialVisibleMonth={initialVisibleMonth}
+      presets={presets}
+      dragToSelect={dragToSelect}
+      calendar={calendar}
     />
   )
 }
 
+const nextSaturday = (date: Date) => addDays(startOfWeek(date, {weekStartsOn: 6}), 7)
+
 storiesOf('Datepicker', module)
   .add('Simple demo', () => (
     <App
@@ -185,6 +207,9 @@ storiesOf('Datepicker', module)
         datepickerStartDatePlaceholder: 'Seleccionar',
         datepickerStartDateLabel: 'Fecha de inicio:',
         datepickerEndDatePlaceholder: 'Seleccionar',
+        datepickerStartTimeLabel: 'Hora de inicio:',
+        datepickerEndTimeLabel: 'Hora final:',
+        datepickerTimeLabel: 'Hora:',
         datepickerEndDateLabel: 'Fecha final:',
         resetDates: 'Deshacer',
         close: 'Cerca',
@@ -205,6 +230,9 @@ storiesOf('Datepicker', module)
         datepickerStartDatePlaceholder: 'Seleccionar',
         datepickerStartDateLabel: 'Fecha de inicio:',
         datepickerEndDatePlaceholder: 'Seleccionar',
+        datepickerStartTimeLabel: 'Hora de inicio:',
+        datepickerEndTimeLabel: 'Hora final:',
+        datepickerTimeLabel: 'Hora:',
         datepickerEndDateLabel: 'Fecha final:',
         resetDates: 'Deshacer',
         close: 'Cerca',
@@ -309,6 +337,49 @@ storiesOf('Datepicker', module)
       />
     </ThemeProvider>
   ))
+  .add('Presets', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      vertical={boolean('vertical', false)}
+      showResetDates={boolean('showResetDates', true)}
+      showClose={boolean('showClose', true)}
+      showSelectedDates={boolean('showSelectedDates', true)}
+      displayFormat={text('displayFormat', 'MM/dd/yyyy')}
+      presets={[
+        {label: 'Last 7 days', range: today => ({startDate: addDays(today, -6), endDate: today})},
+        {
+          label: 'This month',
+          range: today => ({startDate: startOfMonth(today), endDate: endOfMonth(today)}),
+        },
+        {
+          label: 'Next weekend',
+          range: today => ({
+            startDate: nextSaturday(today),
+            endDate: addDays(nextSaturday(today), 1),
+          }),
+        },
+      ]}
+    />
+  ))
+  .add('Drag to select', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      vertical={boolean('vertical', false)}
+      minBookingDays={2}
+      unavailableDates={[addDays(new Date(), 10)]}
+      dragToSelect
+    />
+  ))
+  .add('Jalali calendar', () => (
+    <App
+      rtl={boolean('rtl', true)}
+      vertical={boolean('vertical', false)}
+      firstDayOfWeek={6}
+      calendar={jalaliCalendar}
+      dayLabelFormat={jalaliCalendar.formatDay}
+      monthLabelFormat={jalaliCalendar.formatMonth}
+    />
+  ))
   .add('Theming', () => (
     <ThemeProvider
       theme={{
@@ -1,7 +1,10 @@
 import {advanceTo, clear} from 'jest-date-mock'
 import * as React from 'react'
 import {render, fireEvent, act} from '@testing-library/react'
-import {END_DATE, START_DATE} from '@datepicker-react/hooks'
+import {END_DATE, START_DATE, jalaliCalendar} from '@datepicker-react/hooks'
+import addDays from 'date-fns/addDays'
+import de from 'date-fns/locale/de'
+import enUS from 'date-fns/locale/en-US'
 import Datepicker from '.'
 
 beforeEach(() => {
@@ -235,6 +238,9 @@ test('should execute onClose callback', () => {
         datepickerStartDateLabel: 'test',
         datepickerEndDateLabel: 'test',
         datepickerEndDatePlaceholder: 'test',
+        datepickerStartTimeLabel: 'test',
+        datepickerEndTimeLabel: 'test',
+        datepickerTimeLabel: 'test',
         resetDates: 'test',
         close: 'test',
       }}
@@ -255,7 +261,7 @@ test('should select today date with right arrow key', () => {
 
   const onDatesChange = jest.fn()
   const onClose = jest.fn()
-  const {container, getAllByTestId} = render(
+  const {getAllByTestId, getByTestId} = render(
     <Datepicker
       firstDayOfWeek={0}
       startDate={null}
@@ -267,7 +273,8 @@ test('should select today date with right arrow key', () => {
     />,
   )
 
-  fireEvent.keyDown(container, {key: 'ArrowRight'})
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowRight'})
   // @ts-ignore
   expect(getAllByTestId('Day')[0]).toHaveFocus()
   clear()
@@ -278,7 +285,7 @@ test('should select today date with left arrow key', () => {
 
   const onDatesChange = jest.fn()
   const onClose = jest.fn()
-  const {container, getAllByTestId} = render(
+  const {getAllByTestId, getByTestId} = render(
     <Datepicker
       firstDayOfWeek={0}
       startDate={null}
@@ -290,7 +297,8 @@ test('should select today date with left arrow key', () => {
     />,
   )
 
-  fireEvent.keyDown(container, {key: 'ArrowLeft'})
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowLeft'})
   // @ts-ignore
   expect(getAllByTestId('Day')[0]).toHaveFocus()
   clear()
@@ -301,7 +309,7 @@ test('should select today date with up arrow key', () => {
 
   const onDatesChange = jest.fn()
   const onClose = jest.fn()
-  const {container, getAllByTestId} = render(
+  const {getAllByTestId, getByTestId} = render(
     <Datepicker
       firstDayOfWeek={0}
       startDate={null}
@@ -313,7 +321,8 @@ test('should select today date with up arrow key', () => {
     />,
   )
 
-  fireEvent.keyDown(container, {key: 'ArrowUp'})
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowUp'})
   // @ts-ignore
   expect(getAllByTestId('Day')[0]).toHaveFocus()
   clear()
@@ -324,7 +333,7 @@ test('should select today date with down arrow key', () => {
 
   const onDatesChange = jest.fn()
   const onClose = jest.fn()
-  const {container, getAllByTestId} = render(
+  const {getAllByTestId, getByTestId} = render(
     <Datepicker
       firstDayOfWeek={0}
       startDate={null}
@@ -336,7 +345,8 @@ test('should select today date with down arrow key', () => {
     />,
   )
 
-  fireEvent.keyDown(container, {key: 'ArrowDown'})
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowDown'})
   // @ts-ignore
   expect(getAllByTestId('Day')[0]).toHaveFocus()
 
@@ -362,3 +372,779 @@ test('should select today date with down arrow key', () => {
 
   clear()
 })
+
+test('should select a single date', () => {
+  const onDateChange = jest.fn()
+  const {getAllByTestId, queryByTestId, getByText} = render(
+    <Datepicker
+      selectionMode="single"
+      date={new Date(2019, 2, 5, 0, 0, 0)}
+      onDateChange={onDateChange}
+      numberOfMonths={1}
+    />,
+  )
+
+  expect(queryByTestId('SelectedDatesGrid')).toBeNull()
+  expect(getByText('March 2019'))
+
+  // Click on March 16
+  fireEvent.click(getAllByTestId('Day')[15])
+  expect(onDateChange).toHaveBeenCalledWith({date: new Date(2019, 2, 16, 0, 0, 0)})
+
+  fireEvent.click(getByText('Reset dates'))
+  expect(onDateChange).toHaveBeenLastCalledWith({date: null})
+})
+
+test('should toggle multiple dates', () => {
+  const onSelectedDatesChange = jest.fn()
+  const {getAllByTestId, queryByTestId} = render(
+    <Datepicker
+      selectionMode="multiple"
+      selectedDates={[new Date(2019, 2, 3, 0, 0, 0), new Date(2019, 2, 7, 0, 0, 0)]}
+      onSelectedDatesChange={onSelectedDatesChange}
+      numberOfMonths={1}
+    />,
+  )
+
+  expect(queryByTestId('SelectedDatesGrid')).toBeNull()
+
+  // Click on March 12
+  fireEvent.click(getAllByTestId('Day')[11])
+  expect(onSelectedDatesChange).toHaveBeenCalledWith({
+    selectedDates: [
+      new Date(2019, 2, 3, 0, 0, 0),
+      new Date(2019, 2, 7, 0, 0, 0),
+      new Date(2019, 2, 12, 0, 0, 0),
+    ],
+  })
+
+  // Click on March 7
+  fireEvent.click(getAllByTestId('Day')[6])
+  expect(onSelectedDatesChange).toHaveBeenLastCalledWith({
+    selectedDates: [new Date(2019, 2, 3, 0, 0, 0)],
+  })
+})
+
+test('should select multiple ranges', () => {
+  const onRangesChange = jest.fn()
+  const ranges = [
+    {startDate: new Date(2019, 2, 2, 0, 0, 0), endDate: new Date(2019, 2, 5, 0, 0, 0)},
+    {startDate: new Date(2019, 2, 20, 0, 0, 0), endDate: null},
+  ]
+  const {getAllByTestId, queryByTestId} = render(
+    <Datepicker
+      selectionMode="ranges"
+      ranges={ranges}
+      onRangesChange={onRangesChange}
+      numberOfMonths={1}
+    />,
+  )
+
+  expect(queryByTestId('SelectedDatesGrid')).toBeNull()
+
+  // Hover and click on March 24
+  fireEvent.mouseEnter(getAllByTestId('Day')[23])
+  fireEvent.click(getAllByTestId('Day')[23])
+  expect(onRangesChange).toHaveBeenCalledWith({
+    ranges: [ranges[0], {startDate: ranges[1].startDate, endDate: new Date(2019, 2, 24, 0, 0, 0)}],
+  })
+})
+
+test('should drill down from the decade view to a month', () => {
+  const {getAllByTestId, getByTestId, getByText, getByLabelText, queryAllByTestId} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      numberOfMonths={1}
+    />,
+  )
+
+  fireEvent.click(getByTestId('MonthLabelButton'))
+  expect(queryAllByTestId('Day').length).toBe(0)
+  expect(getAllByTestId('MonthButton').length).toBe(12)
+  expect(getByText('2019'))
+
+  fireEvent.click(getByLabelText('Next year'))
+  expect(getByText('2020'))
+
+  fireEvent.click(getByText('2020'))
+  expect(getByText('2020 – 2029'))
+  expect(getAllByTestId('MonthButton').length).toBe(12)
+
+  fireEvent.click(getByLabelText('Next decade'))
+  expect(getByText('2030 – 2039'))
+
+  fireEvent.click(getByLabelText('Previous decade'))
+  expect(getByText('2020 – 2029'))
+
+  fireEvent.click(getByLabelText('Year-2022'))
+  expect(getByText('2022'))
+
+  fireEvent.click(getByLabelText('Month-Jun-2022'))
+  expect(getByText('June 2022'))
+  expect(getAllByTestId('Day').length).toBeGreaterThan(0)
+})
+
+test('should mark the month and year of the single date', () => {
+  const {getByTestId, getByText, getByLabelText} = render(
+    <Datepicker
+      selectionMode="single"
+      date={new Date(2019, 4, 10, 0, 0, 0)}
+      onDateChange={jest.fn()}
+      numberOfMonths={1}
+    />,
+  )
+
+  fireEvent.click(getByTestId('MonthLabelButton'))
+  // @ts-ignore
+  expect(getByLabelText('Month-May-2019')).toHaveStyleRule('background', '#00aeef')
+  // @ts-ignore
+  expect(getByLabelText('Month-Jun-2019')).toHaveStyleRule('background', '#ffffff')
+
+  fireEvent.click(getByText('2019'))
+  // @ts-ignore
+  expect(getByLabelText('Year-2019')).toHaveStyleRule('background', '#00aeef')
+  // @ts-ignore
+  expect(getByLabelText('Year-2020')).toHaveStyleRule('background', '#ffffff')
+})
+
+test('should select the start and end time', () => {
+  const onDatesChange = jest.fn()
+  const startDate = new Date(2019, 2, 28, 10, 0, 0)
+  const endDate = new Date(2019, 2, 28, 12, 0, 0)
+  const {getAllByTestId, getByLabelText, getByText} = render(
+    <Datepicker
+      startDate={startDate}
+      endDate={endDate}
+      focusedInput={null}
+      onDatesChange={onDatesChange}
+      numberOfMonths={1}
+      showTimepicker
+      minTime="08:00"
+      maxTime="20:00"
+      minuteStep={60}
+    />,
+  )
+
+  expect(getAllByTestId('TimeColumn').length).toBe(2)
+  expect(getByText('03/28/2019 10:00'))
+  expect(getByText('03/28/2019 12:00'))
+
+  fireEvent.click(getByLabelText('End time: 18:00'))
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate,
+    endDate: new Date(2019, 2, 28, 18, 0, 0),
+    focusedInput: null,
+  })
+
+  // The end time has to be after the start time
+  fireEvent.click(getByLabelText('End time: 09:00'))
+  expect(onDatesChange).toHaveBeenCalledTimes(1)
+
+  fireEvent.click(getByLabelText('Start time: 09:00'))
+  expect(onDatesChange).toHaveBeenLastCalledWith({
+    startDate: new Date(2019, 2, 28, 9, 0, 0),
+    endDate,
+    focusedInput: null,
+  })
+
+  // A start time after the end time clears the end date
+  fireEvent.click(getByLabelText('Start time: 13:00'))
+  expect(onDatesChange).toHaveBeenLastCalledWith({
+    startDate: new Date(2019, 2, 28, 13, 0, 0),
+    endDate: null,
+    focusedInput: END_DATE,
+  })
+})
+
+test('should select the time of a single date', () => {
+  const onDateChange = jest.fn()
+  const {getAllByTestId, getByLabelText} = render(
+    <Datepicker
+      selectionMode="single"
+      date={new Date(2019, 2, 5, 0, 0, 0)}
+      onDateChange={onDateChange}
+      numberOfMonths={1}
+      showTimepicker
+      hourFormat={12}
+    />,
+  )
+
+  expect(getAllByTestId('TimeColumn').length).toBe(1)
+  fireEvent.click(getByLabelText('Time: 2:30 PM'))
+  expect(onDateChange).toHaveBeenCalledWith({date: new Date(2019, 2, 5, 14, 30, 0)})
+})
+
+test('should block end dates after maxBookingDays', () => {
+  const onDatesChange = jest.fn()
+  const {getAllByTestId} = render(
+    <Datepicker
+      startDate={new Date(2019, 2, 10, 0, 0, 0)}
+      endDate={null}
+      focusedInput={END_DATE}
+      onDatesChange={onDatesChange}
+      numberOfMonths={1}
+      maxBookingDays={5}
+    />,
+  )
+
+  // Click on March 15
+  fireEvent.click(getAllByTestId('Day')[14])
+  expect(onDatesChange).not.toBeCalled()
+
+  // Click on March 14
+  fireEvent.click(getAllByTestId('Day')[13])
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 10, 0, 0, 0),
+    endDate: new Date(2019, 2, 14, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should not end the range on a date closed to check-out', () => {
+  const onDatesChange = jest.fn()
+  const {getAllByTestId} = render(
+    <Datepicker
+      startDate={new Date(2019, 2, 10, 0, 0, 0)}
+      endDate={null}
+      focusedInput={END_DATE}
+      onDatesChange={onDatesChange}
+      numberOfMonths={1}
+      isEndDateBlocked={date => date.getDate() === 12}
+    />,
+  )
+
+  // Click on March 12
+  fireEvent.click(getAllByTestId('Day')[11])
+  expect(onDatesChange).not.toBeCalled()
+
+  // Click on March 13
+  fireEvent.click(getAllByTestId('Day')[12])
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 10, 0, 0, 0),
+    endDate: new Date(2019, 2, 13, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should block dates of unavailable ranges', () => {
+  const onDatesChange = jest.fn()
+  const {getAllByTestId} = render(
+    <Datepicker
+      startDate={new Date(2019, 2, 10, 0, 0, 0)}
+      endDate={null}
+      focusedInput={END_DATE}
+      onDatesChange={onDatesChange}
+      numberOfMonths={1}
+      unavailableRanges={[
+        {start: new Date(2019, 2, 14, 0, 0, 0), end: new Date(2019, 2, 16, 0, 0, 0)},
+      ]}
+    />,
+  )
+
+  // Click on March 17, the range would contain unavailable dates
+  fireEvent.click(getAllByTestId('Day')[16])
+  expect(onDatesChange).not.toBeCalled()
+
+  // Click on March 13
+  fireEvent.click(getAllByTestId('Day')[12])
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 10, 0, 0, 0),
+    endDate: new Date(2019, 2, 13, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should end the range on a turnover day', () => {
+  const onDatesChange = jest.fn()
+  const {getAllByTestId} = render(
+    <Datepicker
+      startDate={new Date(2019, 2, 10, 0, 0, 0)}
+      endDate={null}
+      focusedInput={END_DATE}
+      onDatesChange={onDatesChange}
+      numberOfMonths={1}
+      isNightBlocked={date => date.getDate() >= 14 && date.getDate() < 17}
+    />,
+  )
+
+  // Click on March 15
+  fireEvent.click(getAllByTestId('Day')[14])
+  expect(onDatesChange).not.toBeCalled()
+
+  // Click on March 14
+  fireEvent.click(getAllByTestId('Day')[13])
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 10, 0, 0, 0),
+    endDate: new Date(2019, 2, 14, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should disable the days beyond the first unavailable date', () => {
+  const onDatesChange = jest.fn()
+  const {getAllByTestId} = render(
+    <Datepicker
+      startDate={new Date(2019, 2, 10, 0, 0, 0)}
+      endDate={null}
+      focusedInput={END_DATE}
+      onDatesChange={onDatesChange}
+      numberOfMonths={1}
+      unavailableDates={[new Date(2019, 2, 15, 0, 0, 0)]}
+    />,
+  )
+
+  // March 14 and March 20
+  // @ts-ignore
+  expect(getAllByTestId('Day')[13]).not.toHaveStyleRule('opacity', '0.4')
+  // @ts-ignore
+  expect(getAllByTestId('Day')[19]).toHaveStyleRule('opacity', '0.4')
+
+  fireEvent.click(getAllByTestId('Day')[19])
+  expect(onDatesChange).not.toBeCalled()
+})
+
+test('should show the controlled visible month', () => {
+  const onVisibleMonthsChange = jest.fn()
+  const {getAllByTestId, getByText, rerender} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      visibleMonth={new Date(2019, 5, 1, 0, 0, 0)}
+      onVisibleMonthsChange={onVisibleMonthsChange}
+    />,
+  )
+  expect(getByText('June 2019'))
+  expect(getByText('July 2019'))
+
+  fireEvent.click(getAllByTestId('DatepickerNavButton')[1])
+  expect(onVisibleMonthsChange).toBeCalledWith(
+    expect.objectContaining({visibleMonth: new Date(2019, 7, 1, 0, 0, 0)}),
+  )
+  expect(getByText('June 2019'))
+
+  rerender(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      visibleMonth={new Date(2019, 7, 1, 0, 0, 0)}
+      onVisibleMonthsChange={onVisibleMonthsChange}
+    />,
+  )
+  expect(getByText('August 2019'))
+  expect(getByText('September 2019'))
+})
+
+test('should go to a date with the ref', () => {
+  const ref = React.createRef<{goToDate(date: Date): void}>()
+  const {getByText} = render(
+    <Datepicker
+      ref={ref}
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+    />,
+  )
+
+  act(() => {
+    ref.current!.goToDate(new Date(2020, 0, 15, 0, 0, 0))
+  })
+  expect(getByText('January 2020'))
+  expect(getByText('February 2020'))
+})
+
+test('should move the focus with the grid keys', () => {
+  advanceTo(new Date(2019, 2, 1, 0, 0, 0))
+  const onDatesChange = jest.fn()
+  const {getByLabelText, getByText, getByTestId} = render(
+    <Datepicker
+      firstDayOfWeek={0}
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={onDatesChange}
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowRight'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 1, 0, 0, 0))).toHaveFocus()
+
+  fireEvent.keyDown(getDay(new Date(2019, 2, 1, 0, 0, 0)), {key: 'End'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 2, 0, 0, 0))).toHaveFocus()
+
+  // Next month within the active months
+  fireEvent.keyDown(getDay(new Date(2019, 2, 2, 0, 0, 0)), {key: 'PageDown'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 3, 2, 0, 0, 0))).toHaveFocus()
+  expect(getByText('March 2019'))
+
+  // Next month pages the calendar
+  fireEvent.keyDown(getDay(new Date(2019, 3, 2, 0, 0, 0)), {key: 'PageDown'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 4, 2, 0, 0, 0))).toHaveFocus()
+  expect(getByText('May 2019'))
+  expect(getByText('June 2019'))
+
+  // Previous year
+  fireEvent.keyDown(getDay(new Date(2019, 4, 2, 0, 0, 0)), {key: 'PageUp', shiftKey: true})
+  // @ts-ignore
+  expect(getDay(new Date(2018, 4, 2, 0, 0, 0))).toHaveFocus()
+  expect(getByText('April 2018'))
+  expect(getByText('May 2018'))
+
+  fireEvent.keyDown(getDay(new Date(2018, 4, 2, 0, 0, 0)), {key: 'Home'})
+  // @ts-ignore
+  expect(getDay(new Date(2018, 3, 29, 0, 0, 0))).toHaveFocus()
+
+  fireEvent.keyDown(getDay(new Date(2018, 3, 29, 0, 0, 0)), {key: 'PageUp'})
+  // @ts-ignore
+  expect(getDay(new Date(2018, 2, 29, 0, 0, 0))).toHaveFocus()
+  expect(getByText('February 2018'))
+  expect(getByText('March 2018'))
+
+  fireEvent.keyDown(getDay(new Date(2018, 2, 29, 0, 0, 0)), {key: 'Enter'})
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2018, 2, 29, 0, 0, 0),
+    endDate: null,
+    focusedInput: END_DATE,
+  })
+
+  fireEvent.keyDown(getDay(new Date(2018, 2, 29, 0, 0, 0)), {key: 'ArrowRight'})
+  fireEvent.keyDown(getDay(new Date(2018, 2, 30, 0, 0, 0)), {key: ' '})
+  expect(onDatesChange).toHaveBeenLastCalledWith({
+    startDate: new Date(2018, 2, 30, 0, 0, 0),
+    endDate: null,
+    focusedInput: END_DATE,
+  })
+  clear()
+})
+
+test('should skip blocked dates with the arrow keys', () => {
+  advanceTo(new Date(2019, 2, 1, 0, 0, 0))
+  const {getByLabelText, getByTestId} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      isDateBlocked={date => date.getDay() === 0 || date.getDay() === 6}
+      skipBlockedDates
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowRight'})
+  fireEvent.keyDown(getDay(new Date(2019, 2, 1, 0, 0, 0)), {key: 'ArrowRight'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 4, 0, 0, 0))).toHaveFocus()
+
+  fireEvent.keyDown(getDay(new Date(2019, 2, 4, 0, 0, 0)), {key: 'ArrowLeft'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 1, 0, 0, 0))).toHaveFocus()
+  clear()
+})
+
+test('should keep the keyboard navigation of two datepickers independent', () => {
+  advanceTo(new Date(2019, 2, 1, 0, 0, 0))
+  const {getAllByTestId, getAllByLabelText} = render(
+    <>
+      <Datepicker
+        startDate={null}
+        endDate={null}
+        focusedInput={START_DATE}
+        onDatesChange={jest.fn()}
+      />
+      <Datepicker
+        startDate={null}
+        endDate={null}
+        focusedInput={START_DATE}
+        onDatesChange={jest.fn()}
+      />
+    </>,
+  )
+
+  getAllByTestId('DatepickerClose')[1].focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowRight'})
+  const days = getAllByLabelText(`Day-${new Date(2019, 2, 1, 0, 0, 0).toDateString()}`)
+  // @ts-ignore
+  expect(days[1]).toHaveFocus()
+  expect(days[0].getAttribute('tabIndex')).toBe('0')
+  expect(days[1].getAttribute('tabIndex')).toBe('0')
+  // The first datepicker has no focused date, all of its days stay tabbable
+  expect(getAllByTestId('Day')[1].getAttribute('tabIndex')).toBe('0')
+  clear()
+})
+
+test('should move the focus in the visual direction in rtl', () => {
+  advanceTo(new Date(2019, 2, 1, 0, 0, 0))
+  const {getByTestId, getByLabelText} = render(
+    <Datepicker
+      rtl
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowRight'})
+  fireEvent.keyDown(getDay(new Date(2019, 2, 1, 0, 0, 0)), {key: 'ArrowLeft'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 2, 0, 0, 0))).toHaveFocus()
+
+  fireEvent.keyDown(getDay(new Date(2019, 2, 2, 0, 0, 0)), {key: 'ArrowRight'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 1, 0, 0, 0))).toHaveFocus()
+  clear()
+})
+
+test('should scroll the vertical datepicker with the up and down keys', () => {
+  advanceTo(new Date(2019, 2, 1, 0, 0, 0))
+  const {getByTestId, getByLabelText, getByText, queryByText} = render(
+    <Datepicker
+      vertical
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  getByTestId('DatepickerClose').focus()
+  fireEvent.keyDown(document.activeElement as Element, {key: 'ArrowDown'})
+  fireEvent.keyDown(getDay(new Date(2019, 2, 1, 0, 0, 0)), {key: 'PageDown'})
+  fireEvent.keyDown(getDay(new Date(2019, 3, 1, 0, 0, 0)), {key: 'ArrowDown'})
+  fireEvent.keyDown(getDay(new Date(2019, 3, 8, 0, 0, 0)), {key: 'ArrowDown'})
+  fireEvent.keyDown(getDay(new Date(2019, 3, 15, 0, 0, 0)), {key: 'ArrowDown'})
+  fireEvent.keyDown(getDay(new Date(2019, 3, 22, 0, 0, 0)), {key: 'ArrowDown'})
+  fireEvent.keyDown(getDay(new Date(2019, 3, 29, 0, 0, 0)), {key: 'ArrowDown'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 4, 6, 0, 0, 0))).toHaveFocus()
+  expect(queryByText('March 2019')).toBeNull()
+  expect(getByText('April 2019'))
+  expect(getByText('May 2019'))
+
+  fireEvent.keyDown(getDay(new Date(2019, 4, 6, 0, 0, 0)), {key: 'PageUp'})
+  fireEvent.keyDown(getDay(new Date(2019, 3, 6, 0, 0, 0)), {key: 'ArrowUp'})
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 30, 0, 0, 0))).toHaveFocus()
+  expect(getByText('March 2019'))
+  expect(getByText('April 2019'))
+  clear()
+})
+
+test('should select a preset from the side panel', () => {
+  const onDatesChange = jest.fn()
+  const {getByText, queryByTestId, rerender} = render(
+    <Datepicker
+      selectionMode="single"
+      date={null}
+      onDateChange={jest.fn()}
+      presets={[{label: 'Today', range: (today: Date) => ({startDate: today, endDate: today})}]}
+    />,
+  )
+  expect(queryByTestId('Presets')).toBeNull()
+
+  rerender(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={onDatesChange}
+      presets={[{label: 'Today', range: (today: Date) => ({startDate: today, endDate: today})}]}
+    />,
+  )
+  fireEvent.click(getByText('Today'))
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 27, 0, 0, 0),
+    endDate: new Date(2019, 2, 27, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should block a preset over the unavailable ranges of the calendar', () => {
+  const onDatesChange = jest.fn()
+  const {getByText} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={onDatesChange}
+      unavailableRanges={[
+        {start: new Date(2019, 2, 28, 0, 0, 0), end: new Date(2019, 2, 29, 0, 0, 0)},
+      ]}
+      presets={[
+        {label: 'Today', range: (today: Date) => ({startDate: today, endDate: today})},
+        {
+          label: 'Next 3 days',
+          range: (today: Date) => ({startDate: today, endDate: addDays(today, 2)}),
+        },
+      ]}
+    />,
+  )
+  // @ts-ignore
+  expect(getByText('Next 3 days')).toBeDisabled()
+
+  fireEvent.click(getByText('Next 3 days'))
+  expect(onDatesChange).not.toBeCalled()
+  fireEvent.click(getByText('Today'))
+  expect(onDatesChange).toBeCalledTimes(1)
+})
+
+test('should select a range by dragging over the days of both months', () => {
+  const onDatesChange = jest.fn()
+  const {getByLabelText, getByTestId} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={onDatesChange}
+      dragToSelect
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  // React runs onPointerEnter and onPointerLeave handlers on pointerover and pointerout
+  fireEvent.pointerDown(getDay(new Date(2019, 2, 29, 0, 0, 0)))
+  fireEvent.pointerOver(getDay(new Date(2019, 3, 2, 0, 0, 0)))
+  // @ts-ignore
+  expect(getDay(new Date(2019, 2, 31, 0, 0, 0))).toHaveStyleRule('background', '#71c9ed')
+  expect(onDatesChange).not.toBeCalled()
+
+  fireEvent.pointerUp(getDay(new Date(2019, 3, 2, 0, 0, 0)))
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 29, 0, 0, 0),
+    endDate: new Date(2019, 3, 2, 0, 0, 0),
+    focusedInput: null,
+  })
+
+  // Released outside of the days
+  fireEvent.pointerDown(getDay(new Date(2019, 3, 5, 0, 0, 0)))
+  fireEvent.pointerOut(getByTestId('MonthGrid'))
+  fireEvent.pointerUp(getDay(new Date(2019, 3, 8, 0, 0, 0)))
+  expect(onDatesChange).toBeCalledTimes(1)
+})
+
+test('should not drag a range without dragToSelect', () => {
+  const onDatesChange = jest.fn()
+  const {getByLabelText} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={onDatesChange}
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  fireEvent.pointerDown(getDay(new Date(2019, 2, 29, 0, 0, 0)))
+  fireEvent.pointerUp(getDay(new Date(2019, 3, 2, 0, 0, 0)))
+  expect(onDatesChange).not.toBeCalled()
+})
+
+test('should move the selected range and reject it over unavailable dates', () => {
+  const onDatesChange = jest.fn()
+  const {getByLabelText} = render(
+    <Datepicker
+      startDate={new Date(2019, 3, 5, 0, 0, 0)}
+      endDate={new Date(2019, 3, 8, 0, 0, 0)}
+      focusedInput={null}
+      onDatesChange={onDatesChange}
+      unavailableDates={[new Date(2019, 3, 12, 0, 0, 0)]}
+      dragToSelect
+    />,
+  )
+  const getDay = (date: Date) => getByLabelText(`Day-${date.toDateString()}`)
+
+  fireEvent.pointerDown(getDay(new Date(2019, 3, 6, 0, 0, 0)))
+  fireEvent.pointerOver(getDay(new Date(2019, 3, 10, 0, 0, 0)))
+  // @ts-ignore
+  expect(getDay(new Date(2019, 3, 9, 0, 0, 0))).toHaveStyleRule('background', '#f25c54')
+  // @ts-ignore
+  expect(getDay(new Date(2019, 3, 9, 0, 0, 0))).toHaveStyleRule('cursor', 'not-allowed')
+  fireEvent.pointerUp(getDay(new Date(2019, 3, 10, 0, 0, 0)))
+  expect(onDatesChange).not.toBeCalled()
+
+  fireEvent.pointerDown(getDay(new Date(2019, 3, 6, 0, 0, 0)))
+  fireEvent.pointerOver(getDay(new Date(2019, 3, 16, 0, 0, 0)))
+  // @ts-ignore
+  expect(getDay(new Date(2019, 3, 15, 0, 0, 0))).toHaveStyleRule('background', '#00aeef')
+  fireEvent.pointerUp(getDay(new Date(2019, 3, 16, 0, 0, 0)))
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 3, 15, 0, 0, 0),
+    endDate: new Date(2019, 3, 18, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should render month and weekday names of the locale', () => {
+  const {getByText, getAllByTestId, rerender} = render(
+    <Datepicker
+      startDate={new Date(2019, 2, 5, 0, 0, 0)}
+      endDate={null}
+      focusedInput={END_DATE}
+      onDatesChange={jest.fn()}
+      locale={de}
+    />,
+  )
+  expect(getByText('März 2019'))
+  expect(getByText('05.03.2019'))
+  // @ts-ignore
+  expect(getAllByTestId('DayLabel')[0]).toHaveTextContent('Mo')
+
+  rerender(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={jest.fn()}
+      locale={enUS}
+    />,
+  )
+  expect(getByText('March 2019'))
+  // @ts-ignore
+  expect(getAllByTestId('DayLabel')[0]).toHaveTextContent('Su')
+})
+
+test('should lay out the months of the calendar', () => {
+  const onDatesChange = jest.fn()
+  const {getByText, getAllByTestId, queryAllByTestId} = render(
+    <Datepicker
+      startDate={null}
+      endDate={null}
+      focusedInput={START_DATE}
+      onDatesChange={onDatesChange}
+      firstDayOfWeek={6}
+      calendar={jalaliCalendar}
+    />,
+  )
+  expect(getByText('فروردین 1398'))
+  expect(getByText('اردیبهشت 1398'))
+  expect(queryAllByTestId('MonthLabelButton').length).toBe(0)
+
+  // Click on 1 Farvardin
+  const day = getAllByTestId('Day')[0]
+  // @ts-ignore
+  expect(day).toHaveTextContent('01')
+  fireEvent.click(day)
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 21, 0, 0, 0),
+    endDate: null,
+    focusedInput: END_DATE,
+  })
+})
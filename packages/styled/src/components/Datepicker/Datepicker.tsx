@@ -29,25 +29,39 @@ import {
   useDatepicker,
   MonthType,
   UseDatepickerProps,
+  LooseDatepickerConfig,
   getInputValue,
   START_DATE,
   END_DATE,
   FormatFunction,
-  dayLabelFormat as dayLabelFormatFn,
-  weekdayLabelFormat as weekdayLabelFormatFn,
-  monthLabelFormat as monthLabelFormatFn,
+  getDefaultDisplayFormat,
+  gregorianCalendar,
+  getMonths,
+  getDecadeYears,
+  isMonthBlocked,
+  HourFormat,
+  getTimeFormat,
+  UnavailableRange,
+  Preset,
 } from '@datepicker-react/hooks'
+import isAfter from 'date-fns/isAfter'
+import isSameMonth from 'date-fns/isSameMonth'
+import isSameYear from 'date-fns/isSameYear'
 import {datepickerPhrases, DatepickerPhrases} from '../../phrases'
 import SelectedDate from '../SelectedDate'
 import Grid from '../Grid'
 import Flex from '../Flex'
 import Month from '../Month'
+import PeriodGrid from '../PeriodGrid'
+import TimeColumn from '../TimeColumn'
+import Presets from '../Presets'
 import Box from '../Box'
 import ResetDates from '../ResetDates'
 import NavButton from '../NavButton'
 import Close from '../Close'
 import ArrowIcon from '../../icons/ArrowIcon'
 import DatepickerContext from '../../context/datepickerContext'
+import MonthPickerContext from '../../context/monthPickerContext'
 // eslint-disable-next-line import/no-unresolved
 import {DatepickerTheme} from '../../@types/theme'
 import useThemeProps from '../../hooks/useThemeProps'
@@ -126,7 +140,7 @@ const MonthGrid = styled(Grid)<MonthGridProps>`
   ${composeMonthGridStyles}
 `
 
-export interface DatepickerProps extends UseDatepickerProps {
+export interface DatepickerOptions {
   phrases?: DatepickerPhrases
   displayFormat?: string | FormatFunction
   onClose?(): void
@@ -135,50 +149,99 @@ export interface DatepickerProps extends UseDatepickerProps {
   showClose?: boolean
   vertical?: boolean
   rtl?: boolean
+  skipBlockedDates?: boolean
+  dragToSelect?: boolean
   initialVisibleMonth?: Date
   dayLabelFormat?(date: Date): string
   weekdayLabelFormat?(date: Date): string
   monthLabelFormat?(date: Date): string
   onDayRender?(date: Date): React.ReactNode
   unavailableDates?: Date[]
+  unavailableRanges?: UnavailableRange[]
+  presets?: Preset[]
+  showTimepicker?: boolean
+  minuteStep?: number
+  minTime?: string
+  maxTime?: string
+  hourFormat?: HourFormat
+  timeLabelFormat?(date: Date): string
 }
 
+// The selection props are checked against the selection mode, like the props of useDatepicker
+export type DatepickerProps = UseDatepickerProps & DatepickerOptions
+
+type LooseDatepickerProps = LooseDatepickerConfig & DatepickerOptions
+
 function Datepicker(
   {
-    startDate,
-    endDate,
+    selectionMode = 'range',
+    startDate = null,
+    endDate = null,
+    date,
+    selectedDates,
+    maxSelectedDates,
+    ranges,
     minBookingDate,
     maxBookingDate,
-    focusedInput,
-    onDatesChange,
+    focusedInput = null,
+    onDatesChange = () => {},
+    onDateChange = () => {},
+    onSelectedDatesChange,
+    onRangesChange,
     dayLabelFormat,
     weekdayLabelFormat,
     monthLabelFormat,
     onDayRender,
     initialVisibleMonth,
+    visibleMonth,
+    onVisibleMonthsChange,
     vertical = false,
-    rtl = false,
+    rtl: rtlProp = false,
+    skipBlockedDates = false,
+    dragToSelect = false,
     showResetDates = true,
     showClose = true,
     showSelectedDates = true,
     exactMinBookingDays = false,
     isDateBlocked = () => false,
+    isStartDateBlocked,
+    isEndDateBlocked,
+    isNightBlocked,
     minBookingDays = 1,
+    maxBookingDays,
     onClose = () => {},
     numberOfMonths: numberOfMonthsProp,
     firstDayOfWeek: firstDayOfWeekProp,
-    displayFormat = 'MM/dd/yyyy',
+    locale,
+    calendar,
     phrases = datepickerPhrases,
     unavailableDates = [],
-  }: DatepickerProps,
+    unavailableRanges = [],
+    presets = [],
+    showTimepicker = false,
+    minuteStep,
+    minTime,
+    maxTime,
+    hourFormat = 24,
+    timeLabelFormat,
+    displayFormat = showTimepicker
+      ? `${getDefaultDisplayFormat(locale)} ${getTimeFormat(hourFormat)}`
+      : getDefaultDisplayFormat(locale),
+  }: LooseDatepickerProps,
   ref?: React.Ref<unknown>,
 ) {
   const {
     activeMonths,
+    getGridProps,
     isDateSelected,
     isFirstOrLastSelectedDate,
+    isStartDate,
+    isEndDate,
+    isDateInActiveRange,
+    isDateDragRejected,
     isDateHovered,
     firstDayOfWeek,
+    rtl,
     onDateSelect,
     onResetDates,
     goToPreviousMonths,
@@ -186,31 +249,71 @@ function Datepicker(
     numberOfMonths,
     hoveredDate,
     onDateHover,
+    onDateDragStart,
+    onDateDragEnd,
     isDateFocused,
     focusedDate,
     onDateFocus,
+    activeView,
+    onViewChange,
+    onYearSelect,
+    onMonthSelect,
+    goToPreviousDecade,
+    goToNextDecade,
+    goToDate,
     isDateBlocked: isDateBlockedFn,
+    getDateRestriction,
+    getHalfDayAvailability,
   } = useDatepicker({
+    selectionMode,
     startDate,
     endDate,
+    date,
+    selectedDates,
+    maxSelectedDates,
+    ranges,
     focusedInput,
     onDatesChange,
+    onDateChange,
+    onSelectedDatesChange,
+    onRangesChange,
     minBookingDate,
     maxBookingDate,
     minBookingDays,
+    maxBookingDays,
     isDateBlocked,
+    isStartDateBlocked,
+    isEndDateBlocked,
+    isNightBlocked,
     exactMinBookingDays,
     unavailableDates,
+    unavailableRanges,
     initialVisibleMonth,
+    visibleMonth,
+    onVisibleMonthsChange,
     numberOfMonths: numberOfMonthsProp,
     firstDayOfWeek: firstDayOfWeekProp,
-  })
+    locale,
+    calendar,
+    vertical,
+    rtl: rtlProp,
+  } as UseDatepickerProps)
+  // The keys of the whole picker start the keyboard navigation, the pointer props end a drag
+  const {onKeyDown: onGridKeyDown, ...gridPointerProps} = getGridProps()
   useImperativeHandle(ref, () => ({
     onDateSelect: (date: Date) => {
       onDateSelect(date)
     },
+    onKeyDown: (e: React.KeyboardEvent) => {
+      onGridKeyDown(e)
+    },
+    goToDate: (date: Date) => {
+      goToDate(date)
+    },
   }))
   const monthGridRef = useRef<HTMLDivElement>(null)
+  const showSelectedDatesHeader =
+    showSelectedDates && (selectionMode === 'range' || selectionMode === 'week')
   const themeContext = useContext(ThemeContext)
   const theme: DatepickerTheme = useThemeProps({
     datepickerZIndex: null,
@@ -238,7 +341,11 @@ function Datepicker(
       themeContext,
     ),
     datepickerMonthsWrapperMargin:
-      !showClose && !showSelectedDates ? 'unset' : !showSelectedDates ? '48px 0 0' : '28px 0 0',
+      !showClose && !showSelectedDatesHeader
+        ? 'unset'
+        : !showSelectedDatesHeader
+        ? '48px 0 0'
+        : '28px 0 0',
     datepickerPreviousMonthButtonPosition: vertical ? 'relative' : 'absolute',
     datepickerPreviousMonthButtonTop: vertical ? 'unset' : '-5px',
     datepickerPreviousMonthButtonLeft: vertical ? 'unset' : '0',
@@ -254,6 +361,8 @@ function Datepicker(
     datepickerMonthsGridHeight: vertical ? '50vh' : '100%',
     datepickerResetDatesWrapperMargin: vertical ? 'unset' : '32px 0 0',
     datepickerBoxShadow: 'rgba(0, 0, 0, 0.05) 0px 2px 6px, rgba(0, 0, 0, 0.07) 0px 0px 0px 1px',
+    datepickerTimeColumnsMargin: '32px 0 0',
+    datepickerTimeColumnsGap: '0 32px',
   })
 
   function scrollTopToMonthGrid() {
@@ -262,29 +371,255 @@ function Datepicker(
     }
   }
 
+  const activeYear = activeMonths[0].year
+  // The month and year views are laid out in Gregorian months and years
+  const hasPeriodViews = !calendar || calendar === gregorianCalendar
+  const isYearsView = activeView === 'years'
+  const decadeYears = getDecadeYears(activeYear)
+  const isSamePeriod = isYearsView ? isSameYear : isSameMonth
+  // The dates of the selection mode that mark their months and years
+  const periodDates =
+    selectionMode === 'single'
+      ? [date]
+      : selectionMode === 'multiple'
+      ? selectedDates || []
+      : selectionMode === 'ranges'
+      ? (ranges || []).reduce<(Date | null)[]>(
+          (dates, range) => [...dates, range.startDate, range.endDate],
+          [],
+        )
+      : [startDate, endDate]
+  const isPeriodSelected = (periodDate: Date) =>
+    periodDates.some(selectedDate => !!selectedDate && isSamePeriod(periodDate, selectedDate))
+
+  function isPeriodBlocked(date: Date) {
+    if (isYearsView) {
+      return (
+        (!!minBookingDate && date.getFullYear() < minBookingDate.getFullYear()) ||
+        (!!maxBookingDate && date.getFullYear() > maxBookingDate.getFullYear())
+      )
+    }
+
+    return isMonthBlocked({date, minBookingDate, maxBookingDate})
+  }
+
+  const timeProps = {minuteStep, minTime, maxTime, hourFormat, timeLabelFormat}
+  const timeColumns =
+    selectionMode === 'single'
+      ? [
+          {
+            title: phrases.datepickerTimeLabel,
+            date: date || null,
+            onTimeChange: (dateWithTime: Date) => onDateChange({date: dateWithTime}),
+          },
+        ]
+      : selectionMode === 'range'
+      ? [
+          {
+            title: phrases.datepickerStartTimeLabel,
+            date: startDate,
+            onTimeChange: handleStartTimeChange,
+          },
+          {
+            title: phrases.datepickerEndTimeLabel,
+            date: endDate,
+            onTimeChange: (dateWithTime: Date) =>
+              onDatesChange({startDate, endDate: dateWithTime, focusedInput}),
+            // The end time has to be after the start time
+            isTimeBlocked: (dateWithTime: Date) => !!startDate && !isAfter(dateWithTime, startDate),
+          },
+        ]
+      : []
+
+  function handleStartTimeChange(dateWithTime: Date) {
+    if (endDate && !isAfter(endDate, dateWithTime)) {
+      onDatesChange({startDate: dateWithTime, endDate: null, focusedInput: END_DATE})
+    } else {
+      onDatesChange({startDate: dateWithTime, endDate, focusedInput})
+    }
+  }
+
   function handleGoToNextMonth() {
-    goToNextMonths()
-    scrollTopToMonthGrid()
+    if (activeView === 'months') {
+      onYearSelect(activeYear + 1)
+    } else if (isYearsView) {
+      goToNextDecade()
+    } else {
+      goToNextMonths()
+      scrollTopToMonthGrid()
+    }
   }
 
   function handleGoToPreviousMonth() {
-    goToPreviousMonths()
-    scrollTopToMonthGrid()
+    if (activeView === 'months') {
+      onYearSelect(activeYear - 1)
+    } else if (isYearsView) {
+      goToPreviousDecade()
+    } else {
+      goToPreviousMonths()
+      scrollTopToMonthGrid()
+    }
   }
 
+  const months = (
+    <Box position="relative">
+      <Box m={theme.datepickerMonthsWrapperMargin}>
+        {activeView === 'days' ? (
+          <MonthGrid
+            data-testid="MonthGrid"
+            overflow={theme.datepickerMonthsGridOverflow}
+            height={theme.datepickerMonthsGridHeight}
+            gridTemplateColumns={vertical ? '1fr' : `repeat(${numberOfMonths}, 1fr)`}
+            gridGap={theme.datepickerMonthsGridGap}
+            pr={rtl ? '1px' : '0'}
+            ref={monthGridRef}
+            {...gridPointerProps}
+            onMouseLeave={() => {
+              if (hoveredDate) {
+                onDateHover(null)
+              }
+            }}
+          >
+            {activeMonths.map((month: MonthType) => (
+              <Month
+                key={`month-${month.year}-${month.month}`}
+                year={month.year}
+                month={month.month}
+                firstDayOfWeek={firstDayOfWeek}
+                locale={locale}
+                calendar={calendar}
+                dayLabelFormat={dayLabelFormat}
+                weekdayLabelFormat={weekdayLabelFormat}
+                monthLabelFormat={monthLabelFormat}
+                onLabelClick={hasPeriodViews ? () => onViewChange('months') : undefined}
+              />
+            ))}
+          </MonthGrid>
+        ) : (
+          <MonthPickerContext.Provider
+            value={{
+              focusedMonth: focusedDate,
+              isMonthFocused: (date: Date) => !!focusedDate && isSamePeriod(date, focusedDate),
+              isMonthSelected: isPeriodSelected,
+              isFirstOrLastSelectedMonth: isPeriodSelected,
+              isMonthHovered: () => false,
+              isMonthBlocked: isPeriodBlocked,
+              onMonthFocus: onDateFocus,
+              onMonthSelect: (date: Date) =>
+                isYearsView ? onYearSelect(date.getFullYear()) : onMonthSelect(date),
+              onMonthHover: () => {},
+            }}
+          >
+            {isYearsView ? (
+              <PeriodGrid
+                key={`decade-${decadeYears[1]}`}
+                label={`${decadeYears[1]} – ${decadeYears[10]}`}
+                unit="year"
+                periods={decadeYears.map(year => ({
+                  date: new Date(year, 0, 1),
+                  label: `${year}`,
+                }))}
+              />
+            ) : (
+              <PeriodGrid
+                key={`year-${activeYear}`}
+                label={`${activeYear}`}
+                unit="month"
+                periods={getMonths({year: activeYear, locale}).map(month => ({
+                  date: month.date,
+                  label: month.monthLabel,
+                }))}
+                onLabelClick={() => onViewChange('years')}
+              />
+            )}
+          </MonthPickerContext.Provider>
+        )}
+      </Box>
+      {showTimepicker && activeView === 'days' && timeColumns.length > 0 && (
+        <Grid
+          data-testid="TimeColumns"
+          gridTemplateColumns={`repeat(${timeColumns.length}, 1fr)`}
+          gridGap={theme.datepickerTimeColumnsGap}
+          m={theme.datepickerTimeColumnsMargin}
+        >
+          {timeColumns.map(timeColumn => (
+            <TimeColumn key={timeColumn.title} {...timeProps} {...timeColumn} />
+          ))}
+        </Grid>
+      )}
+      <Flex alignItems="center">
+        <>
+          {showResetDates && (
+            <Flex flex="1" m={theme.datepickerResetDatesWrapperMargin}>
+              <ResetDates rtl={rtl} onResetDates={onResetDates} text={phrases.resetDates} />
+            </Flex>
+          )}
+          <Box
+            position={theme.datepickerPreviousMonthButtonPosition}
+            top={theme.datepickerPreviousMonthButtonTop}
+            left={theme.datepickerPreviousMonthButtonLeft}
+            right={theme.datepickerPreviousMonthButtonRight}
+            bottom={theme.datepickerPreviousMonthButtonBottom}
+          >
+            <NavButton
+              type="prev"
+              onClick={rtl && !vertical ? handleGoToNextMonth : handleGoToPreviousMonth}
+              vertical={vertical}
+              rtl={rtl}
+              ariaLabel={
+                activeView === 'months'
+                  ? 'Previous year'
+                  : isYearsView
+                  ? 'Previous decade'
+                  : 'Previous month'
+              }
+            />
+          </Box>
+          <Box
+            position={theme.datepickerNextMonthButtonPosition}
+            top={theme.datepickerNextMonthButtonTop}
+            left={theme.datepickerNextMonthButtonLeft}
+            right={theme.datepickerNextMonthButtonRight}
+            bottom={theme.datepickerNextMonthButtonBottom}
+          >
+            <NavButton
+              type="next"
+              onClick={rtl && !vertical ? handleGoToPreviousMonth : handleGoToNextMonth}
+              vertical={vertical}
+              rtl={rtl}
+              ariaLabel={
+                activeView === 'months' ? 'Next year' : isYearsView ? 'Next decade' : 'Next month'
+              }
+            />
+          </Box>
+        </>
+      </Flex>
+    </Box>
+  )
+
   return (
     <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
       <DatepickerContext.Provider
         value={{
           rtl,
+          firstDayOfWeek,
+          skipBlockedDates,
           isDateFocused,
           isDateSelected,
           isDateHovered,
           isFirstOrLastSelectedDate,
+          isStartDate,
+          isEndDate,
+          isDateInActiveRange,
+          isDateDragRejected,
+          getDateRestriction,
+          getHalfDayAvailability,
           onDateFocus,
           focusedDate,
           onDateSelect,
           onDateHover,
+          onDateDragStart: dragToSelect ? onDateDragStart : undefined,
+          onDateDragEnd: dragToSelect ? onDateDragEnd : undefined,
           onDayRender,
           isDateBlocked: isDateBlockedFn,
         }}
@@ -298,6 +633,7 @@ function Datepicker(
           width={theme.datepickerWidth}
           zIndex={theme.datepickerZIndex}
           rtl={rtl}
+          onKeyDown={onGridKeyDown}
         >
           {showClose && (
             <CloseWrapper
@@ -315,7 +651,7 @@ function Datepicker(
             </CloseWrapper>
           )}
 
-          {showSelectedDates && (
+          {showSelectedDatesHeader && (
             <DateWrapper>
               <Grid
                 data-testid="SelectedDatesGrid"
@@ -328,6 +664,7 @@ function Datepicker(
                     startDate,
                     displayFormat,
                     phrases.datepickerStartDatePlaceholder,
+                    locale,
                   )}
                   isActive={focusedInput === START_DATE}
                   vertical={vertical}
@@ -344,86 +681,47 @@ function Datepicker(
                 </Flex>
                 <SelectedDate
                   title={phrases.datepickerEndDateLabel}
-                  date={getInputValue(endDate, displayFormat, phrases.datepickerEndDatePlaceholder)}
+                  date={getInputValue(
+                    endDate,
+                    displayFormat,
+                    phrases.datepickerEndDatePlaceholder,
+                    locale,
+                  )}
                   isActive={focusedInput === END_DATE}
                   vertical={vertical}
                 />
               </Grid>
             </DateWrapper>
           )}
-          <Box position="relative">
-            <Box m={theme.datepickerMonthsWrapperMargin}>
-              <MonthGrid
-                data-testid="MonthGrid"
-                overflow={theme.datepickerMonthsGridOverflow}
-                height={theme.datepickerMonthsGridHeight}
-                gridTemplateColumns={vertical ? '1fr' : `repeat(${numberOfMonths}, 1fr)`}
-                gridGap={theme.datepickerMonthsGridGap}
-                pr={rtl ? '1px' : '0'}
-                ref={monthGridRef}
-                onMouseLeave={() => {
-                  if (hoveredDate) {
-                    onDateHover(null)
-                  }
-                }}
-              >
-                {activeMonths.map((month: MonthType) => (
-                  <Month
-                    key={`month-${month.year}-${month.month}`}
-                    year={month.year}
-                    month={month.month}
-                    firstDayOfWeek={firstDayOfWeek}
-                    dayLabelFormat={dayLabelFormat || dayLabelFormatFn}
-                    weekdayLabelFormat={weekdayLabelFormat || weekdayLabelFormatFn}
-                    monthLabelFormat={monthLabelFormat || monthLabelFormatFn}
-                  />
-                ))}
-              </MonthGrid>
-            </Box>
-            <Flex alignItems="center">
-              <>
-                {showResetDates && (
-                  <Flex flex="1" m={theme.datepickerResetDatesWrapperMargin}>
-                    <ResetDates rtl={rtl} onResetDates={onResetDates} text={phrases.resetDates} />
-                  </Flex>
-                )}
-                <Box
-                  position={theme.datepickerPreviousMonthButtonPosition}
-                  top={theme.datepickerPreviousMonthButtonTop}
-                  left={theme.datepickerPreviousMonthButtonLeft}
-                  right={theme.datepickerPreviousMonthButtonRight}
-                  bottom={theme.datepickerPreviousMonthButtonBottom}
-                >
-                  <NavButton
-                    type="prev"
-                    onClick={rtl && !vertical ? handleGoToNextMonth : handleGoToPreviousMonth}
-                    vertical={vertical}
-                    rtl={rtl}
-                    ariaLabel="Previous month"
-                  />
-                </Box>
-                <Box
-                  position={theme.datepickerNextMonthButtonPosition}
-                  top={theme.datepickerNextMonthButtonTop}
-                  left={theme.datepickerNextMonthButtonLeft}
-                  right={theme.datepickerNextMonthButtonRight}
-                  bottom={theme.datepickerNextMonthButtonBottom}
-                >
-                  <NavButton
-                    type="next"
-                    onClick={rtl && !vertical ? handleGoToPreviousMonth : handleGoToNextMonth}
-                    vertical={vertical}
-                    rtl={rtl}
-                    ariaLabel="Next month"
-                  />
-                </Box>
-              </>
+          {selectionMode === 'range' && presets.length > 0 ? (
+            <Flex>
+              <Presets
+                presets={presets}
+                startDate={startDate}
+                endDate={endDate}
+                onDatesChange={onDatesChange}
+                minBookingDate={minBookingDate}
+                maxBookingDate={maxBookingDate}
+                minBookingDays={minBookingDays}
+                maxBookingDays={maxBookingDays}
+                exactMinBookingDays={exactMinBookingDays}
+                isDateBlocked={isDateBlocked}
+                isStartDateBlocked={isStartDateBlocked}
+                isEndDateBlocked={isEndDateBlocked}
+                isNightBlocked={isNightBlocked}
+                unavailableDates={unavailableDates}
+                unavailableRanges={unavailableRanges}
+                rtl={rtl}
+              />
+              {months}
             </Flex>
-          </Box>
+          ) : (
+            months
+          )}
         </StyledDatepicker>
       </DatepickerContext.Provider>
     </ThemeProvider>
   )
 }
 
-export default React.forwardRef(Datepicker)
+export default React.forwardRef<unknown, DatepickerProps>(Datepicker)
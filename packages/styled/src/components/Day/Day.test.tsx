@@ -53,3 +53,35 @@ test('should execute onDateHover callback', () => {
   fireEvent.mouseEnter(container.firstChild)
   expect(onDateHover).toBeCalled()
 })
+
+test('should render start day of the active range', () => {
+  const {container} = render(
+    <Day date={new Date(2019, 2, 27, 0, 0, 0)} day="1" />,
+    {},
+    {
+      isDateSelected: () => true,
+      isFirstOrLastSelectedDate: () => true,
+      isStartDate: () => true,
+      isDateInActiveRange: () => true,
+    },
+  )
+  expect(container).toMatchSnapshot()
+})
+
+test('should render day closed to check-out', () => {
+  const {container} = render(
+    <Day date={new Date(2019, 2, 27, 0, 0, 0)} day="1" />,
+    {},
+    {getDateRestriction: () => 'endDate'},
+  )
+  expect(container).toMatchSnapshot()
+})
+
+test('should render split turnover day', () => {
+  const {container} = render(
+    <Day date={new Date(2019, 2, 27, 0, 0, 0)} day="1" />,
+    {},
+    {getHalfDayAvailability: () => 'checkOut'},
+  )
+  expect(container).toMatchSnapshot()
+})
@@ -1,7 +1,7 @@
 import React, {useMemo, useContext, useRef} from 'react'
 import styled, {css, ThemeContext} from 'styled-components'
 import {compose, ResponsiveValue, style, TLengthStyledSystem} from 'styled-system'
-import {useDay} from '@datepicker-react/hooks'
+import {useDay, DateRestriction, HalfDayAvailability} from '@datepicker-react/hooks'
 import {
   boxShadow,
   BoxShadowProps,
@@ -114,6 +114,10 @@ interface StyledDayProps
   disabledDate: boolean
   isSelectedStartOrEnd: boolean
   isWithinHoverRange: boolean
+  restriction: DateRestriction
+  restrictedColor: string
+  isDraggable: boolean
+  isDragRejected: boolean
   dayHeight: number | (number | null)[] | undefined
   dayWidth: number | (number | null)[] | undefined
   borderAccessibilityColor: string
@@ -140,6 +144,18 @@ const StyledDay = styled('button')<StyledDayProps>`
   border: 0;
   padding: 0;
   outline: 0;
+
+  ${({isDraggable}) =>
+    isDraggable &&
+    css`
+      touch-action: none;
+    `}
+
+  ${({isDragRejected}) =>
+    isDragRejected &&
+    css`
+      cursor: not-allowed;
+    `}
   
   ${({disabledDate, isSelectedStartOrEnd}) =>
     disabledDate &&
@@ -149,8 +165,25 @@ const StyledDay = styled('button')<StyledDayProps>`
       opacity: 0.4;
     `}
   
-  ${({disabledDate, isSelected, isSelectedStartOrEnd, isWithinHoverRange}) => {
-    if (!disabledDate && !isSelected && !isSelectedStartOrEnd && !isWithinHoverRange) {
+  ${({restriction, isSelected, isSelectedStartOrEnd, isWithinHoverRange, restrictedColor}) =>
+    restriction &&
+    !isSelected &&
+    !isSelectedStartOrEnd &&
+    !isWithinHoverRange &&
+    css`
+      cursor: initial;
+      color: ${restrictedColor};
+      text-decoration: line-through;
+    `}
+
+  ${({disabledDate, restriction, isSelected, isSelectedStartOrEnd, isWithinHoverRange}) => {
+    if (
+      !disabledDate &&
+      !restriction &&
+      !isSelected &&
+      !isSelectedStartOrEnd &&
+      !isWithinHoverRange
+    ) {
       return css`
         &:hover {
           ${dayHoverBackground}
@@ -204,6 +237,17 @@ function getColor(
   }
 }
 
+// Turnover days are split diagonally, the blocked half gets the half blocked background
+function getHalfDayBackground(
+  halfDayAvailability: HalfDayAvailability,
+  background: string,
+  blockedBackground: string,
+) {
+  return halfDayAvailability === 'checkOut'
+    ? `linear-gradient(135deg, ${background} 50%, ${blockedBackground} 50%)`
+    : `linear-gradient(135deg, ${blockedBackground} 50%, ${background} 50%)`
+}
+
 interface DayProps {
   day: string
   date: Date
@@ -217,10 +261,21 @@ function Day({day, date}: DayProps) {
     isDateHovered,
     isDateBlocked,
     isFirstOrLastSelectedDate,
+    isStartDate,
+    isEndDate,
+    isDateInActiveRange,
+    isDateDragRejected,
+    getDateRestriction,
+    getHalfDayAvailability,
     onDateSelect,
     onDateFocus,
     onDateHover,
+    onDateDragStart,
+    onDateDragEnd,
     onDayRender,
+    firstDayOfWeek,
+    skipBlockedDates,
+    rtl,
   } = useContext(datepickerContext)
 
   const dayProps = useDay({
@@ -231,15 +286,27 @@ function Day({day, date}: DayProps) {
     isDateHovered,
     isDateBlocked,
     isFirstOrLastSelectedDate,
+    isStartDate,
+    isEndDate,
+    isDateInActiveRange,
+    isDateDragRejected,
+    getDateRestriction,
+    getHalfDayAvailability,
     onDateFocus,
     onDateSelect,
     onDateHover,
+    onDateDragStart,
+    onDateDragEnd,
     dayRef,
+    firstDayOfWeek,
+    skipBlockedDates,
+    rtl,
   })
 
   const themeContext = useContext(ThemeContext)
   const white = getThemeProp('white', globalStyles.colors.white, themeContext)
   const mud = getThemeProp('mud', globalStyles.colors.mud, themeContext)
+  const graci = getThemeProp('graci', globalStyles.colors.graci, themeContext)
   const primaryColor = getThemeProp('primaryColor', globalStyles.colors.primaryColor, themeContext)
   const accessibility = getThemeProp(
     'accessibility',
@@ -257,6 +324,7 @@ function Day({day, date}: DayProps) {
     globalStyles.colors.normalDayHover,
     themeContext,
   )
+  const rejectedDay = getThemeProp('rejectedDay', globalStyles.colors.rejectedDay, themeContext)
   const theme: DayTheme = useThemeProps({
     fontFamily: globalStyles.fontFamily,
     daySize: globalStyles.daySize,
@@ -268,12 +336,22 @@ function Day({day, date}: DayProps) {
     daySelectedHoverColor: white,
     dayHoverRangeColor: white,
     daySelectedFirstOrLastColor: white,
+    daySelectedStartColor: white,
+    daySelectedEndColor: white,
+    dayActiveRangeColor: white,
+    dayDragRejectedColor: white,
+    dayRestrictedColor: graci,
     dayBackground: white,
     dayHoverBackground: normalDayHover,
     daySelectedBackground: selectedDay,
     daySelectedHoverBackground: selectedDayHover,
     dayHoverRangeBackground: selectedDay,
     daySelectedFirstOrLastBackground: primaryColor,
+    daySelectedStartBackground: primaryColor,
+    daySelectedEndBackground: primaryColor,
+    dayActiveRangeBackground: selectedDayHover,
+    dayDragRejectedBackground: rejectedDay,
+    dayHalfBlockedBackground: graci,
     dayBorderColor: normalDayHover,
     daySelectedBorderColor: selectedDay,
     dayHoverRangeBorderColor: selectedDay,
@@ -298,29 +376,63 @@ function Day({day, date}: DayProps) {
     () =>
       getColor(dayProps.isSelected, dayProps.isSelectedStartOrEnd, dayProps.isWithinHoverRange, {
         // @ts-ignore
-        selectedFirstOrLast: theme.daySelectedFirstOrLastBackground,
+        selectedFirstOrLast: dayProps.isSelectedStart
+          ? theme.daySelectedStartBackground
+          : dayProps.isSelectedEnd
+          ? theme.daySelectedEndBackground
+          : theme.daySelectedFirstOrLastBackground,
         // @ts-ignore
-        selected: theme.daySelectedBackground,
+        selected: dayProps.isWithinActiveRange
+          ? theme.dayActiveRangeBackground
+          : theme.daySelectedBackground,
         // @ts-ignore
-        normal: theme.dayBackground,
+        normal: dayProps.halfDayAvailability
+          ? getHalfDayBackground(
+              dayProps.halfDayAvailability,
+              // @ts-ignore
+              theme.dayBackground,
+              theme.dayHalfBlockedBackground,
+            )
+          : theme.dayBackground,
         // @ts-ignore
         rangeHover: theme.dayHoverRangeBackground,
       }),
-    [dayProps.isSelected, dayProps.isSelectedStartOrEnd, theme, dayProps.isWithinHoverRange],
+    [
+      dayProps.isSelected,
+      dayProps.isSelectedStartOrEnd,
+      dayProps.isSelectedStart,
+      dayProps.isSelectedEnd,
+      dayProps.isWithinActiveRange,
+      dayProps.halfDayAvailability,
+      theme,
+      dayProps.isWithinHoverRange,
+    ],
   )
   const color = useMemo(
     () =>
       getColor(dayProps.isSelected, dayProps.isSelectedStartOrEnd, dayProps.isWithinHoverRange, {
         // @ts-ignore
-        selectedFirstOrLast: theme.daySelectedFirstOrLastColor,
+        selectedFirstOrLast: dayProps.isSelectedStart
+          ? theme.daySelectedStartColor
+          : dayProps.isSelectedEnd
+          ? theme.daySelectedEndColor
+          : theme.daySelectedFirstOrLastColor,
         // @ts-ignore
-        selected: theme.daySelectedColor,
+        selected: dayProps.isWithinActiveRange ? theme.dayActiveRangeColor : theme.daySelectedColor,
         // @ts-ignore
         normal: theme.dayColor,
         // @ts-ignore
         rangeHover: theme.dayHoverRangeColor,
       }),
-    [dayProps.isSelected, dayProps.isSelectedStartOrEnd, theme, dayProps.isWithinHoverRange],
+    [
+      dayProps.isSelected,
+      dayProps.isSelectedStartOrEnd,
+      dayProps.isSelectedStart,
+      dayProps.isSelectedEnd,
+      dayProps.isWithinActiveRange,
+      theme,
+      dayProps.isWithinHoverRange,
+    ],
   )
 
   return (
@@ -329,8 +441,8 @@ function Day({day, date}: DayProps) {
       ref={dayRef}
       dayHeight={theme.daySize}
       dayWidth={theme.daySize}
-      background={background}
-      color={color}
+      background={dayProps.isDragRejected ? theme.dayDragRejectedBackground : background}
+      color={dayProps.isDragRejected ? theme.dayDragRejectedColor : color}
       fontFamily={theme.fontFamily}
       fontWeight={theme.dayFontWeight}
       fontSize={theme.dayFontSize}
@@ -344,6 +456,9 @@ function Day({day, date}: DayProps) {
       daySelectedHoverColor={theme.daySelectedHoverColor}
       // @ts-ignore
       borderAccessibilityColor={theme.dayAccessibilityBorderColor}
+      // @ts-ignore
+      restrictedColor={theme.dayRestrictedColor}
+      isDraggable={!!onDateDragStart}
       boxShadow={`1px 0 0 0 ${borderColor},
         0 1px 0 0 ${borderColor},
         1px 1px 0 0 ${borderColor},
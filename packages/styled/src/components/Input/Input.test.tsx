@@ -1,4 +1,5 @@
 import * as React from 'react'
+import de from 'date-fns/locale/de'
 import {render, fireEvent} from '../../testUtil'
 import Input from '.'
 
@@ -110,3 +111,29 @@ test('should render vertical variant', () => {
 
   expect(container).toMatchSnapshot()
 })
+
+test('should parse the typed date with the locale', () => {
+  jest.useFakeTimers()
+  const onChange = jest.fn()
+  const {getByPlaceholderText} = render(
+    <Input
+      rtl={false}
+      vertical={false}
+      isActive={false}
+      showCalendarIcon={false}
+      ariaLabel="startDate"
+      id="startDate"
+      placeholder="Placeholder"
+      onClick={jest.fn()}
+      value=""
+      dateFormat="P"
+      locale={de}
+      onChange={onChange}
+    />,
+  )
+
+  fireEvent.change(getByPlaceholderText('Placeholder'), {target: {value: '05.04.2019'}})
+  jest.runAllTimers()
+  expect(onChange).toBeCalledWith(new Date(2019, 3, 5, 0, 0, 0))
+  jest.useRealTimers()
+})
@@ -1,6 +1,7 @@
 import React, {useContext, useState, useEffect, useRef} from 'react'
 import styled, {ThemeContext} from 'styled-components'
 import {parseDate} from '@datepicker-react/hooks'
+import {Locale} from 'date-fns'
 import {
   background,
   BackgroundProps,
@@ -168,6 +169,7 @@ interface InputProps {
   padding?: ResponsiveValue<PaddingProperty<TLengthStyledSystem>>
   onChange?(date: Date): void
   dateFormat: string
+  locale?: Locale
 }
 
 function Input({
@@ -183,6 +185,7 @@ function Input({
   rtl,
   disableAccessibility,
   dateFormat,
+  locale,
   onChange = () => {},
 }: InputProps) {
   const [searchString, setSearchString] = useState(value)
@@ -242,7 +245,7 @@ function Input({
     ref.current = setTimeout(() => {
       onClick()
       // @ts-ignore
-      const parsedDate = parseDate(dateValue, dateFormat, new Date())
+      const parsedDate = parseDate(dateValue, dateFormat, new Date(), {locale})
 
       // @ts-ignore
       if (!isNaN(parsedDate)) {
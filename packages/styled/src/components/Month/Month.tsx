@@ -1,6 +1,7 @@
 import React from 'react'
-import {useMonth, CalendarDay, FirstDayOfWeek} from '@datepicker-react/hooks'
+import {useMonth, CalendarDay, FirstDayOfWeek, Calendar} from '@datepicker-react/hooks'
 import styled, {keyframes} from 'styled-components'
+import {Locale} from 'date-fns'
 import MonthLabel from '../MonthLabel'
 import DayLabel from '../DayLabel'
 import Flex from '../Flex'
@@ -35,18 +36,24 @@ interface MonthProps {
   year: number
   month: number
   firstDayOfWeek: FirstDayOfWeek
-  dayLabelFormat(date: Date): string
-  weekdayLabelFormat(date: Date): string
-  monthLabelFormat(date: Date): string
+  locale?: Locale
+  calendar?: Calendar
+  dayLabelFormat?(date: Date): string
+  weekdayLabelFormat?(date: Date): string
+  monthLabelFormat?(date: Date): string
+  onLabelClick?(): void
 }
 
 const Month = ({
   year,
   month,
   firstDayOfWeek,
+  locale,
+  calendar,
   dayLabelFormat,
   monthLabelFormat,
   weekdayLabelFormat,
+  onLabelClick,
 }: MonthProps) => {
   const {days, weekdayLabels, monthLabel} = useMonth({
     dayLabelFormat,
@@ -55,6 +62,8 @@ const Month = ({
     year,
     month,
     firstDayOfWeek,
+    locale,
+    calendar,
   })
   const theme: MonthTheme = useThemeProps({
     daySize: globalStyles.daySize,
@@ -65,7 +74,7 @@ const Month = ({
   return (
     <MonthWrapper>
       <Flex justifyContent="center" m={theme.monthLabelMargin}>
-        <MonthLabel label={monthLabel} />
+        <MonthLabel label={monthLabel} onClick={onLabelClick} />
       </Flex>
       <Grid daySizeGridTemplateColumns={theme.daySize}>
         {weekdayLabels.map((weekdayLabel: string) => (
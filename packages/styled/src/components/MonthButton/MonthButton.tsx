@@ -0,0 +1,250 @@
+import React, {useContext, useRef} from 'react'
+import styled, {css, ThemeContext} from 'styled-components'
+import {
+  compose,
+  background,
+  BackgroundProps,
+  color,
+  ColorProps,
+  fontFamily,
+  FontFamilyProps,
+  fontWeight,
+  FontWeightProps,
+  fontSize,
+  FontSizeProps,
+  height,
+  HeightProps,
+  width,
+  WidthProps,
+  boxShadow,
+  BoxShadowProps,
+} from 'styled-system'
+import {useMonthPickerMonth} from '@datepicker-react/hooks'
+import Flex from '../Flex'
+import monthPickerContext from '../../context/monthPickerContext'
+// eslint-disable-next-line import/no-unresolved
+import {MonthButtonTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+import globalStyles from '../../globalStyles'
+import getThemeProp from '../../utils/getThemeProp'
+
+interface StyledMonthButtonProps
+  extends BackgroundProps,
+    ColorProps,
+    FontFamilyProps,
+    FontWeightProps,
+    FontSizeProps,
+    HeightProps,
+    WidthProps,
+    BoxShadowProps {
+  disabledMonth: boolean
+  isSelected: boolean
+  isSelectedStartOrEnd: boolean
+  isWithinHoverRange: boolean
+  hoverBackground: string
+  hoverColor: string
+  borderAccessibilityColor: string
+}
+
+const composeStyledMonthButtonStyles = compose(
+  background,
+  color,
+  fontFamily,
+  fontWeight,
+  fontSize,
+  height,
+  width,
+  boxShadow,
+)
+
+const StyledMonthButton = styled('button')<StyledMonthButtonProps>`
+  ${composeStyledMonthButtonStyles}
+  cursor: pointer;
+  border: 0;
+  padding: 0;
+  outline: 0;
+
+  ${({disabledMonth, isSelectedStartOrEnd}) =>
+    disabledMonth &&
+    !isSelectedStartOrEnd &&
+    css`
+      cursor: initial;
+      opacity: 0.4;
+    `}
+
+  ${({disabledMonth, isSelected, isWithinHoverRange, hoverBackground, hoverColor}) =>
+    !disabledMonth &&
+    !isSelected &&
+    !isWithinHoverRange &&
+    css`
+      &:hover {
+        background: ${hoverBackground};
+        color: ${hoverColor};
+      }
+    `}
+
+  &:focus {
+    ${({borderAccessibilityColor}) => css`
+      box-shadow: none;
+      border: 2px solid ${borderAccessibilityColor};
+    `}
+  }
+`
+
+function getColor(
+  isSelected: boolean,
+  isSelectedStartOrEnd: boolean,
+  isWithinHoverRange: boolean,
+  {
+    selectedFirstOrLast,
+    selected,
+    normal,
+    rangeHover,
+  }: {
+    selectedFirstOrLast: string
+    selected: string
+    normal: string
+    rangeHover: string
+  },
+) {
+  if (isSelectedStartOrEnd) {
+    return selectedFirstOrLast
+  } else if (isSelected) {
+    return selected
+  } else if (isWithinHoverRange) {
+    return rangeHover
+  } else {
+    return normal
+  }
+}
+
+interface MonthButtonProps {
+  label: string
+  date: Date
+  unit?: 'month' | 'year'
+}
+
+function MonthButton({label, date, unit = 'month'}: MonthButtonProps) {
+  const monthRef = useRef<HTMLButtonElement>(null)
+  const {
+    focusedMonth,
+    isMonthFocused,
+    isMonthSelected,
+    isMonthHovered,
+    isMonthBlocked,
+    isFirstOrLastSelectedMonth,
+    onMonthFocus,
+    onMonthSelect,
+    onMonthHover,
+  } = useContext(monthPickerContext)
+  const monthProps = useMonthPickerMonth({
+    date,
+    focusedMonth,
+    isMonthFocused,
+    isMonthSelected,
+    isMonthHovered,
+    isMonthBlocked,
+    isFirstOrLastSelectedMonth,
+    onMonthFocus,
+    onMonthSelect,
+    onMonthHover,
+    monthRef,
+    unit,
+  })
+
+  const themeContext = useContext(ThemeContext)
+  const white = getThemeProp('white', globalStyles.colors.white, themeContext)
+  const mud = getThemeProp('mud', globalStyles.colors.mud, themeContext)
+  const primaryColor = getThemeProp('primaryColor', globalStyles.colors.primaryColor, themeContext)
+  const accessibility = getThemeProp(
+    'accessibility',
+    globalStyles.colors.accessibility,
+    themeContext,
+  )
+  const selectedDay = getThemeProp('selectedDay', globalStyles.colors.selectedDay, themeContext)
+  const normalDayHover = getThemeProp(
+    'normalDayHover',
+    globalStyles.colors.normalDayHover,
+    themeContext,
+  )
+  const theme: MonthButtonTheme = useThemeProps({
+    fontFamily: globalStyles.fontFamily,
+    monthButtonHeight: '48px',
+    monthButtonWidth: '84px',
+    monthButtonFontWeight: 500,
+    monthButtonFontSize: '14px',
+    monthButtonColor: mud,
+    monthButtonHoverColor: mud,
+    monthButtonSelectedColor: white,
+    monthButtonHoverRangeColor: white,
+    monthButtonSelectedFirstOrLastColor: white,
+    monthButtonBackground: white,
+    monthButtonHoverBackground: normalDayHover,
+    monthButtonSelectedBackground: selectedDay,
+    monthButtonHoverRangeBackground: selectedDay,
+    monthButtonSelectedFirstOrLastBackground: primaryColor,
+    monthButtonBorderColor: normalDayHover,
+    monthButtonAccessibilityBorderColor: accessibility,
+  })
+
+  const background = getColor(
+    monthProps.isSelected,
+    monthProps.isSelectedStartOrEnd,
+    monthProps.isWithinHoverRange,
+    {
+      // @ts-ignore
+      selectedFirstOrLast: theme.monthButtonSelectedFirstOrLastBackground,
+      // @ts-ignore
+      selected: theme.monthButtonSelectedBackground,
+      // @ts-ignore
+      normal: theme.monthButtonBackground,
+      // @ts-ignore
+      rangeHover: theme.monthButtonHoverRangeBackground,
+    },
+  )
+  const color = getColor(
+    monthProps.isSelected,
+    monthProps.isSelectedStartOrEnd,
+    monthProps.isWithinHoverRange,
+    {
+      // @ts-ignore
+      selectedFirstOrLast: theme.monthButtonSelectedFirstOrLastColor,
+      // @ts-ignore
+      selected: theme.monthButtonSelectedColor,
+      // @ts-ignore
+      normal: theme.monthButtonColor,
+      // @ts-ignore
+      rangeHover: theme.monthButtonHoverRangeColor,
+    },
+  )
+
+  return (
+    <StyledMonthButton
+      {...monthProps}
+      ref={monthRef}
+      height={theme.monthButtonHeight}
+      width={theme.monthButtonWidth}
+      background={background}
+      color={color}
+      fontFamily={theme.fontFamily}
+      fontWeight={theme.monthButtonFontWeight}
+      fontSize={theme.monthButtonFontSize}
+      // @ts-ignore
+      hoverBackground={theme.monthButtonHoverBackground}
+      // @ts-ignore
+      hoverColor={theme.monthButtonHoverColor}
+      // @ts-ignore
+      borderAccessibilityColor={theme.monthButtonAccessibilityBorderColor}
+      boxShadow={`0 0 0 1px ${theme.monthButtonBorderColor}`}
+      data-testid="MonthButton"
+      aria-label={unit === 'year' ? `Year-${label}` : `Month-${label}-${date.getFullYear()}`}
+      type="button"
+    >
+      <Flex justifyContent="center" alignItems="center" height="100%" width="100%">
+        {label}
+      </Flex>
+    </StyledMonthButton>
+  )
+}
+
+export default MonthButton
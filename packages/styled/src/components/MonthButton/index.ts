@@ -0,0 +1,3 @@
+import MonthButton from './MonthButton'
+
+export default MonthButton
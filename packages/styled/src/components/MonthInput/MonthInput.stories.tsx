@@ -0,0 +1,93 @@
+import React, {useReducer} from 'react'
+import {storiesOf} from '@storybook/react'
+import {action} from '@storybook/addon-actions'
+import {text, boolean} from '@storybook/addon-knobs'
+import {MonthInput, OnMonthChangeProps} from '../../index'
+
+const initialState: OnMonthChangeProps = {
+  date: null,
+  showDatepicker: false,
+}
+
+function reducer(state: OnMonthChangeProps, action: Record<string, unknown>) {
+  switch (action.type) {
+    case 'focusChange':
+      return {...state, showDatepicker: action.payload}
+    case 'dateChange':
+      return action.payload
+    default:
+      throw new Error()
+  }
+}
+
+interface AppProps {
+  displayFormat?: string
+  rtl?: boolean
+  showResetDate?: boolean
+  showClose?: boolean
+  numberOfYears?: number
+  minBookingDate?: Date
+  maxBookingDate?: Date
+}
+
+function App({
+  displayFormat = 'MM/yyyy',
+  showClose = true,
+  showResetDate = false,
+  rtl = false,
+  numberOfYears = 1,
+  minBookingDate,
+  maxBookingDate,
+}: AppProps) {
+  const [state, dispatch] = useReducer(reducer, initialState)
+
+  return (
+    <div style={{width: '350px'}}>
+      <MonthInput
+        onDateChange={data => dispatch({type: 'dateChange', payload: data})}
+        onFocusChange={focusedInput => dispatch({type: 'focusChange', payload: focusedInput})}
+        // @ts-ignore
+        date={state.date}
+        // @ts-ignore
+        showDatepicker={state.showDatepicker}
+        onClose={action('onClose')}
+        displayFormat={displayFormat}
+        rtl={rtl}
+        showClose={showClose}
+        showResetDate={showResetDate}
+        numberOfYears={numberOfYears}
+        minBookingDate={minBookingDate}
+        maxBookingDate={maxBookingDate}
+      />
+    </div>
+  )
+}
+
+storiesOf('MonthInput', module)
+  .add('Simple demo', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      showResetDate={boolean('showResetDate', true)}
+      showClose={boolean('showClose', true)}
+      displayFormat={text('displayFormat', 'MM/yyyy')}
+    />
+  ))
+  .add('Number of years (2 years)', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      showResetDate={boolean('showResetDate', true)}
+      showClose={boolean('showClose', true)}
+      displayFormat={text('displayFormat', 'MM/yyyy')}
+      numberOfYears={2}
+    />
+  ))
+  .add('Min and max booking dates', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      showResetDate={boolean('showResetDate', true)}
+      showClose={boolean('showClose', true)}
+      displayFormat={text('displayFormat', 'MM/yyyy')}
+      minBookingDate={new Date()}
+      maxBookingDate={new Date(new Date().getFullYear() + 1, 5, 1)}
+    />
+  ))
@@ -0,0 +1,67 @@
+import * as React from 'react'
+import {advanceTo, clear} from 'jest-date-mock'
+import {render, fireEvent} from '../../testUtil'
+import MonthInput from '.'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+test('should have empty month and opened month picker', () => {
+  const onDateChange = jest.fn()
+  const onFocusChange = jest.fn()
+  const {container, getByText, getByTestId} = render(
+    <MonthInput
+      showDatepicker
+      onFocusChange={onFocusChange}
+      date={null}
+      onDateChange={onDateChange}
+    />,
+  )
+  expect(container).toMatchSnapshot()
+
+  fireEvent.click(getByTestId('DatepickerClose'))
+  expect(onFocusChange).toHaveBeenCalledWith(false)
+
+  fireEvent.click(getByText('Mar'))
+  expect(onDateChange).toHaveBeenCalledWith({
+    date: new Date(2019, 2, 1, 0, 0, 0),
+    showDatepicker: false,
+  })
+})
+
+test('should display the selected month and reset it', () => {
+  const onDateChange = jest.fn()
+  const {getByTestId, getByText} = render(
+    <MonthInput
+      showDatepicker
+      onFocusChange={jest.fn()}
+      date={new Date(2019, 2, 1, 0, 0, 0)}
+      onDateChange={onDateChange}
+    />,
+  )
+  // @ts-ignore
+  expect(getByTestId('DatepickerInput')).toHaveValue('03/2019')
+
+  fireEvent.click(getByText('Reset dates'))
+  expect(onDateChange).toHaveBeenCalledWith({date: null, showDatepicker: true})
+})
+
+// @ts-ignore
+const App = ({onFocusChange}) => (
+  <>
+    <MonthInput showDatepicker date={null} onDateChange={jest.fn()} onFocusChange={onFocusChange} />
+    <div data-testid="outside" />
+  </>
+)
+
+test('should handle click outside (close month picker)', () => {
+  const onFocusChange = jest.fn()
+  const {getByTestId} = render(<App onFocusChange={onFocusChange} />)
+  fireEvent.click(getByTestId('outside'))
+  expect(onFocusChange).toHaveBeenCalledWith(false)
+})
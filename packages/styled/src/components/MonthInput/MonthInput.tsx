@@ -0,0 +1,220 @@
+import React, {useRef, useEffect} from 'react'
+import {zIndex, ZIndexProps} from 'styled-system'
+import styled, {css, ThemeProvider} from 'styled-components'
+import {
+  FormatFunction,
+  getInputValue,
+  OnDateChangeProps as DatepickerOnDateChangeProps,
+} from '@datepicker-react/hooks'
+import {monthInputPhrases, MonthInputPhrases} from '../../phrases'
+import Box from '../Box'
+import Input from '../Input'
+import MonthPicker from '../MonthPicker'
+// eslint-disable-next-line import/no-unresolved
+import {MonthInputTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+
+interface RtlProps {
+  rtl: boolean
+}
+interface WrapperProps extends RtlProps, ZIndexProps {}
+const Wrapper = styled(Box)<WrapperProps>`
+  ${zIndex}
+  ${({rtl}) =>
+    rtl &&
+    css`
+      direction: rtl;
+    `}
+`
+
+function getPlacement(placement: 'bottom' | 'top', rtl: boolean) {
+  if (placement === 'top' && !rtl) {
+    return {
+      monthInputMonthPickerWrapperTop: 'unset',
+      monthInputMonthPickerWrapperRight: 'unset',
+      monthInputMonthPickerWrapperBottom: '65px',
+      monthInputMonthPickerWrapperLeft: '0',
+    }
+  } else if (placement === 'top' && rtl) {
+    return {
+      monthInputMonthPickerWrapperTop: 'unset',
+      monthInputMonthPickerWrapperRight: '0',
+      monthInputMonthPickerWrapperBottom: '65px',
+      monthInputMonthPickerWrapperLeft: 'unset',
+    }
+  } else if (placement === 'bottom' && rtl) {
+    return {
+      monthInputMonthPickerWrapperTop: 'unset',
+      monthInputMonthPickerWrapperRight: '0',
+      monthInputMonthPickerWrapperBottom: 'unset',
+      monthInputMonthPickerWrapperLeft: 'unset',
+    }
+  }
+
+  return {
+    monthInputMonthPickerWrapperTop: 'unset',
+    monthInputMonthPickerWrapperRight: 'unset',
+    monthInputMonthPickerWrapperBottom: 'unset',
+    monthInputMonthPickerWrapperLeft: '0',
+  }
+}
+
+export interface OnMonthChangeProps extends DatepickerOnDateChangeProps {
+  showDatepicker: boolean
+}
+
+export interface MonthInputProps {
+  date: Date | null
+  minBookingDate?: Date
+  maxBookingDate?: Date
+  showDatepicker: boolean
+  numberOfYears?: number
+  displayFormat?: string | FormatFunction
+  phrases?: MonthInputPhrases
+  showCalendarIcon?: boolean
+  vertical?: boolean
+  showResetDate?: boolean
+  showClose?: boolean
+  rtl?: boolean
+  placement?: 'top' | 'bottom'
+  initialVisibleYear?: number
+  onDateChange(data: OnMonthChangeProps): void
+  onFocusChange(focusInput: boolean): void
+  isMonthBlocked?(date: Date): boolean
+  onClose?(): void
+  monthLabelFormat?(date: Date): string
+  yearLabelFormat?(date: Date): string
+  inputId?: string
+}
+
+function MonthInput({
+  date,
+  minBookingDate,
+  maxBookingDate,
+  onFocusChange,
+  showDatepicker,
+  onDateChange,
+  monthLabelFormat,
+  yearLabelFormat,
+  initialVisibleYear,
+  numberOfYears = 1,
+  showClose = true,
+  showResetDate = true,
+  vertical = false,
+  rtl = false,
+  isMonthBlocked = () => false,
+  onClose = () => {},
+  showCalendarIcon = true,
+  displayFormat = 'MM/yyyy',
+  phrases = monthInputPhrases,
+  placement = 'bottom',
+  inputId = 'month',
+}: MonthInputProps) {
+  const ref = useRef(null)
+  const datepickerWrapperRef = useRef<HTMLDivElement>(null)
+  const theme: MonthInputTheme = useThemeProps({
+    monthInputZIndex: null,
+    monthInputPadding: vertical ? (rtl ? '0 32px 0 8px' : '0 8px 0 32px') : '0 44px',
+    monthInputMonthPickerWrapperPosition: 'absolute',
+    ...getPlacement(placement, rtl),
+  })
+
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('click', onClickOutsideHandler)
+    }
+
+    return () => {
+      window.removeEventListener('click', onClickOutsideHandler)
+    }
+  })
+
+  function onClickOutsideHandler(event: Event) {
+    if (
+      showDatepicker &&
+      datepickerWrapperRef &&
+      datepickerWrapperRef.current &&
+      // @ts-ignore
+      !datepickerWrapperRef.current.contains(event.target)
+    ) {
+      onFocusChange(false)
+    }
+  }
+
+  function handleDatepickerClose() {
+    onClose()
+    onFocusChange(false)
+  }
+
+  function handleDateChange({date}: DatepickerOnDateChangeProps) {
+    onDateChange({
+      showDatepicker: date === null,
+      date,
+    })
+  }
+
+  function handleInputChange(date: Date) {
+    // @ts-ignore
+    if (ref && ref.current && ref.current.onMonthSelect) {
+      // @ts-ignore
+      ref.current.onMonthSelect(date)
+    }
+  }
+
+  return (
+    <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
+      <Wrapper
+        zIndex={theme.monthInputZIndex}
+        rtl={rtl}
+        position="relative"
+        ref={datepickerWrapperRef}
+      >
+        <Input
+          id={inputId}
+          ariaLabel={phrases.monthAriaLabel}
+          placeholder={phrases.monthPlaceholder}
+          value={getInputValue(date, displayFormat, '')}
+          onClick={() => onFocusChange(true)}
+          showCalendarIcon={showCalendarIcon}
+          vertical={vertical}
+          isActive={false}
+          padding={theme.monthInputPadding}
+          rtl={rtl}
+          onChange={handleInputChange}
+          // @ts-ignore
+          dateFormat={displayFormat}
+        />
+        <Box
+          position={theme.monthInputMonthPickerWrapperPosition}
+          bottom={theme.monthInputMonthPickerWrapperBottom}
+          left={theme.monthInputMonthPickerWrapperLeft}
+          top={theme.monthInputMonthPickerWrapperTop}
+          right={theme.monthInputMonthPickerWrapperRight}
+        >
+          {showDatepicker && (
+            <MonthPicker
+              selectionMode="single"
+              onClose={handleDatepickerClose}
+              date={date}
+              minBookingDate={minBookingDate}
+              maxBookingDate={maxBookingDate}
+              numberOfYears={numberOfYears}
+              onDateChange={handleDateChange}
+              isMonthBlocked={isMonthBlocked}
+              showResetDates={showResetDate}
+              showClose={showClose}
+              rtl={rtl}
+              monthLabelFormat={monthLabelFormat}
+              yearLabelFormat={yearLabelFormat}
+              phrases={phrases}
+              ref={ref}
+              initialVisibleYear={initialVisibleYear}
+            />
+          )}
+        </Box>
+      </Wrapper>
+    </ThemeProvider>
+  )
+}
+
+export default MonthInput
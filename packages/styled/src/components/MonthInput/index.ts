@@ -0,0 +1,5 @@
+import MonthInput, {OnMonthChangeProps} from './MonthInput'
+
+export {OnMonthChangeProps}
+
+export default MonthInput
@@ -1,8 +1,16 @@
 import * as React from 'react'
-import {render} from '../../testUtil'
+import {render, fireEvent} from '../../testUtil'
 import MonthLabel from '.'
 
 test('should match snapshot', () => {
   const {container} = render(<MonthLabel label="Test" />)
   expect(container).toMatchSnapshot()
 })
+
+test('should render a button when clickable', () => {
+  const onClick = jest.fn()
+  const {container, getByTestId} = render(<MonthLabel label="Test" onClick={onClick} />)
+  expect(container).toMatchSnapshot()
+  fireEvent.click(getByTestId('MonthLabelButton'))
+  expect(onClick).toBeCalled()
+})
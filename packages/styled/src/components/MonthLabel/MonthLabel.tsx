@@ -1,5 +1,5 @@
 import React, {useContext} from 'react'
-import {ThemeContext} from 'styled-components'
+import styled, {ThemeContext} from 'styled-components'
 import Text from '../Text'
 // eslint-disable-next-line import/no-unresolved
 import {MonthLabelTheme} from '../../@types/theme'
@@ -7,11 +7,19 @@ import useThemeProps from '../../hooks/useThemeProps'
 import globalStyles from '../../globalStyles'
 import getThemeProp from '../../utils/getThemeProp'
 
+const LabelButton = styled('button')`
+  background: transparent;
+  border: 0;
+  padding: 0;
+  cursor: pointer;
+`
+
 interface MonthLabelProps {
   label: string
+  onClick?(): void
 }
 
-const MonthLabel = ({label}: MonthLabelProps) => {
+const MonthLabel = ({label, onClick}: MonthLabelProps) => {
   const themeContext = useContext(ThemeContext)
   const theme: MonthLabelTheme = useThemeProps({
     fontFamily: globalStyles.fontFamily,
@@ -21,7 +29,7 @@ const MonthLabel = ({label}: MonthLabelProps) => {
     monthLabelFontSize: '14px',
   })
 
-  return (
+  const text = (
     <Text
       fontFamily={theme.fontFamily}
       fontSize={theme.monthLabelFontSize}
@@ -34,6 +42,16 @@ const MonthLabel = ({label}: MonthLabelProps) => {
       {label}
     </Text>
   )
+
+  if (onClick) {
+    return (
+      <LabelButton type="button" onClick={onClick} data-testid="MonthLabelButton">
+        {text}
+      </LabelButton>
+    )
+  }
+
+  return text
 }
 
 export default MonthLabel
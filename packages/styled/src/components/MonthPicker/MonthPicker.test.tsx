@@ -0,0 +1,75 @@
+import * as React from 'react'
+import {advanceTo, clear} from 'jest-date-mock'
+import {render, fireEvent} from '../../testUtil'
+import MonthPicker from '.'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+test('should render a year of months', () => {
+  const onDateChange = jest.fn()
+  const {container, getByText, getAllByTestId} = render(
+    <MonthPicker
+      date={new Date(2019, 4, 1, 0, 0, 0)}
+      onDateChange={onDateChange}
+      minBookingDate={new Date(2019, 1, 10, 0, 0, 0)}
+    />,
+  )
+  expect(container).toMatchSnapshot()
+  expect(getByText('2019'))
+  expect(getAllByTestId('MonthButton').length).toBe(12)
+
+  // January is blocked
+  fireEvent.click(getByText('Jan'))
+  expect(onDateChange).not.toHaveBeenCalled()
+
+  fireEvent.click(getByText('Jul'))
+  expect(onDateChange).toHaveBeenCalledWith({date: new Date(2019, 6, 1, 0, 0, 0)})
+})
+
+test('should page and navigate years', () => {
+  const {getByText, getByLabelText, getAllByTestId} = render(
+    <MonthPicker numberOfYears={2} initialVisibleYear={2020} />,
+  )
+  expect(getByText('2020'))
+  expect(getByText('2021'))
+  expect(getAllByTestId('MonthButton').length).toBe(24)
+
+  fireEvent.click(getByLabelText('Next year'))
+  expect(getByText('2022'))
+
+  fireEvent.click(getByLabelText('Previous year'))
+  fireEvent.click(getByLabelText('Previous year'))
+  expect(getByText('2019'))
+
+  fireEvent.keyDown(getAllByTestId('MonthButton')[0], {key: 'PageUp'})
+  expect(getByText('2018'))
+  expect(document.activeElement).toBe(getByLabelText('Month-Jan-2018'))
+})
+
+test('should select a range of months', () => {
+  const onDatesChange = jest.fn()
+  const {getByText, getAllByTestId} = render(
+    <MonthPicker
+      selectionMode="range"
+      startDate={new Date(2019, 1, 1, 0, 0, 0)}
+      endDate={null}
+      focusedInput="endDate"
+      onDatesChange={onDatesChange}
+    />,
+  )
+
+  fireEvent.mouseEnter(getByText('Apr'))
+  fireEvent.mouseLeave(getAllByTestId('YearGrid')[0])
+  fireEvent.click(getByText('Apr'))
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate: new Date(2019, 1, 1, 0, 0, 0),
+    endDate: new Date(2019, 3, 1, 0, 0, 0),
+    focusedInput: null,
+  })
+})
@@ -0,0 +1,254 @@
+import React, {useImperativeHandle} from 'react'
+import styled, {css, keyframes, ThemeProvider} from 'styled-components'
+import {
+  background,
+  BackgroundProps,
+  space,
+  SpaceProps,
+  borderRadius,
+  BorderRadiusProps,
+  position,
+  PositionProps,
+  boxShadow,
+  BoxShadowProps,
+  width,
+  WidthProps,
+  zIndex,
+  ZIndexProps,
+  compose,
+} from 'styled-system'
+import {useMonthPicker, UseMonthPickerProps, YearType} from '@datepicker-react/hooks'
+import {datepickerPhrases, DatepickerPhrases} from '../../phrases'
+import Grid from '../Grid'
+import Flex from '../Flex'
+import Box from '../Box'
+import MonthLabel from '../MonthLabel'
+import MonthButton from '../MonthButton'
+import ResetDates from '../ResetDates'
+import NavButton from '../NavButton'
+import Close from '../Close'
+import MonthPickerContext from '../../context/monthPickerContext'
+// eslint-disable-next-line import/no-unresolved
+import {MonthPickerTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+
+const opacity0To100 = keyframes`
+  from {
+    opacity: 0;
+  }
+
+  to {
+    opacity: 1;
+  }
+`
+
+interface StyledMonthPickerProps
+  extends BackgroundProps,
+    SpaceProps,
+    BorderRadiusProps,
+    PositionProps,
+    WidthProps,
+    ZIndexProps,
+    BoxShadowProps {
+  rtl: boolean
+}
+const composeStyledMonthPickerStyles = compose(
+  background,
+  space,
+  borderRadius,
+  position,
+  boxShadow,
+  width,
+  zIndex,
+)
+
+const StyledMonthPicker = styled('div')<StyledMonthPickerProps>`
+  ${composeStyledMonthPickerStyles}
+  ${({rtl}) =>
+    rtl &&
+    css`
+      direction: rtl;
+    `}
+
+  animation-name: ${opacity0To100};
+  animation-duration: 0.15s;
+  animation-timing-function: ease-in;
+`
+
+export interface MonthPickerProps extends UseMonthPickerProps {
+  phrases?: DatepickerPhrases
+  onClose?(): void
+  showResetDates?: boolean
+  showClose?: boolean
+  rtl?: boolean
+}
+
+function MonthPicker(
+  {
+    selectionMode = 'single',
+    date,
+    startDate,
+    endDate,
+    focusedInput,
+    onDateChange,
+    onDatesChange,
+    minBookingDate,
+    maxBookingDate,
+    numberOfYears,
+    initialVisibleYear,
+    isMonthBlocked,
+    monthLabelFormat,
+    yearLabelFormat,
+    rtl = false,
+    showResetDates = true,
+    showClose = true,
+    onClose = () => {},
+    phrases = datepickerPhrases,
+  }: MonthPickerProps,
+  ref?: React.Ref<unknown>,
+) {
+  const {
+    activeYears,
+    focusedMonth,
+    hoveredMonth,
+    isMonthSelected,
+    isMonthHovered,
+    isMonthFocused,
+    isFirstOrLastSelectedMonth,
+    onMonthSelect,
+    onMonthHover,
+    onMonthFocus,
+    onResetDates,
+    goToPreviousYear,
+    goToNextYear,
+    isMonthBlocked: isMonthBlockedFn,
+  } = useMonthPicker({
+    selectionMode,
+    date,
+    startDate,
+    endDate,
+    focusedInput,
+    onDateChange,
+    onDatesChange,
+    minBookingDate,
+    maxBookingDate,
+    numberOfYears,
+    initialVisibleYear,
+    isMonthBlocked,
+    monthLabelFormat,
+    yearLabelFormat,
+  })
+  useImperativeHandle(ref, () => ({
+    onMonthSelect: (date: Date) => {
+      onMonthSelect(date)
+    },
+  }))
+  const theme: MonthPickerTheme = useThemeProps({
+    monthPickerZIndex: null,
+    monthPickerBackground: '#ffffff',
+    monthPickerPadding: '32px',
+    monthPickerBorderRadius: '2px',
+    monthPickerPosition: 'relative',
+    monthPickerWidth: 'fit-content',
+    monthPickerBoxShadow: 'rgba(0, 0, 0, 0.05) 0px 2px 6px, rgba(0, 0, 0, 0.07) 0px 0px 0px 1px',
+    monthPickerCloseWrapperMargin: '0 0 16px',
+    monthPickerYearsGridGap: '0 32px',
+    monthPickerYearLabelMargin: '0 0 28px',
+    monthPickerMonthsGridGap: '1px',
+    monthPickerResetDatesWrapperMargin: '32px 0 0',
+    monthPickerPreviousYearButtonTop: '-5px',
+    monthPickerNextYearButtonTop: '-5px',
+  })
+
+  return (
+    <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
+      <MonthPickerContext.Provider
+        value={{
+          focusedMonth,
+          isMonthFocused,
+          isMonthSelected,
+          isMonthHovered,
+          isFirstOrLastSelectedMonth,
+          onMonthFocus,
+          onMonthSelect,
+          onMonthHover,
+          isMonthBlocked: isMonthBlockedFn,
+        }}
+      >
+        <StyledMonthPicker
+          background={theme.monthPickerBackground}
+          p={theme.monthPickerPadding}
+          borderRadius={theme.monthPickerBorderRadius}
+          position={theme.monthPickerPosition}
+          boxShadow={theme.monthPickerBoxShadow}
+          width={theme.monthPickerWidth}
+          zIndex={theme.monthPickerZIndex}
+          rtl={rtl}
+        >
+          {showClose && (
+            <Flex justifyContent="flex-end" m={theme.monthPickerCloseWrapperMargin}>
+              <Close onClick={onClose} rtl={rtl} closeText={phrases.close} />
+            </Flex>
+          )}
+          <Box position="relative">
+            <Grid
+              data-testid="YearGrid"
+              gridTemplateColumns={`repeat(${activeYears.length}, 1fr)`}
+              gridGap={theme.monthPickerYearsGridGap}
+              onMouseLeave={() => {
+                if (hoveredMonth) {
+                  onMonthHover(null)
+                }
+              }}
+            >
+              {activeYears.map((year: YearType) => (
+                <Box key={year.year}>
+                  <Flex justifyContent="center" m={theme.monthPickerYearLabelMargin}>
+                    <MonthLabel label={year.yearLabel} />
+                  </Flex>
+                  <Grid
+                    gridTemplateColumns="repeat(3, 1fr)"
+                    gridGap={theme.monthPickerMonthsGridGap}
+                  >
+                    {year.months.map(month => (
+                      <MonthButton
+                        key={month.date.toDateString()}
+                        date={month.date}
+                        label={month.monthLabel}
+                      />
+                    ))}
+                  </Grid>
+                </Box>
+              ))}
+            </Grid>
+            <Box position="absolute" top={theme.monthPickerPreviousYearButtonTop} left="0">
+              <NavButton
+                type="prev"
+                onClick={() => (rtl ? goToNextYear() : goToPreviousYear())}
+                vertical={false}
+                rtl={rtl}
+                ariaLabel="Previous year"
+              />
+            </Box>
+            <Box position="absolute" top={theme.monthPickerNextYearButtonTop} right="0">
+              <NavButton
+                type="next"
+                onClick={() => (rtl ? goToPreviousYear() : goToNextYear())}
+                vertical={false}
+                rtl={rtl}
+                ariaLabel="Next year"
+              />
+            </Box>
+          </Box>
+          {showResetDates && (
+            <Flex m={theme.monthPickerResetDatesWrapperMargin}>
+              <ResetDates rtl={rtl} onResetDates={onResetDates} text={phrases.resetDates} />
+            </Flex>
+          )}
+        </StyledMonthPicker>
+      </MonthPickerContext.Provider>
+    </ThemeProvider>
+  )
+}
+
+export default React.forwardRef(MonthPicker)
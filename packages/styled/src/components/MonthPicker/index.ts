@@ -0,0 +1,3 @@
+import MonthPicker from './MonthPicker'
+
+export default MonthPicker
@@ -0,0 +1,84 @@
+import React, {useReducer} from 'react'
+import {storiesOf} from '@storybook/react'
+import {action} from '@storybook/addon-actions'
+import {text, boolean} from '@storybook/addon-knobs'
+import {MonthRangeInput, OnDatesChangeProps, FocusedInput} from '../../index'
+
+interface State {
+  startDate: Date | null
+  endDate: Date | null
+  focusedInput: FocusedInput
+}
+
+const initialState: State = {
+  startDate: null,
+  endDate: null,
+  focusedInput: null,
+}
+
+function reducer(state: State, action: Record<string, unknown>) {
+  switch (action.type) {
+    case 'focusChange':
+      return {...state, focusedInput: action.payload}
+    case 'dateChange':
+      return action.payload
+    default:
+      throw new Error()
+  }
+}
+
+interface AppProps {
+  displayFormat?: string
+  rtl?: boolean
+  showResetDates?: boolean
+  showClose?: boolean
+  numberOfYears?: number
+}
+
+function App({
+  displayFormat = 'MM/yyyy',
+  showClose = true,
+  showResetDates = true,
+  rtl = false,
+  numberOfYears = 1,
+}: AppProps) {
+  const [state, dispatch] = useReducer(reducer, initialState)
+
+  return (
+    <MonthRangeInput
+      onDatesChange={(data: OnDatesChangeProps) => dispatch({type: 'dateChange', payload: data})}
+      onFocusChange={focusedInput => dispatch({type: 'focusChange', payload: focusedInput})}
+      // @ts-ignore
+      startDate={state.startDate}
+      // @ts-ignore
+      endDate={state.endDate}
+      // @ts-ignore
+      focusedInput={state.focusedInput}
+      onClose={action('onClose')}
+      displayFormat={displayFormat}
+      rtl={rtl}
+      showClose={showClose}
+      showResetDates={showResetDates}
+      numberOfYears={numberOfYears}
+    />
+  )
+}
+
+storiesOf('MonthRangeInput', module)
+  .add('Simple demo', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      showResetDates={boolean('showResetDates', true)}
+      showClose={boolean('showClose', true)}
+      displayFormat={text('displayFormat', 'MM/yyyy')}
+    />
+  ))
+  .add('Number of years (2 years)', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      showResetDates={boolean('showResetDates', true)}
+      showClose={boolean('showClose', true)}
+      displayFormat={text('displayFormat', 'MM/yyyy')}
+      numberOfYears={2}
+    />
+  ))
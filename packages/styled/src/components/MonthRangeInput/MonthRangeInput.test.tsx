@@ -0,0 +1,66 @@
+import * as React from 'react'
+import {advanceTo, clear} from 'jest-date-mock'
+import {render, fireEvent} from '../../testUtil'
+import MonthRangeInput from '.'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+test('should select the start month', () => {
+  const onDatesChange = jest.fn()
+  const onFocusChange = jest.fn()
+  const {container, getByText, getAllByTestId} = render(
+    <MonthRangeInput
+      startDate={null}
+      endDate={null}
+      focusedInput="startDate"
+      onDatesChange={onDatesChange}
+      onFocusChange={onFocusChange}
+    />,
+  )
+  expect(container).toMatchSnapshot()
+
+  fireEvent.focus(getAllByTestId('DatepickerInput')[1])
+  expect(onFocusChange).toHaveBeenCalledWith('startDate')
+
+  fireEvent.click(getByText('Feb'))
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate: new Date(2019, 1, 1, 0, 0, 0),
+    endDate: null,
+    focusedInput: 'endDate',
+  })
+})
+
+test('should select the end month', () => {
+  const onDatesChange = jest.fn()
+  const onClose = jest.fn()
+  const onFocusChange = jest.fn()
+  const {getByText, getAllByTestId, getByTestId} = render(
+    <MonthRangeInput
+      startDate={new Date(2019, 1, 1, 0, 0, 0)}
+      endDate={null}
+      focusedInput="endDate"
+      onDatesChange={onDatesChange}
+      onFocusChange={onFocusChange}
+      onClose={onClose}
+    />,
+  )
+  // @ts-ignore
+  expect(getAllByTestId('DatepickerInput')[0]).toHaveValue('02/2019')
+
+  fireEvent.click(getByText('Jun'))
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate: new Date(2019, 1, 1, 0, 0, 0),
+    endDate: new Date(2019, 5, 1, 0, 0, 0),
+    focusedInput: null,
+  })
+
+  fireEvent.click(getByTestId('DatepickerClose'))
+  expect(onClose).toHaveBeenCalled()
+  expect(onFocusChange).toHaveBeenCalledWith(null)
+})
@@ -0,0 +1,307 @@
+import React, {useRef, useEffect, useContext} from 'react'
+import styled, {css, ThemeContext, ThemeProvider} from 'styled-components'
+import {
+  opacity,
+  OpacityProps,
+  background,
+  BackgroundProps,
+  border,
+  BorderProps,
+  borderRadius,
+  BorderRadiusProps,
+  color,
+  ColorProps,
+  zIndex,
+  ZIndexProps,
+  compose,
+} from 'styled-system'
+import {
+  START_DATE,
+  FormatFunction,
+  getInputValue,
+  END_DATE,
+  FocusedInput,
+  OnDatesChangeProps,
+} from '@datepicker-react/hooks'
+import {monthRangeInputPhrases, MonthRangeInputPhrases} from '../../phrases'
+import Grid from '../Grid'
+import Flex from '../Flex'
+import Box from '../Box'
+import Input from '../Input'
+import ArrowIcon from '../../icons/ArrowIcon'
+import MonthPicker from '../MonthPicker'
+// eslint-disable-next-line import/no-unresolved
+import {MonthRangeInputTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+import getThemeProp from '../../utils/getThemeProp'
+import globalStyles from '../../globalStyles'
+
+interface RtlProps {
+  rtl: boolean
+}
+interface WrapperProps extends RtlProps, ZIndexProps {}
+const Wrapper = styled(Box)<WrapperProps>`
+  ${zIndex}
+  ${({rtl}) =>
+    rtl &&
+    css`
+      direction: rtl;
+    `}
+`
+
+interface InputArrowIconProps extends OpacityProps, ColorProps, RtlProps {}
+
+const composeInputArrowIconStyles = compose(color, opacity)
+
+const InputArrowIcon = styled(ArrowIcon)<InputArrowIconProps>`
+  ${composeInputArrowIconStyles}
+  ${({rtl}) =>
+    rtl &&
+    css`
+      transform: rotate(-90deg);
+    `}
+`
+
+interface StyledGridProps extends BackgroundProps, BorderProps, BorderRadiusProps {}
+
+const composeInputGridStyles = compose(background, border, borderRadius)
+
+const InputGrid = styled(Grid)<StyledGridProps>`
+  ${composeInputGridStyles}
+`
+
+function getPlacement(placement: 'bottom' | 'top', rtl: boolean) {
+  if (placement === 'top' && !rtl) {
+    return {
+      monthRangeMonthPickerWrapperTop: 'unset',
+      monthRangeMonthPickerWrapperRight: 'unset',
+      monthRangeMonthPickerWrapperBottom: '65px',
+      monthRangeMonthPickerWrapperLeft: '0',
+    }
+  } else if (placement === 'top' && rtl) {
+    return {
+      monthRangeMonthPickerWrapperTop: 'unset',
+      monthRangeMonthPickerWrapperRight: '0',
+      monthRangeMonthPickerWrapperBottom: '65px',
+      monthRangeMonthPickerWrapperLeft: 'unset',
+    }
+  } else if (placement === 'bottom' && rtl) {
+    return {
+      monthRangeMonthPickerWrapperTop: 'unset',
+      monthRangeMonthPickerWrapperRight: '0',
+      monthRangeMonthPickerWrapperBottom: 'unset',
+      monthRangeMonthPickerWrapperLeft: 'unset',
+    }
+  }
+
+  return {
+    monthRangeMonthPickerWrapperTop: 'unset',
+    monthRangeMonthPickerWrapperRight: 'unset',
+    monthRangeMonthPickerWrapperBottom: 'unset',
+    monthRangeMonthPickerWrapperLeft: '0',
+  }
+}
+
+export interface MonthRangeInputProps {
+  startDate: Date | null
+  endDate: Date | null
+  focusedInput: FocusedInput
+  onDatesChange(data: OnDatesChangeProps): void
+  onFocusChange(focusInput: FocusedInput): void
+  minBookingDate?: Date
+  maxBookingDate?: Date
+  numberOfYears?: number
+  initialVisibleYear?: number
+  displayFormat?: string | FormatFunction
+  phrases?: MonthRangeInputPhrases
+  showStartMonthCalendarIcon?: boolean
+  showEndMonthCalendarIcon?: boolean
+  onClose?(): void
+  vertical?: boolean
+  showResetDates?: boolean
+  showClose?: boolean
+  rtl?: boolean
+  placement?: 'top' | 'bottom'
+  isMonthBlocked?(date: Date): boolean
+  monthLabelFormat?(date: Date): string
+  yearLabelFormat?(date: Date): string
+  startMonthInputId?: string
+  endMonthInputId?: string
+}
+
+function MonthRangeInput({
+  startDate,
+  endDate,
+  minBookingDate,
+  maxBookingDate,
+  onFocusChange,
+  numberOfYears,
+  initialVisibleYear,
+  focusedInput,
+  onDatesChange,
+  monthLabelFormat,
+  yearLabelFormat,
+  showClose = true,
+  showResetDates = true,
+  vertical = false,
+  rtl = false,
+  isMonthBlocked = () => false,
+  onClose = () => {},
+  showStartMonthCalendarIcon = true,
+  showEndMonthCalendarIcon = true,
+  displayFormat = 'MM/yyyy',
+  phrases = monthRangeInputPhrases,
+  placement = 'bottom',
+  startMonthInputId = 'startMonth',
+  endMonthInputId = 'endMonth',
+}: MonthRangeInputProps) {
+  const ref = useRef(null)
+  const datepickerWrapperRef = useRef<HTMLDivElement>(null)
+  const themeContext = useContext(ThemeContext)
+  const theme: MonthRangeInputTheme = useThemeProps({
+    monthRangeZIndex: null,
+    monthRangeBackground: 'transparent',
+    monthRangeGridTemplateColumns: vertical ? '1fr 24px 1fr' : '194px 39px 194px',
+    monthRangeGridTemplateRows: 'unset',
+    monthRangeBorder: '0',
+    monthRangeBorderRadius: '0',
+    monthRangeArrowIconWidth: '15px',
+    monthRangeArrowIconHeight: '12px',
+    monthRangeArrowIconColor: getThemeProp('graci', globalStyles.colors.graci, themeContext),
+    monthRangeArrowIconOpacity: 1,
+    monthRangeStartMonthInputPadding: vertical ? (rtl ? '0 32px 0 8px' : '0 8px 0 32px') : '0 44px',
+    monthRangeEndMonthInputPadding: vertical ? (rtl ? '0 32px 0 8px' : '0 8px 0 32px') : '0 44px',
+    monthRangeMonthPickerWrapperPosition: 'absolute',
+    ...getPlacement(placement, rtl),
+  })
+
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('click', onClickOutsideHandler)
+    }
+
+    return () => {
+      window.removeEventListener('click', onClickOutsideHandler)
+    }
+  })
+
+  function onClickOutsideHandler(event: Event) {
+    if (
+      focusedInput !== null &&
+      datepickerWrapperRef &&
+      datepickerWrapperRef.current &&
+      // @ts-ignore
+      !datepickerWrapperRef.current.contains(event.target)
+    ) {
+      onFocusChange(null)
+    }
+  }
+
+  function handleDatepickerClose() {
+    onClose()
+    onFocusChange(null)
+  }
+
+  function handleInputChange(date: Date) {
+    // @ts-ignore
+    if (ref && ref.current && ref.current.onMonthSelect) {
+      // @ts-ignore
+      ref.current.onMonthSelect(date)
+    }
+  }
+
+  return (
+    <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
+      <Wrapper
+        zIndex={theme.monthRangeZIndex}
+        rtl={rtl}
+        position="relative"
+        ref={datepickerWrapperRef}
+      >
+        <InputGrid
+          data-testid="MonthRangeInputGrid"
+          background={theme.monthRangeBackground}
+          gridTemplateColumns={theme.monthRangeGridTemplateColumns}
+          gridTemplateRows={theme.monthRangeGridTemplateRows}
+          border={theme.monthRangeBorder}
+          borderRadius={theme.monthRangeBorderRadius}
+        >
+          <Input
+            id={startMonthInputId}
+            ariaLabel={phrases.startMonthAriaLabel}
+            placeholder={phrases.startMonthPlaceholder}
+            value={getInputValue(startDate, displayFormat, '')}
+            onClick={() => onFocusChange(START_DATE)}
+            showCalendarIcon={showStartMonthCalendarIcon}
+            vertical={vertical}
+            isActive={focusedInput === START_DATE}
+            padding={theme.monthRangeStartMonthInputPadding}
+            rtl={rtl}
+            onChange={handleInputChange}
+            // @ts-ignore
+            dateFormat={displayFormat}
+          />
+          <Flex alignItems="center" justifyContent="center">
+            <InputArrowIcon
+              // @ts-ignore
+              width={theme.monthRangeArrowIconWidth}
+              // @ts-ignore
+              height={theme.monthRangeArrowIconHeight}
+              color={theme.monthRangeArrowIconColor}
+              opacity={theme.monthRangeArrowIconOpacity}
+              rtl={rtl}
+            />
+          </Flex>
+          <Input
+            id={endMonthInputId}
+            ariaLabel={phrases.endMonthAriaLabel}
+            placeholder={phrases.endMonthPlaceholder}
+            value={getInputValue(endDate, displayFormat, '')}
+            onClick={() => onFocusChange(!startDate ? START_DATE : END_DATE)}
+            showCalendarIcon={showEndMonthCalendarIcon}
+            vertical={vertical}
+            isActive={focusedInput === END_DATE}
+            padding={theme.monthRangeEndMonthInputPadding}
+            rtl={rtl}
+            disableAccessibility={focusedInput === START_DATE}
+            onChange={handleInputChange}
+            // @ts-ignore
+            dateFormat={displayFormat}
+          />
+        </InputGrid>
+        <Box
+          position={theme.monthRangeMonthPickerWrapperPosition}
+          bottom={theme.monthRangeMonthPickerWrapperBottom}
+          left={theme.monthRangeMonthPickerWrapperLeft}
+          top={theme.monthRangeMonthPickerWrapperTop}
+          right={theme.monthRangeMonthPickerWrapperRight}
+        >
+          {focusedInput !== null && (
+            <MonthPicker
+              selectionMode="range"
+              onClose={handleDatepickerClose}
+              startDate={startDate}
+              endDate={endDate}
+              focusedInput={focusedInput}
+              minBookingDate={minBookingDate}
+              maxBookingDate={maxBookingDate}
+              numberOfYears={numberOfYears}
+              onDatesChange={onDatesChange}
+              isMonthBlocked={isMonthBlocked}
+              showResetDates={showResetDates}
+              showClose={showClose}
+              rtl={rtl}
+              monthLabelFormat={monthLabelFormat}
+              yearLabelFormat={yearLabelFormat}
+              phrases={phrases}
+              ref={ref}
+              initialVisibleYear={initialVisibleYear}
+            />
+          )}
+        </Box>
+      </Wrapper>
+    </ThemeProvider>
+  )
+}
+
+export default MonthRangeInput
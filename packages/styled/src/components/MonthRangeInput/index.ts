@@ -0,0 +1,3 @@
+import MonthRangeInput from './MonthRangeInput'
+
+export default MonthRangeInput
@@ -0,0 +1,66 @@
+import React from 'react'
+import styled, {keyframes} from 'styled-components'
+import MonthLabel from '../MonthLabel'
+import MonthButton from '../MonthButton'
+import Flex from '../Flex'
+import Grid from '../Grid'
+import useThemeProps from '../../hooks/useThemeProps'
+// eslint-disable-next-line import/no-unresolved
+import {PeriodGridTheme} from '../../@types/theme'
+
+const opacity0To100 = keyframes`
+  from {
+    opacity: 0;
+  }
+
+  to {
+    opacity: 1;
+  }
+`
+
+const PeriodGridWrapper = styled('div')`
+  animation-name: ${opacity0To100};
+  animation-duration: 0.25s;
+  animation-timing-function: ease-in;
+`
+
+export interface Period {
+  date: Date
+  label: string
+}
+
+interface PeriodGridProps {
+  label: string
+  periods: Period[]
+  unit: 'month' | 'year'
+  onLabelClick?(): void
+}
+
+// Months (year view) or years (decade view) of the Datepicker, the selection state comes from
+// the MonthPicker context
+const PeriodGrid = ({label, periods, unit, onLabelClick}: PeriodGridProps) => {
+  const theme: PeriodGridTheme = useThemeProps({
+    periodGridLabelMargin: '0 0 28px',
+    periodGridGap: '1px',
+  })
+
+  return (
+    <PeriodGridWrapper>
+      <Flex justifyContent="center" m={theme.periodGridLabelMargin}>
+        <MonthLabel label={label} onClick={onLabelClick} />
+      </Flex>
+      <Grid gridTemplateColumns="repeat(3, 1fr)" gridGap={theme.periodGridGap}>
+        {periods.map(period => (
+          <MonthButton
+            key={period.date.toDateString()}
+            date={period.date}
+            label={period.label}
+            unit={unit}
+          />
+        ))}
+      </Grid>
+    </PeriodGridWrapper>
+  )
+}
+
+export default PeriodGrid
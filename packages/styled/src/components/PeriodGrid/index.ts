@@ -0,0 +1,3 @@
+import PeriodGrid from './PeriodGrid'
+
+export default PeriodGrid
@@ -0,0 +1,61 @@
+import * as React from 'react'
+import {advanceTo, clear} from 'jest-date-mock'
+import addDays from 'date-fns/addDays'
+import {render, fireEvent} from '../../testUtil'
+import Presets from '.'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+const presets = [
+  {label: 'Last 7 days', range: (today: Date) => ({startDate: addDays(today, -6), endDate: today})},
+  {
+    label: 'Next weekend',
+    range: {startDate: new Date(2019, 2, 30, 0, 0, 0), endDate: new Date(2019, 2, 31, 0, 0, 0)},
+  },
+]
+
+test('should render the presets and highlight the active one', () => {
+  const onDatesChange = jest.fn()
+  const {container, getByText} = render(
+    <Presets
+      presets={presets}
+      startDate={new Date(2019, 2, 21, 0, 0, 0)}
+      endDate={new Date(2019, 2, 27, 0, 0, 0)}
+      onDatesChange={onDatesChange}
+    />,
+  )
+  expect(container).toMatchSnapshot()
+  expect(getByText('Last 7 days').getAttribute('aria-pressed')).toBe('true')
+  expect(getByText('Next weekend').getAttribute('aria-pressed')).toBe('false')
+
+  fireEvent.click(getByText('Next weekend'))
+  expect(onDatesChange).toBeCalledWith({
+    startDate: new Date(2019, 2, 30, 0, 0, 0),
+    endDate: new Date(2019, 2, 31, 0, 0, 0),
+    focusedInput: null,
+  })
+})
+
+test('should disable blocked presets', () => {
+  const onDatesChange = jest.fn()
+  const {getByText} = render(
+    <Presets
+      presets={presets}
+      startDate={null}
+      endDate={null}
+      onDatesChange={onDatesChange}
+      minBookingDate={new Date(2019, 2, 27, 0, 0, 0)}
+    />,
+  )
+  // @ts-ignore
+  expect(getByText('Last 7 days')).toBeDisabled()
+
+  fireEvent.click(getByText('Last 7 days'))
+  expect(onDatesChange).not.toBeCalled()
+})
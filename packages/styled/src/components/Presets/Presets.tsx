@@ -0,0 +1,194 @@
+import React, {useContext} from 'react'
+import styled, {css, ThemeContext} from 'styled-components'
+import {
+  compose,
+  background,
+  BackgroundProps,
+  color,
+  ColorProps,
+  fontFamily,
+  FontFamilyProps,
+  fontWeight,
+  FontWeightProps,
+  fontSize,
+  FontSizeProps,
+  height,
+  HeightProps,
+  space,
+  SpaceProps,
+} from 'styled-system'
+import {usePresets, UsePresetsProps, PresetType} from '@datepicker-react/hooks'
+import Grid from '../Grid'
+// eslint-disable-next-line import/no-unresolved
+import {PresetsTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+import globalStyles from '../../globalStyles'
+import getThemeProp from '../../utils/getThemeProp'
+
+interface StyledPresetButtonProps
+  extends BackgroundProps,
+    ColorProps,
+    FontFamilyProps,
+    FontWeightProps,
+    FontSizeProps,
+    HeightProps,
+    SpaceProps {
+  disabledPreset: boolean
+  isActive: boolean
+  hoverBackground: string
+  borderAccessibilityColor: string
+  rtl: boolean
+}
+
+const composeStyledPresetButtonStyles = compose(
+  background,
+  color,
+  fontFamily,
+  fontWeight,
+  fontSize,
+  height,
+  space,
+)
+
+const StyledPresetButton = styled('button')<StyledPresetButtonProps>`
+  ${composeStyledPresetButtonStyles}
+  width: 100%;
+  cursor: pointer;
+  border: 0;
+  outline: 0;
+  white-space: nowrap;
+  text-align: ${({rtl}) => (rtl ? 'right' : 'left')};
+
+  ${({disabledPreset}) =>
+    disabledPreset &&
+    css`
+      cursor: initial;
+      opacity: 0.4;
+    `}
+
+  ${({disabledPreset, isActive, hoverBackground}) =>
+    !disabledPreset &&
+    !isActive &&
+    css`
+      &:hover {
+        background: ${hoverBackground};
+      }
+    `}
+
+  &:focus {
+    ${({borderAccessibilityColor}) => css`
+      border: 2px solid ${borderAccessibilityColor};
+    `}
+  }
+`
+
+export interface PresetsProps extends UsePresetsProps {
+  rtl?: boolean
+}
+
+// Side panel of the Datepicker with the preset ranges
+function Presets({
+  presets,
+  startDate,
+  endDate,
+  onDatesChange,
+  minBookingDate,
+  maxBookingDate,
+  minBookingDays,
+  maxBookingDays,
+  exactMinBookingDays,
+  isDateBlocked,
+  isStartDateBlocked,
+  isEndDateBlocked,
+  isNightBlocked,
+  unavailableDates,
+  unavailableRanges,
+  rtl = false,
+}: PresetsProps) {
+  const {presets: presetItems, onPresetSelect} = usePresets({
+    presets,
+    startDate,
+    endDate,
+    onDatesChange,
+    minBookingDate,
+    maxBookingDate,
+    minBookingDays,
+    maxBookingDays,
+    exactMinBookingDays,
+    isDateBlocked,
+    isStartDateBlocked,
+    isEndDateBlocked,
+    isNightBlocked,
+    unavailableDates,
+    unavailableRanges,
+  })
+  const themeContext = useContext(ThemeContext)
+  const theme: PresetsTheme = useThemeProps({
+    fontFamily: globalStyles.fontFamily,
+    presetsMargin: rtl ? '0 0 0 32px' : '0 32px 0 0',
+    presetsGap: '4px',
+    presetsButtonHeight: '32px',
+    presetsButtonPadding: '0 12px',
+    presetsButtonFontSize: '14px',
+    presetsButtonFontWeight: 500,
+    presetsButtonColor: getThemeProp('mud', globalStyles.colors.mud, themeContext),
+    presetsButtonBackground: getThemeProp('white', globalStyles.colors.white, themeContext),
+    presetsButtonHoverBackground: getThemeProp(
+      'normalDayHover',
+      globalStyles.colors.normalDayHover,
+      themeContext,
+    ),
+    presetsButtonActiveColor: getThemeProp('white', globalStyles.colors.white, themeContext),
+    presetsButtonActiveBackground: getThemeProp(
+      'primaryColor',
+      globalStyles.colors.primaryColor,
+      themeContext,
+    ),
+    presetsButtonAccessibilityBorderColor: getThemeProp(
+      'accessibility',
+      globalStyles.colors.accessibility,
+      themeContext,
+    ),
+  })
+
+  return (
+    <Grid
+      data-testid="Presets"
+      gridAutoRows="min-content"
+      gridGap={theme.presetsGap}
+      m={theme.presetsMargin}
+    >
+      {presetItems.map((preset: PresetType) => (
+        <StyledPresetButton
+          key={preset.label}
+          type="button"
+          data-testid="PresetButton"
+          aria-pressed={preset.isActive}
+          disabled={preset.isBlocked}
+          onClick={() => onPresetSelect(preset)}
+          disabledPreset={preset.isBlocked}
+          isActive={preset.isActive}
+          rtl={rtl}
+          height={theme.presetsButtonHeight}
+          p={theme.presetsButtonPadding}
+          fontFamily={theme.fontFamily}
+          fontSize={theme.presetsButtonFontSize}
+          fontWeight={theme.presetsButtonFontWeight}
+          // @ts-ignore
+          color={preset.isActive ? theme.presetsButtonActiveColor : theme.presetsButtonColor}
+          background={
+            preset.isActive ? theme.presetsButtonActiveBackground : theme.presetsButtonBackground
+          }
+          // @ts-ignore
+          hoverBackground={theme.presetsButtonHoverBackground}
+          // @ts-ignore
+          borderAccessibilityColor={theme.presetsButtonAccessibilityBorderColor}
+        >
+          {preset.label}
+        </StyledPresetButton>
+      ))}
+    </Grid>
+  )
+}
+
+export default Presets
@@ -0,0 +1,3 @@
+import Presets from './Presets'
+
+export default Presets
@@ -0,0 +1,32 @@
+import * as React from 'react'
+import {render, fireEvent} from '../../testUtil'
+import TimeColumn from '.'
+
+test('should render times of the date', () => {
+  const onTimeChange = jest.fn()
+  const {container, getAllByTestId, getByLabelText} = render(
+    <TimeColumn
+      title="Start time:"
+      date={new Date(2019, 2, 27, 9, 0, 0)}
+      onTimeChange={onTimeChange}
+      minTime="08:00"
+      maxTime="10:00"
+      minuteStep={60}
+    />,
+  )
+  expect(container).toMatchSnapshot()
+  expect(getAllByTestId('TimeButton').length).toBe(3)
+
+  fireEvent.click(getByLabelText('Start time: 10:00'))
+  expect(onTimeChange).toBeCalledWith(new Date(2019, 2, 27, 10, 0, 0))
+})
+
+test('should render disabled times without a date', () => {
+  const onTimeChange = jest.fn()
+  const {getByLabelText} = render(
+    <TimeColumn title="Time:" date={null} onTimeChange={onTimeChange} hourFormat={12} />,
+  )
+
+  fireEvent.click(getByLabelText('Time: 1:30 PM'))
+  expect(onTimeChange).not.toBeCalled()
+})
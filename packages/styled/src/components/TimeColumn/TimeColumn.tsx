@@ -0,0 +1,215 @@
+import React, {useContext, useEffect, useRef} from 'react'
+import styled, {css, ThemeContext} from 'styled-components'
+import {
+  compose,
+  background,
+  BackgroundProps,
+  color,
+  ColorProps,
+  fontFamily,
+  FontFamilyProps,
+  fontWeight,
+  FontWeightProps,
+  fontSize,
+  FontSizeProps,
+  height,
+  HeightProps,
+  overflow,
+  OverflowProps,
+} from 'styled-system'
+import {useTimepicker, UseTimepickerProps, TimeType} from '@datepicker-react/hooks'
+import Text from '../Text'
+import Box from '../Box'
+import Flex from '../Flex'
+// eslint-disable-next-line import/no-unresolved
+import {TimeColumnTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+import globalStyles from '../../globalStyles'
+import getThemeProp from '../../utils/getThemeProp'
+
+interface StyledTimeButtonProps
+  extends BackgroundProps,
+    ColorProps,
+    FontFamilyProps,
+    FontWeightProps,
+    FontSizeProps,
+    HeightProps {
+  disabledTime: boolean
+  isSelected: boolean
+  hoverBackground: string
+  borderAccessibilityColor: string
+}
+
+const composeStyledTimeButtonStyles = compose(
+  background,
+  color,
+  fontFamily,
+  fontWeight,
+  fontSize,
+  height,
+)
+
+const StyledTimeButton = styled('button')<StyledTimeButtonProps>`
+  ${composeStyledTimeButtonStyles}
+  flex-shrink: 0;
+  width: 100%;
+  cursor: pointer;
+  border: 0;
+  padding: 0;
+  outline: 0;
+
+  ${({disabledTime}) =>
+    disabledTime &&
+    css`
+      cursor: initial;
+      opacity: 0.4;
+    `}
+
+  ${({disabledTime, isSelected, hoverBackground}) =>
+    !disabledTime &&
+    !isSelected &&
+    css`
+      &:hover {
+        background: ${hoverBackground};
+      }
+    `}
+
+  &:focus {
+    ${({borderAccessibilityColor}) => css`
+      border: 2px solid ${borderAccessibilityColor};
+    `}
+  }
+`
+
+interface TimeListProps extends HeightProps, OverflowProps {}
+const composeTimeListStyles = compose(height, overflow)
+
+const TimeList = styled(Flex)<TimeListProps>`
+  ${composeTimeListStyles}
+  position: relative;
+`
+
+export interface TimeColumnProps extends UseTimepickerProps {
+  title: string
+}
+
+function TimeColumn({
+  title,
+  date,
+  onTimeChange,
+  minuteStep,
+  minTime,
+  maxTime,
+  hourFormat,
+  isTimeBlocked,
+  timeLabelFormat,
+}: TimeColumnProps) {
+  const listRef = useRef<HTMLDivElement>(null)
+  const selectedTimeRef = useRef<HTMLButtonElement>(null)
+  const {times, isTimeSelected, isTimeBlocked: isTimeBlockedFn, onTimeSelect} = useTimepicker({
+    date,
+    onTimeChange,
+    minuteStep,
+    minTime,
+    maxTime,
+    hourFormat,
+    isTimeBlocked,
+    timeLabelFormat,
+  })
+  const themeContext = useContext(ThemeContext)
+  const theme: TimeColumnTheme = useThemeProps({
+    fontFamily: globalStyles.fontFamily,
+    timeColumnTitleFontSize: '11px',
+    timeColumnTitleColor: getThemeProp(
+      'silverCloud',
+      globalStyles.colors.silverCloud,
+      themeContext,
+    ),
+    timeColumnTitleMargin: '0 0 8px',
+    timeColumnHeight: '160px',
+    timeColumnButtonHeight: '32px',
+    timeColumnButtonFontSize: '14px',
+    timeColumnButtonFontWeight: 500,
+    timeColumnButtonColor: getThemeProp('mud', globalStyles.colors.mud, themeContext),
+    timeColumnButtonBackground: getThemeProp('white', globalStyles.colors.white, themeContext),
+    timeColumnButtonHoverBackground: getThemeProp(
+      'normalDayHover',
+      globalStyles.colors.normalDayHover,
+      themeContext,
+    ),
+    timeColumnButtonSelectedColor: getThemeProp('white', globalStyles.colors.white, themeContext),
+    timeColumnButtonSelectedBackground: getThemeProp(
+      'primaryColor',
+      globalStyles.colors.primaryColor,
+      themeContext,
+    ),
+    timeColumnButtonAccessibilityBorderColor: getThemeProp(
+      'accessibility',
+      globalStyles.colors.accessibility,
+      themeContext,
+    ),
+  })
+
+  // Scroll the selected time into the view of the list
+  useEffect(() => {
+    if (listRef.current && selectedTimeRef.current) {
+      listRef.current.scrollTop = selectedTimeRef.current.offsetTop
+    }
+  }, [date])
+
+  return (
+    <Box data-testid="TimeColumn">
+      <Text
+        fontFamily={theme.fontFamily}
+        fontSize={theme.timeColumnTitleFontSize}
+        // @ts-ignore
+        color={theme.timeColumnTitleColor}
+        m={theme.timeColumnTitleMargin}
+      >
+        {title}
+      </Text>
+      <TimeList
+        flexDirection="column"
+        height={theme.timeColumnHeight}
+        overflow="auto"
+        ref={listRef}
+      >
+        {times.map((time: TimeType) => {
+          const isSelected = isTimeSelected(time)
+
+          return (
+            <StyledTimeButton
+              key={time.timeLabel}
+              ref={isSelected ? selectedTimeRef : undefined}
+              type="button"
+              data-testid="TimeButton"
+              aria-label={`${title} ${time.timeLabel}`}
+              onClick={() => onTimeSelect(time)}
+              disabledTime={isTimeBlockedFn(time)}
+              isSelected={isSelected}
+              height={theme.timeColumnButtonHeight}
+              fontFamily={theme.fontFamily}
+              fontSize={theme.timeColumnButtonFontSize}
+              fontWeight={theme.timeColumnButtonFontWeight}
+              // @ts-ignore
+              color={isSelected ? theme.timeColumnButtonSelectedColor : theme.timeColumnButtonColor}
+              background={
+                isSelected
+                  ? theme.timeColumnButtonSelectedBackground
+                  : theme.timeColumnButtonBackground
+              }
+              // @ts-ignore
+              hoverBackground={theme.timeColumnButtonHoverBackground}
+              // @ts-ignore
+              borderAccessibilityColor={theme.timeColumnButtonAccessibilityBorderColor}
+            >
+              {time.timeLabel}
+            </StyledTimeButton>
+          )
+        })}
+      </TimeList>
+    </Box>
+  )
+}
+
+export default TimeColumn
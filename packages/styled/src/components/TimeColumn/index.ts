@@ -0,0 +1,3 @@
+import TimeColumn from './TimeColumn'
+
+export default TimeColumn
@@ -0,0 +1,95 @@
+import React, {useReducer} from 'react'
+import {storiesOf} from '@storybook/react'
+import {action} from '@storybook/addon-actions'
+import {boolean} from '@storybook/addon-knobs'
+import {WeekInput, OnWeekChangeProps, FirstDayOfWeek} from '../../index'
+
+const initialState: OnWeekChangeProps = {
+  startDate: null,
+  endDate: null,
+  showDatepicker: false,
+}
+
+function reducer(state: OnWeekChangeProps, action: Record<string, unknown>) {
+  switch (action.type) {
+    case 'focusChange':
+      return {...state, showDatepicker: action.payload}
+    case 'datesChange':
+      return action.payload
+    default:
+      throw new Error()
+  }
+}
+
+interface AppProps {
+  vertical?: boolean
+  rtl?: boolean
+  showResetDate?: boolean
+  showClose?: boolean
+  numberOfMonths?: number
+  firstDayOfWeek?: FirstDayOfWeek
+  unavailableDates?: Date[]
+}
+
+function App({
+  showClose = true,
+  showResetDate = false,
+  vertical = false,
+  rtl = false,
+  numberOfMonths = 1,
+  firstDayOfWeek = 1,
+  unavailableDates = [],
+}: AppProps) {
+  const [state, dispatch] = useReducer(reducer, initialState)
+
+  return (
+    <div style={{width: '350px'}}>
+      <WeekInput
+        onDatesChange={data => dispatch({type: 'datesChange', payload: data})}
+        onFocusChange={focusedInput => dispatch({type: 'focusChange', payload: focusedInput})}
+        // @ts-ignore
+        startDate={state.startDate}
+        // @ts-ignore
+        endDate={state.endDate}
+        // @ts-ignore
+        showDatepicker={state.showDatepicker}
+        onClose={action('onClose')}
+        vertical={vertical}
+        rtl={rtl}
+        showClose={showClose}
+        showResetDate={showResetDate}
+        numberOfMonths={numberOfMonths}
+        firstDayOfWeek={firstDayOfWeek}
+        unavailableDates={unavailableDates}
+      />
+    </div>
+  )
+}
+
+storiesOf('WeekInput', module)
+  .add('Simple demo', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      vertical={boolean('vertical', false)}
+      showResetDate={boolean('showResetDate', true)}
+      showClose={boolean('showClose', true)}
+    />
+  ))
+  .add('First day of the week (Sunday)', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      vertical={boolean('vertical', false)}
+      showResetDate={boolean('showResetDate', true)}
+      showClose={boolean('showClose', true)}
+      firstDayOfWeek={0}
+    />
+  ))
+  .add('Number of months (2 months)', () => (
+    <App
+      rtl={boolean('rtl', false)}
+      vertical={boolean('vertical', false)}
+      showResetDate={boolean('showResetDate', true)}
+      showClose={boolean('showClose', true)}
+      numberOfMonths={2}
+    />
+  ))
@@ -0,0 +1,115 @@
+import * as React from 'react'
+import {advanceTo, clear} from 'jest-date-mock'
+import {render, fireEvent} from '../../testUtil'
+import WeekInput from '.'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+test('should have empty week and opened datepicker', () => {
+  const onDatesChange = jest.fn()
+  const onFocusChange = jest.fn()
+  const {container, getByText, getAllByTestId} = render(
+    <WeekInput
+      showDatepicker
+      onFocusChange={onFocusChange}
+      startDate={null}
+      endDate={null}
+      onDatesChange={onDatesChange}
+    />,
+  )
+  expect(container).toMatchSnapshot()
+  expect(getByText('March 2019'))
+
+  // Click on March 13
+  const selectedDay = getAllByTestId('Day')[12]
+  // @ts-ignore
+  expect(selectedDay).toHaveTextContent('13')
+  fireEvent.click(selectedDay)
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate: new Date(2019, 2, 11, 0, 0, 0),
+    endDate: new Date(2019, 2, 17, 0, 0, 0),
+    showDatepicker: false,
+  })
+})
+
+test('should display the selected week', () => {
+  const {getByTestId} = render(
+    <WeekInput
+      showDatepicker={false}
+      onFocusChange={jest.fn()}
+      startDate={new Date(2019, 2, 11, 0, 0, 0)}
+      endDate={new Date(2019, 2, 17, 0, 0, 0)}
+      onDatesChange={jest.fn()}
+    />,
+  )
+  // @ts-ignore
+  expect(getByTestId('DatepickerInput')).toHaveValue('Week 11, 2019')
+})
+
+test('should follow the first day of the week', () => {
+  const onDatesChange = jest.fn()
+  const {getAllByTestId} = render(
+    <WeekInput
+      showDatepicker
+      firstDayOfWeek={0}
+      onFocusChange={jest.fn()}
+      startDate={null}
+      endDate={null}
+      onDatesChange={onDatesChange}
+    />,
+  )
+
+  fireEvent.click(getAllByTestId('Day')[12])
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate: new Date(2019, 2, 10, 0, 0, 0),
+    endDate: new Date(2019, 2, 16, 0, 0, 0),
+    showDatepicker: false,
+  })
+})
+
+test('should reset the week and keep the datepicker open', () => {
+  const onDatesChange = jest.fn()
+  const {getByText} = render(
+    <WeekInput
+      showDatepicker
+      startDate={new Date(2019, 2, 11, 0, 0, 0)}
+      endDate={new Date(2019, 2, 17, 0, 0, 0)}
+      onDatesChange={onDatesChange}
+      onFocusChange={jest.fn()}
+    />,
+  )
+
+  fireEvent.click(getByText('Reset dates'))
+  expect(onDatesChange).toHaveBeenCalledWith({
+    startDate: null,
+    endDate: null,
+    showDatepicker: true,
+  })
+})
+
+// @ts-ignore
+const App = ({onFocusChange}) => (
+  <>
+    <WeekInput
+      showDatepicker
+      startDate={null}
+      endDate={null}
+      onDatesChange={jest.fn()}
+      onFocusChange={onFocusChange}
+    />
+    <div data-testid="outside" />
+  </>
+)
+
+test('should handle click outside (close datepicker)', () => {
+  const onFocusChange = jest.fn()
+  const {getByTestId} = render(<App onFocusChange={onFocusChange} />)
+  fireEvent.click(getByTestId('outside'))
+  expect(onFocusChange).toHaveBeenCalledWith(false)
+})
@@ -0,0 +1,249 @@
+import React, {useRef, useEffect} from 'react'
+import {zIndex, ZIndexProps} from 'styled-system'
+import styled, {css, ThemeProvider} from 'styled-components'
+import format from 'date-fns/format'
+import {
+  FormatFunction,
+  getInputValue,
+  OnDatesChangeProps,
+  FirstDayOfWeek,
+  UnavailableRange,
+  OnVisibleMonthsChangeProps,
+} from '@datepicker-react/hooks'
+import {weekInputPhrases, WeekInputPhrases} from '../../phrases'
+import Box from '../Box'
+import Input from '../Input'
+import Datepicker from '../Datepicker'
+// eslint-disable-next-line import/no-unresolved
+import {WeekInputTheme} from '../../@types/theme'
+import useThemeProps from '../../hooks/useThemeProps'
+
+interface RtlProps {
+  rtl: boolean
+}
+interface WrapperProps extends RtlProps, ZIndexProps {}
+const Wrapper = styled(Box)<WrapperProps>`
+  ${zIndex}
+  ${({rtl}) =>
+    rtl &&
+    css`
+      direction: rtl;
+    `}
+`
+
+function getPlacement(placement: 'bottom' | 'top', rtl: boolean) {
+  if (placement === 'top' && !rtl) {
+    return {
+      weekDatepickerWrapperTop: 'unset',
+      weekDatepickerWrapperRight: 'unset',
+      weekDatepickerWrapperBottom: '65px',
+      weekDatepickerWrapperLeft: '0',
+    }
+  } else if (placement === 'top' && rtl) {
+    return {
+      weekDatepickerWrapperTop: 'unset',
+      weekDatepickerWrapperRight: '0',
+      weekDatepickerWrapperBottom: '65px',
+      weekDatepickerWrapperLeft: 'unset',
+    }
+  } else if (placement === 'bottom' && rtl) {
+    return {
+      weekDatepickerWrapperTop: 'unset',
+      weekDatepickerWrapperRight: '0',
+      weekDatepickerWrapperBottom: 'unset',
+      weekDatepickerWrapperLeft: 'unset',
+    }
+  }
+
+  return {
+    weekDatepickerWrapperTop: 'unset',
+    weekDatepickerWrapperRight: 'unset',
+    weekDatepickerWrapperBottom: 'unset',
+    weekDatepickerWrapperLeft: '0',
+  }
+}
+
+export interface OnWeekChangeProps {
+  startDate: Date | null
+  endDate: Date | null
+  showDatepicker: boolean
+}
+
+export interface WeekInputProps {
+  startDate: Date | null
+  endDate: Date | null
+  minBookingDate?: Date
+  maxBookingDate?: Date
+  showDatepicker: boolean
+  numberOfMonths?: number
+  firstDayOfWeek?: FirstDayOfWeek
+  displayFormat?: string | FormatFunction
+  phrases?: WeekInputPhrases
+  showCalendarIcon?: boolean
+  vertical?: boolean
+  showResetDate?: boolean
+  showClose?: boolean
+  rtl?: boolean
+  placement?: 'top' | 'bottom'
+  initialVisibleMonth?: Date
+  visibleMonth?: Date
+  onVisibleMonthsChange?(data: OnVisibleMonthsChangeProps): void
+  onDatesChange(data: OnWeekChangeProps): void
+  onFocusChange(focusInput: boolean): void
+  isDateBlocked?(date: Date): boolean
+  onClose?(): void
+  dayLabelFormat?(date: Date): string
+  weekdayLabelFormat?(date: Date): string
+  monthLabelFormat?(date: Date): string
+  onDayRender?(date: Date): React.ReactNode
+  inputId?: string
+  unavailableDates?: Date[]
+  unavailableRanges?: UnavailableRange[]
+}
+
+function WeekInput({
+  startDate,
+  endDate,
+  minBookingDate,
+  maxBookingDate,
+  onFocusChange,
+  showDatepicker,
+  onDatesChange,
+  dayLabelFormat,
+  weekdayLabelFormat,
+  monthLabelFormat,
+  onDayRender,
+  initialVisibleMonth,
+  visibleMonth,
+  onVisibleMonthsChange,
+  numberOfMonths = 1,
+  firstDayOfWeek = 1,
+  showClose = true,
+  showResetDate = true,
+  vertical = false,
+  rtl = false,
+  isDateBlocked = () => false,
+  onClose = () => {},
+  showCalendarIcon = true,
+  displayFormat = (date: Date) => format(date, "'Week' w, Y", {weekStartsOn: firstDayOfWeek}),
+  phrases = weekInputPhrases,
+  placement = 'bottom',
+  inputId = 'week',
+  unavailableDates = [],
+  unavailableRanges = [],
+}: WeekInputProps) {
+  const ref = useRef(null)
+  const datepickerWrapperRef = useRef<HTMLDivElement>(null)
+  const theme: WeekInputTheme = useThemeProps({
+    weekZIndex: null,
+    weekInputPadding: vertical ? (rtl ? '0 32px 0 8px' : '0 8px 0 32px') : '0 44px',
+    weekDatepickerWrapperPosition: 'absolute',
+    ...getPlacement(placement, rtl),
+  })
+
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('click', onClickOutsideHandler)
+    }
+
+    return () => {
+      window.removeEventListener('click', onClickOutsideHandler)
+    }
+  })
+
+  function onClickOutsideHandler(event: Event) {
+    if (
+      showDatepicker &&
+      datepickerWrapperRef &&
+      datepickerWrapperRef.current &&
+      // @ts-ignore
+      !datepickerWrapperRef.current.contains(event.target)
+    ) {
+      onFocusChange(false)
+    }
+  }
+
+  function handleDatepickerClose() {
+    onClose()
+    onFocusChange(false)
+  }
+
+  function handleDatesChange(data: OnDatesChangeProps) {
+    onDatesChange({
+      startDate: data.startDate,
+      endDate: data.endDate,
+      showDatepicker: data.focusedInput !== null,
+    })
+  }
+
+  function handleInputChange(date: Date) {
+    // @ts-ignore
+    if (ref && ref.current && ref.current.onDateSelect) {
+      // @ts-ignore
+      ref.current.onDateSelect(date)
+    }
+  }
+
+  return (
+    <ThemeProvider theme={(theme: Record<string, unknown>) => theme || {}}>
+      <Wrapper zIndex={theme.weekZIndex} rtl={rtl} position="relative" ref={datepickerWrapperRef}>
+        <Input
+          id={inputId}
+          ariaLabel={phrases.weekAriaLabel}
+          placeholder={phrases.weekPlaceholder}
+          value={getInputValue(startDate, displayFormat, '')}
+          onClick={() => onFocusChange(true)}
+          showCalendarIcon={showCalendarIcon}
+          vertical={vertical}
+          isActive={false}
+          padding={theme.weekInputPadding}
+          rtl={rtl}
+          onChange={handleInputChange}
+          // @ts-ignore
+          dateFormat={displayFormat}
+        />
+        <Box
+          position={theme.weekDatepickerWrapperPosition}
+          bottom={theme.weekDatepickerWrapperBottom}
+          left={theme.weekDatepickerWrapperLeft}
+          top={theme.weekDatepickerWrapperTop}
+          right={theme.weekDatepickerWrapperRight}
+        >
+          {showDatepicker && (
+            <Datepicker
+              selectionMode="week"
+              onClose={handleDatepickerClose}
+              startDate={startDate}
+              endDate={endDate}
+              minBookingDate={minBookingDate}
+              maxBookingDate={maxBookingDate}
+              firstDayOfWeek={firstDayOfWeek}
+              numberOfMonths={numberOfMonths}
+              displayFormat={displayFormat}
+              onDatesChange={handleDatesChange}
+              isDateBlocked={isDateBlocked}
+              showResetDates={showResetDate}
+              vertical={vertical}
+              showSelectedDates={false}
+              showClose={showClose}
+              rtl={rtl}
+              dayLabelFormat={dayLabelFormat}
+              weekdayLabelFormat={weekdayLabelFormat}
+              monthLabelFormat={monthLabelFormat}
+              onDayRender={onDayRender}
+              phrases={phrases}
+              ref={ref}
+              unavailableDates={unavailableDates}
+              unavailableRanges={unavailableRanges}
+              initialVisibleMonth={initialVisibleMonth}
+              visibleMonth={visibleMonth}
+              onVisibleMonthsChange={onVisibleMonthsChange}
+            />
+          )}
+        </Box>
+      </Wrapper>
+    </ThemeProvider>
+  )
+}
+
+export default WeekInput
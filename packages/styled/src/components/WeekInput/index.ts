@@ -0,0 +1,5 @@
+import WeekInput, {OnWeekChangeProps} from './WeekInput'
+
+export {OnWeekChangeProps}
+
+export default WeekInput
@@ -1,30 +1,51 @@
 import React from 'react'
+import {DateRestriction, HalfDayAvailability, FirstDayOfWeek} from '@datepicker-react/hooks'
 
 interface DatepickerContext {
   rtl: boolean
+  firstDayOfWeek: FirstDayOfWeek
+  skipBlockedDates: boolean
   focusedDate: Date | null
   onDateFocus(date: Date): void
   onDateSelect(date: Date): void
   onDateHover(date: Date): void
+  onDateDragStart?(date: Date): void
+  onDateDragEnd?(date: Date): void
   isDateFocused(date: Date): boolean
   isDateSelected(date: Date): boolean
   isDateHovered(date: Date): boolean
   isDateBlocked(date: Date): boolean
   isFirstOrLastSelectedDate(date: Date): boolean
+  isStartDate(date: Date): boolean
+  isEndDate(date: Date): boolean
+  isDateInActiveRange(date: Date): boolean
+  isDateDragRejected(date: Date): boolean
+  getDateRestriction(date: Date): DateRestriction
+  getHalfDayAvailability(date: Date): HalfDayAvailability
   onDayRender?(date: Date): React.ReactNode
 }
 
 export const datepickerContextDefaultValue = {
   rtl: false,
+  firstDayOfWeek: 1 as FirstDayOfWeek,
+  skipBlockedDates: false,
   focusedDate: null,
   isDateFocused: () => false,
   isDateSelected: () => false,
   isDateHovered: () => false,
   isDateBlocked: () => false,
   isFirstOrLastSelectedDate: () => false,
+  isStartDate: () => false,
+  isEndDate: () => false,
+  isDateInActiveRange: () => false,
+  isDateDragRejected: () => false,
+  getDateRestriction: () => null,
+  getHalfDayAvailability: () => null,
   onDateFocus: () => {},
   onDateHover: () => {},
   onDateSelect: () => {},
+  onDateDragStart: undefined,
+  onDateDragEnd: undefined,
   onDayRender: undefined,
 }
 
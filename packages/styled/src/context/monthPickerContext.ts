@@ -0,0 +1,27 @@
+import React from 'react'
+
+interface MonthPickerContext {
+  focusedMonth: Date | null
+  onMonthFocus(date: Date): void
+  onMonthSelect(date: Date): void
+  onMonthHover(date: Date): void
+  isMonthFocused(date: Date): boolean
+  isMonthSelected(date: Date): boolean
+  isMonthHovered(date: Date): boolean
+  isMonthBlocked(date: Date): boolean
+  isFirstOrLastSelectedMonth(date: Date): boolean
+}
+
+export const monthPickerContextDefaultValue = {
+  focusedMonth: null,
+  isMonthFocused: () => false,
+  isMonthSelected: () => false,
+  isMonthHovered: () => false,
+  isMonthBlocked: () => false,
+  isFirstOrLastSelectedMonth: () => false,
+  onMonthFocus: () => {},
+  onMonthHover: () => {},
+  onMonthSelect: () => {},
+}
+
+export default React.createContext<MonthPickerContext>(monthPickerContextDefaultValue)
@@ -13,6 +13,7 @@ export default {
     selectedDay: '#71c9ed',
     selectedDayHover: '#39beef',
     normalDayHover: '#e6e7e8',
+    rejectedDay: '#f25c54',
   },
   daySize: 36,
 }
@@ -6,10 +6,19 @@ import {
   OnDatesChangeProps,
   FormatFunction,
   MonthType,
+  SelectionMode,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  DateRange,
+  Preset,
 } from '@datepicker-react/hooks'
 import DateRangeInput from './components/DateRangeInput'
 import DateSingleInput, {OnDateChangeProps} from './components/DateSingleInput'
 import Datepicker from './components/Datepicker'
+import WeekInput, {OnWeekChangeProps} from './components/WeekInput'
+import MonthPicker from './components/MonthPicker'
+import MonthInput, {OnMonthChangeProps} from './components/MonthInput'
+import MonthRangeInput from './components/MonthRangeInput'
 import {
   dateRangeInputPhrases,
   DateRangeInputPhrases,
@@ -17,11 +26,21 @@ import {
   DatepickerPhrases,
   DateSingleInputPhrases,
   dateSingleInputPhrases,
+  WeekInputPhrases,
+  weekInputPhrases,
+  MonthInputPhrases,
+  monthInputPhrases,
+  MonthRangeInputPhrases,
+  monthRangeInputPhrases,
 } from './phrases'
 
 export {
   DateRangeInput,
   DateSingleInput,
+  WeekInput,
+  MonthPicker,
+  MonthInput,
+  MonthRangeInput,
   FirstDayOfWeek,
   Datepicker,
   dateRangeInputPhrases,
@@ -30,6 +49,12 @@ export {
   DatepickerPhrases,
   DateSingleInputPhrases,
   dateSingleInputPhrases,
+  WeekInputPhrases,
+  weekInputPhrases,
+  MonthInputPhrases,
+  monthInputPhrases,
+  MonthRangeInputPhrases,
+  monthRangeInputPhrases,
   FocusedInput,
   START_DATE,
   END_DATE,
@@ -37,4 +62,11 @@ export {
   FormatFunction,
   MonthType,
   OnDateChangeProps,
+  OnWeekChangeProps,
+  OnMonthChangeProps,
+  SelectionMode,
+  OnSelectedDatesChangeProps,
+  OnRangesChangeProps,
+  DateRange,
+  Preset,
 }
@@ -3,6 +3,9 @@ export interface DatepickerPhrases {
   datepickerStartDateLabel: string
   datepickerEndDateLabel: string
   datepickerEndDatePlaceholder: string
+  datepickerStartTimeLabel: string
+  datepickerEndTimeLabel: string
+  datepickerTimeLabel: string
   resetDates: string
   close: string
 }
@@ -26,11 +29,31 @@ export interface DateSingleInputPhrases extends DatepickerPhrases {
   datePlaceholder: string
 }
 
+export interface WeekInputPhrases extends DatepickerPhrases {
+  weekAriaLabel: string
+  weekPlaceholder: string
+}
+
+export interface MonthInputPhrases extends DatepickerPhrases {
+  monthAriaLabel: string
+  monthPlaceholder: string
+}
+
+export interface MonthRangeInputPhrases extends DatepickerPhrases {
+  startMonthAriaLabel: string
+  endMonthAriaLabel: string
+  startMonthPlaceholder: string
+  endMonthPlaceholder: string
+}
+
 export const datepickerPhrases = {
   datepickerStartDatePlaceholder: 'Select',
   datepickerStartDateLabel: 'Start date:',
   datepickerEndDatePlaceholder: 'Select',
   datepickerEndDateLabel: 'End date:',
+  datepickerStartTimeLabel: 'Start time:',
+  datepickerEndTimeLabel: 'End time:',
+  datepickerTimeLabel: 'Time:',
   resetDates: 'Reset dates',
   close: 'Close',
 }
@@ -48,3 +71,23 @@ export const dateSingleInputPhrases = {
   dateAriaLabel: 'Select date',
   datePlaceholder: 'Select date',
 }
+
+export const weekInputPhrases = {
+  ...datepickerPhrases,
+  weekAriaLabel: 'Select week',
+  weekPlaceholder: 'Select week',
+}
+
+export const monthInputPhrases = {
+  ...datepickerPhrases,
+  monthAriaLabel: 'Select month',
+  monthPlaceholder: 'Select month',
+}
+
+export const monthRangeInputPhrases = {
+  ...datepickerPhrases,
+  startMonthAriaLabel: 'Start month',
+  endMonthAriaLabel: 'End month',
+  startMonthPlaceholder: 'Start month',
+  endMonthPlaceholder: 'End month',
+}
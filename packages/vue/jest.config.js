@@ -0,0 +1,21 @@
+const path = require('path')
+// eslint-disable-next-line
+const common = require('../../config/jest.common')
+
+// Vue's typings need a newer TypeScript than the other packages, the package is type-checked and
+// tested with its own
+module.exports = {
+  ...common,
+  displayName: 'vue',
+  testEnvironment: 'jest-environment-jsdom',
+  roots: ['<rootDir>/packages/vue'],
+  testMatch: ['**/*.test.+(ts|tsx|js)'],
+  testPathIgnorePatterns: ['/node_modules/', '/lib/'],
+  globals: {
+    'ts-jest': {
+      ...common.globals['ts-jest'],
+      compiler: require.resolve('typescript', {paths: [__dirname]}),
+      tsConfig: path.join(__dirname, 'tsconfig.json'),
+    },
+  },
+}
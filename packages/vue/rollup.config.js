@@ -0,0 +1,15 @@
+import {rollup} from '../../config/rollup.config'
+
+const config = rollup({
+  input: 'src/index.ts',
+  packageJsonPath: './package.json',
+  // Vue's typings need the newer TypeScript of the package
+  compiler: require('typescript'),
+})
+
+// The datepicker core is bundled from the hooks package, without its React hooks
+export default {
+  ...config,
+  external: ['vue', 'react'],
+  treeshake: {moduleSideEffects: 'no-external'},
+}
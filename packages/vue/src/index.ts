@@ -0,0 +1,17 @@
+import {useDatepicker, UseDatepickerProps, MaybeGetter} from './useDatepicker'
+import {useMonth, UseMonthResult} from './useMonth'
+import {useDay, UseDayProps, UseDayResult} from './useDay'
+import {START_DATE, END_DATE} from '@datepicker-react/hooks'
+
+export {
+  useDatepicker,
+  UseDatepickerProps,
+  MaybeGetter,
+  useMonth,
+  UseMonthResult,
+  useDay,
+  UseDayProps,
+  UseDayResult,
+  START_DATE,
+  END_DATE,
+}
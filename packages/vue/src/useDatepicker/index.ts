@@ -0,0 +1,3 @@
+import {useDatepicker, UseDatepickerProps, MaybeGetter, toGetter} from './useDatepicker'
+
+export {useDatepicker, UseDatepickerProps, MaybeGetter, toGetter}
@@ -0,0 +1,174 @@
+import {reactive, nextTick} from 'vue'
+import {advanceTo, clear} from 'jest-date-mock'
+import {
+  START_DATE,
+  END_DATE,
+  OnDatesChangeProps,
+  RangeSelectionConfig,
+  MultipleSelectionConfig,
+} from '@datepicker-react/hooks'
+import {useDatepicker} from '.'
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+describe('useDatepicker', () => {
+  test('should follow the active months', () => {
+    const datepicker = useDatepicker({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+    expect(datepicker.value.activeMonths.map(month => month.month)).toEqual([2, 3])
+
+    datepicker.value.goToNextMonths()
+    expect(datepicker.value.activeMonths.map(month => month.month)).toEqual([4, 5])
+
+    datepicker.value.goToPreviousMonths()
+    datepicker.value.goToPreviousMonths()
+    expect(datepicker.value.activeMonths.map(month => month.month)).toEqual([0, 1])
+  })
+
+  test('should select a range and follow the reactive props', async () => {
+    const props = reactive<RangeSelectionConfig>({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: (data: OnDatesChangeProps) => {
+        Object.assign(props, data)
+      },
+    })
+    const datepicker = useDatepicker(props)
+
+    datepicker.value.onDateSelect(new Date(2019, 2, 28, 0, 0, 0))
+    await nextTick()
+    expect(datepicker.value.isStartDate(new Date(2019, 2, 28, 0, 0, 0))).toBe(true)
+    expect(props.focusedInput).toBe(END_DATE)
+
+    datepicker.value.onDateHover(new Date(2019, 2, 30, 0, 0, 0))
+    expect(datepicker.value.isDateHovered(new Date(2019, 2, 29, 0, 0, 0))).toBe(true)
+
+    datepicker.value.onDateSelect(new Date(2019, 2, 30, 0, 0, 0))
+    await nextTick()
+    expect(props.endDate).toEqual(new Date(2019, 2, 30, 0, 0, 0))
+    expect(props.focusedInput).toBe(null)
+    expect(datepicker.value.isDateSelected(new Date(2019, 2, 29, 0, 0, 0))).toBe(true)
+  })
+
+  test('should keep the minimum booking days', () => {
+    const onDatesChange = jest.fn()
+    const props = reactive<RangeSelectionConfig>({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      minBookingDays: 3,
+      onDatesChange,
+    })
+    const datepicker = useDatepicker(props)
+
+    datepicker.value.onDateSelect(new Date(2019, 2, 29, 0, 0, 0))
+    expect(onDatesChange).not.toBeCalled()
+
+    datepicker.value.onDateSelect(new Date(2019, 2, 30, 0, 0, 0))
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: new Date(2019, 2, 30, 0, 0, 0),
+      focusedInput: null,
+    })
+  })
+
+  test('should select the exact minimum booking days', () => {
+    const onDatesChange = jest.fn()
+    const datepicker = useDatepicker(() => ({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      minBookingDays: 3,
+      exactMinBookingDays: true,
+      onDatesChange,
+    }))
+
+    datepicker.value.onDateSelect(new Date(2019, 3, 4, 0, 0, 0))
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 3, 4, 0, 0, 0),
+      endDate: new Date(2019, 3, 6, 0, 0, 0),
+      focusedInput: null,
+    })
+  })
+
+  test('should block the unavailable dates', () => {
+    const onDatesChange = jest.fn()
+    const props = reactive<RangeSelectionConfig>({
+      startDate: new Date(2019, 3, 8, 0, 0, 0),
+      endDate: null,
+      focusedInput: END_DATE,
+      unavailableDates: [new Date(2019, 3, 10, 0, 0, 0)],
+      onDatesChange,
+    })
+    const datepicker = useDatepicker(props)
+    expect(datepicker.value.isDateBlocked(new Date(2019, 3, 10, 0, 0, 0))).toBe(true)
+
+    datepicker.value.onDateSelect(new Date(2019, 3, 12, 0, 0, 0))
+    expect(onDatesChange).not.toBeCalled()
+
+    // The changed unavailable dates are followed
+    props.unavailableDates = [new Date(2019, 3, 11, 0, 0, 0)]
+    expect(datepicker.value.isDateBlocked(new Date(2019, 3, 10, 0, 0, 0))).toBe(false)
+    expect(datepicker.value.isDateBlocked(new Date(2019, 3, 11, 0, 0, 0))).toBe(true)
+  })
+
+  test('should follow the unavailable dates changed in place', () => {
+    const unavailableDates = reactive([new Date(2019, 3, 10, 0, 0, 0)])
+    const datepicker = useDatepicker({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      unavailableDates,
+      onDatesChange: jest.fn(),
+    })
+    expect(datepicker.value.isDateBlocked(new Date(2019, 3, 11, 0, 0, 0))).toBe(false)
+
+    unavailableDates.push(new Date(2019, 3, 11, 0, 0, 0))
+    expect(datepicker.value.isDateBlocked(new Date(2019, 3, 11, 0, 0, 0))).toBe(true)
+
+    unavailableDates.splice(0, 1)
+    expect(datepicker.value.isDateBlocked(new Date(2019, 3, 10, 0, 0, 0))).toBe(false)
+  })
+
+  test('should follow the selected dates changed in place', () => {
+    const props = reactive<MultipleSelectionConfig>({
+      selectionMode: 'multiple',
+      selectedDates: [new Date(2019, 2, 28, 0, 0, 0)],
+      onSelectedDatesChange: jest.fn(),
+    })
+    const datepicker = useDatepicker(props)
+    expect(datepicker.value.isDateSelected(new Date(2019, 2, 29, 0, 0, 0))).toBe(false)
+
+    props.selectedDates.push(new Date(2019, 2, 29, 0, 0, 0))
+    expect(datepicker.value.isDateSelected(new Date(2019, 2, 29, 0, 0, 0))).toBe(true)
+  })
+
+  test('should focus the first day with the keyboard', () => {
+    const datepicker = useDatepicker({
+      startDate: null,
+      endDate: null,
+      focusedInput: START_DATE,
+      onDatesChange: jest.fn(),
+    })
+    const preventDefault = jest.fn()
+    expect(datepicker.value.focusedDate).toBe(null)
+
+    datepicker.value
+      .getGridProps()
+      .onKeyDown({key: 'ArrowDown', defaultPrevented: false, preventDefault})
+    expect(preventDefault).toBeCalled()
+    expect(datepicker.value.focusedDate).toEqual(new Date(2019, 2, 1, 0, 0, 0))
+    expect(datepicker.value.isDateFocused(new Date(2019, 2, 1, 0, 0, 0))).toBe(true)
+  })
+})
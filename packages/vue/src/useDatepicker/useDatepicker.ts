@@ -0,0 +1,57 @@
+import {shallowRef, computed, watch, getCurrentInstance, onUnmounted, ComputedRef} from 'vue'
+import {
+  createDatepickerMachine,
+  DatepickerConfig,
+  DatepickerSnapshot,
+} from '@datepicker-react/hooks'
+
+export type UseDatepickerProps = DatepickerConfig
+
+// The props are a reactive object, like the props of a component, or a getter of them
+export type MaybeGetter<T> = T | (() => T)
+
+export function toGetter<T>(props: MaybeGetter<T>): () => T {
+  // Spreading the props reads all of them, so a reactive object is tracked like a getter
+  return typeof props === 'function' ? (props as () => T) : () => ({...props})
+}
+
+// The unavailable dates are copied, the machine keeps its index of them as long as the arrays are
+// the same, so the dates changed in place are indexed again
+function toConfig(props: UseDatepickerProps): UseDatepickerProps {
+  const {unavailableDates, unavailableRanges} = props
+
+  return {
+    ...props,
+    unavailableDates: unavailableDates && [...unavailableDates],
+    unavailableRanges: unavailableRanges && [...unavailableRanges],
+  }
+}
+
+// The machine holds the state of the hooks package's useDatepicker and the snapshot is taken from
+// it on every change of the state or the props, so the selection rules are the same as in React
+export function useDatepicker(
+  props: MaybeGetter<UseDatepickerProps>,
+): ComputedRef<DatepickerSnapshot> {
+  const getProps = toGetter(props)
+  const machine = createDatepickerMachine(toConfig(getProps()))
+  const snapshot = shallowRef(machine.getSnapshot())
+  const unsubscribe = machine.subscribe(() => {
+    snapshot.value = machine.getSnapshot()
+  })
+
+  // The props are watched deeply, so the arrays of dates changed in place update the snapshot too
+  watch(
+    getProps,
+    nextProps => {
+      machine.setConfig(toConfig(nextProps))
+      snapshot.value = machine.getSnapshot()
+    },
+    {deep: true, flush: 'sync'},
+  )
+
+  if (getCurrentInstance()) {
+    onUnmounted(unsubscribe)
+  }
+
+  return computed(() => snapshot.value)
+}
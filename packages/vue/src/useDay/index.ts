@@ -0,0 +1,3 @@
+import {useDay, UseDayProps, UseDayResult} from './useDay'
+
+export {useDay, UseDayProps, UseDayResult}
@@ -0,0 +1,135 @@
+import {defineComponent, h, reactive, ref, PropType} from 'vue'
+import {mount} from '@vue/test-utils'
+import {advanceTo, clear} from 'jest-date-mock'
+import {
+  START_DATE,
+  DatepickerSnapshot,
+  OnDatesChangeProps,
+  RangeSelectionConfig,
+} from '@datepicker-react/hooks'
+import {useDatepicker} from '../useDatepicker'
+import {useDay} from '.'
+
+const Day = defineComponent({
+  props: {
+    date: {type: Date, required: true},
+    datepicker: {type: Object as PropType<DatepickerSnapshot>, required: true},
+  },
+  setup(props) {
+    const dayRef = ref<HTMLElement | null>(null)
+    const day = useDay(() => ({...props.datepicker, date: props.date, dayRef}))
+
+    return () =>
+      h(
+        'button',
+        {
+          ref: dayRef,
+          type: 'button',
+          tabindex: day.value.tabIndex,
+          'data-selected': day.value.isSelected,
+          'data-disabled': day.value.disabledDate,
+          onClick: day.value.onClick,
+          onKeydown: day.value.onKeydown,
+          onMouseenter: day.value.onMouseenter,
+        },
+        props.date.getDate(),
+      )
+  },
+})
+
+function mountDatepicker(props: Partial<RangeSelectionConfig> = {}) {
+  const onDatesChange = jest.fn()
+  const Datepicker = defineComponent({
+    setup() {
+      const datepickerProps = reactive<RangeSelectionConfig>({
+        startDate: null,
+        endDate: null,
+        focusedInput: START_DATE,
+        ...props,
+        onDatesChange: (data: OnDatesChangeProps) => {
+          onDatesChange(data)
+          Object.assign(datepickerProps, data)
+        },
+      })
+      const datepicker = useDatepicker(datepickerProps)
+
+      return () =>
+        h(
+          'div',
+          [27, 28, 29, 30].map(day =>
+            h(Day, {key: day, date: new Date(2019, 2, day), datepicker: datepicker.value}),
+          ),
+        )
+    },
+  })
+
+  return {wrapper: mount(Datepicker, {attachTo: document.body}), onDatesChange}
+}
+
+beforeEach(() => {
+  advanceTo(new Date(2019, 2, 27, 0, 0, 0))
+})
+
+afterEach(() => {
+  clear()
+})
+
+describe('useDay', () => {
+  test('should select the clicked days', async () => {
+    const {wrapper, onDatesChange} = mountDatepicker()
+    const days = wrapper.findAll('button')
+
+    await days[1].trigger('click')
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 2, 28, 0, 0, 0),
+      endDate: null,
+      focusedInput: 'endDate',
+    })
+
+    await days[2].trigger('mouseenter')
+    await days[2].trigger('click')
+    expect(days.map(day => day.attributes('data-selected'))).toEqual([
+      'false',
+      'true',
+      'true',
+      'false',
+    ])
+    wrapper.unmount()
+  })
+
+  test('should not select the unavailable days', async () => {
+    const {wrapper, onDatesChange} = mountDatepicker({
+      unavailableDates: [new Date(2019, 2, 29, 0, 0, 0)],
+    })
+    const days = wrapper.findAll('button')
+    expect(days[2].attributes('data-disabled')).toBe('true')
+
+    await days[2].trigger('click')
+    await days[2].trigger('keydown', {key: 'Enter'})
+    expect(onDatesChange).not.toBeCalled()
+    wrapper.unmount()
+  })
+
+  test('should move the focus with the keyboard', async () => {
+    const {wrapper, onDatesChange} = mountDatepicker({
+      unavailableDates: [new Date(2019, 2, 28, 0, 0, 0)],
+    })
+    const days = wrapper.findAll('button')
+    expect(days.map(day => day.attributes('tabindex'))).toEqual(['0', '0', '0', '0'])
+
+    await days[0].trigger('keydown', {key: 'ArrowRight'})
+    expect(document.activeElement).toBe(days[1].element)
+    expect(days.map(day => day.attributes('tabindex'))).toEqual(['-1', '0', '-1', '-1'])
+
+    await days[1].trigger('keydown', {key: 'ArrowRight'})
+    expect(document.activeElement).toBe(days[2].element)
+
+    await days[2].trigger('keydown', {key: 'Enter'})
+    expect(onDatesChange).toBeCalledWith({
+      startDate: new Date(2019, 2, 29, 0, 0, 0),
+      endDate: null,
+      focusedInput: 'endDate',
+    })
+    wrapper.unmount()
+  })
+})
@@ -0,0 +1,156 @@
+import {computed, watch, ComputedRef, Ref} from 'vue'
+import {
+  getKeyboardFocusDate,
+  DateRestriction,
+  HalfDayAvailability,
+  FirstDayOfWeek,
+} from '@datepicker-react/hooks'
+import {MaybeGetter, toGetter} from '../useDatepicker'
+
+export interface UseDayProps {
+  date: Date
+  focusedDate: Date | null
+  isDateFocused(date: Date): boolean
+  isDateSelected(date: Date): boolean
+  isDateHovered(date: Date): boolean
+  isDateBlocked(date: Date): boolean
+  isFirstOrLastSelectedDate(date: Date): boolean
+  isStartDate?(date: Date): boolean
+  isEndDate?(date: Date): boolean
+  isDateInActiveRange?(date: Date): boolean
+  isDateDragRejected?(date: Date): boolean
+  getDateRestriction?(date: Date): DateRestriction
+  getHalfDayAvailability?(date: Date): HalfDayAvailability
+  onDateFocus(date: Date): void
+  onDateSelect(date: Date): void
+  onDateHover(date: Date): void
+  onDateDragStart?(date: Date): void
+  onDateDragEnd?(date: Date): void
+  dayRef: Ref<HTMLElement | null>
+  firstDayOfWeek?: FirstDayOfWeek
+  skipBlockedDates?: boolean
+  rtl?: boolean
+}
+
+// The handlers are named like Vue's event props, so they can be bound with v-on or a render function
+export interface UseDayResult {
+  tabIndex: number
+  isSelected: boolean
+  isSelectedStartOrEnd: boolean
+  isSelectedStart: boolean
+  isSelectedEnd: boolean
+  isWithinActiveRange: boolean
+  isDragRejected: boolean
+  isWithinHoverRange: boolean
+  disabledDate: boolean
+  restriction: DateRestriction
+  halfDayAvailability: HalfDayAvailability
+  onKeydown(e: KeyboardEvent): void
+  onClick(): void
+  onMouseenter(): void
+  onPointerdown(e: PointerEvent): void
+  onPointerenter(e: PointerEvent): void
+  onPointerup(): void
+}
+
+export function useDay(props: MaybeGetter<UseDayProps>): ComputedRef<UseDayResult> {
+  const getProps = toGetter(props)
+
+  // The focused day takes the focus once its element is rendered, as with useDay's effect
+  watch(
+    () => {
+      const {dayRef, date, isDateFocused} = getProps()
+      return [dayRef.value, date, isDateFocused] as const
+    },
+    ([element, date, isDateFocused]) => {
+      if (element && isDateFocused(date)) {
+        element.focus()
+      }
+    },
+    {immediate: true, flush: 'post'},
+  )
+
+  return computed(() => {
+    const {
+      date,
+      focusedDate,
+      isDateSelected,
+      isDateFocused,
+      isFirstOrLastSelectedDate,
+      isDateHovered,
+      isDateBlocked,
+      isStartDate = () => false,
+      isEndDate = () => false,
+      isDateInActiveRange = () => false,
+      isDateDragRejected = () => false,
+      getDateRestriction = () => null,
+      getHalfDayAvailability = () => null,
+      onDateSelect,
+      onDateFocus,
+      onDateHover,
+      onDateDragStart = () => {},
+      onDateDragEnd = () => {},
+      firstDayOfWeek = 1,
+      skipBlockedDates = false,
+      rtl = false,
+    } = getProps()
+    const disabled = isDateBlocked(date) && !isDateHovered(date)
+    const onClick = () => onDateSelect(date)
+
+    return {
+      tabIndex: focusedDate === null || isDateFocused(date) ? 0 : -1,
+      isSelected: isDateSelected(date),
+      isSelectedStartOrEnd: isFirstOrLastSelectedDate(date),
+      isSelectedStart: isStartDate(date),
+      isSelectedEnd: isEndDate(date),
+      isWithinActiveRange: isDateInActiveRange(date),
+      isDragRejected: isDateDragRejected(date),
+      isWithinHoverRange: isDateHovered(date),
+      disabledDate: disabled,
+      restriction: getDateRestriction(date),
+      halfDayAvailability: getHalfDayAvailability(date),
+      onKeydown: (e: KeyboardEvent) => {
+        const nextDate = getKeyboardFocusDate({
+          date,
+          key: e.key,
+          shiftKey: e.shiftKey,
+          isDateBlocked,
+          firstDayOfWeek,
+          skipBlockedDates,
+          rtl,
+        })
+
+        if (nextDate) {
+          e.preventDefault()
+          onDateFocus(nextDate)
+        } else if (e.key === 'Enter' || e.key === ' ') {
+          // The button would be clicked as well
+          e.preventDefault()
+
+          if (!disabled) {
+            onClick()
+          }
+        }
+      },
+      onClick: disabled ? () => {} : onClick,
+      onMouseenter: () => onDateHover(date),
+      onPointerdown: (e: PointerEvent) => {
+        // Touch pointers are captured by the pressed day, released they enter the other days
+        const target = e.currentTarget as HTMLElement | null
+
+        if (target && target.hasPointerCapture && target.hasPointerCapture(e.pointerId)) {
+          target.releasePointerCapture(e.pointerId)
+        }
+
+        onDateDragStart(date)
+      },
+      // Mouse pointers preview the range with onMouseenter
+      onPointerenter: (e: PointerEvent) => {
+        if (e.pointerType !== 'mouse') {
+          onDateHover(date)
+        }
+      },
+      onPointerup: () => onDateDragEnd(date),
+    }
+  })
+}
@@ -0,0 +1,3 @@
+import {useMonth, UseMonthResult} from './useMonth'
+
+export {useMonth, UseMonthResult}
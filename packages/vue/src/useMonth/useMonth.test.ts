@@ -0,0 +1,42 @@
+import {reactive} from 'vue'
+import {de} from 'date-fns/locale'
+import {jalaliCalendar, UseMonthProps} from '@datepicker-react/hooks'
+import {useMonth} from '.'
+
+describe('useMonth', () => {
+  test('should return the days and labels of the month', () => {
+    const {days, weekdayLabels, monthLabel} = useMonth({year: 2019, month: 2})
+    expect(days.value.length).toBe(35)
+    expect(days.value[3]).toBe(0)
+    expect(days.value[4]).toEqual({dayLabel: '01', date: new Date(2019, 2, 1, 0, 0, 0)})
+    expect(weekdayLabels.value).toEqual(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'])
+    expect(monthLabel.value).toBe('March 2019')
+  })
+
+  test('should follow the reactive props', () => {
+    const props = reactive<UseMonthProps>({year: 2019, month: 2})
+    const {days, weekdayLabels, monthLabel} = useMonth(props)
+
+    props.month = 3
+    props.locale = de
+    expect(days.value[0]).toEqual({dayLabel: '01', date: new Date(2019, 3, 1, 0, 0, 0)})
+    expect(weekdayLabels.value[0]).toBe('Mo')
+    expect(monthLabel.value).toBe('April 2019')
+
+    props.firstDayOfWeek = 0
+    props.monthLabelFormat = (date: Date) => `${date.getMonth() + 1}/${date.getFullYear()}`
+    expect(days.value[1]).toEqual({dayLabel: '01', date: new Date(2019, 3, 1, 0, 0, 0)})
+    expect(weekdayLabels.value[0]).toBe('So')
+    expect(monthLabel.value).toBe('4/2019')
+  })
+
+  test('should count the month in the calendar', () => {
+    const {days, monthLabel} = useMonth(() => ({year: 1398, month: 0, calendar: jalaliCalendar}))
+    expect(days.value.filter(day => day !== 0).length).toBe(31)
+    expect(days.value.find(day => day !== 0)).toEqual({
+      dayLabel: '01',
+      date: new Date(2019, 2, 21, 0, 0, 0),
+    })
+    expect(monthLabel.value).toBe('فروردین 1398')
+  })
+})
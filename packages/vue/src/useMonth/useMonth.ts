@@ -0,0 +1,68 @@
+import {computed, ComputedRef} from 'vue'
+import {
+  getDays,
+  getWeekdayLabels,
+  getFirstDayOfWeek,
+  gregorianCalendar,
+  weekdayLabelFormat as weekdayLabelFormatFn,
+  UseMonthProps,
+  CalendarDay,
+} from '@datepicker-react/hooks'
+import {MaybeGetter, toGetter} from '../useDatepicker'
+
+export interface UseMonthResult {
+  weekdayLabels: ComputedRef<string[]>
+  days: ComputedRef<CalendarDay[]>
+  monthLabel: ComputedRef<string>
+}
+
+// The labels and the first day of the week follow the locale, unless they are set, and the year
+// and month are counted in the calendar, as in the hooks package's useMonth
+export function useMonth(props: MaybeGetter<UseMonthProps>): UseMonthResult {
+  const getProps = toGetter(props)
+  const month = computed(() => {
+    const {locale, calendar = gregorianCalendar, firstDayOfWeek, ...rest} = getProps()
+
+    return {
+      ...rest,
+      locale,
+      calendar,
+      firstDayOfWeek: firstDayOfWeek === undefined ? getFirstDayOfWeek(locale) : firstDayOfWeek,
+    }
+  })
+
+  return {
+    days: computed(() => {
+      const {
+        year,
+        month: monthIndex,
+        firstDayOfWeek,
+        calendar,
+        locale,
+        dayLabelFormat,
+      } = month.value
+
+      return getDays({
+        year,
+        month: monthIndex,
+        firstDayOfWeek,
+        calendar,
+        dayLabelFormat: dayLabelFormat || (date => calendar.formatDay(date, locale)),
+      })
+    }),
+    weekdayLabels: computed(() => {
+      const {firstDayOfWeek, locale, weekdayLabelFormat} = month.value
+
+      return getWeekdayLabels({
+        firstDayOfWeek,
+        weekdayLabelFormat: weekdayLabelFormat || (date => weekdayLabelFormatFn(date, locale)),
+      })
+    }),
+    monthLabel: computed(() => {
+      const {year, month: monthIndex, calendar, locale, monthLabelFormat} = month.value
+      const date = calendar.getMonthStart(year, monthIndex)
+
+      return monthLabelFormat ? monthLabelFormat(date) : calendar.formatMonth(date, locale)
+    }),
+  }
+}